@@ -0,0 +1,95 @@
+// Action budget - Hourly and daily limits on the searches and chat opens WhatsApp Web sees (ACTION_BUDGETS in the config)
+// Windows are rolling: the last 60 minutes and the last 24 hours
+
+// Length of each budget window
+const WINDOWS = { perHour: 60 * 60 * 1000, perDay: 24 * 60 * 60 * 1000 };
+
+// Readable names for messages
+const ACTION_NAMES = { searches: 'searches', chatOpens: 'chat opens' };
+const WINDOW_NAMES = { perHour: 'hour', perDay: '24 hours' };
+
+// Times (ms) of the actions of the last 24 hours by action, oldest first
+const history = { searches: [], chatOpens: [] };
+let spentHandler = null; // Told about every action taken (index.js stores it)
+
+// Thrown instead of taking an action whose budget is spent
+export class ActionBudgetError extends Error {
+  constructor(budget) {
+    super(describeBudget(budget));
+    this.name = 'ActionBudgetError';
+    this.budget = budget;
+  }
+}
+
+// "120 searches in the last hour (limit 120)"
+export function describeBudget({ action, window, used, limit }) {
+  return `${used} ${ACTION_NAMES[action]} in the last ${WINDOW_NAMES[window]} (limit ${limit})`;
+}
+
+// Forget actions older than the longest window
+function prune(now) {
+  for (const times of Object.values(history)) {
+    while (times.length > 0 && times[0] <= now - WINDOWS.perDay) times.shift();
+  }
+}
+
+// Put back the actions of the last 24 hours after a restart - [{ action, at }] with at in ms
+export function restoreActionHistory(actions) {
+  for (const times of Object.values(history)) times.length = 0;
+  for (const { action, at } of [...actions].sort((a, b) => a.at - b.at)) {
+    if (history[action]) history[action].push(at);
+  }
+}
+
+// Budgets of one action (or all) that are used up under the limits - [{ action, window, used, limit, freesAt }]
+// freesAt is when enough actions have aged out of the window for one more
+function spentBudgets(limits, actions, now) {
+  prune(now);
+  const spent = [];
+  for (const action of actions) {
+    const times = history[action];
+    for (const [window, length] of Object.entries(WINDOWS)) {
+      const limit = limits[action][window];
+      if (limit === null) continue;
+
+      const inWindow = times.filter(time => time > now - length);
+      if (inWindow.length >= limit) {
+        const freesAt = new Date(inWindow[inWindow.length - limit] + length);
+        spent.push({ action, window, used: inWindow.length, limit, freesAt });
+      }
+    }
+  }
+  return spent.sort((a, b) => b.freesAt - a.freesAt);
+}
+
+// The spent budget that frees up last, or null while every action has budget left - limits is ACTION_BUDGETS
+export function spentActionBudget(limits, now = Date.now()) {
+  return spentBudgets(limits, Object.keys(history), now)[0] || null;
+}
+
+// Count an action about to be taken - throws ActionBudgetError when its budget is spent
+export function spendAction(action, limits, now = Date.now()) {
+  const [spent] = spentBudgets(limits, [action], now);
+  if (spent) throw new ActionBudgetError(spent);
+
+  history[action].push(now);
+  if (spentHandler) spentHandler(action, now);
+}
+
+// Set the function told about every action taken
+export function onActionSpent(handler) {
+  spentHandler = handler;
+}
+
+// Use of every limited budget - for the status command and /api/status
+export function getActionBudgetUsage(limits, now = Date.now()) {
+  prune(now);
+  const usage = [];
+  for (const [action, times] of Object.entries(history)) {
+    for (const [window, length] of Object.entries(WINDOWS)) {
+      const limit = limits[action][window];
+      if (limit !== null) usage.push({ action, window, used: times.filter(time => time > now - length).length, limit });
+    }
+  }
+  return usage;
+}
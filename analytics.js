@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+
+// Analytics - Builds reports over stored match history (weekly counts, top senders, activity heatmap, week-over-week trends)
+// Usage: npm run analytics [-- --weeks 12]  (or type "analytics" in the running monitor)
+
+import fs from 'fs/promises'; // File system operations
+import path from 'path'; // Path manipulation utilities
+import { fileURLToPath } from 'url'; // URL to file path converter
+import { initStorage, closeStorage, getMatchHistory, toDateKey } from './storage.js'; // SQLite persistence
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Heatmap shades from no matches to the busiest hour
+const HEAT_SHADES = [' ·', '░░', '▒▒', '▓▓', '██'];
+
+// Midnight (local time) on the Monday of the week containing a date
+export function startOfWeek(date) {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+// Earliest match time a report needs - the first of its weeks, or two weeks back for the trend
+export function analyticsStart(now = new Date(), weeks = 8) {
+  const firstWeek = startOfWeek(now);
+  firstWeek.setDate(firstWeek.getDate() - 7 * (weeks - 1));
+  return new Date(Math.min(firstWeek.getTime(), now.getTime() - 14 * DAY_MS));
+}
+
+// Total of an array of counts
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+// Count matches per keyword (or group) in each week of the report, busiest first
+function countPerWeek(matches, key, weekKeys) {
+  const series = new Map();
+  for (const match of matches) {
+    const week = weekKeys.indexOf(toDateKey(startOfWeek(match.time)));
+    if (week === -1) continue;
+    if (!series.has(match[key])) series.set(match[key], new Array(weekKeys.length).fill(0));
+    series.get(match[key])[week]++;
+  }
+
+  return [...series]
+    .map(([name, perWeek]) => ({ name, perWeek, total: sum(perWeek) }))
+    .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+}
+
+// Most frequent senders of each keyword's matches
+function countTopSenders(matches, limit) {
+  const byKeyword = new Map();
+  for (const match of matches) {
+    const senders = byKeyword.get(match.keyword) || new Map();
+    const sender = match.sender || 'Unknown';
+    senders.set(sender, (senders.get(sender) || 0) + 1);
+    byKeyword.set(match.keyword, senders);
+  }
+
+  return [...byKeyword]
+    .map(([keyword, senders]) => ({
+      keyword,
+      senders: [...senders]
+        .map(([sender, count]) => ({ sender, count }))
+        .sort((a, b) => b.count - a.count || a.sender.localeCompare(b.sender))
+        .slice(0, limit)
+    }))
+    .sort((a, b) => a.keyword.localeCompare(b.keyword));
+}
+
+// Matches per day of week (Monday first) and hour of day, in local time
+function countHeatmap(matches) {
+  const cells = WEEKDAYS.map(() => new Array(24).fill(0));
+  for (const match of matches) {
+    cells[(match.time.getDay() + 6) % 7][match.time.getHours()]++;
+  }
+  return { cells, max: Math.max(0, ...cells.flat()) };
+}
+
+// Matches in the last 7 days against the 7 days before, per keyword (or group)
+function countWeekOverWeek(matches, key, now) {
+  const thisWeekStart = now.getTime() - 7 * DAY_MS;
+  const lastWeekStart = now.getTime() - 14 * DAY_MS;
+  const counts = new Map();
+
+  for (const match of matches) {
+    const time = match.time.getTime();
+    if (time < lastWeekStart || time > now.getTime()) continue;
+    const row = counts.get(match[key]) || { name: match[key], thisWeek: 0, lastWeek: 0 };
+    row[time >= thisWeekStart ? 'thisWeek' : 'lastWeek']++;
+    counts.set(match[key], row);
+  }
+
+  return [...counts.values()]
+    .map(row => ({ ...row, change: row.lastWeek > 0 ? (row.thisWeek - row.lastWeek) / row.lastWeek : null }))
+    .sort((a, b) => b.thisWeek - a.thisWeek || b.lastWeek - a.lastWeek || a.name.localeCompare(b.name));
+}
+
+// Build the analytics report from match history ({ groupName, keyword, sender, time } objects)
+export function buildAnalytics(history, { now = new Date(), weeks = 8, topSenders = 5 } = {}) {
+  const weekKeys = [];
+  for (let week = weeks - 1; week >= 0; week--) {
+    const start = startOfWeek(now);
+    start.setDate(start.getDate() - 7 * week);
+    weekKeys.push(toDateKey(start));
+  }
+
+  const periodStart = startOfWeek(now);
+  periodStart.setDate(periodStart.getDate() - 7 * (weeks - 1));
+  const inPeriod = history.filter(match => match.time >= periodStart && match.time <= now);
+
+  return {
+    generatedAt: now.toISOString(),
+    periodStart: periodStart.toISOString(),
+    weeks: weekKeys,
+    totalMatches: inPeriod.length,
+    byKeyword: countPerWeek(inPeriod, 'keyword', weekKeys),
+    byGroup: countPerWeek(inPeriod, 'groupName', weekKeys),
+    topSenders: countTopSenders(inPeriod, topSenders),
+    heatmap: countHeatmap(inPeriod),
+    trends: {
+      keywords: countWeekOverWeek(history, 'keyword', now),
+      groups: countWeekOverWeek(history, 'groupName', now)
+    }
+  };
+}
+
+// Load match history from the open database and build the report
+export function runAnalytics({ now = new Date(), weeks = 8, topSenders = 5 } = {}) {
+  return buildAnalytics(getMatchHistory(analyticsStart(now, weeks)), { now, weeks, topSenders });
+}
+
+// Week-over-week change as text ("+25%", "-10%", "new" or "–")
+export function formatChange(row) {
+  if (row.change === null) return row.thisWeek > 0 ? 'new' : '–';
+  const percent = Math.round(row.change * 100);
+  return `${percent > 0 ? '+' : ''}${percent}%`;
+}
+
+// Plain-text table with padded columns (numbers right-aligned)
+function formatTable(headers, rows) {
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...rows.map(row => String(row[column]).length)));
+  const formatRow = cells => cells.map((cell, column) =>
+    typeof cell === 'number' ? String(cell).padStart(widths[column]) : String(cell).padEnd(widths[column])).join('  ').trimEnd();
+
+  return [formatRow(headers), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(formatRow)].join('\n');
+}
+
+// Weekly counts table (columns are week starts as MM-DD)
+function formatWeeklyTable(label, series, weeks) {
+  if (series.length === 0) return '  No matches in this period';
+  return formatTable(
+    [label, ...weeks.map(week => week.slice(5)), 'Total'],
+    series.map(row => [row.name, ...row.perWeek, row.total])
+  );
+}
+
+// Week-over-week table
+function formatTrendTable(label, rows) {
+  if (rows.length === 0) return '  No matches in the last two weeks';
+  return formatTable([label, 'Last 7 days', 'Previous 7 days', 'Change'], rows.map(row => [row.name, row.thisWeek, row.lastWeek, formatChange(row)]));
+}
+
+// Render the report as terminal text
+export function formatAnalyticsText(report) {
+  const { cells, max } = report.heatmap;
+  const shade = count => HEAT_SHADES[count === 0 ? 0 : Math.ceil((count / max) * (HEAT_SHADES.length - 1))];
+  const heatmap = [
+    `     ${Array.from({ length: 24 }, (_, hour) => String(hour).padStart(2, '0')).join(' ')}`,
+    ...cells.map((row, day) => `${WEEKDAYS[day]}  ${row.map(shade).join(' ')}`),
+    `     ${HEAT_SHADES.slice(1).join(' ')}  fewer → more (busiest hour: ${max} matches)`
+  ].join('\n');
+
+  const senders = report.topSenders.flatMap(({ keyword, senders: top }) =>
+    top.map((entry, rank) => [rank === 0 ? keyword : '', entry.sender, entry.count]));
+
+  return [
+    `📊 Analytics - ${report.totalMatches} matches since ${toDateKey(new Date(report.periodStart))} (${report.weeks.length} weeks)`,
+    '',
+    '📈 Matches per keyword (by week starting)',
+    formatWeeklyTable('Keyword', report.byKeyword, report.weeks),
+    '',
+    '📈 Matches per group (by week starting)',
+    formatWeeklyTable('Group', report.byGroup, report.weeks),
+    '',
+    '🗣️ Most active senders per keyword',
+    senders.length > 0 ? formatTable(['Keyword', 'Sender', 'Matches'], senders) : '  No matches in this period',
+    '',
+    '🕒 Matches by hour of day and day of week',
+    heatmap,
+    '',
+    '📉 Week-over-week per keyword',
+    formatTrendTable('Keyword', report.trends.keywords),
+    '',
+    '📉 Week-over-week per group',
+    formatTrendTable('Group', report.trends.groups)
+  ].join('\n');
+}
+
+// Escape text for HTML
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// HTML table from header and row cells (numbers right-aligned)
+function htmlTable(headers, rows, emptyText) {
+  if (rows.length === 0) return `<p class="empty">${escapeHtml(emptyText)}</p>`;
+  const cell = (tag, value) => `<${tag}${typeof value === 'number' ? ' class="num"' : ''}>${escapeHtml(value)}</${tag}>`;
+  return `<table>
+<thead><tr>${headers.map(header => cell('th', header)).join('')}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${row.map(value => cell('td', value)).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+}
+
+// Render the report as a standalone HTML page
+export function renderAnalyticsHtml(report) {
+  const { cells, max } = report.heatmap;
+  const heatCell = count => {
+    const alpha = max > 0 ? (count / max).toFixed(2) : 0;
+    return `<td style="background: rgba(0, 128, 105, ${alpha})" title="${count} matches">${count || ''}</td>`;
+  };
+  const heatmap = `<table class="heatmap">
+<thead><tr><th></th>${Array.from({ length: 24 }, (_, hour) => `<th>${String(hour).padStart(2, '0')}</th>`).join('')}</tr></thead>
+<tbody>
+${cells.map((row, day) => `<tr><th>${WEEKDAYS[day]}</th>${row.map(heatCell).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+
+  const weekHeaders = report.weeks.map(week => week.slice(5));
+  const senders = report.topSenders.flatMap(({ keyword, senders: top }) =>
+    top.map((entry, rank) => [rank === 0 ? keyword : '', entry.sender, entry.count]));
+  const trendRows = rows => rows.map(row => [row.name, row.thisWeek, row.lastWeek, formatChange(row)]);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>WhatsApp Monitor analytics - ${escapeHtml(toDateKey(new Date(report.generatedAt)))}</title>
+<style>
+  body { margin: 24px; font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; font-size: 14px; color: #111b21; }
+  h1 { font-size: 20px; } h2 { margin-top: 32px; font-size: 16px; }
+  table { border-collapse: collapse; } th, td { padding: 4px 8px; border-bottom: 1px solid #e9edef; text-align: left; }
+  .num { text-align: right; } .empty { color: #667781; }
+  .heatmap td { width: 24px; height: 20px; padding: 0; text-align: center; font-size: 11px; border: 1px solid #fff; }
+</style>
+</head>
+<body>
+<h1>WhatsApp Monitor analytics</h1>
+<p>${report.totalMatches} matches since ${escapeHtml(toDateKey(new Date(report.periodStart)))} (${report.weeks.length} weeks). Generated ${escapeHtml(new Date(report.generatedAt).toLocaleString())}.</p>
+<h2>Matches per keyword (by week starting)</h2>
+${htmlTable(['Keyword', ...weekHeaders, 'Total'], report.byKeyword.map(row => [row.name, ...row.perWeek, row.total]), 'No matches in this period')}
+<h2>Matches per group (by week starting)</h2>
+${htmlTable(['Group', ...weekHeaders, 'Total'], report.byGroup.map(row => [row.name, ...row.perWeek, row.total]), 'No matches in this period')}
+<h2>Most active senders per keyword</h2>
+${htmlTable(['Keyword', 'Sender', 'Matches'], senders, 'No matches in this period')}
+<h2>Matches by hour of day and day of week</h2>
+${heatmap}
+<h2>Week-over-week per keyword</h2>
+${htmlTable(['Keyword', 'Last 7 days', 'Previous 7 days', 'Change'], trendRows(report.trends.keywords), 'No matches in the last two weeks')}
+<h2>Week-over-week per group</h2>
+${htmlTable(['Group', 'Last 7 days', 'Previous 7 days', 'Change'], trendRows(report.trends.groups), 'No matches in the last two weeks')}
+</body>
+</html>
+`;
+}
+
+// Write the HTML report into the reports folder and return its path
+export async function writeAnalyticsReport(report, reportsDir) {
+  await fs.mkdir(reportsDir, { recursive: true });
+  const filePath = path.join(reportsDir, `analytics-${toDateKey(new Date(report.generatedAt))}.html`);
+  await fs.writeFile(filePath, renderAnalyticsHtml(report));
+  return filePath;
+}
+
+// Run standalone when executed directly
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const weeksArg = process.argv.indexOf('--weeks');
+  const weeks = weeksArg === -1 ? 8 : Number.parseInt(process.argv[weeksArg + 1], 10);
+  if (!Number.isInteger(weeks) || weeks < 2) {
+    console.error('❌ --weeks must be a whole number of 2 or more');
+    process.exit(1);
+  }
+
+  // Loaded here so importing the report functions does not need a config file
+  const { DATABASE_PATH, REPORTS_DIR } = await import('./config-loader.js');
+  initStorage(DATABASE_PATH);
+
+  const report = runAnalytics({ weeks });
+  console.log(formatAnalyticsText(report));
+  console.log(`\n📄 HTML report written to ${await writeAnalyticsReport(report, REPORTS_DIR)}`);
+  closeStorage();
+}
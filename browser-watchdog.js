@@ -0,0 +1,89 @@
+// Browser watchdog - Samples the memory of the Chromium process tree and the page's JS heap, and decides when
+// the browser has to be recycled (BROWSER_WATCHDOG in the config)
+
+import { execFile } from 'child_process'; // ps for process memory
+import { promisify } from 'util'; // Promise version of execFile
+
+const execFileAsync = promisify(execFile);
+
+// Longest a sample may take - a browser that does not answer in time counts as unresponsive
+const SAMPLE_TIMEOUT_MS = 10000;
+
+// Memory of a process and all its descendants in MB, from `ps -A -o pid=,ppid=,rss=` output (rss in KB)
+export function sumProcessTree(psOutput, rootPid) {
+  const processes = psOutput.trim().split('\n').map(line => line.trim().split(/\s+/).map(Number));
+  const children = new Map();
+  const rss = new Map();
+  for (const [pid, ppid, kilobytes] of processes) {
+    rss.set(pid, kilobytes);
+    if (!children.has(ppid)) children.set(ppid, []);
+    children.get(ppid).push(pid);
+  }
+  if (!rss.has(rootPid)) return null;
+
+  let totalKB = 0;
+  const pending = [rootPid];
+  while (pending.length > 0) {
+    const pid = pending.pop();
+    totalKB += rss.get(pid) || 0;
+    pending.push(...(children.get(pid) || []));
+  }
+  return Math.round(totalKB / 1024);
+}
+
+// Memory of the browser process with its renderer, GPU and utility processes in MB (null where ps is unavailable)
+async function readProcessTreeMemoryMB(rootPid) {
+  try {
+    const { stdout } = await execFileAsync('ps', ['-A', '-o', 'pid=,ppid=,rss='], { timeout: SAMPLE_TIMEOUT_MS });
+    return sumProcessTree(stdout, rootPid);
+  } catch {
+    return null;
+  }
+}
+
+// Reject when a promise takes longer than the sample timeout
+function withTimeout(promise, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} did not answer within ${SAMPLE_TIMEOUT_MS / 1000}s`)), SAMPLE_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Sample the browser - { responsive, browserMemoryMB, heapMB, error }
+// Memory values are null when they cannot be read (e.g. no ps on Windows)
+export async function sampleBrowserResources(browser, page) {
+  if (!browser || !page || !browser.connected || page.isClosed()) {
+    return { responsive: false, browserMemoryMB: null, heapMB: null, error: 'browser disconnected or page closed' };
+  }
+
+  try {
+    const { JSHeapUsedSize } = await withTimeout(page.metrics(), 'Page');
+    const browserProcess = browser.process();
+    return {
+      responsive: true,
+      browserMemoryMB: browserProcess ? await readProcessTreeMemoryMB(browserProcess.pid) : null,
+      heapMB: Math.round(JSHeapUsedSize / 1024 / 1024),
+      error: null
+    };
+  } catch (error) {
+    return { responsive: false, browserMemoryMB: null, heapMB: null, error: error.message };
+  }
+}
+
+// Why the browser should be recycled now, or null - limits is BROWSER_WATCHDOG, uptimeMs the time since launch
+export function recycleReason(sample, limits, uptimeMs) {
+  if (!sample.responsive) {
+    return `browser not responding (${sample.error})`;
+  }
+  if (sample.browserMemoryMB !== null && sample.browserMemoryMB > limits.maxBrowserMemoryMB) {
+    return `browser memory ${sample.browserMemoryMB} MB is over ${limits.maxBrowserMemoryMB} MB`;
+  }
+  if (sample.heapMB !== null && sample.heapMB > limits.maxHeapMB) {
+    return `page JS heap ${sample.heapMB} MB is over ${limits.maxHeapMB} MB`;
+  }
+  if (uptimeMs > limits.maxUptimeHours * 60 * 60 * 1000) {
+    return `browser up for ${(uptimeMs / 3600000).toFixed(1)}h, over ${limits.maxUptimeHours}h`;
+  }
+  return null;
+}
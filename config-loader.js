@@ -0,0 +1,191 @@
+// Configuration loader - Finds and validates the config file, then watches it and stages changes for the next scan cycle
+
+import fs from 'fs'; // File reading and watching
+import path from 'path'; // Path manipulation utilities
+import { isDeepStrictEqual } from 'util'; // Per-key change detection on reload
+import { pathToFileURL, fileURLToPath } from 'url'; // Module URL helpers
+import { parseConfigText, toPlainConfig, validateConfig, ConfigError } from './config-schema.js';
+import { log } from './logger.js'; // Levelled logging
+
+const appDir = path.dirname(fileURLToPath(import.meta.url));
+
+// Looked for in this order next to index.js - config.js is the old ES module format and still works
+const CONFIG_FILE_NAMES = ['config.yaml', 'config.yml', 'config.json', 'config.js'];
+
+// Settings used only when the browser, database or dashboard is started - changing them needs a restart
+const RESTART_KEYS = ['PUPPETEER_OPTIONS', 'WHATSAPP_WEB_URL', 'DATABASE_PATH', 'DASHBOARD'];
+
+// Editors often write a file in several steps - wait for it to settle before reading
+const RELOAD_DEBOUNCE_MS = 500;
+
+// Active settings - live bindings, so importers see reloaded values at the next scan cycle
+export let TARGET_GROUPS;
+export let GROUP_DISCOVERY;
+export let KEYWORDS;
+export let FUZZY_MATCHING;
+export let SENDERS;
+export let DUPLICATES;
+export let SCAN_INTERVAL_MINUTES;
+export let SCHEDULE;
+export let PUPPETEER_OPTIONS;
+export let QR_LOGIN;
+export let BROWSER_WATCHDOG;
+export let PACING;
+export let ACTION_BUDGETS;
+export let WHATSAPP_WEB_URL;
+export let SELECTORS;
+export let TIMEOUTS;
+export let INCREMENTAL_SCAN;
+export let MATCH_CONTEXT;
+export let CHAT_LIST_PREPASS;
+export let MESSAGE_DATE_ORDER;
+export let LOG_FILE_PATH;
+export let LOGGING;
+export let DATABASE_PATH;
+export let REPORTS_DIR;
+export let DIGESTS;
+export let NOTIFICATION_CHANNELS;
+export let DASHBOARD;
+
+// Reload state
+let startupConfig = null; // Config the process started with (source of the restart-only keys)
+let loadedConfig = null; // Last config applied from the file
+let pendingConfig = null; // Validated change waiting for the next scan cycle
+let watcher = null;
+let reloadTimer = null;
+
+// WHATSAPP_MONITOR_CONFIG lets the e2e suite (or a second instance) run with its own config file
+function resolveConfigPath() {
+  if (process.env.WHATSAPP_MONITOR_CONFIG) {
+    return path.resolve(process.env.WHATSAPP_MONITOR_CONFIG);
+  }
+  const found = CONFIG_FILE_NAMES.map(name => path.join(appDir, name)).find(file => fs.existsSync(file));
+  if (!found) {
+    throw new ConfigError(appDir, ['no config file found - copy config.example.yaml to config.yaml and edit it']);
+  }
+  return found;
+}
+
+// Read, parse and validate a config file (.yaml, .yml, .json, or a legacy .js module)
+async function readConfigFile(filePath) {
+  const source = path.basename(filePath);
+  if (/\.[cm]?js$/i.test(filePath)) {
+    // The query string bypasses the module cache so edits are picked up on reload
+    const module = await import(`${pathToFileURL(filePath).href}?v=${Date.now()}`);
+    return validateConfig(toPlainConfig(module), source);
+  }
+  return validateConfig(parseConfigText(await fs.promises.readFile(filePath, 'utf8'), source), source);
+}
+
+// Point the exported bindings at a validated config (restart-only keys keep their startup values)
+function setBindings(config) {
+  loadedConfig = config;
+  const active = { ...config };
+  for (const key of RESTART_KEYS) {
+    active[key] = startupConfig[key];
+  }
+
+  TARGET_GROUPS = active.TARGET_GROUPS;
+  GROUP_DISCOVERY = active.GROUP_DISCOVERY;
+  KEYWORDS = active.KEYWORDS;
+  FUZZY_MATCHING = active.FUZZY_MATCHING;
+  SENDERS = active.SENDERS;
+  DUPLICATES = active.DUPLICATES;
+  SCAN_INTERVAL_MINUTES = active.SCAN_INTERVAL_MINUTES;
+  SCHEDULE = active.SCHEDULE;
+  PUPPETEER_OPTIONS = active.PUPPETEER_OPTIONS;
+  QR_LOGIN = active.QR_LOGIN;
+  BROWSER_WATCHDOG = active.BROWSER_WATCHDOG;
+  PACING = active.PACING;
+  ACTION_BUDGETS = active.ACTION_BUDGETS;
+  SELECTORS = active.SELECTORS;
+  TIMEOUTS = active.TIMEOUTS;
+  INCREMENTAL_SCAN = active.INCREMENTAL_SCAN;
+  MATCH_CONTEXT = active.MATCH_CONTEXT;
+  CHAT_LIST_PREPASS = active.CHAT_LIST_PREPASS;
+  MESSAGE_DATE_ORDER = active.MESSAGE_DATE_ORDER;
+  LOG_FILE_PATH = active.LOG_FILE_PATH;
+  LOGGING = active.LOGGING;
+  DATABASE_PATH = active.DATABASE_PATH;
+  REPORTS_DIR = active.REPORTS_DIR;
+  DIGESTS = active.DIGESTS;
+  NOTIFICATION_CHANNELS = active.NOTIFICATION_CHANNELS;
+  DASHBOARD = active.DASHBOARD;
+
+  // WHATSAPP_WEB_URL can be overridden from the environment, e.g. to point at the local simulator
+  WHATSAPP_WEB_URL = process.env.WHATSAPP_WEB_URL || active.WHATSAPP_WEB_URL;
+}
+
+// Path of the config file in use
+export const CONFIG_PATH = await (async () => {
+  try {
+    const configPath = resolveConfigPath();
+    startupConfig = await readConfigFile(configPath);
+    setBindings(startupConfig);
+    return configPath;
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+})();
+
+// Re-read the config file after a change and stage it, or keep the current settings if it is invalid
+async function stageReload() {
+  try {
+    const config = await readConfigFile(CONFIG_PATH);
+    if (isDeepStrictEqual(config, pendingConfig || loadedConfig)) return; // Saved without changes
+
+    pendingConfig = config;
+    log.info(`📝 ${path.basename(CONFIG_PATH)} changed - new settings apply at the next scan cycle`);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      log.warn(`⚠️ ${path.basename(CONFIG_PATH)} is missing - keeping the current settings`);
+    } else {
+      log.error(`❌ Config change rejected, keeping the current settings\n${error.message}`);
+    }
+  }
+}
+
+// Watch the config file for changes (the directory is watched so editors that replace the file are handled)
+export function watchConfig() {
+  if (watcher) return;
+
+  const fileName = path.basename(CONFIG_PATH);
+  watcher = fs.watch(path.dirname(CONFIG_PATH), (eventType, changedName) => {
+    if (changedName && changedName !== fileName) return;
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(stageReload, RELOAD_DEBOUNCE_MS);
+  });
+  watcher.unref();
+  log.info(`👀 Watching ${fileName} for changes`);
+}
+
+// Stop watching the config file
+export function unwatchConfig() {
+  clearTimeout(reloadTimer);
+  if (watcher) {
+    watcher.close();
+    watcher = null;
+  }
+}
+
+// Apply a staged config change - returns the keys that changed (restart-only keys are reported but not applied)
+export function applyPendingConfig() {
+  if (!pendingConfig) return [];
+
+  const changedKeys = Object.keys(pendingConfig).filter(key => !isDeepStrictEqual(pendingConfig[key], loadedConfig[key]));
+  const restartKeys = changedKeys.filter(key => RESTART_KEYS.includes(key));
+  const appliedKeys = changedKeys.filter(key => !RESTART_KEYS.includes(key));
+
+  setBindings(pendingConfig);
+  pendingConfig = null;
+
+  if (appliedKeys.length > 0) {
+    log.info(`🔧 Config reloaded: ${appliedKeys.join(', ')}`, { changedKeys: appliedKeys });
+  }
+  if (restartKeys.length > 0) {
+    log.warn(`⚠️ ${restartKeys.join(', ')} changed - restart the monitor to apply`, { restartKeys });
+  }
+  return appliedKeys;
+}
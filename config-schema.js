@@ -0,0 +1,187 @@
+// Config schema - Parses JSON/YAML config files and validates them against config.schema.json with readable errors
+
+import fs from 'fs'; // Schema file is read once at startup
+import Ajv from 'ajv'; // JSON Schema validator
+import YAML from 'yaml'; // YAML parser
+import { compileRules, KeywordRuleError } from './keyword-rules.js'; // KEYWORDS are compiled as part of validation
+import { compileTitlePatterns } from './group-discovery.js'; // Discovery patterns are checked the same way
+import { levenshtein } from './fuzzy-match.js'; // "Did you mean" suggestions for misspelled keys
+import { compileSchedule, ScheduleError } from './scan-schedule.js'; // Cron expressions and quiet hours are checked too
+import { compileDigests } from './digest-report.js'; // Digest schedules as well
+
+export const CONFIG_SCHEMA = JSON.parse(fs.readFileSync(new URL('./config.schema.json', import.meta.url), 'utf8'));
+
+// useDefaults fills in every key the file leaves out, including inside nested objects
+const ajv = new Ajv({ allErrors: true, useDefaults: true, verbose: true, strict: false });
+const validateSchema = ajv.compile(CONFIG_SCHEMA);
+
+// What a value failing each pattern of the schema is missing
+const PATTERN_PROBLEMS = {
+  '^https?://': 'must start with http:// or https://',
+  '^[A-Za-z0-9_-]+$': 'may only contain letters, digits, - and _'
+};
+
+// Thrown when a config file cannot be parsed or does not match the schema - lists every problem found
+export class ConfigError extends Error {
+  constructor(source, problems) {
+    super(`Invalid configuration in ${source}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.source = source;
+    this.problems = problems;
+  }
+}
+
+// Parse the text of a .json, .yaml or .yml config file into a plain object
+export function parseConfigText(text, source) {
+  let parsed;
+  try {
+    parsed = /\.json$/i.test(source) ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new ConfigError(source, [error.message.split('\n')[0].replace(/:$/, '')]);
+  }
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ConfigError(source, ['the file must contain a mapping of setting names to values']);
+  }
+  return parsed;
+}
+
+// Legacy config.js modules may use RegExp patterns - write them as "/pattern/flags" strings like the file formats do
+export function toPlainConfig(moduleExports) {
+  const toPlain = value => {
+    if (value instanceof RegExp) return value.toString();
+    if (Array.isArray(value)) return value.map(toPlain);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlain(item)]));
+    }
+    return value;
+  };
+  return toPlain({ ...moduleExports });
+}
+
+// Turn an ajv instance path ("/NOTIFICATION_CHANNELS/0/url") into a config path ("NOTIFICATION_CHANNELS[0].url")
+function formatPath(instancePath) {
+  return instancePath.split('/').slice(1).reduce((result, part) => {
+    const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (/^\d+$/.test(key)) return `${result}[${key}]`;
+    return result ? `${result}.${key}` : key;
+  }, '');
+}
+
+// Closest allowed key to a misspelled or shortened one, or null when nothing is close
+function suggestKey(key, allowed) {
+  const extended = allowed.find(candidate => candidate.toLowerCase().startsWith(key.toLowerCase()));
+  if (extended) return extended;
+
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of allowed) {
+    const distance = levenshtein(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+// Describe one ajv error in config terms
+function describeError(error) {
+  const where = formatPath(error.instancePath);
+  const subject = where || 'The configuration';
+
+  switch (error.keyword) {
+    case 'additionalProperties': {
+      const key = error.params.additionalProperty;
+      const suggestion = suggestKey(key, Object.keys(error.parentSchema.properties || {}));
+      const hint = suggestion ? ` (did you mean "${suggestion}"?)` : '';
+      return where ? `${where} has unknown key "${key}"${hint}` : `unknown key "${key}"${hint}`;
+    }
+    case 'required':
+      return `${subject} is missing required key "${error.params.missingProperty}"`;
+    case 'minItems':
+      return error.params.limit === 1
+        ? `${subject} must not be empty`
+        : `${subject} must have at least ${error.params.limit} entries`;
+    case 'minLength':
+      return `${subject} must not be empty`;
+    case 'enum':
+      return `${subject} must be one of ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+    case 'anyOf':
+      return `${subject} ${error.parentSchema.description || 'does not match any allowed form'}`;
+    case 'pattern':
+      return `${subject} ${PATTERN_PROBLEMS[error.params.pattern] || `must match ${error.params.pattern}`}`;
+    default:
+      return `${subject} ${error.message}`;
+  }
+}
+
+// Reduce ajv's error list to one message per problem
+function collectSchemaProblems(errors) {
+  // Errors inside a failed anyOf branch are noise - the anyOf error itself says what was expected
+  const anyOfPaths = errors.filter(error => error.keyword === 'anyOf').map(error => error.instancePath);
+  const relevant = errors.filter(error =>
+    error.keyword !== 'if' &&
+    (error.keyword === 'anyOf' || !anyOfPaths.some(prefix => error.instancePath === prefix || error.instancePath.startsWith(`${prefix}/`)))
+  );
+  return [...new Set(relevant.map(describeError))];
+}
+
+// Validate a parsed config, fill in defaults and return it - throws ConfigError listing every problem
+// Checks the schema cannot express (keyword rule syntax, title patterns, cron expressions, digest email channels, a group to scan) run once the shape is right
+export function validateConfig(raw, source = 'config') {
+  const config = structuredClone(raw);
+  delete config.$schema;
+
+  if (!validateSchema(config)) {
+    throw new ConfigError(source, collectSchemaProblems(validateSchema.errors));
+  }
+
+  const problems = [];
+  try {
+    compileRules(config.KEYWORDS, { fuzzy: config.FUZZY_MATCHING });
+  } catch (error) {
+    if (!(error instanceof KeywordRuleError)) throw error;
+    problems.push(`KEYWORDS: ${error.message}`);
+  }
+  for (const list of ['include', 'exclude']) {
+    try {
+      compileTitlePatterns(config.GROUP_DISCOVERY[list]);
+    } catch (error) {
+      problems.push(`GROUP_DISCOVERY.${list}: ${error.message}`);
+    }
+  }
+  try {
+    compileSchedule(config.SCHEDULE, config.SCAN_INTERVAL_MINUTES);
+  } catch (error) {
+    if (!(error instanceof ScheduleError)) throw error;
+    problems.push(error.message);
+  }
+  try {
+    compileDigests(config.DIGESTS);
+  } catch (error) {
+    if (!(error instanceof ScheduleError)) throw error;
+    problems.push(error.message);
+  }
+  const emailChannels = config.NOTIFICATION_CHANNELS.filter(channel => channel.type === 'email').map(channel => channel.name || 'email');
+  config.DIGESTS.forEach((digest, index) => {
+    if (digest.email === true && emailChannels.length === 0) {
+      problems.push(`DIGESTS[${index}].email: there is no email channel in NOTIFICATION_CHANNELS`);
+    } else if (typeof digest.email === 'string' && !emailChannels.includes(digest.email)) {
+      problems.push(`DIGESTS[${index}].email: there is no email channel named "${digest.email}" in NOTIFICATION_CHANNELS`);
+    }
+  });
+  if (config.TARGET_GROUPS.length === 0 && !config.GROUP_DISCOVERY.enabled) {
+    problems.push('TARGET_GROUPS must not be empty unless GROUP_DISCOVERY is enabled');
+  }
+  for (const [name, [min, max]] of Object.entries(config.PACING.delays)) {
+    if (min > max) problems.push(`PACING.delays.${name}: min ${min} is larger than max ${max}`);
+  }
+  if (config.INCREMENTAL_SCAN.initialMessages > config.INCREMENTAL_SCAN.maxMessages) {
+    problems.push('INCREMENTAL_SCAN.initialMessages must not be larger than INCREMENTAL_SCAN.maxMessages');
+  }
+  if (problems.length > 0) {
+    throw new ConfigError(source, problems);
+  }
+
+  return config;
+}
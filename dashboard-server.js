@@ -0,0 +1,229 @@
+// Dashboard server - Local HTTP dashboard and REST API for watching and controlling a running monitor
+
+import http from 'http'; // Local HTTP server
+import fs from 'fs/promises'; // File system operations
+import path from 'path'; // Path manipulation utilities
+import { fileURLToPath } from 'url'; // URL to file path converter
+import { searchMatches } from './storage.js'; // SQLite persistence
+import { exportMatches, EXPORT_FORMATS, ExportOptionsError } from './match-export.js'; // CSV/JSONL/Markdown exports
+import { SenderListError } from './sender-lists.js'; // Watched and blocked senders
+import { log } from './logger.js'; // Levelled logging
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PUBLIC_DIR = path.join(__dirname, 'dashboard');
+
+// Static files of the dashboard page
+const STATIC_FILES = {
+  '/': ['index.html', 'text/html; charset=utf-8'],
+  '/app.js': ['app.js', 'text/javascript; charset=utf-8'],
+  '/style.css': ['style.css', 'text/css; charset=utf-8']
+};
+
+// REST endpoints (anything else under /api/ is a 404)
+const API_PATHS = new Set(['/api/status', '/api/matches', '/api/pause', '/api/resume', '/api/scan', '/api/export', '/api/login-qr', '/api/senders']);
+
+// Host names the server answers to - anything else is a DNS-rebinding attempt from a web page
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+// Largest page of matches one request can ask for
+const MAX_MATCH_LIMIT = 500;
+
+// Largest JSON request body accepted (bytes)
+const MAX_BODY_BYTES = 16 * 1024;
+
+// Send a JSON response
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+// Read a JSON request body - null when it is too large or not a JSON object
+async function readJsonBody(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) return null;
+  }
+  try {
+    const value = JSON.parse(body);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+// Read a whole-number query parameter within bounds, falling back to a default
+function readInteger(params, name, fallback, max = Infinity) {
+  const value = Number.parseInt(params.get(name), 10);
+  return Number.isFinite(value) && value >= 0 ? Math.min(value, max) : fallback;
+}
+
+// Only accept requests addressed to localhost, and control requests from the dashboard's own origin
+function isAllowedRequest(req) {
+  try {
+    const host = new URL(`http://${req.headers.host}`).hostname;
+    if (!LOOPBACK_HOSTS.has(host)) return false;
+
+    const origin = req.headers.origin;
+    return req.method === 'GET' || !origin || new URL(origin).host === req.headers.host;
+  } catch {
+    return false; // Missing or malformed Host/Origin header
+  }
+}
+
+// Map a stored match row to the API shape
+function toApiMatch(row) {
+  return {
+    id: row.id,
+    groupName: row.group_name,
+    sender: row.sender,
+    text: row.message,
+    keyword: row.keyword,
+    rule: row.rule,
+    spans: row.spans,
+    urls: row.urls,
+    context: row.context,
+    forwarded: row.forwarded,
+    groups: row.groups,
+    copies: row.copies,
+    score: row.score,
+    messageTime: row.message_time,
+    foundAt: row.created_at
+  };
+}
+
+// Route one request - controller supplies getStatus(), getLoginQr(), pause(), resume(), triggerScan(), getSenders() and
+// updateSenders() from index.js
+async function handleRequest(req, res, controller) {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+  if (!isAllowedRequest(req)) {
+    sendJson(res, 403, { error: 'Forbidden' });
+    return;
+  }
+
+  const route = `${req.method} ${pathname}`;
+  switch (route) {
+    case 'GET /api/status':
+      sendJson(res, 200, controller.getStatus());
+      return;
+
+    case 'GET /api/matches': {
+      const { total, matches } = searchMatches({
+        search: searchParams.get('search') || '',
+        group: searchParams.get('group'),
+        keyword: searchParams.get('keyword'),
+        limit: readInteger(searchParams, 'limit', 50, MAX_MATCH_LIMIT),
+        offset: readInteger(searchParams, 'offset', 0)
+      });
+      sendJson(res, 200, { total, matches: matches.map(toApiMatch) });
+      return;
+    }
+
+    case 'GET /api/export': {
+      const options = Object.fromEntries(
+        ['format', 'from', 'to', 'group', 'keyword', 'sender', 'search'].map(name => [name, searchParams.get(name) || undefined])
+      );
+      try {
+        const { content, format } = exportMatches(options);
+        res.writeHead(200, {
+          'Content-Type': EXPORT_FORMATS[format].contentType,
+          'Content-Disposition': `attachment; filename="matches.${EXPORT_FORMATS[format].extension}"`,
+          'Cache-Control': 'no-store'
+        });
+        res.end(content);
+      } catch (error) {
+        if (!(error instanceof ExportOptionsError)) throw error;
+        sendJson(res, 400, { error: error.message });
+      }
+      return;
+    }
+
+    case 'GET /api/login-qr': {
+      const qr = controller.getLoginQr();
+      if (!qr) {
+        sendJson(res, 404, { error: 'No QR code waiting to be scanned' });
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Cache-Control': 'no-store' });
+      res.end(qr.png);
+      return;
+    }
+
+    case 'POST /api/pause':
+      controller.pause();
+      sendJson(res, 200, { paused: true });
+      return;
+
+    case 'POST /api/resume':
+      controller.resume();
+      sendJson(res, 200, { paused: false });
+      return;
+
+    case 'POST /api/scan': {
+      const result = controller.triggerScan();
+      sendJson(res, result.started ? 202 : 409, result);
+      return;
+    }
+
+    case 'GET /api/senders':
+      sendJson(res, 200, { entries: controller.getSenders() });
+      return;
+
+    // Body { list: 'watch' | 'block', sender, group } - group null or left out for every group
+    case 'POST /api/senders':
+    case 'DELETE /api/senders': {
+      const body = await readJsonBody(req);
+      if (!body) {
+        sendJson(res, 400, { error: 'Expected a JSON object body' });
+        return;
+      }
+      try {
+        const action = req.method === 'POST' ? 'add' : 'remove';
+        sendJson(res, 200, controller.updateSenders(action, { list: body.list, sender: body.sender, group: body.group || null }));
+      } catch (error) {
+        if (!(error instanceof SenderListError)) throw error;
+        sendJson(res, 400, { error: error.message });
+      }
+      return;
+    }
+  }
+
+  if (req.method === 'GET' && STATIC_FILES[pathname]) {
+    const [fileName, contentType] = STATIC_FILES[pathname];
+    res.writeHead(200, { 'Content-Type': contentType });
+    res.end(await fs.readFile(path.join(PUBLIC_DIR, fileName)));
+    return;
+  }
+
+  const knownPath = API_PATHS.has(pathname) || STATIC_FILES[pathname];
+  sendJson(res, knownPath ? 405 : 404, { error: knownPath ? 'Method not allowed' : 'Not found' });
+}
+
+// Start the dashboard on localhost (port 0 picks a free port) and resolve with its URL
+export async function startDashboard({ port = 3701, host = '127.0.0.1', controller }) {
+  const server = http.createServer(async (req, res) => {
+    try {
+      await handleRequest(req, res, controller);
+    } catch (error) {
+      log.error(`❌ Dashboard request ${req.method} ${req.url} failed: ${error.message}`, { method: req.method, url: req.url });
+      if (!res.headersSent) sendJson(res, 500, { error: error.message });
+      else res.end();
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const url = `http://${host.includes(':') ? `[${host}]` : host}:${server.address().port}`;
+
+  return {
+    url,
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    })
+  };
+}
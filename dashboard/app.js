@@ -0,0 +1,246 @@
+// WhatsApp Monitor dashboard - Shows live scan progress, controls scanning and lists matches with search
+// Polls the monitor's REST API: /api/status every couple of seconds, /api/matches on load, search and new matches;
+// /api/senders lists and edits the watched and blocked senders
+
+(function () {
+  const STATUS_POLL_MS = 2000;
+  const PAGE_SIZE = 50;
+
+  // Dashboard state
+  const state = {
+    search: '',
+    loaded: 0, // Matches currently listed
+    total: 0, // Matches available for the current search
+    lastMatchTotal: null // All-time match count at the last status poll (a change reloads the table)
+  };
+
+  const $ = id => document.getElementById(id);
+
+  // Format an ISO timestamp for the tables (empty when unknown)
+  function formatTime(iso) {
+    return iso ? new Date(iso).toLocaleString() : '–';
+  }
+
+  // Call an API endpoint (with an optional JSON body) and return its JSON body
+  async function api(method, path, payload) {
+    const headers = { Accept: 'application/json' };
+    if (payload) headers['Content-Type'] = 'application/json';
+    const response = await fetch(path, { method, headers, body: payload && JSON.stringify(payload) });
+    const body = await response.json();
+    if (!response.ok && response.status !== 409) throw new Error(body.error || `HTTP ${response.status}`);
+    return body;
+  }
+
+  // Message text with the matched spans highlighted
+  function highlightedText(match) {
+    const cell = document.createElement('td');
+    let position = 0;
+    for (const span of [...match.spans].sort((a, b) => a.start - b.start)) {
+      if (span.start < position) continue;
+      cell.append(match.text.slice(position, span.start));
+      const mark = document.createElement('mark');
+      mark.textContent = match.text.slice(span.start, span.end);
+      cell.append(mark);
+      position = span.end;
+    }
+    cell.append(match.text.slice(position));
+    return cell;
+  }
+
+  // One table row per match
+  function renderMatchRow(match) {
+    const row = document.createElement('tr');
+    for (const value of [formatTime(match.messageTime || match.foundAt), match.groupName, match.sender || '–', match.keyword]) {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.append(cell);
+    }
+    row.append(highlightedText(match));
+    return row;
+  }
+
+  // Load matches for the current search (append = next page)
+  async function loadMatches(append = false) {
+    const offset = append ? state.loaded : 0;
+    const params = new URLSearchParams({ search: state.search, limit: PAGE_SIZE, offset });
+    const { total, matches } = await api('GET', `/api/matches?${params}`);
+
+    if (!append) $('match-rows').replaceChildren();
+    $('match-rows').append(...matches.map(renderMatchRow));
+
+    state.loaded = offset + matches.length;
+    state.total = total;
+    $('match-count').textContent = `(${total})`;
+    $('load-more').hidden = state.loaded >= total;
+  }
+
+  // Show the status snapshot
+  function renderStatus(status) {
+    const qrUpdatedAt = status.login.state === 'waiting' ? status.login.qrUpdatedAt : null;
+    $('login').hidden = !qrUpdatedAt;
+    if (qrUpdatedAt && $('login-qr').dataset.updatedAt !== qrUpdatedAt) {
+      $('login-qr').dataset.updatedAt = qrUpdatedAt;
+      $('login-qr').src = `/api/login-qr?v=${encodeURIComponent(qrUpdatedAt)}`;
+    }
+
+    const scanState = $('scan-state');
+    if (status.paused) {
+      scanState.textContent = 'Paused';
+      scanState.className = 'badge off';
+    } else if (status.scanning) {
+      scanState.textContent = 'Scanning';
+      scanState.className = 'badge busy';
+    } else {
+      scanState.textContent = 'Idle';
+      scanState.className = 'badge ok';
+    }
+    $('scan-progress').textContent = status.currentScanProgress || '';
+
+    $('scan-now').disabled = status.scanning || status.paused;
+    $('pause').hidden = status.paused;
+    $('resume').hidden = !status.paused;
+
+    $('last-scan').textContent = formatTime(status.lastScanTime);
+    $('next-scan').textContent = status.paused ? 'Paused' : formatTime(status.nextScanTime);
+    $('groups').textContent = `${status.groups.configured} configured${status.groups.discoveryEnabled ? `, ${status.groups.discovered} discovered` : ''}`;
+    $('today-matches').textContent = status.todayMatches;
+    $('session-matches').textContent = status.sessionMatches;
+    $('total-matches').textContent = status.totalMatches;
+    $('browser').textContent = status.browser.memoryMB !== null ? `${status.browser.memoryMB} MB` : '–';
+    $('browser').title = `Recycled ${status.browser.recycles} times${status.browser.lastRecycle ? ` - last: ${status.browser.lastRecycle.reason}` : ''}`;
+    const fullest = status.pacing.budgets.reduce((best, budget) => (!best || budget.used / budget.limit > best.used / best.limit ? budget : best), null);
+    $('pacing').textContent = fullest ? `${status.pacing.profile}, ${fullest.used}/${fullest.limit} ${fullest.action}` : status.pacing.profile;
+    $('pacing').title = status.pacing.budgets.map(budget => `${budget.action} ${budget.window}: ${budget.used}/${budget.limit}`).join('\n');
+
+    const errors = status.scanErrors.length > 0 ? status.scanErrors : (status.lastRun?.errors || []);
+    $('errors').hidden = errors.length === 0;
+    $('error-list').replaceChildren(...errors.map(error => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      return item;
+    }));
+
+    const selectors = status.selectors.filter(selector => selector.broken || selector.fallback);
+    $('selectors').hidden = selectors.length === 0;
+    $('selector-list').replaceChildren(...selectors.map(selector => {
+      const item = document.createElement('li');
+      item.textContent = selector.broken ? `${selector.element}: broken - no candidate matches` : `${selector.element}: using fallback ${selector.active}`;
+      item.className = selector.broken ? 'broken' : '';
+      return item;
+    }));
+
+    const { quietHours, heldNotifications, groups } = status.schedule;
+    $('schedule').hidden = groups.length === 0;
+    $('quiet-hours').textContent = quietHours
+      ? `quiet hours ${quietHours.window}${quietHours.active ? ` - holding ${quietHours.hold} until ${formatTime(quietHours.until)}` : ''}${heldNotifications > 0 ? `, ${heldNotifications} held` : ''}`
+      : '';
+    $('schedule-list').replaceChildren(...groups.map(group => {
+      const item = document.createElement('li');
+      item.textContent = `${group.groupName}: ${formatTime(group.nextRunAt)} (${group.schedule})`;
+      return item;
+    }));
+  }
+
+  // Poll the status endpoint and reload the first page of matches when new ones were stored
+  async function pollStatus() {
+    try {
+      const status = await api('GET', '/api/status');
+      renderStatus(status);
+      $('connection').textContent = 'Live';
+      $('connection').className = 'badge ok';
+
+      if (state.lastMatchTotal !== null && status.totalMatches !== state.lastMatchTotal && state.loaded <= PAGE_SIZE) {
+        await loadMatches();
+      }
+      state.lastMatchTotal = status.totalMatches;
+    } catch (error) {
+      $('connection').textContent = 'Disconnected';
+      $('connection').className = 'badge off';
+    } finally {
+      setTimeout(pollStatus, STATUS_POLL_MS);
+    }
+  }
+
+  // Send a control request, then refresh the status straight away
+  async function control(path) {
+    try {
+      const result = await api('POST', path);
+      if (result.started === false) alert(result.reason);
+      renderStatus(await api('GET', '/api/status'));
+    } catch (error) {
+      alert(`Request failed: ${error.message}`);
+    }
+  }
+
+  // List the watched and blocked senders - runtime entries get a remove button
+  function renderSenders(entries) {
+    $('sender-list').replaceChildren(...entries.map(entry => {
+      const item = document.createElement('li');
+      item.append(`${entry.list === 'watch' ? '👀 Watch' : '🚫 Block'} ${entry.sender} - ${entry.group ? entry.group : 'every group'} `);
+      if (entry.source === 'config') {
+        const source = document.createElement('span');
+        source.className = 'source';
+        source.textContent = '(config file)';
+        item.append(source);
+      } else {
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', () => updateSenders('DELETE', { list: entry.list, sender: entry.sender, group: entry.group }));
+        item.append(remove);
+      }
+      return item;
+    }));
+  }
+
+  // Add or remove a sender list entry, then show the new lists
+  async function updateSenders(method, entry) {
+    try {
+      const { entries } = await api(method, '/api/senders', entry);
+      renderSenders(entries);
+      return true;
+    } catch (error) {
+      alert(`Request failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  $('sender-form').addEventListener('submit', async event => {
+    event.preventDefault();
+    const added = await updateSenders('POST', {
+      list: $('sender-list-name').value,
+      sender: $('sender-name').value.trim(),
+      group: $('sender-group').value.trim() || null
+    });
+    if (added) $('sender-name').value = '';
+  });
+
+  $('scan-now').addEventListener('click', () => control('/api/scan'));
+  $('pause').addEventListener('click', () => control('/api/pause'));
+  $('resume').addEventListener('click', () => control('/api/resume'));
+  $('load-more').addEventListener('click', () => loadMatches(true));
+
+  // Point the export links at the current search
+  function updateExportLinks() {
+    for (const link of document.querySelectorAll('.exports a')) {
+      const params = new URLSearchParams({ format: link.dataset.format });
+      if (state.search) params.set('search', state.search);
+      link.href = `/api/export?${params}`;
+    }
+  }
+
+  // Search as you type (debounced)
+  let searchTimer = null;
+  $('search').addEventListener('input', event => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      state.search = event.target.value.trim();
+      updateExportLinks();
+      loadMatches();
+    }, 250);
+  });
+
+  loadMatches();
+  api('GET', '/api/senders').then(({ entries }) => renderSenders(entries)).catch(() => {});
+  pollStatus();
+})();
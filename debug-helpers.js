@@ -1,46 +1,15 @@
-// Debug helper functions for comprehensive logging
+// Debug helper functions for comprehensive logging - debug entries, DOM snapshots and timings through logger.js
 
-// Enable debug mode via environment variable or flag
-export const DEBUG_MODE = process.env.DEBUG === 'true' || process.argv.includes('--debug');
+import { log, isLevelEnabled } from './logger.js'; // Levelled logging
 
-// Console colors for better visibility
-const colors = {
-  reset: '\x1b[0m',
-  bright: '\x1b[1m',
-  red: '\x1b[31m',
-  green: '\x1b[32m',
-  yellow: '\x1b[33m',
-  blue: '\x1b[34m',
-  magenta: '\x1b[35m',
-  cyan: '\x1b[36m'
-};
-
-// Debug logger with color coding
+// Debug entry tagged with a category (SEARCH, EXTRACT, DOM, ...) - shown with --debug, always in a debug-level log file
 export function debugLog(category, message, data = null) {
-  if (!DEBUG_MODE) return;
-  
-  const timestamp = new Date().toLocaleTimeString();
-  const categoryColors = {
-    'SEARCH': colors.blue,
-    'EXTRACT': colors.green,
-    'ERROR': colors.red,
-    'SUCCESS': colors.green,
-    'WARNING': colors.yellow,
-    'INFO': colors.cyan,
-    'DOM': colors.magenta
-  };
-  
-  const color = categoryColors[category] || colors.reset;
-  console.log(`${color}[${timestamp}] [${category}]${colors.reset} ${message}`);
-  
-  if (data) {
-    console.log(`${color}  └─ Data:${colors.reset}`, JSON.stringify(data, null, 2));
-  }
+  log.debug(message, data ? { category, data } : { category });
 }
 
 // Log DOM state for debugging
 export async function logDOMState(page, context) {
-  if (!DEBUG_MODE) return;
+  if (!isLevelEnabled('debug')) return;
   
   const domInfo = await page.evaluate(() => {
     return {
@@ -64,7 +33,7 @@ export async function logDOMState(page, context) {
 
 // Log selector search results
 export async function logSelectorSearch(page, selector, context) {
-  if (!DEBUG_MODE) return;
+  if (!isLevelEnabled('debug')) return;
   
   const results = await page.evaluate((sel) => {
     const elements = document.querySelectorAll(sel);
@@ -83,22 +52,19 @@ export async function logSelectorSearch(page, selector, context) {
   debugLog('DOM', `Selector search for "${selector}" in ${context}`, results);
 }
 
-// Performance timer
+// Performance timer - end() logs the duration as a structured durationMs field and returns it
 export class PerfTimer {
-  constructor(name) {
+  constructor(name, fields = {}) {
     this.name = name;
+    this.fields = fields;
     this.startTime = Date.now();
-    if (DEBUG_MODE) {
-      debugLog('INFO', `⏱️ Starting timer: ${name}`);
-    }
+    log.trace(`⏱️ Starting timer: ${name}`, { timer: name, ...fields });
   }
   
-  end() {
-    const duration = Date.now() - this.startTime;
-    if (DEBUG_MODE) {
-      debugLog('INFO', `⏱️ ${this.name} completed in ${duration}ms`);
-    }
-    return duration;
+  end(fields = {}) {
+    const durationMs = Date.now() - this.startTime;
+    log.debug(`⏱️ ${this.name} completed in ${durationMs}ms`, { timer: this.name, durationMs, ...this.fields, ...fields });
+    return durationMs;
   }
 }
 
@@ -108,20 +74,14 @@ export function logFunction(fnName) {
     const originalMethod = descriptor.value;
     
     descriptor.value = async function (...args) {
-      if (DEBUG_MODE) {
-        debugLog('INFO', `→ Entering ${fnName || propertyKey}`, { args });
-      }
+      debugLog('INFO', `→ Entering ${fnName || propertyKey}`, { args });
       
       try {
         const result = await originalMethod.apply(this, args);
-        if (DEBUG_MODE) {
-          debugLog('INFO', `← Exiting ${fnName || propertyKey}`, { success: true });
-        }
+        debugLog('INFO', `← Exiting ${fnName || propertyKey}`, { success: true });
         return result;
       } catch (error) {
-        if (DEBUG_MODE) {
-          debugLog('ERROR', `✗ Error in ${fnName || propertyKey}`, { error: error.message });
-        }
+        debugLog('ERROR', `✗ Error in ${fnName || propertyKey}`, { error: error.message });
         throw error;
       }
     };
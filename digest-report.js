@@ -0,0 +1,241 @@
+// Digest reports - Scheduled digests of every match found in a period (hourly, daily, weekly or a cron schedule),
+// grouped by keyword and group with sender, time and context, written as HTML and Markdown and optionally emailed
+// A run missed while the monitor was down is caught up at the next check, covering everything since the last digest
+
+import fs from 'fs/promises'; // File system operations
+import path from 'path'; // Path manipulation utilities
+import { log } from './logger.js'; // Levelled logging
+import { parseCron, nextCronTime, ScheduleError } from './scan-schedule.js'; // Cron expressions
+import { getDigestState, saveDigestState, getMatchesFoundBetween, toDateKey } from './storage.js'; // SQLite persistence
+import { toExportRecord, markdownQuote } from './match-export.js'; // Match records and their Markdown quotes
+import { hasContext, contextLines } from './match-context.js'; // Messages around a match
+
+// Schedules the named presets stand for (local time)
+export const DIGEST_PRESETS = {
+  hourly: '0 * * * *',
+  daily: '0 8 * * *',
+  weekly: '0 8 * * 1'
+};
+
+// A run this late was missed (the monitor was down) - its digest is a catch-up that covers everything up to now
+const LATE_RUN_MS = 5 * 60 * 1000;
+
+// Check the DIGESTS config and compile each schedule - [{ ...digest, cron }]
+// Throws ScheduleError naming the digest for an invalid schedule or a repeated name
+export function compileDigests(digests) {
+  const names = new Set();
+  return digests.map((digest, index) => {
+    if (names.has(digest.name)) throw new ScheduleError(`DIGESTS[${index}]: the name "${digest.name}" is used twice`);
+    names.add(digest.name);
+    try {
+      return { ...digest, cron: parseCron(DIGEST_PRESETS[digest.schedule] || digest.schedule) };
+    } catch (error) {
+      if (!(error instanceof ScheduleError)) throw error;
+      throw new ScheduleError(`DIGESTS[${index}].schedule: ${error.message} (or use hourly, daily or weekly)`);
+    }
+  });
+}
+
+// Group matches by keyword, then group - busiest first, matches in the order they were found
+export function buildDigest(rows, { name, from, until, catchUp = false }) {
+  const byKeyword = new Map();
+  for (const record of rows.map(toExportRecord)) {
+    if (!byKeyword.has(record.keyword)) byKeyword.set(record.keyword, new Map());
+    const groups = byKeyword.get(record.keyword);
+    if (!groups.has(record.group)) groups.set(record.group, []);
+    groups.get(record.group).push(record);
+  }
+
+  const busiest = (a, b) => b.count - a.count || a.name.localeCompare(b.name);
+  const keywords = [...byKeyword].map(([keyword, groups]) => ({
+    name: keyword,
+    count: [...groups.values()].reduce((total, records) => total + records.length, 0),
+    groups: [...groups].map(([group, records]) => ({ name: group, count: records.length, matches: records })).sort(busiest)
+  })).sort(busiest);
+
+  return {
+    name,
+    from: from.toISOString(),
+    until: until.toISOString(),
+    catchUp,
+    generatedAt: new Date().toISOString(),
+    matchCount: rows.length,
+    groupCount: new Set(rows.map(row => row.group_name)).size,
+    keywords
+  };
+}
+
+// "14/07/2025, 08:00:00 - 15/07/2025, 08:00:00" in local time
+function describePeriod(digest) {
+  return `${new Date(digest.from).toLocaleString()} - ${new Date(digest.until).toLocaleString()}`;
+}
+
+// Title of a digest, also the email subject
+export function digestTitle(digest) {
+  return `WhatsApp Monitor ${digest.name} digest${digest.catchUp ? ' (catch-up)' : ''} - ${digest.matchCount} match${digest.matchCount === 1 ? '' : 'es'}`;
+}
+
+// Heading line of a match - time, sender, type, forwarded, rule and the other groups it was posted in
+function matchHeading(record) {
+  const elsewhere = (record.groups || []).filter(group => group !== record.group);
+  return [
+    new Date(record.messageTime || record.foundAt).toLocaleString(),
+    record.sender || 'Unknown',
+    ...(record.type && record.type !== 'text' ? [record.type] : []),
+    ...(record.forwarded ? ['forwarded'] : []),
+    ...(record.rule !== record.keyword ? [`rule ${record.rule}`] : []),
+    ...(elsewhere.length > 0 ? [`also in ${elsewhere.join(', ')}`] : [])
+  ];
+}
+
+// Markdown digest - a section per keyword, a subsection per group, each match quoted with its context
+export function renderDigestMarkdown(digest) {
+  const lines = [
+    `# ${digestTitle(digest)}`,
+    '',
+    ...(digest.catchUp ? ['**Catch-up:** the scheduled digest was missed while the monitor was down. This one covers everything since the last digest.', ''] : []),
+    `${describePeriod(digest)} · ${digest.matchCount} matches in ${digest.groupCount} groups`
+  ];
+
+  for (const keyword of digest.keywords) {
+    lines.push('', `## ${keyword.name} (${keyword.count})`);
+    for (const group of keyword.groups) {
+      lines.push('', `### ${group.name} (${group.count})`);
+      for (const record of group.matches) {
+        const [time, ...details] = matchHeading(record);
+        lines.push('', `**${time}** · ${details.join(' · ')}`, '', ...markdownQuote(record));
+      }
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Escape text for HTML
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// HTML of a match's message - its context in grey with the match highlighted, or the message alone
+function htmlMatch(record) {
+  if (!hasContext(record)) return `<div class="match">${escapeHtml(record.text)}</div>`;
+  return contextLines(record).map(({ role, sender, text }) => role === 'match'
+    ? `<div class="match"><strong>${escapeHtml(sender)}:</strong> ${escapeHtml(text)}</div>`
+    : `<div class="context">${role === 'quoted' ? '↪ ' : ''}${escapeHtml(sender)}: ${escapeHtml(text)}</div>`).join('\n');
+}
+
+// HTML digest - a standalone page (also the email body), laid out like the Markdown one
+export function renderDigestHtml(digest) {
+  const sections = digest.keywords.map(keyword => `<h2>${escapeHtml(keyword.name)} (${keyword.count})</h2>
+${keyword.groups.map(group => `<h3>${escapeHtml(group.name)} (${group.count})</h3>
+${group.matches.map(record => {
+    const [time, ...details] = matchHeading(record);
+    return `<div class="entry">
+<p class="heading"><strong>${escapeHtml(time)}</strong> · ${escapeHtml(details.join(' · '))}</p>
+${htmlMatch(record)}
+</div>`;
+  }).join('\n')}`).join('\n')}`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(digestTitle(digest))}</title>
+<style>
+  body { margin: 24px; font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; font-size: 14px; color: #111b21; }
+  h1 { font-size: 20px; } h2 { margin-top: 32px; font-size: 16px; } h3 { margin: 20px 0 8px; font-size: 14px; color: #008069; }
+  .entry { margin: 0 0 12px; padding-left: 10px; border-left: 3px solid #e9edef; }
+  .heading { margin: 0 0 4px; color: #54656f; } .context { color: #8696a0; }
+  .match { padding: 2px 4px; background: #fff3b0; white-space: pre-wrap; } .catch-up { padding: 8px; background: #ffeecd; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(digestTitle(digest))}</h1>
+${digest.catchUp ? '<p class="catch-up"><strong>Catch-up:</strong> the scheduled digest was missed while the monitor was down. This one covers everything since the last digest.</p>\n' : ''}<p>${escapeHtml(describePeriod(digest))} · ${digest.matchCount} matches in ${digest.groupCount} groups</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+// Write a digest into the reports folder in each format (html, md) - returns the file paths
+export async function writeDigest(digest, reportsDir, formats) {
+  await fs.mkdir(reportsDir, { recursive: true });
+  const until = new Date(digest.until);
+  const stamp = `${toDateKey(until)}-${String(until.getHours()).padStart(2, '0')}${String(until.getMinutes()).padStart(2, '0')}`;
+  const filePaths = [];
+  for (const format of formats) {
+    const filePath = path.join(reportsDir, `digest-${digest.name}-${stamp}.${format}`);
+    await fs.writeFile(filePath, format === 'html' ? renderDigestHtml(digest) : renderDigestMarkdown(digest));
+    filePaths.push(filePath);
+  }
+  return filePaths;
+}
+
+// Build, write and email one digest for a period - returns { name, matchCount, filePaths, emailed }
+async function runDigest(digest, period, { reportsDir, sendEmail }) {
+  const rows = getMatchesFoundBetween(period.from, period.until);
+  if (rows.length === 0 && digest.skipEmpty) {
+    log.info(`📭 No matches for the ${digest.name} digest`, { digest: digest.name });
+    return { name: digest.name, matchCount: 0, filePaths: [], emailed: false };
+  }
+
+  const report = buildDigest(rows, { name: digest.name, ...period });
+  const filePaths = await writeDigest(report, reportsDir, digest.formats);
+  const emailed = !!digest.email && await sendEmail({
+    subject: digestTitle(report),
+    text: renderDigestMarkdown(report),
+    html: renderDigestHtml(report)
+  }, digest.email === true ? null : digest.email);
+
+  log.info(`📰 ${digestTitle(report)} written to ${filePaths.join(', ')}${emailed ? ' and emailed' : ''}`, {
+    digest: digest.name,
+    matchCount: rows.length,
+    catchUp: period.catchUp
+  });
+  return { name: digest.name, matchCount: rows.length, filePaths, emailed };
+}
+
+// Run every digest that is due - options: { reportsDir, sendEmail(report, channelName), now }
+// A new (or rescheduled) digest starts its first period now; a missed run becomes one catch-up digest up to now
+// A digest that fails is logged and retried at its next run, covering its period too; the other digests still run
+export async function runDueDigests(digests, { reportsDir, sendEmail, now = new Date() }) {
+  const results = [];
+  for (const digest of compileDigests(digests)) {
+    const state = getDigestState(digest.name);
+    if (!state || state.schedule !== digest.cron.expression) {
+      saveDigestState(digest.name, {
+        schedule: digest.cron.expression,
+        periodStart: state ? state.periodStart : now,
+        nextDueAt: nextCronTime(digest.cron, now),
+        lastSentAt: state ? state.lastSentAt : null
+      });
+      continue;
+    }
+    if (state.nextDueAt > now) continue;
+
+    const catchUp = now - state.nextDueAt > LATE_RUN_MS;
+    const until = catchUp ? now : state.nextDueAt;
+    let result;
+    try {
+      result = await runDigest(digest, { from: state.periodStart, until, catchUp }, { reportsDir, sendEmail });
+    } catch (error) {
+      log.error(`❌ Failed to write the ${digest.name} digest - retrying at its next run`, { digest: digest.name, error });
+      result = { name: digest.name, matchCount: 0, filePaths: [], emailed: false, error: error.message };
+    }
+    saveDigestState(digest.name, {
+      schedule: digest.cron.expression,
+      periodStart: result.error ? state.periodStart : until,
+      nextDueAt: nextCronTime(digest.cron, now),
+      lastSentAt: result.filePaths.length > 0 ? now : state.lastSentAt
+    });
+    results.push(result);
+  }
+  return results;
+}
+
+// Earliest time a digest is due, or null when none is planned yet (run runDueDigests first)
+export function nextDigestTime(digests) {
+  const due = digests.map(digest => getDigestState(digest.name)).filter(Boolean).map(state => state.nextDueAt.getTime());
+  return due.length > 0 ? new Date(Math.min(...due)) : null;
+}
@@ -0,0 +1,97 @@
+// Fuzzy matching - Typo-tolerant phrase search with edit distance, compound folding and similarity scores
+
+// Defaults used when fuzzy matching is switched on without explicit settings
+export const FUZZY_DEFAULTS = {
+  maxDistance: 1, // Maximum edit distance between the keyword and the text (after compound folding)
+  minScore: 0.8 // Minimum similarity (1 - distance / length) to count as a hit
+};
+
+// Levenshtein distance with an early exit once every path exceeds maxDistance
+export function levenshtein(a, b, maxDistance = Infinity) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Fold a phrase for compound-insensitive comparison ("AI-calling", "ai calling" and "AIcalling" become equal)
+export function foldCompound(value, caseSensitive = false) {
+  const folded = value.replace(/[\s\-_]+/g, '');
+  return caseSensitive ? folded : folded.toLowerCase();
+}
+
+// Similarity score between 0 and 1 for a distance over the longer of two strings
+function similarity(distance, a, b) {
+  const length = Math.max(a.length, b.length);
+  return length === 0 ? 1 : 1 - distance / length;
+}
+
+// Split text into word tokens with their offsets (surrounding punctuation stripped)
+function tokenizeWords(text) {
+  const tokens = [];
+  for (const found of text.matchAll(/\S+/g)) {
+    const word = found[0].replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    if (!word) continue;
+    const start = found.index + found[0].indexOf(word);
+    tokens.push({ word, start, end: start + word.length });
+  }
+  return tokens;
+}
+
+// Find non-overlapping fuzzy occurrences of a phrase in text - returns spans with a similarity score
+export function findFuzzySpans(text, phrase, options = {}) {
+  const { maxDistance, minScore } = { ...FUZZY_DEFAULTS, ...options };
+  const caseSensitive = !!options.caseSensitive;
+
+  const target = foldCompound(phrase, caseSensitive);
+  const rawTarget = caseSensitive ? phrase.trim() : phrase.trim().toLowerCase();
+  const phraseWords = phrase.trim().split(/\s+/).length;
+  const tokens = tokenizeWords(text);
+  const candidates = [];
+
+  // Windows of up to one word more than the phrase catch split compounds ("start up")
+  for (let first = 0; first < tokens.length; first++) {
+    for (let last = first; last < Math.min(tokens.length, first + phraseWords + 1); last++) {
+      const start = tokens[first].start;
+      const end = tokens[last].end;
+      const spanText = text.slice(start, end);
+      const folded = foldCompound(spanText, caseSensitive);
+
+      if (folded.length > target.length + maxDistance) break; // Windows only get longer from here
+
+      const distance = levenshtein(folded, target, maxDistance);
+      if (distance > maxDistance || similarity(distance, folded, target) < minScore) continue;
+
+      // Report the score against the unfolded text so "AIcalling" scores below an exact "ai calling"
+      const rawSpan = caseSensitive ? spanText : spanText.toLowerCase();
+      const score = similarity(levenshtein(rawSpan, rawTarget), rawSpan, rawTarget);
+      candidates.push({ start, end, text: spanText, score: Math.round(score * 1000) / 1000 });
+    }
+  }
+
+  // Keep the best-scoring candidates that do not overlap
+  const chosen = [];
+  for (const candidate of candidates.sort((a, b) => b.score - a.score || a.start - b.start)) {
+    if (chosen.every(span => candidate.end <= span.start || candidate.start >= span.end)) {
+      chosen.push(candidate);
+    }
+  }
+
+  return chosen.sort((a, b) => a.start - b.start);
+}
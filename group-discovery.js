@@ -0,0 +1,56 @@
+// Group discovery - Selects chats by title patterns and identifies chats by their stable id so renames can be followed
+
+import { levenshtein } from './fuzzy-match.js'; // Edit distance for ranking rename candidates
+
+// Turn include/exclude patterns into tests - strings match case-insensitively anywhere in the title,
+// RegExps (or "/pattern/flags" strings from a YAML/JSON config) as written
+export function compileTitlePatterns(patterns = []) {
+  return patterns.map(pattern => {
+    const regexSource = typeof pattern === 'string' ? /^\/(.+)\/([a-z]*)$/.exec(pattern.trim()) : null;
+    if (regexSource) {
+      try {
+        pattern = new RegExp(regexSource[1], regexSource[2]);
+      } catch (error) {
+        throw new Error(`Invalid group discovery pattern ${JSON.stringify(regexSource[0])} (${error.message})`);
+      }
+    }
+    if (pattern instanceof RegExp) {
+      return title => pattern.test(title);
+    }
+    if (typeof pattern === 'string' && pattern.trim()) {
+      const needle = pattern.trim().toLowerCase();
+      return title => title.toLowerCase().includes(needle);
+    }
+    throw new Error(`Invalid group discovery pattern ${JSON.stringify(pattern)} (expected a non-empty string or a RegExp)`);
+  });
+}
+
+// Pick the chat titles that match an include pattern and no exclude pattern
+export function selectDiscoveredGroups(titles, { include = [], exclude = [] } = {}) {
+  const includeTests = compileTitlePatterns(include);
+  const excludeTests = compileTitlePatterns(exclude);
+
+  const selected = titles.filter(title =>
+    includeTests.some(test => test(title)) && !excludeTests.some(test => test(title))
+  );
+  return [...new Set(selected)].sort((a, b) => a.localeCompare(b));
+}
+
+// Extract the chat id (e.g. "120363025246125486@g.us") from a message data-id like "false_<chat id>_<message id>[_<sender>]"
+export function parseChatId(dataId) {
+  const match = /^(?:true|false)_([^_]+@[^_]+)_/.exec(dataId || '');
+  return match ? match[1] : null;
+}
+
+// Order chat titles by how likely they are to be the new name of a missing group (most similar first)
+// Titles that already belong to other known chats are left out - they cannot be the renamed group
+export function rankRenameCandidates(missingName, titles, knownNames = []) {
+  const known = new Set(knownNames);
+  const target = missingName.toLowerCase();
+
+  return [...new Set(titles)]
+    .filter(title => title !== missingName && !known.has(title))
+    .map(title => ({ title, distance: levenshtein(title.toLowerCase(), target) / Math.max(title.length, target.length) }))
+    .sort((a, b) => a.distance - b.distance)
+    .map(candidate => candidate.title);
+}
@@ -1,66 +1,152 @@
 // Main application file - Monitors WhatsApp groups for keywords and sends notifications
 
 import puppeteer from 'puppeteer'; // Browser automation library
-import notifier from 'node-notifier'; // macOS desktop notifications
 import fs from 'fs/promises'; // File system operations
 import path from 'path'; // Path manipulation utilities
 import { fileURLToPath } from 'url'; // URL to file path converter
-import { DEBUG_MODE, debugLog, logDOMState, logSelectorSearch, PerfTimer } from './debug-helpers.js'; // Debug utilities
+import { randomUUID } from 'crypto'; // Scan ids for log correlation
+import {
+  initStorage,
+  closeStorage,
+  toDateKey,
+  getSeenMessageStats,
+  saveMatch,
+  getMatchGroups,
+  countMatches,
+  recordScanStart,
+  recordScanEnd,
+  getLastScanRun,
+  getDailySummary,
+  getGroupWatermark,
+  setGroupWatermark,
+  getChatListSnapshot,
+  saveChatListSnapshot,
+  recordChatIdentity,
+  findChatIdentityByName,
+  getKnownChatNames,
+  getRenamedChats,
+  renameGroupState,
+  recordAction,
+  getActionsSince,
+  addSenderListEntry,
+  removeSenderListEntry,
+  getSenderListEntries,
+  holdMatchNotifications,
+  releaseMatchNotifications,
+  getHeldMatches
+} from './storage.js'; // SQLite persistence
+import {
+  setPage,
+  humanPause,
+  checkLoginStatus,
+  waitForLogin,
+  getLoginState,
+  getLoginQr,
+  searchAndOpenGroup,
+  clearSearch,
+  extractRecentMessages,
+  readChatListActivity,
+  hasNewActivity,
+  collectChatTitles,
+  readOpenChatId
+} from './whatsapp-web.js'; // WhatsApp Web page automation
+import { findKeywordMatches, getKeywordRules } from './keyword-matcher.js'; // Keyword matching
+import { initNotifications, closeNotifications, sendBatchedNotifications, sendAlert, sendReportEmail } from './notifications.js'; // Notification channels
+import { selectDiscoveredGroups, rankRenameCandidates } from './group-discovery.js'; // Group discovery and rename tracking
+import { startDashboard } from './dashboard-server.js'; // Local HTTP dashboard and REST API
+import { runAnalytics, formatAnalyticsText, writeAnalyticsReport } from './analytics.js'; // Match history reports
+import { writeMatchExport, parseExportArgs, splitCommandLine, ExportOptionsError } from './match-export.js'; // CSV/JSONL/Markdown exports
+import { runDueDigests, nextDigestTime } from './digest-report.js'; // Scheduled digest reports
+import { log, configureLogger, withLogContext } from './logger.js'; // Levelled console and JSON-lines file logging
+import { PerfTimer } from './debug-helpers.js'; // Structured timings
+import { onSelectorBroken, getSelectorHealth } from './selector-registry.js'; // Selector fallback chains and health
+import { sampleBrowserResources, recycleReason } from './browser-watchdog.js'; // Browser memory and recycling
+import {
+  loadSchedule,
+  trackGroups,
+  isGroupDue,
+  recordGroupChecked,
+  nextDueTime,
+  quietHoursStatus,
+  describeSchedule,
+  getGroupSchedules
+} from './scan-schedule.js'; // Per-group schedules and quiet hours
+import {
+  ActionBudgetError,
+  describeBudget,
+  spentActionBudget,
+  restoreActionHistory,
+  onActionSpent,
+  getActionBudgetUsage
+} from './action-budget.js'; // Search and chat-open limits
+import {
+  SenderListError,
+  senderKey,
+  validateSenderEntry,
+  loadSenderLists,
+  findSenderEntry,
+  describeSenderLists
+} from './sender-lists.js'; // Watched and blocked senders
 import { 
   TARGET_GROUPS, 
-  KEYWORDS, 
   SCAN_INTERVAL_MINUTES,
+  SCHEDULE,
   PUPPETEER_OPTIONS,
+  QR_LOGIN,
+  BROWSER_WATCHDOG,
+  PACING,
+  ACTION_BUDGETS,
+  SENDERS,
   WHATSAPP_WEB_URL,
-  SELECTORS,
   TIMEOUTS,
-  LOG_FILE_PATH
-} from './config.js';
+  LOG_FILE_PATH,
+  LOGGING,
+  DATABASE_PATH,
+  REPORTS_DIR,
+  DIGESTS,
+  NOTIFICATION_CHANNELS,
+  CHAT_LIST_PREPASS,
+  GROUP_DISCOVERY,
+  DASHBOARD,
+  watchConfig,
+  unwatchConfig,
+  applyPendingConfig
+} from './config-loader.js';
 
 // Get current file's directory (ES modules compatibility)
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// --headless runs the browser without a window whatever PUPPETEER_OPTIONS says (QR login through terminal/PNG/dashboard)
+const HEADLESS_FLAG = process.argv.includes('--headless');
+
 // Global variables for browser state
 let browser = null; // Puppeteer browser instance
 let page = null; // Current page/tab
 let isShuttingDown = false; // Shutdown flag to prevent multiple shutdowns
-
-// Store processed messages to prevent duplicate notifications
-const processedMessages = new Map(); // Key: messageId, Value: timestamp
-
-// Debug: Function to analyze processed messages
-function analyzeProcessedMessages() {
-  console.log(`📊 Processed Messages Analysis:`);
-  console.log(`  - Total entries: ${processedMessages.size}`);
-  
-  const groupStats = {};
-  for (const [messageId, timestamp] of processedMessages.entries()) {
-    const groupName = messageId.split('-')[0];
-    groupStats[groupName] = (groupStats[groupName] || 0) + 1;
-  }
-  
-  console.log('  - By group:');
-  for (const [group, count] of Object.entries(groupStats)) {
-    console.log(`    ${group}: ${count} messages`);
-  }
-}
-
-// Daily summary tracking
-let dailySummary = {
-  date: new Date().toDateString(),
-  matches: {},
-  totalMatches: 0
-};
+const browserStats = { startedAt: null, recycles: 0, lastRecycle: null, lastSample: null }; // Watchdog state
 
 // Scanning state management
 let isScanning = false; // Prevent concurrent scans
 const groupScanStatus = new Map(); // Track per-group scan status
 let isPaused = false; // Pause/resume scanning
-let lastScanTime = null; // Track last scan completion
-let totalMatchesAllTime = 0; // Total matches counter
+let lastScanTime = null; // Track last scan completion (restored from storage on startup)
+let sessionMatchCount = 0; // Matches found since this process started
 let currentScanProgress = null; // Current scan progress
 let scanErrors = []; // Track errors during scan
+let chatListActivity = new Map(); // Chat-list rows read by the pre-pass of the current scan
+let discoveredGroups = []; // Groups selected by GROUP_DISCOVERY patterns
+let lastDiscoveryTime = 0; // When the whole chat list was last read for discovery
+let nextScanTime = null; // When the next scheduled scan starts
+let scheduleTimer = null; // Wakes the monitor for the next planned group run
+let digestTimer = null; // Wakes the monitor for the next digest
+let heldMatches = []; // Matches whose notifications wait for the end of quiet hours (marked in the database too)
+let alertedBudget = null; // Budget the last "Action budget spent" alert was about, until budget is available again
+
+// Timer bounds - a failing cycle does not spin, and far-off cron runs are re-planned daily
+const MIN_WAKE_DELAY_MS = 60 * 1000;
+const MAX_WAKE_DELAY_MS = 24 * 60 * 60 * 1000;
+let dashboard = null; // Running dashboard server ({ url, close })
 
 // Scan state for recovery
 const scanState = {
@@ -72,10 +158,13 @@ const scanState = {
 // Initialize Puppeteer browser with WhatsApp Web
 async function initBrowser() {
   try {
-    console.log('🚀 Starting WhatsApp Monitor...');
+    log.info('🚀 Starting WhatsApp Monitor...');
     
-    browser = await puppeteer.launch(PUPPETEER_OPTIONS);
+    const launchOptions = HEADLESS_FLAG ? { ...PUPPETEER_OPTIONS, headless: true } : PUPPETEER_OPTIONS;
+    browser = await puppeteer.launch(launchOptions);
+    browserStats.startedAt = Date.now();
     page = await browser.newPage();
+    setPage(page);
     
     // Set user agent to avoid bot detection
     await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
@@ -83,318 +172,80 @@ async function initBrowser() {
     // Navigate to WhatsApp Web
     await page.goto(WHATSAPP_WEB_URL, { waitUntil: 'networkidle2', timeout: TIMEOUTS.navigation });
     
-    console.log('📱 Opened WhatsApp Web');
+    log.info('📱 Opened WhatsApp Web');
     
     // Check if already logged in
     const isLoggedIn = await checkLoginStatus();
     
     if (!isLoggedIn) {
-      console.log('📲 Please scan the QR code to login...');
-      await waitForLogin();
+      const headless = !!launchOptions.headless;
+      log.info(`📲 Please scan the QR code to login${headless ? ' (shown below, as a PNG and on the dashboard)' : ''}...`);
+      if (headless) {
+        await sendAlert('Login required', `WhatsApp Web needs the QR code scanned within ${QR_LOGIN.timeoutMinutes} minutes.${dashboard ? ` Open ${dashboard.url} to see it.` : ''}`);
+      }
+      try {
+        await waitForLogin({ captureQr: headless });
+      } catch (error) {
+        if (headless) await sendAlert('Login timed out', `The QR code was not scanned within ${QR_LOGIN.timeoutMinutes} minutes. The monitor will retry.`);
+        throw error;
+      }
     } else {
-      console.log('✅ Already logged in to WhatsApp');
+      log.info('✅ Already logged in to WhatsApp');
     }
     
     return { browser, page };
   } catch (error) {
-    console.error('❌ Failed to initialize browser:', error);
+    log.error('❌ Failed to initialize browser', { error });
     throw error;
   }
 }
 
-// Generate random delay between min and max milliseconds (human-like behavior)
-function randomDelay(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
-}
-
-// Helper to wait for a specified time (replaces wait)
-async function wait(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-// Type text character by character with random delays (mimics human typing)
-async function typeWithDelay(element, text) {
-  for (const char of text) {
-    await element.type(char, { delay: randomDelay(50, 100) });
-  }
-}
-
-// Check if user is already logged in to WhatsApp Web
-async function checkLoginStatus() {
-  try {
-    console.log('🔍 Checking login status...');
-    
-    // Give the page a moment to load
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    // Wait for either QR code or chat list to appear
-    await page.waitForSelector(`${SELECTORS.qrCode}, ${SELECTORS.chatList}`, { timeout: 10000 });
-    
-    // Check if QR code is present
-    const qrCodePresent = await page.$(SELECTORS.qrCode);
-    const chatListPresent = await page.$(SELECTORS.chatList);
-    
-    console.log(`QR Code present: ${!!qrCodePresent}, Chat list present: ${!!chatListPresent}`);
-    
-    return !qrCodePresent && chatListPresent;
-  } catch (error) {
-    console.log('⚠️ Error checking login status:', error.message);
-    return false;
+// Close the browser, killing its process when it does not close within 10 seconds
+async function closeBrowser() {
+  const closing = browser;
+  browser = null;
+  page = null;
+  if (!closing) return;
+  
+  const closed = await Promise.race([
+    closing.close().then(() => true, () => false),
+    new Promise(resolve => setTimeout(() => resolve(false), 10000))
+  ]);
+  if (!closed && closing.process()) {
+    closing.process().kill('SIGKILL');
   }
 }
 
-// Wait for user to scan QR code and complete login
-async function waitForLogin() {
+// Replace the browser with a fresh one on the same session (userDataDir) and re-check the login
+async function recycleBrowser(reason) {
+  log.warn(`♻️ Recycling browser: ${reason}`, { reason });
+  const timer = new PerfTimer('recycleBrowser');
+  
+  await closeBrowser();
   try {
-    // Wait for chat list or any sign of successful login
-    await page.waitForSelector(SELECTORS.chatList, { timeout: 300000 }); // 5 minutes timeout
-    console.log('✅ Successfully logged in to WhatsApp');
-    
-    // Extra wait to ensure page is fully loaded
-    await wait(3000);
+    await initBrowser();
   } catch (error) {
-    console.log('⚠️ Chat list selector not found, checking alternative selectors...');
-    
-    // Try alternative selectors
-    try {
-      await page.waitForSelector('[data-testid="chat-list-search-container"]', { timeout: 5000 });
-      console.log('✅ Successfully logged in to WhatsApp (alternative method)');
-    } catch (altError) {
-      throw new Error('Login timeout - QR code not scanned or page not loading properly');
-    }
+    await closeBrowser(); // Leave no half-started browser - the next check relaunches it
+    throw error;
   }
-}
-
-// Simulate human-like mouse movement to element
-async function humanMouseMove(element) {
-  const box = await element.boundingBox();
-  if (!box) return;
-  
-  // Move in a slight curve to the element
-  const startX = await page.evaluate(() => window.innerWidth / 2);
-  const startY = await page.evaluate(() => window.innerHeight / 2);
-  const targetX = box.x + box.width / 2;
-  const targetY = box.y + box.height / 2;
-  
-  // Create intermediate point for curve
-  const midX = (startX + targetX) / 2 + randomDelay(-50, 50);
-  const midY = (startY + targetY) / 2 + randomDelay(-50, 50);
   
-  await page.mouse.move(startX, startY);
-  await page.mouse.move(midX, midY, { steps: randomDelay(5, 10) });
-  await page.mouse.move(targetX, targetY, { steps: randomDelay(5, 10) });
+  browserStats.recycles++;
+  browserStats.lastRecycle = { at: new Date().toISOString(), reason };
+  log.info(`♻️ Browser recycled (${browserStats.recycles} since start)`, { durationMs: timer.end(), recycles: browserStats.recycles });
 }
 
-// Search for a WhatsApp group by name and open it (checks archived if needed)
-async function searchAndOpenGroup(groupName) {
-  const fnTimer = new PerfTimer(`searchAndOpenGroup(${groupName})`);
+// Sample the browser between groups and recycle it when it is over a BROWSER_WATCHDOG limit or stopped responding
+// A failed relaunch throws, ending the scan cycle - the next cycle tries again from the saved scan state
+async function superviseBrowser() {
+  if (!BROWSER_WATCHDOG.enabled || isShuttingDown) return;
   
-  try {
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`🔍 SEARCHING FOR GROUP: ${groupName}`);
-    console.log(`${'='.repeat(60)}`);
-    
-    debugLog('SEARCH', `Starting search for group: ${groupName}`);
-    await logDOMState(page, 'Before Search');
-    
-    // Try to find and click search button
-    let searchButton = null;
-    debugLog('SEARCH', `Looking for search button with selector: ${SELECTORS.searchButton}`);
-    await logSelectorSearch(page, SELECTORS.searchButton, 'Search Button');
-    
-    try {
-      searchButton = await page.waitForSelector(SELECTORS.searchButton, { visible: true, timeout: 5000 });
-      debugLog('SUCCESS', 'Search button found');
-    } catch (error) {
-      console.log('⚠️ Search button not found, trying alternative method...');
-      debugLog('WARNING', 'Search button not found', { error: error.message });
-      
-      // Debug: List all available data-icon attributes
-      if (DEBUG_MODE) {
-        const availableIcons = await page.evaluate(() => {
-          return Array.from(document.querySelectorAll('[data-icon]')).map(el => ({
-            icon: el.getAttribute('data-icon'),
-            ariaLabel: el.getAttribute('aria-label'),
-            className: el.className
-          }));
-        });
-        debugLog('DOM', 'Available data-icon elements', availableIcons.slice(0, 10));
-      }
-      
-      // Try clicking the search area directly
-      const searchArea = await page.$('[data-testid="chatlist-header"]');
-      if (searchArea) {
-        debugLog('INFO', 'Found chatlist header, clicking...');
-        await searchArea.click();
-        await wait(500);
-      } else {
-        debugLog('WARNING', 'Chatlist header not found either');
-      }
-    }
-    
-    if (searchButton) {
-      await humanMouseMove(searchButton);
-      await wait(randomDelay(100, 300));
-      await searchButton.click();
-    }
-    
-    // Wait for search box and type group name
-    debugLog('SEARCH', `Looking for search box with selector: ${SELECTORS.searchBox}`);
-    await logSelectorSearch(page, SELECTORS.searchBox, 'Search Box');
-    
-    const searchBox = await page.waitForSelector(SELECTORS.searchBox, { visible: true });
-    debugLog('SUCCESS', 'Search box found');
-    
-    await searchBox.click();
-    await wait(randomDelay(200, 400));
-    
-    // Clear existing text and type new search
-    debugLog('INFO', 'Clearing search box and typing group name');
-    await searchBox.click({ clickCount: 3 });
-    await page.keyboard.press('Backspace');
-    await typeWithDelay(searchBox, groupName);
-    
-    // Wait for search results to load
-    debugLog('INFO', 'Waiting for search results to load...');
-    await wait(randomDelay(1500, 2500));
-    
-    // Log DOM state after search
-    await logDOMState(page, 'After Search');
-    
-    // Try to find group by title
-    let groupFound = false;
-    
-    // First, try to find the group in search results
-    try {
-      // Debug: List all found titles
-      const allTitles = await page.evaluate(() => {
-        return Array.from(document.querySelectorAll('span[title]')).map(el => el.title);
-      });
-      console.log(`Found titles in search: ${allTitles.join(', ')}`);
-      
-      // Find all elements with the group name and click the right one
-      const groupElements = await page.$$(`span[title="${groupName}"]`);
-      console.log(`Found ${groupElements.length} elements with title "${groupName}"`);
-      
-      if (groupElements.length > 0) {
-        // If multiple elements, try each one
-        for (let i = 0; i < groupElements.length; i++) {
-          console.log(`Attempting to click element ${i + 1}/${groupElements.length}...`);
-          
-          const element = groupElements[i];
-          const box = await element.boundingBox();
-          
-          if (box) {
-            await page.mouse.click(box.x + box.width / 2, box.y + box.height / 2);
-            
-            // Wait for chat to load
-            await wait(2000);
-            
-            // Wait for navigation to complete
-            await wait(2500);
-            
-            // Check if we're in a chat by looking for multiple indicators
-            const chatOpened = await page.evaluate(() => {
-              // Multiple ways to detect if chat is open
-              // 1. Check for main chat area
-              const mainElement = document.querySelector('#main');
-              // 2. Check for conversation panel with messages
-              const conversationPanel = document.querySelector('[data-testid="conversation-panel-wrapper"]') || 
-                                      document.querySelector('[data-testid="conversation-panel"]') ||
-                                      document.querySelector('div[role="application"]');
-              // 3. Check for message input area
-              const messageInput = document.querySelector('div[contenteditable="true"][data-tab="10"]') ||
-                                 document.querySelector('[data-testid="conversation-compose-box-input"]');
-              // 4. Check for any messages
-              const messages = document.querySelectorAll('.message-in, .message-out, [data-testid^="msg-"]');
-              
-              // Debug logging
-              console.log('Chat detection:', {
-                main: !!mainElement,
-                conversationPanel: !!conversationPanel,
-                messageInput: !!messageInput,
-                messagesCount: messages.length
-              });
-              
-              // Consider chat opened if we have main element and either messages or input
-              return mainElement && (messages.length > 0 || messageInput || conversationPanel);
-            });
-            
-            if (chatOpened) {
-              groupFound = true;
-              console.log(`✅ Successfully opened group: ${groupName}`);
-              
-              // Log what's in the header for debugging
-              const headerTitle = await page.$eval('header span[title]', el => el.title).catch(() => null);
-              if (headerTitle) {
-                console.log(`📍 Group is part of community: ${headerTitle}`);
-              }
-              
-              // Extra wait to ensure messages load fully
-              await wait(2000);
-              break;
-            } else if (i < groupElements.length - 1) {
-              console.log(`⚠️ Chat not loaded yet, trying next element...`);
-            }
-          }
-        }
-      } else {
-        console.log(`⚠️ No elements found with exact title: ${groupName}`);
-      }
-    } catch (error) {
-      console.log(`Error finding group: ${error.message}`);
-    }
-    
-    // If still not found, log the error
-    if (!groupFound) {
-      console.log(`❌ Group not found: ${groupName}`);
-      console.log(`Make sure the group name exactly matches what appears in WhatsApp`);
-    }
-    
-    // Random delay after opening group
-    if (groupFound) {
-      await wait(randomDelay(1000, 3000));
-    }
-    
-    fnTimer.end();
-    return groupFound;
-  } catch (error) {
-    console.error(`❌ Error searching for group ${groupName}:`, error);
-    fnTimer.end();
-    return false;
-  }
-}
-
-// Clear search box and return to chat list
-async function clearSearch() {
-  try {
-    console.log('🧹 Clearing search...');
-    
-    // Press Escape multiple times to clear search and go back
-    await page.keyboard.press('Escape');
-    await wait(randomDelay(300, 500));
-    
-    await page.keyboard.press('Escape');
-    await wait(randomDelay(300, 500));
-    
-    // Clear search box directly if it exists
-    try {
-      const searchBox = await page.$(SELECTORS.searchBox);
-      if (searchBox) {
-        await searchBox.click({ clickCount: 3 }); // Select all
-        await page.keyboard.press('Backspace'); // Delete
-        await page.keyboard.press('Escape'); // Exit search
-        await wait(randomDelay(200, 400));
-      }
-    } catch (e) {
-      // Search box might not be visible, that's okay
-    }
-    
-    // Ensure we're back at main chat list
-    await wait(randomDelay(500, 1000));
-    console.log('✅ Search cleared');
-  } catch (error) {
-    console.error('Error clearing search:', error);
+  const sample = await sampleBrowserResources(browser, page);
+  browserStats.lastSample = { ...sample, at: new Date().toISOString() };
+  log.debug('🩺 Browser resources', { browserMemoryMB: sample.browserMemoryMB, heapMB: sample.heapMB, responsive: sample.responsive });
+  
+  const reason = recycleReason(sample, BROWSER_WATCHDOG, Date.now() - browserStats.startedAt);
+  if (reason) {
+    await recycleBrowser(reason);
   }
 }
 
@@ -403,7 +254,7 @@ async function gracefulShutdown(signal) {
   if (isShuttingDown) return;
   
   isShuttingDown = true;
-  console.log(`\n📴 Received ${signal}, shutting down gracefully...`);
+  log.info(`📴 Received ${signal}, shutting down gracefully...`);
   
   try {
     if (page) {
@@ -414,10 +265,10 @@ async function gracefulShutdown(signal) {
       await browser.close();
     }
     
-    console.log('👋 WhatsApp Monitor stopped successfully');
+    log.info('👋 WhatsApp Monitor stopped successfully');
     process.exit(0);
   } catch (error) {
-    console.error('❌ Error during shutdown:', error);
+    log.error('❌ Error during shutdown', { error });
     process.exit(1);
   }
 }
@@ -428,13 +279,13 @@ process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 
 // Handle uncaught exceptions
 process.on('uncaughtException', async (error) => {
-  console.error('💥 Uncaught Exception:', error);
+  log.error('💥 Uncaught Exception', { error });
   await gracefulShutdown('uncaughtException');
 });
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', async (error) => {
-  console.error('💥 Unhandled Rejection:', error);
+  log.error('💥 Unhandled Rejection', { error });
   await gracefulShutdown('unhandledRejection');
 });
 
@@ -459,429 +310,58 @@ async function rotateLogIfNeeded() {
     
     try {
       await fs.rename(LOG_FILE_PATH, rotatedPath);
-      console.log(`📁 Rotated log file to: ${rotatedPath}`);
+      log.info(`📁 Rotated log file to: ${rotatedPath}`);
     } catch (error) {
-      console.error('❌ Failed to rotate log file:', error);
+      log.error('❌ Failed to rotate log file', { error });
     }
   }
 }
 
-// Write keyword match to log file with timestamp and details
-async function logMatch(groupName, sender, message, keyword, timestamp) {
+// Store keyword match in the database and append it to the log file
+async function logMatch(match) {
+  const { groupName, sender, text: message, matchedKeyword: keyword, timestamp } = match;
+  
+  try {
+    match.id = saveMatch(match); // Copies found later in other groups are folded into this id
+  } catch (error) {
+    log.error('❌ Failed to store match in database', { error });
+  }
+  
   // Rotate log if needed
   await rotateLogIfNeeded();
   
   const date = new Date(timestamp);
   const formattedTime = date.toISOString().replace('T', ' ').substring(0, 19);
-  const logEntry = `[${formattedTime}] Group: ${groupName} | Sender: ${sender} | Keyword: ${keyword} | Message: ${message.substring(0, 200)}...\n`;
+  const fuzzyNote = match.fuzzy ? ` (fuzzy, score ${match.matchScore})` : '';
+  const logEntry = `[${formattedTime}] Group: ${groupName} | Sender: ${sender} | Keyword: ${keyword}${fuzzyNote} | Message: ${message.substring(0, 200)}...\n`;
   
   try {
     await fs.appendFile(LOG_FILE_PATH, logEntry);
-    console.log(`📝 Logged match: ${keyword} in ${groupName}`);
+    log.info(`📝 Logged match: ${keyword} in ${groupName}`, { keyword, messageId: match.messageId });
   } catch (error) {
-    console.error('❌ Failed to write to log file:', error);
+    log.error('❌ Failed to write to log file', { error });
   }
 }
 
-// Write daily summary to log file
-async function writeDailySummary() {
-  if (dailySummary.totalMatches === 0) return;
-  
-  const summaryText = `\n=== DAILY SUMMARY ${dailySummary.date} ===\n` +
-    `Total matches: ${dailySummary.totalMatches}\n` +
-    Object.entries(dailySummary.matches)
-      .map(([key, count]) => `- ${key}: ${count} matches`)
-      .join('\n') +
-    '\n========================================\n\n';
-  
+// Write (and email) the digests that are due - a digest missed while the monitor was down goes out as a catch-up
+async function checkDigests() {
   try {
-    await fs.appendFile(LOG_FILE_PATH, summaryText);
-    console.log(`📊 Daily summary written: ${dailySummary.totalMatches} total matches`);
-    
-    // Reset daily summary
-    dailySummary = {
-      date: new Date().toDateString(),
-      matches: {},
-      totalMatches: 0
-    };
+    await runDueDigests(DIGESTS, { reportsDir: REPORTS_DIR, sendEmail: sendReportEmail });
   } catch (error) {
-    console.error('❌ Failed to write daily summary:', error);
-  }
-}
-
-// Check if we need to write daily summary (new day)
-function checkDailySummary() {
-  const currentDate = new Date().toDateString();
-  if (currentDate !== dailySummary.date) {
-    writeDailySummary();
+    log.error('❌ Failed to write digests', { error });
   }
+  scheduleNextDigest();
 }
 
-// Send macOS desktop notification when keyword is found
-function sendNotification(groupName, message, keyword) {
-  notifier.notify({
-    title: `WhatsApp Match - ${groupName}`,
-    message: `${keyword}: ${message.substring(0, 100)}...`,
-    sound: true,
-    wait: false,
-    // Click handler for notification tracking
-    click: function() {
-      console.log(`📱 Notification clicked for ${keyword} in ${groupName}`);
-    }
-  });
-}
-
-// Send batched notifications for multiple matches in same group
-function sendBatchedNotifications(matches) {
-  // Group matches by group name
-  const groupedMatches = matches.reduce((acc, match) => {
-    if (!acc[match.groupName]) {
-      acc[match.groupName] = [];
-    }
-    acc[match.groupName].push(match);
-    return acc;
-  }, {});
+// Set the timer for the next digest (digests go out while scanning is paused too)
+function scheduleNextDigest() {
+  clearTimeout(digestTimer);
+  digestTimer = null;
+  const due = nextDigestTime(DIGESTS);
+  if (isShuttingDown || !due) return;
   
-  // Send notifications per group (max 3 matches shown)
-  for (const [groupName, groupMatches] of Object.entries(groupedMatches)) {
-    const matchCount = groupMatches.length;
-    const displayMatches = groupMatches.slice(0, 3); // Max 3 matches
-    
-    let message = '';
-    displayMatches.forEach(match => {
-      message += `${match.matchedKeyword}: ${match.text.substring(0, 50)}...\n`;
-    });
-    
-    if (matchCount > 3) {
-      message += `\n...and ${matchCount - 3} more matches`;
-    }
-    
-    notifier.notify({
-      title: `WhatsApp Match - ${groupName}`,
-      message: message.trim(),
-      subtitle: `${matchCount} keyword match${matchCount > 1 ? 'es' : ''}`,
-      sound: true,
-      wait: false,
-      click: function() {
-        console.log(`📱 Batch notification clicked for ${groupName} (${matchCount} matches)`);
-      }
-    });
-  }
-}
-
-// Convert WhatsApp time format (12:34 PM) to JavaScript Date object
-function parseWhatsAppTime(timeString) {
-  const now = new Date();
-  const [time, period] = timeString.split(' ');
-  const [hours, minutes] = time.split(':').map(Number);
-  
-  let hour24 = hours;
-  if (period === 'PM' && hours !== 12) hour24 += 12;
-  if (period === 'AM' && hours === 12) hour24 = 0;
-  
-  const messageDate = new Date(now);
-  messageDate.setHours(hour24, minutes, 0, 0);
-  
-  // If time is in the future, it's from yesterday
-  if (messageDate > now) {
-    messageDate.setDate(messageDate.getDate() - 1);
-  }
-  
-  return messageDate;
-}
-
-// Check if message timestamp is within the last 30 minutes
-function isMessageRecent(timestamp) {
-  const now = new Date();
-  const thirtyMinutesAgo = new Date(now.getTime() - (30 * 60 * 1000));
-  return timestamp >= thirtyMinutesAgo;
-}
-
-// Generate unique message ID for deduplication
-function generateMessageId(groupName, sender, text, timestamp) {
-  return `${groupName}-${sender}-${timestamp}-${text.substring(0, 50)}`;
-}
-
-// Check messages for keyword matches with word boundaries
-function findKeywordMatches(messages) {
-  const matches = [];
-  
-  console.log(`🔍 findKeywordMatches: Processing ${messages.length} messages`);
-  console.log(`🔍 Keywords to search: ${KEYWORDS.join(', ')}`);
-  
-  for (const message of messages) {
-    let messageHasMatch = false;
-    
-    for (const keyword of KEYWORDS) {
-      // Create regex - use word boundaries except for specific keywords
-      const useWordBoundaries = !['insta', 'I'].includes(keyword);
-      const regex = useWordBoundaries 
-        ? new RegExp(`\\b${keyword}\\b`, 'i')
-        : new RegExp(`${keyword}`, 'i');
-      
-      if (DEBUG_MODE) {
-        console.log(`[DEBUG] Testing "${keyword}" ${useWordBoundaries ? 'with' : 'without'} word boundaries against: "${message.text.substring(0, 50)}..."`);
-      }
-      
-      if (regex.test(message.text)) {
-        const messageId = generateMessageId(
-          message.groupName,
-          message.sender,
-          message.text,
-          message.timestamp
-        );
-        
-        // Skip if already processed
-        if (!processedMessages.has(messageId)) {
-          processedMessages.set(messageId, Date.now());
-          
-          matches.push({
-            ...message,
-            matchedKeyword: keyword,
-            messageId
-          });
-          
-          // Update daily summary
-          const key = `${message.groupName}-${keyword}`;
-          dailySummary.matches[key] = (dailySummary.matches[key] || 0) + 1;
-          dailySummary.totalMatches++;
-          
-          console.log(`✅ Match found: "${keyword}" in "${message.text.substring(0, 50)}..." from ${message.groupName}`);
-          messageHasMatch = true;
-        } else {
-          console.log(`⏭️ Skip duplicate: "${keyword}" in "${message.text.substring(0, 50)}..." from ${message.groupName}`);
-        }
-      }
-    }
-    
-    // Log messages that didn't match any keywords (only first few to avoid spam)
-    if (!messageHasMatch && matches.length < 5) {
-      console.log(`❌ No match: "${message.text.substring(0, 50)}..." from ${message.groupName}`);
-    }
-  }
-  
-  // Clean old processed messages (older than 1 hour)
-  const oneHourAgo = Date.now() - (60 * 60 * 1000);
-  for (const [messageId, timestamp] of processedMessages.entries()) {
-    if (timestamp < oneHourAgo) {
-      processedMessages.delete(messageId);
-    }
-  }
-  
-  console.log(`📊 findKeywordMatches: Found ${matches.length} total matches`);
-  console.log(`📊 Processed messages cache size: ${processedMessages.size}`);
-  
-  // Debug: Analyze processed messages
-  analyzeProcessedMessages();
-  
-  return matches;
-}
-
-// Extract last 50 messages from current group (all messages, no time filtering)
-async function extractRecentMessages(groupName) {
-  const fnTimer = new PerfTimer(`extractRecentMessages(${groupName})`);
-  
-  try {
-    console.log(`📋 Extracting messages from: ${groupName}`);
-    debugLog('EXTRACT', `Starting message extraction for: ${groupName}`);
-    
-    // Try multiple selectors for conversation panel
-    let panelFound = false;
-    const panelSelectors = [
-      '#main [data-testid="conversation-panel-wrapper"]',
-      '#main [data-testid="conversation-panel"]', 
-      '#main [role="application"]',
-      '#main'
-    ];
-    
-    for (const selector of panelSelectors) {
-      try {
-        await page.waitForSelector(selector, { timeout: 1000 });
-        panelFound = true;
-        console.log(`✅ Found conversation panel with selector: ${selector}`);
-        break;
-      } catch (e) {
-        // Try next selector
-      }
-    }
-    
-    if (!panelFound) {
-      console.log('⚠️ Conversation panel not found, trying to extract messages anyway...');
-    }
-    
-    await wait(randomDelay(1000, 2000));
-    
-    // Scroll to load recent messages with human-like behavior
-    await page.evaluate((selectors) => {
-      // Try multiple selectors to find scrollable panel
-      const panelSelectors = [
-        '#main [data-testid="conversation-panel-wrapper"]',
-        '#main [data-testid="conversation-panel"]',
-        '#main [role="application"]',
-        '#main'
-      ];
-      
-      for (const selector of panelSelectors) {
-        const panel = document.querySelector(selector);
-        if (panel && panel.scrollHeight > 0) {
-          panel.scrollTop = panel.scrollHeight;
-          break;
-        }
-      }
-    }, SELECTORS.conversationPanel);
-    
-    await wait(randomDelay(500, 1000));
-    
-    // Occasional random scroll action
-    if (Math.random() < 0.3) {
-      await page.evaluate(() => {
-        const panelSelectors = [
-          '#main [data-testid="conversation-panel-wrapper"]',
-          '#main [data-testid="conversation-panel"]',
-          '#main [role="application"]',
-          '#main'
-        ];
-        
-        for (const selector of panelSelectors) {
-          const panel = document.querySelector(selector);
-          if (panel && panel.scrollHeight > 0) {
-            panel.scrollTop = panel.scrollHeight - Math.random() * 200;
-            setTimeout(() => {
-              panel.scrollTop = panel.scrollHeight;
-            }, 300);
-            break;
-          }
-        }
-      });
-      await wait(randomDelay(300, 600));
-    }
-    
-    // Extract messages in a single page.evaluate for performance
-    const recentMessages = await page.evaluate((selectors, groupName) => {
-      const messages = [];
-      
-      // Try multiple message container selectors
-      const messageSelectors = [
-        '.message-in, .message-out',
-        '[data-testid^="msg-"]',
-        '[data-testid="conv-msg-box"]',
-        '[role="row"]'
-      ];
-      
-      let containers = null;
-      for (const selector of messageSelectors) {
-        const found = document.querySelectorAll(selector);
-        if (found.length > 0) {
-          containers = found;
-          console.log(`Found ${found.length} messages with selector: ${selector}`);
-          break;
-        }
-      }
-      
-      if (!containers || containers.length === 0) {
-        console.log('No message containers found with any selector');
-        return messages;
-      }
-      const messagesToProcess = Math.min(containers.length, 50);
-      
-      // Process only the last 50 messages
-      console.log(`Processing ${messagesToProcess} messages...`);
-      
-      for (let i = containers.length - messagesToProcess; i < containers.length; i++) {
-        try {
-          const container = containers[i];
-          
-          // Debug: log container info
-          console.log(`Message ${i}: ${container.className}, has text: ${!!container.textContent}`);
-          
-          // Try multiple selectors to find message text
-          let text = '';
-          const textSelectors = [
-            '.copyable-text span',
-            '.selectable-text span',
-            '[data-testid="msg-text"]',
-            'span[dir="ltr"]',
-            'span[dir="auto"]',
-            '.copyable-text',
-            'span'
-          ];
-          
-          for (const selector of textSelectors) {
-            const textEl = container.querySelector(selector);
-            if (textEl && textEl.textContent) {
-              text = textEl.textContent.trim();
-              if (text) {
-                console.log(`Found text with selector ${selector}: ${text.substring(0, 50)}...`);
-                break;
-              }
-            }
-          }
-          
-          // If still no text, try getting all text content
-          if (!text) {
-            text = container.textContent ? container.textContent.trim() : '';
-            if (text) {
-              console.log(`Using container text: ${text.substring(0, 50)}...`);
-            }
-          }
-          
-          if (!text) {
-            console.log(`No text found in message ${i}`);
-            continue;
-          }
-          
-          // Extract metadata
-          const metaEl = container.querySelector(selectors.messageMeta);
-          let sender = 'Unknown';
-          let timeString = '';
-          
-          if (metaEl) {
-            const metaText = metaEl.textContent;
-            const parts = metaText.split(',');
-            if (parts.length >= 2) {
-              sender = parts[0].trim();
-              timeString = parts[1].trim();
-            }
-          }
-          
-          // Alternative time extraction
-          if (!timeString) {
-            const timeEl = container.querySelector(selectors.messageTime);
-            if (timeEl) timeString = timeEl.textContent.trim();
-          }
-          
-          messages.push({
-            sender,
-            text,
-            timeString,
-            groupName
-          });
-        } catch (error) {
-          console.error('Error extracting message:', error);
-        }
-      }
-      
-      console.log(`Total messages extracted: ${messages.length}`);
-      return messages;
-    }, SELECTORS, groupName);
-    
-    console.log(`📊 Raw messages extracted: ${recentMessages.length}`);
-    
-    // Return all messages without filtering by timestamp
-    const allMessages = recentMessages.map(msg => ({
-      sender: msg.sender,
-      text: msg.text,
-      timestamp: new Date().toISOString(), // Use current time since we're not filtering
-      groupName: msg.groupName
-    }));
-    
-    console.log(`✅ Extracted ${allMessages.length} messages from ${groupName} (checking all for keywords)`);
-    return allMessages;
-    
-  } catch (error) {
-    console.error(`❌ Error extracting messages from ${groupName}:`, error);
-    return [];
-  }
+  const delay = Math.min(Math.max(due.getTime() - Date.now(), 0), MAX_WAKE_DELAY_MS);
+  digestTimer = setTimeout(checkDigests, delay);
 }
 
 // Retry function with exponential backoff
@@ -892,9 +372,10 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
     try {
       return await fn();
     } catch (error) {
+      if (error instanceof ActionBudgetError) throw error; // Retrying would only hit the limit again
       lastError = error;
       const delay = baseDelay * Math.pow(2, i); // Exponential backoff
-      console.log(`⏳ Retry ${i + 1}/${maxRetries} after ${delay}ms...`);
+      log.warn(`⏳ Retry ${i + 1}/${maxRetries} after ${delay}ms...`, { error: lastError });
       await new Promise(resolve => setTimeout(resolve, delay));
     }
   }
@@ -918,7 +399,7 @@ async function processGroup(groupName) {
   try {
     // Check if group is already being scanned
     if (groupScanStatus.get(groupName)) {
-      console.log(`⏭️ Skipping ${groupName} - previous scan still running`);
+      log.info(`⏭️ Skipping ${groupName} - previous scan still running`);
       return [];
     }
     
@@ -931,27 +412,42 @@ async function processGroup(groupName) {
     }, 2, 2000);
     
     if (!groupFound) {
-      console.log(`⚠️ Skipping ${groupName} - not found`);
+      // A group we have opened before may have been renamed - look for it under its new name
+      const newName = await findRenamedGroup(groupName);
+      if (newName) {
+        groupScanStatus.set(groupName, false);
+        return await withLogContext({ group: newName }, () => processGroup(newName));
+      }
+      
+      log.warn(`⚠️ Skipping ${groupName} - not found`);
       scanErrors.push(`Group not found: ${groupName}`);
       return [];
     }
     
+    // Remember the chat id behind this name so a later rename can be followed
+    await trackGroupIdentity(groupName);
+    
     // Update scan state
     scanState.lastSuccessfulGroup = groupName;
     await saveScanState();
     
-    // Extract recent messages with timeout handling
+    // Extract the messages that arrived since the group's high-water mark
     let recentMessages = [];
     try {
-      recentMessages = await extractRecentMessages(groupName);
+      recentMessages = await extractRecentMessages(groupName, getGroupWatermark(groupName));
     } catch (error) {
-      console.error(`❌ Failed to extract messages from ${groupName}:`, error.message);
+      log.error(`❌ Failed to extract messages from ${groupName}`, { error });
       scanErrors.push(`Message extraction failed for ${groupName}: ${error.message}`);
       return [];
     }
     
+    // Remember the chat-list row this scan acted on, so an unchanged group is skipped next time
+    if (chatListActivity.has(groupName)) {
+      saveChatListSnapshot(groupName, chatListActivity.get(groupName));
+    }
+    
     if (recentMessages.length === 0) {
-      console.log(`📭 No recent messages in ${groupName}`);
+      log.info(`📭 No new messages in ${groupName}`, { messageCount: 0 });
       return [];
     }
     
@@ -959,23 +455,22 @@ async function processGroup(groupName) {
     const matches = findKeywordMatches(recentMessages);
     
     if (matches.length > 0) {
-      console.log(`🎯 Found ${matches.length} matches in ${groupName}`);
+      log.info(`🎯 Found ${matches.length} matches in ${groupName}`, { matchCount: matches.length });
       
       // Log all matches
       for (const match of matches) {
-        await logMatch(
-          match.groupName,
-          match.sender,
-          match.text,
-          match.matchedKeyword,
-          match.timestamp
-        );
+        await logMatch(match);
       }
     }
     
+    // Next scan starts after the newest message seen now
+    const newestMessage = recentMessages[recentMessages.length - 1];
+    setGroupWatermark(groupName, { messageDomId: newestMessage.domId, messageTime: newestMessage.timestamp });
+    
     return matches;
   } catch (error) {
-    console.error(`❌ Error processing group ${groupName}:`, error);
+    if (error instanceof ActionBudgetError) throw error; // The batch stops scanning
+    log.error(`❌ Error processing group ${groupName}`, { error });
     scanErrors.push(`Processing error for ${groupName}: ${error.message}`);
     return [];
   } finally {
@@ -988,32 +483,55 @@ async function processGroup(groupName) {
 }
 
 // Process multiple groups sequentially to avoid search conflicts
+// Returns { matches, processed, spentBudget } - a spent action budget stops the batch before the next group
 async function processGroupBatch(groups) {
   const batchResults = [];
+  let processed = 0;
   
   for (let i = 0; i < groups.length; i++) {
     const groupName = groups[i];
-    console.log(`\n${'='.repeat(50)}`);
-    console.log(`🔄 Processing group ${i + 1}/${groups.length}: ${groupName}`);
-    console.log(`${'='.repeat(50)}`);
     
-    const result = await processGroup(groupName);
+    // Groups not reached stay due and are scanned once the budget frees up
+    const spent = spentActionBudget(ACTION_BUDGETS);
+    if (spent) {
+      return { matches: batchResults, processed, spentBudget: spent };
+    }
+    
+    // Every entry logged while the group is processed carries its name
+    let result;
+    try {
+      result = await withLogContext({ group: groupName }, async () => {
+        log.info(`🔄 Processing group ${i + 1}/${groups.length}: ${groupName}`);
+        const timer = new PerfTimer('processGroup');
+        const groupMatches = await processGroup(groupName);
+        timer.end({ matchCount: groupMatches.length });
+        log.info(`✅ Group ${groupName} processed - Found ${groupMatches.length} matches`, { matchCount: groupMatches.length });
+        return groupMatches;
+      });
+    } catch (error) {
+      if (!(error instanceof ActionBudgetError)) throw error;
+      return { matches: batchResults, processed, spentBudget: error.budget }; // Spent during the group, e.g. by rename probes
+    }
     batchResults.push(...result);
+    processed++;
+    recordGroupChecked(groupName);
     
-    console.log(`✅ Group ${groupName} processed - Found ${result.length} matches`);
-    console.log(`📊 Total matches so far: ${batchResults.length}`);
+    log.info(`📊 Total matches so far: ${batchResults.length}`);
     
     // Clear search and add delay between groups
     await clearSearch();
-    await wait(randomDelay(1000, 2000));
+    await humanPause('betweenGroups');
+    
+    // Recycle an overgrown browser before the next group opens
+    await superviseBrowser();
   }
   
-  console.log(`🏁 Batch completed - Total matches: ${batchResults.length}`);
+  log.info(`🏁 Batch completed - Total matches: ${batchResults.length}`, { matchCount: batchResults.length });
   
   // Add delay between batches
-  await wait(randomDelay(2000, 4000));
+  await humanPause('betweenBatches');
   
-  return batchResults;
+  return { matches: batchResults, processed, spentBudget: null };
 }
 
 // Save scan state to file for recovery
@@ -1022,7 +540,7 @@ async function saveScanState() {
     const stateFile = path.join(__dirname, 'scan-state.json');
     await fs.writeFile(stateFile, JSON.stringify(scanState, null, 2));
   } catch (error) {
-    console.error('Error saving scan state:', error);
+    log.error('❌ Error saving scan state', { error });
   }
 }
 
@@ -1033,21 +551,153 @@ async function loadScanState() {
     const data = await fs.readFile(stateFile, 'utf8');
     const savedState = JSON.parse(data);
     Object.assign(scanState, savedState);
-    console.log('📂 Loaded previous scan state');
+    log.info('📂 Loaded previous scan state');
   } catch (error) {
     // File doesn't exist or is invalid, use defaults
   }
 }
 
-// Main scanning function - processes all groups with optimizations
-async function scanAllGroups() {
+// Carry a renamed group's scan state over to its new name and report the rename on the console and channels
+async function reportRename(oldName, newName) {
+  renameGroupState(oldName, newName); // Keeps the high-water mark, so old messages are not re-read as new
+  log.info(`🔀 Group renamed: "${oldName}" is now "${newName}" - scanning continues under the new name`);
+  await sendAlert('Group renamed', `"${oldName}" is now "${newName}". Scanning continues under the new name; update TARGET_GROUPS when convenient.`);
+}
+
+// Record the chat id of the open group and report it if the id used to have another name
+async function trackGroupIdentity(groupName) {
+  try {
+    const chatId = await readOpenChatId();
+    if (!chatId) return;
+    
+    const { renamedFrom } = recordChatIdentity(chatId, groupName);
+    if (renamedFrom) {
+      await reportRename(renamedFrom, groupName);
+    }
+  } catch (error) {
+    log.warn(`⚠️ Failed to record identity of ${groupName}`, { error });
+  }
+}
+
+// Find the new name of a known group that search no longer finds, by opening the most similar unknown chats
+async function findRenamedGroup(groupName) {
+  const identity = findChatIdentityByName(groupName);
+  if (!identity) return null; // Never opened before - nothing to recognise it by
+  
+  log.info(`🔎 ${groupName} not found - checking whether it was renamed...`);
+  await clearSearch();
+  const titles = (await collectChatTitles({ includeArchived: GROUP_DISCOVERY.includeArchived })).map(chat => chat.name);
+  const candidates = rankRenameCandidates(groupName, titles, getKnownChatNames()).slice(0, GROUP_DISCOVERY.maxRenameProbes);
+  
+  for (const candidate of candidates) {
+    await clearSearch();
+    if (!(await searchAndOpenGroup(candidate))) continue;
+    
+    const chatId = await readOpenChatId();
+    if (!chatId) continue;
+    
+    // Every probed chat is remembered, so it is not probed again next time
+    const { renamedFrom } = recordChatIdentity(chatId, candidate);
+    if (chatId === identity.chatId) {
+      await reportRename(renamedFrom || groupName, candidate);
+      await clearSearch();
+      return candidate;
+    }
+  }
+  
+  await clearSearch();
+  log.warn(`⚠️ ${groupName} was not found under a new name (checked ${candidates.length} chats) - it may have been left or deleted`);
+  return null;
+}
+
+// Apply a staged config file change - groups, keywords, interval and timeouts are read fresh from the config bindings,
+// only state derived from them needs resetting
+function applyConfigChanges() {
+  const changedKeys = applyPendingConfig();
+  
+  if (changedKeys.includes('LOGGING')) {
+    configureLogger(LOGGING);
+  }
+  if (changedKeys.includes('KEYWORDS') || changedKeys.includes('FUZZY_MATCHING')) {
+    log.info(`🔍 Keywords: ${getKeywordRules().map(rule => rule.name).join(', ')}`);
+  }
+  if (changedKeys.includes('NOTIFICATION_CHANNELS')) {
+    initNotifications(NOTIFICATION_CHANNELS);
+  }
+  if (changedKeys.includes('GROUP_DISCOVERY')) {
+    discoveredGroups = [];
+    lastDiscoveryTime = 0; // Re-read the chat list with the new patterns
+  }
+  if (changedKeys.includes('TARGET_GROUPS') || changedKeys.includes('GROUP_DISCOVERY')) {
+    scanState.lastProcessedIndex = 0; // The saved position refers to the old group list
+  }
+}
+
+// Read the whole chat list and select groups by the GROUP_DISCOVERY patterns
+async function discoverGroups() {
+  await clearSearch();
+  const chats = await collectChatTitles({ includeArchived: GROUP_DISCOVERY.includeArchived });
+  discoveredGroups = selectDiscoveredGroups(chats.map(chat => chat.name), GROUP_DISCOVERY);
+  lastDiscoveryTime = Date.now();
+  
+  log.info(`🧭 Discovery selected ${discoveredGroups.length} of ${chats.length} chats: ${discoveredGroups.join(', ') || 'none'}`);
+  return chats;
+}
+
+// Groups to scan this cycle - configured and discovered names, following renames we already know about
+async function resolveTargetGroups() {
+  if (GROUP_DISCOVERY.enabled && Date.now() - lastDiscoveryTime >= GROUP_DISCOVERY.refreshMinutes * 60000) {
+    try {
+      await discoverGroups();
+    } catch (error) {
+      log.warn('⚠️ Group discovery failed, using the last discovered groups', { error });
+    }
+  }
+  
+  const names = [...TARGET_GROUPS, ...discoveredGroups].map(groupName => {
+    const identity = findChatIdentityByName(groupName);
+    return identity ? identity.name : groupName;
+  });
+  return [...new Set(names)];
+}
+
+// Read the chat list and keep the target groups that changed since their last scan
+async function selectChangedGroups(targetGroups) {
+  chatListActivity = new Map();
+  if (!CHAT_LIST_PREPASS.enabled) return [...targetGroups];
+  
+  try {
+    await clearSearch();
+    chatListActivity = await readChatListActivity(targetGroups);
+  } catch (error) {
+    log.warn('⚠️ Chat list pre-pass failed, scanning all groups', { error });
+    return [...targetGroups];
+  }
+  
+  return targetGroups.filter(groupName => {
+    const changed = hasNewActivity(chatListActivity.get(groupName), getChatListSnapshot(groupName));
+    if (!changed) {
+      log.info(`⏭️ Skipping ${groupName} - no new activity`);
+    }
+    return changed;
+  });
+}
+
+// Main scanning function - every entry logged during the scan carries its scanId
+// dueOnly: only the groups whose planned run has come (scheduled scans); otherwise every group (startup, "scan now")
+function scanAllGroups({ dueOnly = false } = {}) {
+  return withLogContext({ scanId: randomUUID().slice(0, 8) }, () => runScanCycle({ dueOnly }));
+}
+
+// One scan cycle - processes all groups with optimizations
+async function runScanCycle({ dueOnly = false } = {}) {
   if (isScanning) {
-    console.log('⚠️ Scan already in progress, skipping...');
+    log.warn('⚠️ Scan already in progress, skipping...');
     return;
   }
   
   if (isPaused) {
-    console.log('⏸️ Scanning is paused');
+    log.info('⏸️ Scanning is paused');
     return;
   }
   
@@ -1056,46 +706,83 @@ async function scanAllGroups() {
   scanState.scanStartTime = Date.now();
   const startTime = Date.now();
   const allMatches = [];
+  let groupsScanned = 0;
+  let groupsSkipped = 0;
   
+  // Record the scan run so history survives restarts
+  let scanRunId = null;
   try {
-    console.log(`\n🔄 Starting scan cycle at ${new Date().toLocaleTimeString()}`);
-    console.log(`📊 Scanning ${TARGET_GROUPS.length} groups in batches of 3`);
+    scanRunId = recordScanStart(startTime);
+  } catch (error) {
+    log.error('❌ Failed to record scan start', { error });
+  }
+  
+  try {
+    log.info(`🔄 Starting scan cycle at ${new Date().toLocaleTimeString()}`, { scanRun: scanRunId });
+    
+    // Config file edits made since the last cycle take effect here
+    applyConfigChanges();
+    loadSchedule(SCHEDULE, SCAN_INTERVAL_MINUTES);
+    reloadSenderLists();
+    
+    // A new "Action budget spent" alert is due once budget was available again
+    if (!spentActionBudget(ACTION_BUDGETS)) alertedBudget = null;
+    
+    // Start on a healthy browser (also replaces one whose relaunch failed during the last cycle)
+    await superviseBrowser();
     
-    // Check daily summary
-    checkDailySummary();
+    // Digests that are due (and a changed DIGESTS config) are handled before the scan
+    await checkDigests();
+    
+    // Configured and discovered groups, then a pre-pass so only groups with new activity are opened
+    const targetGroups = await resolveTargetGroups();
+    trackGroups(targetGroups);
+    const dueGroups = dueOnly ? targetGroups.filter(groupName => isGroupDue(groupName)) : targetGroups;
+    const groupsToScan = await selectChangedGroups(dueGroups);
+    groupsSkipped = dueGroups.length - groupsToScan.length;
+    
+    // Groups the pre-pass found unchanged count as checked, so they wait for their next planned run
+    const checkedAt = new Date();
+    dueGroups.filter(groupName => !groupsToScan.includes(groupName)).forEach(groupName => recordGroupChecked(groupName, checkedAt));
+    
+    log.info(`📊 Scanning ${groupsToScan.length} groups in batches of 3${groupsSkipped > 0 ? ` (${groupsSkipped} unchanged, skipped)` : ''}`);
     
     // Process groups in batches of 3
     const batchSize = 3;
-    const startIndex = scanState.lastProcessedIndex || 0;
+    // Groups finished before an interruption drop out of the pre-pass, so the saved index only applies without it
+    // (scheduled scans need no index: groups an interrupted cycle did not reach are still due)
+    const startIndex = CHAT_LIST_PREPASS.enabled || dueOnly ? 0 : (scanState.lastProcessedIndex || 0);
     
-    for (let i = startIndex; i < TARGET_GROUPS.length && !isShuttingDown && !isPaused; i += batchSize) {
-      const batch = TARGET_GROUPS.slice(i, i + batchSize);
+    for (let i = startIndex; i < groupsToScan.length && !isShuttingDown && !isPaused; i += batchSize) {
+      const batch = groupsToScan.slice(i, i + batchSize);
       const batchNumber = Math.floor(i / batchSize) + 1;
-      const totalBatches = Math.ceil(TARGET_GROUPS.length / batchSize);
+      const totalBatches = Math.ceil(groupsToScan.length / batchSize);
       
-      console.log(`\n[Batch ${batchNumber}/${totalBatches}] Processing: ${batch.join(', ')}`);
+      log.info(`[Batch ${batchNumber}/${totalBatches}] Processing: ${batch.join(', ')}`);
       currentScanProgress = `Batch ${batchNumber}/${totalBatches}`;
       
       // Save state before processing
       scanState.lastProcessedIndex = i;
       await saveScanState();
       
-      const batchMatches = await processGroupBatch(batch);
+      const { matches: batchMatches, processed, spentBudget } = await processGroupBatch(batch);
       allMatches.push(...batchMatches);
+      groupsScanned += processed;
       
       // Progress update
-      const processed = Math.min(i + batchSize, TARGET_GROUPS.length);
-      console.log(`Progress: ${processed}/${TARGET_GROUPS.length} groups processed`);
+      log.info(`Progress: ${i + processed}/${groupsToScan.length} groups processed`);
+      
+      // Update session matches counter
+      sessionMatchCount += batchMatches.length;
       
-      // Update total matches counter
-      totalMatchesAllTime += batchMatches.length;
+      if (spentBudget) {
+        reportSpentBudget(spentBudget, groupsToScan.length - i - processed);
+        break;
+      }
     }
     
     // Send notifications for all matches
     if (allMatches.length > 0) {
-      console.log(`\n📬 SCAN SUMMARY:`);
-      console.log(`  - Total matches found: ${allMatches.length}`);
-      
       // Group matches by group name for summary
       const matchesByGroup = {};
       allMatches.forEach(match => {
@@ -1106,28 +793,33 @@ async function scanAllGroups() {
         matchesByGroup[group].push(match);
       });
       
-      console.log(`  - Matches by group:`);
+      log.info(`📬 Scan summary: ${allMatches.length} matches`, {
+        matchCount: allMatches.length,
+        matchesByGroup: Object.fromEntries(Object.entries(matchesByGroup).map(([group, matches]) => [group, matches.length]))
+      });
       for (const [group, matches] of Object.entries(matchesByGroup)) {
-        console.log(`    ${group}: ${matches.length} matches`);
-        matches.forEach(match => {
-          console.log(`      - "${match.matchedKeyword}" in "${match.text.substring(0, 40)}..."`);
-        });
+        log.info(`  ${group}: ${matches.length} matches - ${matches.map(match => `"${match.matchedKeyword}" in "${match.text.substring(0, 40)}..."`).join(', ')}`);
       }
       
-      sendBatchedNotifications(allMatches);
+      await notifyMatches(allMatches);
     } else {
-      console.log(`\n😴 No matches found in this scan cycle`);
+      log.info('😴 No matches found in this scan cycle', { matchCount: 0 });
     }
     
     // Log scan completion
     const duration = Date.now() - startTime;
     lastScanTime = new Date();
-    console.log(`✅ Scan completed in ${Math.round(duration / 1000)} seconds`);
+    log.info(`✅ Scan completed in ${Math.round(duration / 1000)} seconds`, {
+      durationMs: duration,
+      groupsScanned,
+      groupsSkipped,
+      matchCount: allMatches.length,
+      errorCount: scanErrors.length
+    });
     
     // Show error summary if any
     if (scanErrors.length > 0) {
-      console.log(`\n⚠️ Errors encountered during scan:`);
-      scanErrors.forEach(err => console.log(`  - ${err}`));
+      log.warn(`⚠️ Errors encountered during scan:\n${scanErrors.map(err => `  - ${err}`).join('\n')}`, { errors: scanErrors });
     }
     
     // Reset scan state after successful completion
@@ -1136,21 +828,282 @@ async function scanAllGroups() {
     await saveScanState();
     
   } catch (error) {
-    console.error('❌ Error during scan cycle:', error);
+    log.error('❌ Error during scan cycle', { error });
     scanErrors.push(`Scan cycle error: ${error.message}`);
   } finally {
     isScanning = false;
     currentScanProgress = null;
+    scheduleNextScan();
+    
+    if (scanRunId !== null) {
+      try {
+        recordScanEnd(scanRunId, {
+          durationMs: Date.now() - startTime,
+          groupsScanned,
+          groupsSkipped,
+          matchCount: allMatches.length,
+          errors: scanErrors
+        });
+      } catch (error) {
+        log.error('❌ Failed to record scan end', { error });
+      }
+    }
   }
   
   return allMatches;
 }
 
+// Report a spent action budget - logged for every scan it stops, alerted once until budget is available again
+function reportSpentBudget(budget, groupsLeft) {
+  const message = `Action budget spent: ${describeBudget(budget)}. ${groupsLeft} groups wait until ${budget.freesAt.toLocaleTimeString()}`;
+  log.warn(`⛽ ${message}`, { action: budget.action, window: budget.window, freesAt: budget.freesAt.toISOString(), groupsLeft });
+  scanErrors.push(message);
+  
+  const key = `${budget.action}.${budget.window}`;
+  if (alertedBudget === key) return;
+  alertedBudget = key;
+  sendAlert('Action budget spent', `${message}. Scanning resumes then; raise ACTION_BUDGETS in the config to allow more.`)
+    .catch(error => log.warn('⚠️ Failed to send the action budget alert', { error }));
+}
+
+// Give every match the groups it appeared in - copies from other groups may have been folded in since it was found
+function withGroups(matches) {
+  try {
+    const groups = getMatchGroups(matches.map(match => match.id).filter(Boolean));
+    return matches.map(match => ({ ...match, groups: groups.get(match.id) || [match.groupName] }));
+  } catch (error) {
+    log.error('❌ Failed to read the groups of matches', { error });
+    return matches;
+  }
+}
+
+// Send match notifications, or hold them while quiet hours hold notifications back
+async function notifyMatches(matches) {
+  const quietHours = quietHoursStatus();
+  if (quietHours && quietHours.active && quietHours.hold === 'notifications') {
+    heldMatches.push(...matches);
+    try {
+      holdMatchNotifications(matches.map(match => match.id).filter(Boolean));
+    } catch (error) {
+      log.error('❌ Failed to mark held notifications in the database', { error });
+    }
+    log.info(`🌙 Quiet hours - holding ${matches.length} notifications until ${quietHours.until.toLocaleTimeString()}`, { matchCount: matches.length, heldCount: heldMatches.length });
+    return;
+  }
+  await sendBatchedNotifications(withGroups(matches));
+}
+
+// Send the notifications held back during quiet hours once they are over - kept held when sending fails
+async function releaseHeldNotifications() {
+  const quietHours = quietHoursStatus();
+  if (heldMatches.length === 0 || (quietHours && quietHours.active)) return;
+  
+  const matches = heldMatches;
+  heldMatches = [];
+  log.info(`🌅 Quiet hours over - sending ${matches.length} held notifications`, { matchCount: matches.length });
+  try {
+    await sendBatchedNotifications(withGroups(matches));
+  } catch (error) {
+    heldMatches = [...matches, ...heldMatches];
+    throw error;
+  }
+  releaseMatchNotifications(matches.map(match => match.id).filter(Boolean));
+}
+
+// Set the timer for the next planned group run (or the end of quiet hours, when notifications are held)
+// Quiet hours that hold scans and spent action budgets push the wake-up back; nothing is planned while paused
+function scheduleNextScan() {
+  clearTimeout(scheduleTimer);
+  scheduleTimer = null;
+  nextScanTime = null;
+  if (isShuttingDown || isPaused) return;
+  
+  loadSchedule(SCHEDULE, SCAN_INTERVAL_MINUTES);
+  const quietHours = quietHoursStatus();
+  const spentBudget = spentActionBudget(ACTION_BUDGETS);
+  let plannedRun = nextDueTime() || new Date(Date.now() + SCAN_INTERVAL_MINUTES * 60 * 1000);
+  if (spentBudget && spentBudget.freesAt > plannedRun) plannedRun = spentBudget.freesAt;
+  nextScanTime = quietHours && quietHours.active && quietHours.hold === 'scans' && quietHours.until > plannedRun ? quietHours.until : plannedRun;
+  
+  let wakeAt = nextScanTime.getTime();
+  if (heldMatches.length > 0 && quietHours && quietHours.active) {
+    wakeAt = Math.min(wakeAt, quietHours.until.getTime());
+  }
+  const delay = Math.min(Math.max(wakeAt - Date.now(), MIN_WAKE_DELAY_MS), MAX_WAKE_DELAY_MS);
+  scheduleTimer = setTimeout(runScheduledWork, delay);
+}
+
+// Timer callback - send notifications held over quiet hours, then scan the groups that are due
+async function runScheduledWork() {
+  if (isScanning) return; // The running cycle plans the next wake-up when it ends
+  
+  try {
+    await releaseHeldNotifications();
+  } catch (error) {
+    log.error('❌ Failed to send the held notifications - retrying at the next wake-up', { error });
+  }
+  const quietHours = quietHoursStatus();
+  const scansHeld = (quietHours && quietHours.active && quietHours.hold === 'scans') || spentActionBudget(ACTION_BUDGETS);
+  const due = nextDueTime();
+  if (!isShuttingDown && !isPaused && !scansHeld && due && due.getTime() <= Date.now() + MIN_WAKE_DELAY_MS) {
+    await scanAllGroups({ dueOnly: true }); // Plans the next wake-up itself
+  } else {
+    scheduleNextScan();
+  }
+}
+
+// Snapshot of the monitor state - shared by the status command and the dashboard API
+function getStatusSnapshot() {
+  const lastRun = getLastScanRun();
+  return {
+    lastScanTime: lastScanTime ? lastScanTime.toISOString() : null,
+    nextScanTime: nextScanTime ? nextScanTime.toISOString() : null,
+    lastRun: lastRun && {
+      startedAt: lastRun.started_at,
+      finishedAt: lastRun.finished_at,
+      durationMs: lastRun.duration_ms,
+      groupsScanned: lastRun.groups_scanned,
+      groupsSkipped: lastRun.groups_skipped,
+      matchCount: lastRun.match_count,
+      errors: lastRun.errors
+    },
+    totalMatches: countMatches(),
+    todayMatches: getDailySummary(toDateKey()).totalMatches,
+    sessionMatches: sessionMatchCount,
+    messagesSeen: getSeenMessageStats().total,
+    groups: {
+      configured: TARGET_GROUPS.length,
+      discovered: discoveredGroups.length,
+      discoveryEnabled: GROUP_DISCOVERY.enabled
+    },
+    renamedChats: getRenamedChats().map(chat => ({
+      name: chat.name,
+      previousName: chat.previousNames[chat.previousNames.length - 1],
+      renamedAt: chat.renamedAt
+    })),
+    scanning: isScanning,
+    paused: isPaused,
+    currentScanProgress,
+    scanErrors: [...scanErrors],
+    selectors: getSelectorHealth(),
+    login: getLoginState(),
+    schedule: {
+      quietHours: quietHoursStatus(),
+      heldNotifications: heldMatches.length,
+      groups: getGroupSchedules()
+    },
+    pacing: {
+      profile: PACING.profile,
+      budgets: getActionBudgetUsage(ACTION_BUDGETS)
+    },
+    browser: {
+      startedAt: browserStats.startedAt ? new Date(browserStats.startedAt).toISOString() : null,
+      memoryMB: browserStats.lastSample ? browserStats.lastSample.browserMemoryMB : null,
+      heapMB: browserStats.lastSample ? browserStats.lastSample.heapMB : null,
+      sampledAt: browserStats.lastSample ? browserStats.lastSample.at : null,
+      recycles: browserStats.recycles,
+      lastRecycle: browserStats.lastRecycle
+    }
+  };
+}
+
+// Put the SENDERS lists of the config and the entries added at runtime in effect
+function reloadSenderLists() {
+  loadSenderLists(SENDERS, getSenderListEntries());
+}
+
+// Add or remove a watched or blocked sender at runtime (CLI and dashboard) - takes effect at once
+// Returns { changed, entries }; throws SenderListError for invalid entries and entries only the config file can remove
+function updateSenderList(action, { list, sender, group = null }) {
+  validateSenderEntry(list, sender);
+  const name = String(sender).trim();
+  const existing = findSenderEntry(list, name, group);
+  const scope = group ? `in "${group}"` : 'in every group';
+  let changed;
+  
+  if (action === 'add') {
+    changed = !existing && addSenderListEntry({ list, sender: name, key: senderKey(name), groupName: group });
+  } else if (action === 'remove') {
+    if (existing && existing.source === 'config') {
+      throw new SenderListError(`"${existing.sender}" is on the ${list} list in the config file - remove it from SENDERS there`);
+    }
+    changed = removeSenderListEntry({ list, key: senderKey(name), groupName: group });
+  } else {
+    throw new SenderListError(`Unknown action "${action}" (expected add or remove)`);
+  }
+  
+  reloadSenderLists();
+  if (changed) {
+    log.info(`${list === 'watch' ? '👀' : '🚫'} ${action === 'add' ? 'Added' : 'Removed'} ${name} ${action === 'add' ? 'to' : 'from'} the ${list} list ${scope}`, { list, sender: name, group });
+  }
+  return { changed, entries: describeSenderLists() };
+}
+
+// Parse the arguments of the watch and block commands: add|remove <sender> [--group "Name"]
+function parseSenderArgs(args) {
+  const [action = '', ...rest] = args;
+  const groupIndex = rest.indexOf('--group');
+  if (groupIndex !== -1 && !rest[groupIndex + 1]) throw new SenderListError('--group needs a group name');
+  return {
+    action: action.toLowerCase(),
+    sender: (groupIndex === -1 ? rest : rest.slice(0, groupIndex)).join(' '),
+    group: groupIndex === -1 ? null : rest[groupIndex + 1]
+  };
+}
+
+// Print the watched and blocked senders
+function printSenderLists() {
+  const entries = describeSenderLists();
+  if (entries.length === 0) {
+    console.log('ℹ️ No watched or blocked senders (see SENDERS in the config, or the watch and block commands)');
+    return;
+  }
+  console.log(`\n👥 Sender lists (${entries.length}):`);
+  for (const entry of entries) {
+    console.log(`  ${entry.list === 'watch' ? '👀 watch' : '🚫 block'} ${entry.sender} - ${entry.group ? `in "${entry.group}"` : 'every group'}${entry.source === 'config' ? ' (config)' : ''}`);
+  }
+  console.log();
+}
+
+// Pause automatic and manual scans (a scan in progress stops after its current batch)
+function pauseScanning() {
+  isPaused = true;
+  scheduleNextScan(); // Clears the timer
+  log.info('⏸️ Scanning paused');
+}
+
+// Resume scanning
+function resumeScanning() {
+  isPaused = false;
+  scheduleNextScan();
+  log.info('▶️ Scanning resumed');
+}
+
+// Start a scan in the background unless one is running or scanning is paused - returns { started, reason }
+function triggerScan() {
+  if (isPaused) {
+    return { started: false, reason: 'Scanning is paused. Resume first.' };
+  }
+  if (isScanning) {
+    return { started: false, reason: 'Scan already in progress' };
+  }
+  
+  log.info('🔄 Starting manual scan...');
+  scanAllGroups().catch(error => log.error('❌ Manual scan failed', { error }));
+  return { started: true };
+}
+
 // Setup CLI command interface
 function setupCLI() {
   console.log('\n📟 WhatsApp Monitor CLI Commands:');
   console.log('  scan    - Trigger immediate scan');
   console.log('  status  - Show current status');
+  console.log('  discover - List chats and the groups selected by GROUP_DISCOVERY');
+  console.log('  analytics [weeks] - Match trends, top senders and activity heatmap (default 8 weeks)');
+  console.log('  export [csv|jsonl|md] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--group "Name"] [--keyword K] [--sender "Name"] [--out file]');
+  console.log('  watch add|remove "Sender" [--group "Name"] - Flag every message of a sender');
+  console.log('  block add|remove "Sender" [--group "Name"] - Never match messages of a sender');
+  console.log('  senders - List watched and blocked senders');
   console.log('  pause   - Pause scanning');
   console.log('  resume  - Resume scanning');
   console.log('  quit    - Exit application');
@@ -1159,42 +1112,148 @@ function setupCLI() {
   // Setup stdin for CLI commands
   process.stdin.setEncoding('utf8');
   process.stdin.on('data', async (input) => {
-    const command = input.trim().toLowerCase();
+    const [word = '', ...args] = splitCommandLine(input.trim());
+    const command = word.toLowerCase();
     
     switch (command) {
-      case 'scan':
-        if (isPaused) {
-          console.log('⚠️ Scanning is paused. Use "resume" first.');
-        } else if (isScanning) {
-          console.log('⚠️ Scan already in progress...');
-        } else {
-          console.log('🔄 Starting manual scan...');
-          await scanAllGroups();
+      case 'scan': {
+        const result = triggerScan();
+        if (!result.started) {
+          console.log(`⚠️ ${result.reason}`);
         }
         break;
+      }
         
-      case 'status':
+      case 'status': {
+        const status = getStatusSnapshot();
         console.log('\n📊 WhatsApp Monitor Status:');
         console.log(`  Last scan: ${lastScanTime ? lastScanTime.toLocaleString() : 'Never'}`);
-        console.log(`  Total matches (all time): ${totalMatchesAllTime}`);
-        console.log(`  Today's matches: ${dailySummary.totalMatches}`);
-        console.log(`  Active groups: ${TARGET_GROUPS.length}`);
-        console.log(`  Scanning: ${isScanning ? 'Yes' : 'No'}`);
-        console.log(`  Paused: ${isPaused ? 'Yes' : 'No'}`);
-        if (currentScanProgress) {
-          console.log(`  Current progress: ${currentScanProgress}`);
+        if (status.lastRun) {
+          console.log(`  Last scan duration: ${Math.round(status.lastRun.durationMs / 1000)}s, ${status.lastRun.groupsScanned} groups, ${status.lastRun.errors.length} errors`);
+          console.log(`  Skipped as unchanged: ${status.lastRun.groupsSkipped} groups`);
+        }
+        console.log(`  Total matches (all time): ${status.totalMatches}`);
+        console.log(`  Today's matches: ${status.todayMatches}`);
+        console.log(`  Matches this session: ${status.sessionMatches}`);
+        console.log(`  Messages seen: ${status.messagesSeen}`);
+        console.log(`  Active groups: ${status.groups.configured} configured${status.groups.discoveryEnabled ? `, ${status.groups.discovered} discovered` : ''}`);
+        for (const chat of status.renamedChats) {
+          console.log(`  Renamed: "${chat.previousName}" → "${chat.name}" (${new Date(chat.renamedAt).toLocaleString()})`);
+        }
+        if (status.login.state !== 'logged-in') {
+          console.log(`  Login: ${status.login.state}${status.login.qrUpdatedAt ? ` (QR code from ${new Date(status.login.qrUpdatedAt).toLocaleTimeString()})` : ''}`);
+        }
+        if (status.browser.startedAt) {
+          const memory = [status.browser.memoryMB !== null && `${status.browser.memoryMB} MB`, status.browser.heapMB !== null && `heap ${status.browser.heapMB} MB`].filter(Boolean);
+          console.log(`  Browser: up ${Math.round((Date.now() - Date.parse(status.browser.startedAt)) / 60000)} min${memory.length > 0 ? `, ${memory.join(', ')}` : ''}, recycled ${status.browser.recycles} times${status.browser.lastRecycle ? ` (last: ${status.browser.lastRecycle.reason})` : ''}`);
+        }
+        console.log(`  Scanning: ${status.scanning ? 'Yes' : 'No'}`);
+        console.log(`  Paused: ${status.paused ? 'Yes' : 'No'}`);
+        if (status.currentScanProgress) {
+          console.log(`  Current progress: ${status.currentScanProgress}`);
+        }
+        for (const selector of status.selectors.filter(entry => entry.broken || entry.fallback)) {
+          console.log(`  Selector ${selector.element}: ${selector.broken ? '❌ broken' : `🩹 fallback ${selector.active}`}`);
+        }
+        if (nextScanTime && !status.paused) {
+          console.log(`  Next scan: ${nextScanTime.toLocaleString()}`);
+        }
+        if (status.schedule.quietHours) {
+          const { quietHours, heldNotifications } = status.schedule;
+          console.log(`  Quiet hours: ${quietHours.window}, holding ${quietHours.hold}${quietHours.active ? ` - active until ${quietHours.until.toLocaleTimeString()}` : ''}${heldNotifications > 0 ? `, ${heldNotifications} notifications held` : ''}`);
+        }
+        if (status.schedule.groups.length > 0) {
+          console.log('  Next run per group:');
+          for (const run of status.schedule.groups) {
+            const when = run.nextRunAt <= new Date() ? 'due now' : run.nextRunAt.toLocaleString();
+            console.log(`    ${run.groupName}: ${status.paused ? 'paused' : when} (${run.schedule})`);
+          }
+        }
+        console.log(`  Pacing: ${status.pacing.profile}${status.pacing.budgets.length > 0 ? ` - ${status.pacing.budgets.map(budget => `${budget.used}/${budget.limit} ${budget.action} ${budget.window}`).join(', ')}` : ''}`);
+        if (dashboard) {
+          console.log(`  Dashboard: ${dashboard.url}`);
         }
         console.log();
         break;
+      }
+        
+      case 'discover':
+        if (isScanning) {
+          console.log('⚠️ Scan in progress, try again when it finishes');
+        } else {
+          // Holds scans off the page while the chat list is read
+          isScanning = true;
+          try {
+            const chats = await discoverGroups();
+            console.log(`\n🧭 Chats (${chats.length}):`);
+            for (const chat of chats) {
+              const selected = discoveredGroups.includes(chat.name) ? '✅' : '  ';
+              console.log(`  ${selected} ${chat.name}${chat.archived ? ' (archived)' : ''}`);
+            }
+            console.log(GROUP_DISCOVERY.enabled ? '' : '\nℹ️ GROUP_DISCOVERY is disabled - selected groups are not scanned\n');
+          } catch (error) {
+            log.error('❌ Discovery failed', { error });
+          } finally {
+            isScanning = false;
+            scheduleNextScan(); // A wake-up skipped while discovery ran is planned again
+          }
+        }
+        break;
+        
+      case 'analytics': {
+        const weeks = args[0] ? Number.parseInt(args[0], 10) : 8;
+        if (!Number.isInteger(weeks) || weeks < 2) {
+          console.log('⚠️ Usage: analytics [weeks] (2 or more weeks)');
+          break;
+        }
+        try {
+          const report = runAnalytics({ weeks });
+          console.log(`\n${formatAnalyticsText(report)}`);
+          console.log(`\n📄 HTML report written to ${await writeAnalyticsReport(report, REPORTS_DIR)}\n`);
+        } catch (error) {
+          log.error('❌ Analytics failed', { error });
+        }
+        break;
+      }
+        
+      case 'export':
+        try {
+          const { filePath, count } = await writeMatchExport(parseExportArgs(args), REPORTS_DIR);
+          console.log(`📤 Exported ${count} matches to ${filePath}`);
+        } catch (error) {
+          if (error instanceof ExportOptionsError) {
+            console.log(`⚠️ ${error.message}`);
+          } else {
+            log.error('❌ Export failed', { error });
+          }
+        }
+        break;
+        
+      case 'watch':
+      case 'block':
+        try {
+          const { action, sender, group } = parseSenderArgs(args);
+          const { changed } = updateSenderList(action, { list: command, sender, group });
+          if (!changed) console.log(`ℹ️ ${sender} is ${action === 'add' ? 'already' : 'not'} on the ${command} list ${group ? `of "${group}"` : 'for every group'}`);
+        } catch (error) {
+          if (error instanceof SenderListError) {
+            console.log(`⚠️ ${error.message}. Usage: ${command} add|remove "Sender" [--group "Name"]`);
+          } else {
+            log.error(`❌ Updating the ${command} list failed`, { error });
+          }
+        }
+        break;
+        
+      case 'senders':
+        printSenderLists();
+        break;
         
       case 'pause':
-        isPaused = true;
-        console.log('⏸️ Scanning paused');
+        pauseScanning();
         break;
         
       case 'resume':
-        isPaused = false;
-        console.log('▶️ Scanning resumed');
+        resumeScanning();
         break;
         
       case 'quit':
@@ -1222,36 +1281,60 @@ async function runMonitoringLoop() {
   setupCLI();
   
   // Display welcome message
-  console.log('\n🎯 WhatsApp Keyword Monitor v1.0');
-  console.log('================================');
-  console.log(`📱 Monitoring ${TARGET_GROUPS.length} groups`);
-  console.log(`🔍 Keywords: ${KEYWORDS.join(', ')}`);
-  console.log(`⏱️ Scan interval: ${SCAN_INTERVAL_MINUTES} minutes`);
-  console.log('================================\n');
+  log.info('🎯 WhatsApp Keyword Monitor v1.0');
+  log.info(`📱 Monitoring ${TARGET_GROUPS.length} groups`);
+  log.info(`🔍 Keywords: ${getKeywordRules().map(rule => rule.name).join(', ')}`);
+  loadSchedule(SCHEDULE, SCAN_INTERVAL_MINUTES);
+  log.info(`⏱️ Schedule: ${describeSchedule()}`);
   
-  // Run initial scan on startup
-  console.log('🚀 Running initial scan on startup...');
+  // Run initial scan on startup - every group, after which each follows its own schedule
+  log.info('🚀 Running initial scan on startup...');
   await scanAllGroups();
   
-  // Set up interval for periodic scans
-  const scanInterval = SCAN_INTERVAL_MINUTES * 60 * 1000; // Convert to milliseconds
-  console.log(`\n⏰ Scheduled scans every ${SCAN_INTERVAL_MINUTES} minutes`);
+  if (nextScanTime) {
+    log.info(`⏰ Next scheduled scan at ${nextScanTime.toLocaleTimeString()}`);
+  }
   console.log('💡 Type "help" for available commands\n');
   
-  // Schedule periodic scans
-  const intervalId = setInterval(async () => {
-    if (!isShuttingDown && !isPaused) {
-      await scanAllGroups();
-    }
-  }, scanInterval);
-  
   // Keep the process running
   while (!isShuttingDown) {
     await new Promise(resolve => setTimeout(resolve, 60000)); // Check every minute
   }
   
-  // Clear interval on shutdown
-  clearInterval(intervalId);
+  // Stop scheduling on shutdown
+  clearTimeout(scheduleTimer);
+  clearTimeout(digestTimer);
+}
+
+// Alert the notification channels about a newly broken selector (once until one of its candidates works again)
+function reportBrokenSelector(error) {
+  log.error(`🚨 ${error.message}`, { element: error.element, candidates: error.candidates });
+  sendAlert('Selector broken', `WhatsApp Web no longer matches the "${error.element}" selector. Tried: ${error.candidates.join(' | ')}. Add a working selector to SELECTORS.${error.element} in the config.`)
+    .catch(alertError => log.warn('⚠️ Failed to send the broken selector alert', { error: alertError }));
+}
+
+// Start the local dashboard and REST API (a port already in use only disables the dashboard)
+async function startDashboardServer() {
+  if (!DASHBOARD.enabled) return;
+  
+  try {
+    dashboard = await startDashboard({
+      port: DASHBOARD.port,
+      host: DASHBOARD.host,
+      controller: {
+        getStatus: getStatusSnapshot,
+        getLoginQr,
+        pause: pauseScanning,
+        resume: resumeScanning,
+        triggerScan,
+        getSenders: describeSenderLists,
+        updateSenders: updateSenderList
+      }
+    });
+    log.info(`🖥️ Dashboard running at ${dashboard.url}`);
+  } catch (error) {
+    log.warn(`⚠️ Dashboard could not start on ${DASHBOARD.host}:${DASHBOARD.port}`, { error });
+  }
 }
 
 // Main application loop - initializes browser and monitors groups continuously
@@ -1259,6 +1342,39 @@ async function startMonitoring() {
   let retryCount = 0;
   const maxRetries = 3;
   
+  // Log to the configured console format and file from here on
+  configureLogger(LOGGING);
+  
+  // Alert as soon as WhatsApp Web no longer matches any candidate of an element
+  onSelectorBroken(reportBrokenSelector);
+  
+  // Fail fast on invalid keyword rules before launching the browser
+  getKeywordRules();
+  
+  // Open the database and notification channels before anything can produce matches
+  initStorage(DATABASE_PATH);
+  initNotifications(NOTIFICATION_CHANNELS);
+  
+  // Notifications still held by quiet hours when the monitor stopped go out when they end
+  heldMatches = getHeldMatches();
+  if (heldMatches.length > 0) {
+    log.info(`🌙 ${heldMatches.length} notifications held from the last run`, { heldCount: heldMatches.length });
+  }
+  
+  // Action budgets count the searches and chat opens of earlier runs too
+  restoreActionHistory(getActionsSince(Date.now() - 24 * 60 * 60 * 1000));
+  onActionSpent((action, at) => recordAction(action, at));
+  reloadSenderLists();
+  watchConfig();
+  await startDashboardServer();
+  
+  // Digests missed while the monitor was down go out now, as catch-ups
+  await checkDigests();
+  const lastRun = getLastScanRun();
+  if (lastRun) {
+    lastScanTime = new Date(lastRun.finished_at);
+  }
+  
   while (!isShuttingDown && retryCount < maxRetries) {
     try {
       await initBrowser();
@@ -1270,22 +1386,22 @@ async function startMonitoring() {
       break;
       
     } catch (error) {
-      console.error('❌ Monitor crashed:', error);
+      log.error('❌ Monitor crashed', { error });
       retryCount++;
       
       // Browser crash recovery
       if (browser && !browser.isConnected()) {
-        console.log('🔧 Browser disconnected, attempting recovery...');
+        log.info('🔧 Browser disconnected, attempting recovery...');
         browser = null;
         page = null;
       }
       
       if (retryCount < maxRetries) {
         const backoffDelay = 5000 * Math.pow(2, retryCount - 1);
-        console.log(`🔄 Attempting restart (${retryCount}/${maxRetries}) in ${backoffDelay / 1000}s...`);
+        log.info(`🔄 Attempting restart (${retryCount}/${maxRetries}) in ${backoffDelay / 1000}s...`);
         await new Promise(resolve => setTimeout(resolve, backoffDelay));
       } else {
-        console.error('❌ Max retries reached. Exiting...');
+        log.error('❌ Max retries reached. Exiting...');
         
         // Final cleanup attempt
         await gracefulShutdown('MAX_RETRIES_REACHED');
@@ -1299,26 +1415,28 @@ async function enhancedShutdown(signal) {
   if (isShuttingDown) return;
   
   isShuttingDown = true;
-  console.log(`\n📴 Received ${signal}, shutting down gracefully...`);
+  log.info(`📴 Received ${signal}, shutting down gracefully...`);
   
   // Show final summary
-  console.log('\n📊 Session Summary:');
-  console.log(`  Total matches found: ${totalMatchesAllTime}`);
-  console.log(`  Last scan: ${lastScanTime ? lastScanTime.toLocaleString() : 'Never completed'}`);
-  console.log(`  Session duration: ${Math.round((Date.now() - (scanState.scanStartTime || Date.now())) / 60000)} minutes`);
+  log.info([
+    '📊 Session Summary:',
+    `  Total matches found: ${sessionMatchCount}`,
+    `  Last scan: ${lastScanTime ? lastScanTime.toLocaleString() : 'Never completed'}`,
+    `  Session duration: ${Math.round((Date.now() - (scanState.scanStartTime || Date.now())) / 60000)} minutes`
+  ].join('\n'), { sessionMatches: sessionMatchCount });
   
   if (scanErrors.length > 0) {
-    console.log(`\n⚠️ Errors encountered (${scanErrors.length}):`);
-    scanErrors.slice(-5).forEach(err => console.log(`  - ${err}`));
+    log.warn(`⚠️ Errors encountered (${scanErrors.length}):\n${scanErrors.slice(-5).map(err => `  - ${err}`).join('\n')}`);
   }
   
-  // Write final daily summary if needed
-  if (dailySummary.totalMatches > 0) {
-    await writeDailySummary();
-  }
+  // Matches stay in the database - a digest missed by this shutdown goes out as a catch-up at the next start
   
   // Save final state
   await saveScanState();
+  unwatchConfig();
+  if (dashboard) await dashboard.close();
+  closeStorage();
+  closeNotifications();
   
   try {
     if (page) {
@@ -1329,11 +1447,11 @@ async function enhancedShutdown(signal) {
       await browser.close();
     }
     
-    console.log('\n✅ WhatsApp Monitor stopped successfully');
-    console.log('📁 Check logs/whatsapp_matches.txt for all matches');
+    log.info('✅ WhatsApp Monitor stopped successfully');
+    log.info('📁 Check logs/whatsapp_matches.txt or the match database for all matches');
     process.exit(0);
   } catch (error) {
-    console.error('❌ Error during shutdown:', error);
+    log.error('❌ Error during shutdown', { error });
     process.exit(1);
   }
 }
@@ -1347,7 +1465,7 @@ console.clear();
 console.log('🚀 Starting WhatsApp Monitor...\n');
 
 startMonitoring().catch(error => {
-  console.error('💥 Fatal error:', error);
+  log.error('💥 Fatal error', { error });
   process.exit(1);
 });
 
@@ -0,0 +1,170 @@
+// Keyword matching - Finds keyword matches in extracted messages, skips already processed ones and folds copies of
+// a match posted in other groups into it
+
+import { log, isLevelEnabled } from './logger.js'; // Levelled logging
+import { isMessageSeen, markMessageSeen, getSeenMessageStats, getMatchesSentBetween, addMatchCopy } from './storage.js'; // SQLite persistence
+import { compileRules, matchRule } from './keyword-rules.js'; // Keyword rule language
+import { checkSender } from './sender-lists.js'; // Watched and blocked senders
+import { findOriginal } from './message-fingerprint.js'; // Cross-posted and forwarded copies
+import { KEYWORDS, FUZZY_MATCHING, DUPLICATES } from './config-loader.js';
+
+// Compiled KEYWORDS rules (recompiled if the KEYWORDS array or fuzzy settings are replaced)
+let compiledRules = null;
+let compiledFrom = null;
+let compiledFuzzy = null;
+
+// Get compiled rules for the current KEYWORDS, compiling on first use
+export function getKeywordRules(keywords = KEYWORDS, fuzzy = FUZZY_MATCHING) {
+  if (compiledFrom !== keywords || compiledFuzzy !== fuzzy) {
+    compiledRules = compileRules(keywords, { fuzzy });
+    compiledFrom = keywords;
+    compiledFuzzy = fuzzy;
+  }
+  return compiledRules;
+}
+
+// Debug: Function to analyze processed messages
+export function analyzeProcessedMessages() {
+  if (!isLevelEnabled('debug')) return;
+  
+  const stats = getSeenMessageStats();
+  const byGroup = Object.fromEntries(stats.byGroup.map(({ group_name: group, count }) => [group, count]));
+  log.debug(`📊 Processed messages: ${stats.total} (${Object.entries(byGroup).map(([group, count]) => `${group}: ${count}`).join(', ')})`, {
+    seenTotal: stats.total,
+    seenByGroup: byGroup
+  });
+}
+
+// Generate unique message ID for deduplication
+export function generateMessageId(groupName, sender, text, timestamp) {
+  return `${groupName}-${sender}-${timestamp}-${text.substring(0, 50)}`;
+}
+
+// Send time part of a message ID - only what stays the same at every scan of the message
+// A time-only time gets its date from the scan day, so only the time of day is kept; a scan-time fallback is left out
+export function messageTimeKey(message) {
+  if (message.timestampSource === 'scan') return '';
+  if (message.timestampSource === 'time-only') return new Date(message.timestamp).toTimeString().slice(0, 8);
+  return message.timestamp;
+}
+
+// A time-only message ID has no day, so it counts as seen for a day only - the same text at the same time on a later
+// day is a new message
+const TIME_ONLY_SEEN_MS = 24 * 60 * 60 * 1000;
+
+// Keyword of matches made only because the sender is watched
+export const WATCHED_SENDER_KEYWORD = 'watched sender';
+
+// Fold a match into the stored match it copies (same message cross-posted or forwarded from another group)
+// Returns true when it was folded, so it is not reported again
+function foldCopy(match) {
+  if (!DUPLICATES.enabled) return false;
+  const time = new Date(match.timestamp).getTime();
+  const window = DUPLICATES.windowHours * 60 * 60 * 1000;
+  const original = findOriginal(match, getMatchesSentBetween(new Date(time - window), new Date(time + window)), DUPLICATES);
+  if (!original) return false;
+
+  addMatchCopy(original.id, { ...match, similarity: original.similarity });
+  log.info(`🔁 Copy of match #${original.id} from ${original.groupName}${match.forwarded ? ' (forwarded)' : ''}: "${match.matchedKeyword}" in ${match.groupName}`, {
+    keyword: match.matchedKeyword,
+    originalId: original.id,
+    similarity: Math.round(original.similarity * 100) / 100,
+    messageId: match.messageId
+  });
+  return true;
+}
+
+// Check messages against the keyword rules (plain keywords match on word boundaries)
+// Messages of blocked senders never match; a message of a watched sender matches even without a keyword
+export function findKeywordMatches(messages) {
+  const matches = [];
+  const rules = getKeywordRules();
+  
+  log.debug(`🔍 findKeywordMatches: Processing ${messages.length} messages`, { messageCount: messages.length });
+  log.debug(`🔍 Keywords to search: ${rules.map(rule => rule.name).join(', ')}`);
+  
+  for (const message of messages) {
+    let messageHasMatch = false;
+    
+    const senderEntry = checkSender(message.sender, message.groupName);
+    if (senderEntry && senderEntry.list === 'block') {
+      log.debug(`🚫 Skip blocked sender: ${message.sender} in ${message.groupName}`, { sender: message.sender, group: message.groupName });
+      continue;
+    }
+    
+    const messageId = generateMessageId(message.groupName, message.sender, message.text, messageTimeKey(message));
+    const seenSince = message.timestampSource === 'time-only' ? Date.now() - TIME_ONLY_SEEN_MS : null;
+    
+    for (const rule of rules) {
+      const keyword = rule.name;
+      
+      if (isLevelEnabled('trace')) {
+        log.trace(`Testing rule "${rule.query}" (${rule.mode}${rule.caseSensitive ? ', case-sensitive' : ''}${rule.fuzzy ? ', fuzzy' : ''}) against: "${message.text.substring(0, 50)}..."`);
+      }
+      
+      const ruleMatch = matchRule(rule, message.text, message.urls);
+      if (ruleMatch) {
+        // Skip if already processed (in this or any previous run)
+        if (!isMessageSeen(messageId, seenSince)) {
+          markMessageSeen(messageId, message.groupName);
+          messageHasMatch = true;
+          
+          const match = {
+            ...message,
+            matchedKeyword: keyword,
+            matchedRule: ruleMatch.query,
+            matchSpans: ruleMatch.spans,
+            matchScore: ruleMatch.score,
+            fuzzy: ruleMatch.fuzzy,
+            messageId
+          };
+          if (foldCopy(match)) continue;
+          matches.push(match);
+          
+          log.info(`✅ ${ruleMatch.fuzzy ? `Fuzzy match (score ${ruleMatch.score})` : 'Match'} found: "${keyword}" in "${message.text.substring(0, 50)}..." from ${message.groupName}`, {
+            keyword,
+            rule: ruleMatch.query,
+            score: ruleMatch.score,
+            messageId
+          });
+        } else {
+          log.debug(`⏭️ Skip duplicate: "${keyword}" in "${message.text.substring(0, 50)}..." from ${message.groupName}`, { keyword, messageId });
+        }
+      }
+    }
+    
+    // A watched sender's message without a keyword is a match of its own
+    if (!messageHasMatch && senderEntry && !isMessageSeen(messageId, seenSince)) {
+      markMessageSeen(messageId, message.groupName);
+      messageHasMatch = true;
+      const match = {
+        ...message,
+        matchedKeyword: WATCHED_SENDER_KEYWORD,
+        matchedRule: `sender:${senderEntry.sender}`,
+        matchSpans: [],
+        matchScore: 1,
+        fuzzy: false,
+        messageId
+      };
+      if (foldCopy(match)) continue;
+      matches.push(match);
+      log.info(`👀 Watched sender: ${message.sender} in ${message.groupName}: "${message.text.substring(0, 50)}..."`, {
+        sender: message.sender,
+        group: message.groupName,
+        messageId
+      });
+    }
+    
+    // Log messages that didn't match any keywords (only first few to avoid spam)
+    if (!messageHasMatch && matches.length < 5) {
+      log.debug(`❌ No match: "${message.text.substring(0, 50)}..." from ${message.groupName}`);
+    }
+  }
+  
+  log.debug(`📊 findKeywordMatches: Found ${matches.length} total matches`, { matchCount: matches.length });
+  
+  // Debug: Analyze processed messages
+  analyzeProcessedMessages();
+  
+  return matches;
+}
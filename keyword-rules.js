@@ -0,0 +1,409 @@
+// Keyword rule language - Parses KEYWORDS entries into boolean rules and evaluates them with match spans
+//
+// Syntax (plain strings without operators keep the old whole-word, case-insensitive behaviour, including the old
+// anywhere-in-a-word matching of the plain strings "insta" and "I"):
+//   voice ai                       whole-word phrase (consecutive bare words form one phrase)
+//   "ai calling"                   quoted phrase
+//   startup*  /  *insta*  /  *ops  prefix / substring / suffix wildcards
+//   /seed\s+round/i                regular expression
+//   a AND b, a OR b, NOT a, ( )    boolean operators (NOT binds tightest, then AND, then OR)
+//   startup NEAR/5 funding         both terms with at most 5 words between them (NEAR alone = NEAR/5)
+//   url:docs.google.com/forms      a link of the message on that domain (or a subdomain) and path (see message-urls.js)
+//
+// Object entries: { name, query, mode: 'word' | 'prefix' | 'substring' | 'regex' | 'url', caseSensitive, fuzzy }
+// mode 'url' reads the whole query as one url: pattern
+// fuzzy: true | false | { maxDistance, minScore } - typo-tolerant matching for whole-word terms (see fuzzy-match.js)
+
+import { FUZZY_DEFAULTS, findFuzzySpans } from './fuzzy-match.js'; // Typo-tolerant phrase search
+import { compileUrlPattern, matchesUrlPattern, findTextUrls, UrlPatternError } from './message-urls.js'; // Link patterns
+
+// Rule modes and the word boundaries they put around bare and quoted terms
+const MODE_BOUNDARIES = {
+  word: { left: true, right: true },
+  prefix: { left: true, right: false },
+  substring: { left: false, right: false }
+};
+
+const DEFAULT_NEAR_DISTANCE = 5;
+
+// Plain strings the old matcher found anywhere in a word (e.g. "insta" in "instagram") - they still do
+const LEGACY_SUBSTRING_KEYWORDS = ['insta', 'I'];
+
+// Error raised for rules that cannot be parsed, with the offending rule in the message
+export class KeywordRuleError extends Error {
+  constructor(query, message) {
+    super(`Invalid keyword rule "${query}": ${message}`);
+    this.name = 'KeywordRuleError';
+    this.query = query;
+  }
+}
+
+// Escape a literal string for use inside a RegExp
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Split a rule string into tokens (operators, parentheses, phrases, regexes and bare words)
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (char === '"') {
+      const end = query.indexOf('"', i + 1);
+      if (end === -1) throw new KeywordRuleError(query, `unterminated quote at position ${i}`);
+
+      const token = { type: 'phrase', value: query.slice(i + 1, end), leftWildcard: false, rightWildcard: false, position: i };
+      i = end + 1;
+      if (query[i] === '*') {
+        token.rightWildcard = true;
+        i++;
+      }
+      if (!token.value.trim()) throw new KeywordRuleError(query, `empty phrase at position ${token.position}`);
+      tokens.push(token);
+    } else if (char === '/') {
+      // Regex literal: /source/flags, "\/" escapes a slash inside the source
+      let end = i + 1;
+      while (end < query.length && (query[end] !== '/' || query[end - 1] === '\\')) end++;
+      if (end >= query.length) throw new KeywordRuleError(query, `unterminated regular expression at position ${i}`);
+
+      const source = query.slice(i + 1, end);
+      const flags = (query.slice(end + 1).match(/^[a-z]*/) || [''])[0];
+      tokens.push({ type: 'regex', source, flags, position: i });
+      i = end + 1 + flags.length;
+    } else {
+      let end = i;
+      while (end < query.length && !/[\s()"]/.test(query[end])) end++;
+
+      const word = query.slice(i, end);
+      const nearMatch = word.match(/^NEAR(?:\/(\d+))?$/);
+
+      if (word === 'AND' || word === 'OR' || word === 'NOT') {
+        tokens.push({ type: word, position: i });
+      } else if (word.startsWith('url:')) {
+        if (word.length === 4) throw new KeywordRuleError(query, `empty URL pattern at position ${i}`);
+        tokens.push({ type: 'url', value: word.slice(4), position: i });
+      } else if (nearMatch) {
+        tokens.push({ type: 'NEAR', distance: nearMatch[1] ? Number(nearMatch[1]) : DEFAULT_NEAR_DISTANCE, position: i });
+      } else {
+        const leftWildcard = word.startsWith('*');
+        const rightWildcard = word.length > 1 && word.endsWith('*');
+        const value = word.slice(leftWildcard ? 1 : 0, rightWildcard ? -1 : undefined);
+        if (!value) throw new KeywordRuleError(query, `empty term at position ${i}`);
+        tokens.push({ type: 'word', value, leftWildcard, rightWildcard, position: i });
+      }
+      i = end;
+    }
+  }
+
+  return tokens;
+}
+
+// Check whether a rule string uses any of the rule syntax (otherwise it is one plain phrase)
+function usesRuleSyntax(query) {
+  return /["()*]|^\/.*\/[a-z]*$|\b(AND|OR|NOT|NEAR(\/\d+)?)\b|(^|\s)url:/.test(query);
+}
+
+// Build the RegExp for a phrase term - bounded edges get \b, open edges extend the span to the whole word
+function buildTermRegex(phrase, { left, right }, caseSensitive) {
+  const trimmed = phrase.trim();
+  const body = trimmed.split(/\s+/).map(escapeRegExp).join('\\s+');
+  const startsWithWord = /^\w/.test(trimmed);
+  const endsWithWord = /\w$/.test(trimmed);
+  const leftEdge = startsWithWord ? (left ? '\\b' : '\\w*') : '';
+  const rightEdge = endsWithWord ? (right ? '\\b' : '\\w*') : '';
+  return new RegExp(`${leftEdge}${body}${rightEdge}`, caseSensitive ? 'g' : 'gi');
+}
+
+// Create a term node from a phrase, applying wildcards over the rule's default mode
+function termNode(phrase, leftWildcard, rightWildcard, rule) {
+  const defaults = MODE_BOUNDARIES[rule.mode];
+  const boundaries = {
+    left: leftWildcard ? false : defaults.left,
+    right: rightWildcard ? false : defaults.right
+  };
+  return {
+    type: 'term',
+    label: phrase,
+    regex: buildTermRegex(phrase, boundaries, rule.caseSensitive),
+    caseSensitive: rule.caseSensitive,
+    // Fuzzy matching only applies to whole-word terms - wildcards already say how loose a term is
+    fuzzy: rule.fuzzy && boundaries.left && boundaries.right ? rule.fuzzy : null
+  };
+}
+
+// Create a url term node, which matches the message's links instead of its text
+function urlNode(pattern, rule) {
+  try {
+    return { type: 'url', label: `url:${pattern}`, pattern: compileUrlPattern(pattern) };
+  } catch (error) {
+    if (error instanceof UrlPatternError) throw new KeywordRuleError(rule.query, error.message);
+    throw error;
+  }
+}
+
+// Recursive-descent parser over the token list
+function parse(tokens, rule) {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const fail = (message) => { throw new KeywordRuleError(rule.query, message); };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (peek() && peek().type === 'OR') {
+      index++;
+      node = { type: 'or', children: [node, parseAnd()] };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseNot();
+    while (peek() && peek().type === 'AND') {
+      index++;
+      node = { type: 'and', children: [node, parseNot()] };
+    }
+    return node;
+  }
+
+  function parseNot() {
+    if (peek() && peek().type === 'NOT') {
+      index++;
+      return { type: 'not', child: parseNot() };
+    }
+    return parseNear();
+  }
+
+  function parseNear() {
+    let node = parsePrimary();
+    while (peek() && peek().type === 'NEAR') {
+      const { distance } = tokens[index++];
+      node = { type: 'near', distance, children: [node, parsePrimary()] };
+    }
+    return node;
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) fail('unexpected end of rule');
+
+    if (token.type === '(') {
+      index++;
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') fail(`expected ")" for "(" at position ${token.position}`);
+      index++;
+      return node;
+    }
+
+    if (token.type === 'phrase') {
+      index++;
+      return termNode(token.value, token.leftWildcard, token.rightWildcard, rule);
+    }
+
+    if (token.type === 'url') {
+      index++;
+      return urlNode(token.value, rule);
+    }
+
+    if (token.type === 'regex') {
+      index++;
+      try {
+        const flags = new Set(token.flags.replace('g', '') + 'g');
+        if (!rule.caseSensitive) flags.add('i');
+        return { type: 'term', label: `/${token.source}/`, regex: new RegExp(token.source, [...flags].join('')) };
+      } catch (error) {
+        fail(error.message);
+      }
+    }
+
+    if (token.type === 'word') {
+      // Consecutive bare words form one phrase, e.g. voice ai AND NOT hiring
+      const words = [tokens[index++]];
+      while (peek() && peek().type === 'word' && !words[words.length - 1].rightWildcard && !peek().leftWildcard) {
+        words.push(tokens[index++]);
+      }
+      return termNode(words.map(word => word.value).join(' '), words[0].leftWildcard, words[words.length - 1].rightWildcard, rule);
+    }
+
+    fail(`unexpected "${token.type}" at position ${token.position}`);
+  }
+
+  const ast = parseOr();
+  if (index < tokens.length) fail(`unexpected "${peek().type}" at position ${peek().position}`);
+  return ast;
+}
+
+// Resolve a rule's fuzzy setting against the global default (null = exact matching only)
+function resolveFuzzy(ruleFuzzy, defaultFuzzy, query) {
+  const setting = ruleFuzzy === undefined ? defaultFuzzy : ruleFuzzy;
+  if (!setting || setting.enabled === false) return null;
+
+  const fuzzy = { ...FUZZY_DEFAULTS, ...(setting === true ? {} : setting) };
+  delete fuzzy.enabled;
+
+  if (!Number.isInteger(fuzzy.maxDistance) || fuzzy.maxDistance < 0) {
+    throw new KeywordRuleError(query, 'fuzzy "maxDistance" must be a whole number of 0 or more');
+  }
+  if (typeof fuzzy.minScore !== 'number' || fuzzy.minScore < 0 || fuzzy.minScore > 1) {
+    throw new KeywordRuleError(query, 'fuzzy "minScore" must be between 0 and 1');
+  }
+  return fuzzy;
+}
+
+// Compile one KEYWORDS entry (string or object) into a rule with an evaluable tree
+// defaults.fuzzy applies to every rule that does not set its own "fuzzy"
+export function compileRule(entry, defaults = {}) {
+  const definition = typeof entry === 'string'
+    ? { query: entry, ...(LEGACY_SUBSTRING_KEYWORDS.includes(entry) ? { mode: 'substring' } : {}) }
+    : { ...entry };
+
+  if (!definition.query || typeof definition.query !== 'string') {
+    throw new KeywordRuleError(String(definition.query), 'rule needs a non-empty "query" string');
+  }
+
+  const rule = {
+    name: definition.name || definition.query,
+    query: definition.query,
+    mode: definition.mode || 'word',
+    caseSensitive: !!definition.caseSensitive
+  };
+  rule.fuzzy = resolveFuzzy(definition.fuzzy, defaults.fuzzy, rule.query);
+
+  if (rule.mode === 'regex') {
+    try {
+      rule.ast = { type: 'term', label: rule.query, regex: new RegExp(rule.query, rule.caseSensitive ? 'g' : 'gi') };
+    } catch (error) {
+      throw new KeywordRuleError(rule.query, error.message);
+    }
+    return rule;
+  }
+
+  if (rule.mode === 'url') {
+    rule.ast = urlNode(rule.query, rule);
+    return rule;
+  }
+
+  if (!MODE_BOUNDARIES[rule.mode]) {
+    throw new KeywordRuleError(rule.query, `unknown mode "${rule.mode}" (expected word, prefix, substring, regex or url)`);
+  }
+
+  rule.ast = usesRuleSyntax(rule.query)
+    ? parse(tokenize(rule.query), rule)
+    : termNode(rule.query, false, false, rule); // Plain string: one phrase, like the old \b<keyword>\b
+
+  return rule;
+}
+
+// Compile every KEYWORDS entry, failing fast on the first invalid rule
+export function compileRules(entries, defaults = {}) {
+  return entries.map(entry => compileRule(entry, defaults));
+}
+
+// Count whitespace-separated words in a piece of text
+function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+// Words between two spans (0 when they touch or overlap)
+function wordsBetween(a, b) {
+  const [first, second] = a.start <= b.start ? [a, b] : [b, a];
+  if (second.start <= first.end) return 0;
+  return countWords(first.textSource.slice(first.end, second.start));
+}
+
+// Sort spans and drop duplicates
+function uniqueSpans(spans) {
+  const seen = new Set();
+  return spans
+    .filter(span => {
+      const key = `${span.start}:${span.end}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+// Evaluate a rule tree against text and the message's links - returns whether it matched and which spans did
+function evaluate(node, text, urls) {
+  switch (node.type) {
+    case 'term': {
+      const spans = [];
+      node.regex.lastIndex = 0;
+      for (const found of text.matchAll(node.regex)) {
+        if (!found[0]) continue; // Ignore empty regex matches
+        spans.push({ start: found.index, end: found.index + found[0].length, text: found[0], score: 1, textSource: text });
+      }
+
+      // Only look for typos when the exact term is not there
+      if (spans.length === 0 && node.fuzzy) {
+        for (const span of findFuzzySpans(text, node.label, { ...node.fuzzy, caseSensitive: node.caseSensitive })) {
+          spans.push({ ...span, textSource: text });
+        }
+      }
+      return { matched: spans.length > 0, spans };
+    }
+
+    case 'url': {
+      // Spans are the matching addresses written in the text - a link that is only an href matches without one
+      const spans = findTextUrls(text)
+        .filter(hit => matchesUrlPattern(hit.url, node.pattern))
+        .map(({ start, end }) => ({ start, end, text: text.slice(start, end), score: 1, textSource: text }));
+      return { matched: spans.length > 0 || urls.some(url => matchesUrlPattern(url, node.pattern)), spans };
+    }
+
+    case 'and': {
+      const results = node.children.map(child => evaluate(child, text, urls));
+      const matched = results.every(result => result.matched);
+      return { matched, spans: matched ? results.flatMap(result => result.spans) : [] };
+    }
+
+    case 'or': {
+      const results = node.children.map(child => evaluate(child, text, urls)).filter(result => result.matched);
+      return { matched: results.length > 0, spans: results.flatMap(result => result.spans) };
+    }
+
+    case 'not':
+      return { matched: !evaluate(node.child, text, urls).matched, spans: [] };
+
+    case 'near': {
+      const [left, right] = node.children.map(child => evaluate(child, text, urls));
+      const spans = [];
+      for (const a of left.spans) {
+        for (const b of right.spans) {
+          if (wordsBetween(a, b) <= node.distance) spans.push(a, b);
+        }
+      }
+      return { matched: spans.length > 0, spans };
+    }
+
+    default:
+      throw new Error(`Unknown rule node type: ${node.type}`);
+  }
+}
+
+// Evaluate a compiled rule against message text and links (normalised, as from extractUrls)
+// Returns null or { rule, query, score, fuzzy, spans: [{ start, end, text, score }] } - score is 1 for exact hits
+export function matchRule(rule, text, urls = []) {
+  const result = evaluate(rule.ast, text, urls);
+  if (!result.matched) return null;
+
+  const spans = uniqueSpans(result.spans).map(({ start, end, text: spanText, score }) => ({ start, end, text: spanText, score }));
+  const score = spans.reduce((lowest, span) => Math.min(lowest, span.score), 1);
+
+  return {
+    rule: rule.name,
+    query: rule.query,
+    score,
+    fuzzy: score < 1,
+    spans
+  };
+}
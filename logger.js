@@ -0,0 +1,151 @@
+// Logger - Levelled log entries for the console (readable text or JSON) and a rotating JSON-lines file
+// Every entry carries the fields of the surrounding log context (scanId, group), so one scan of one group can be traced
+
+import fs from 'fs'; // Synchronous appends keep entries in order
+import path from 'path'; // Path manipulation utilities
+import { AsyncLocalStorage } from 'async_hooks'; // Log context that follows a scan through its awaits
+
+// Levels from most to least severe
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug', 'trace'];
+
+// --debug or DEBUG=true lowers the console level to debug whatever the config says
+export const DEBUG_MODE = process.env.DEBUG === 'true' || process.argv.includes('--debug');
+
+// Console colours of the readable debug/trace lines, by category
+const COLORS = {
+  reset: '\x1b[0m',
+  SEARCH: '\x1b[34m',
+  EXTRACT: '\x1b[32m',
+  SUCCESS: '\x1b[32m',
+  ERROR: '\x1b[31m',
+  WARNING: '\x1b[33m',
+  INFO: '\x1b[36m',
+  DOM: '\x1b[35m'
+};
+
+// Current settings (LOGGING in the config) - console logging at info until configureLogger is called
+let settings = {
+  level: 'info',
+  console: 'pretty',
+  file: { enabled: false, path: './logs/monitor.jsonl', level: 'debug', maxSizeMB: 10, maxFiles: 5 }
+};
+let fileSize = null; // Bytes in the current log file, read on the first write
+
+const contextStorage = new AsyncLocalStorage();
+
+// Apply the LOGGING settings (called at startup and when the config file changes)
+export function configureLogger(options = {}) {
+  const file = { ...settings.file, ...options.file };
+  if (file.path !== settings.file.path) fileSize = null;
+  settings = { ...settings, ...options, file };
+}
+
+// Run fn with extra fields on every entry it logs, including from the async work it starts
+export function withLogContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+// Numeric rank of a level name (unknown names count as info)
+function rank(level) {
+  const index = LOG_LEVELS.indexOf(level);
+  return index === -1 ? LOG_LEVELS.indexOf('info') : index;
+}
+
+// Lowest level the console shows
+function consoleLevel() {
+  return DEBUG_MODE && rank(settings.level) < rank('debug') ? 'debug' : settings.level;
+}
+
+// Where an entry at this level goes
+function destinations(level) {
+  return {
+    toConsole: settings.console !== 'off' && rank(level) <= rank(consoleLevel()),
+    toFile: settings.file.enabled && rank(level) <= rank(settings.file.level)
+  };
+}
+
+// Check whether an entry at this level goes anywhere - guards debug work that is expensive to compute
+export function isLevelEnabled(level) {
+  const { toConsole, toFile } = destinations(level);
+  return toConsole || toFile;
+}
+
+// Errors become plain objects so JSON.stringify keeps their message and stack
+function serializeFields(fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    result[key] = value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : value;
+  }
+  return result;
+}
+
+// Readable console line - the message as before, debug/trace with a coloured [time] [CATEGORY] prefix
+function writePretty(level, message, fields) {
+  const error = Object.values(fields).find(value => value instanceof Error);
+  const detail = error ? `: ${level === 'error' ? error.stack : error.message}` : '';
+
+  if (level === 'debug' || level === 'trace') {
+    const category = fields.category || level.toUpperCase();
+    const color = COLORS[category] || COLORS.reset;
+    console.log(`${color}[${new Date().toLocaleTimeString()}] [${category}]${COLORS.reset} ${message}${detail}`);
+    if (fields.data) {
+      console.log(`${color}  └─ Data:${COLORS.reset}`, JSON.stringify(fields.data, null, 2));
+    }
+    return;
+  }
+
+  (level === 'error' ? console.error : level === 'warn' ? console.warn : console.log)(`${message}${detail}`);
+}
+
+// Rename monitor.jsonl to monitor.1.jsonl (and older ones up by one) once the file reaches maxSizeMB
+function rotateIfNeeded(filePath, incomingBytes) {
+  const { maxSizeMB, maxFiles } = settings.file;
+  if (fileSize === null) {
+    try {
+      fileSize = fs.statSync(filePath).size;
+    } catch {
+      fileSize = 0;
+    }
+  }
+  if (fileSize === 0 || fileSize + incomingBytes <= maxSizeMB * 1024 * 1024) return;
+
+  const { dir, name, ext } = path.parse(filePath);
+  const numbered = index => path.join(dir, `${name}.${index}${ext}`);
+  fs.rmSync(numbered(maxFiles), { force: true });
+  for (let index = maxFiles - 1; index >= 1; index--) {
+    if (fs.existsSync(numbered(index))) fs.renameSync(numbered(index), numbered(index + 1));
+  }
+  fs.renameSync(filePath, numbered(1));
+  fileSize = 0;
+}
+
+// Append one JSON line to the log file (a failing disk only costs the file copy of the entry)
+function writeFileEntry(line) {
+  const filePath = settings.file.path;
+  try {
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    rotateIfNeeded(filePath, Buffer.byteLength(line));
+    fs.appendFileSync(filePath, line);
+    fileSize += Buffer.byteLength(line);
+  } catch (error) {
+    console.error(`❌ Failed to write log file ${filePath}: ${error.message}`);
+  }
+}
+
+// Write one entry: { time, level, msg, ...context, ...fields }
+function write(level, message, fields = {}) {
+  const { toConsole, toFile } = destinations(level);
+  if (!toConsole && !toFile) return;
+
+  const allFields = { ...contextStorage.getStore(), ...fields };
+  const json = () => `${JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...serializeFields(allFields) })}\n`;
+
+  if (toConsole) {
+    if (settings.console === 'json') process.stdout.write(json());
+    else writePretty(level, message, allFields);
+  }
+  if (toFile) writeFileEntry(json());
+}
+
+// Level methods - log.info('🎯 Found 2 matches', { matchCount: 2 })
+export const log = Object.fromEntries(LOG_LEVELS.map(level => [level, (message, fields) => write(level, message, fields)]));
@@ -0,0 +1,68 @@
+// Login QR - Reads the modules of the WhatsApp Web QR code from its canvas pixels and draws it in the terminal
+// Used for headless logins, where there is no browser window to scan the code from
+
+// Quiet zone around the terminal code, in modules (phones need a light border to find the code)
+const QUIET_ZONE = 2;
+
+// Black on white, whatever the terminal's own colours are
+const TERMINAL_COLORS = { on: '\x1b[30;47m', reset: '\x1b[0m' };
+
+// Modules of the code in a canvas bitmap - dark is a string of '1' (dark) and '0' (light) pixels, row by row
+// Returns rows of booleans (true = dark module), or null when the bitmap does not look like a QR code
+export function sampleQrModules({ width, height, dark }) {
+  const isDark = (x, y) => dark[y * width + x] === '1';
+
+  // Bounding box of the dark pixels - the code without its quiet zone
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!isDark(x, y)) continue;
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    }
+  }
+  if (maxX < 0) return null;
+
+  // The top edge of the top-left finder pattern is 7 dark modules wide
+  let finderWidth = 0;
+  while (minX + finderWidth <= maxX && isDark(minX + finderWidth, minY)) finderWidth++;
+  if (finderWidth < 7) return null;
+
+  // Snap to a real QR size (21, 25, 29, ... modules) so blurred edges do not add a module
+  const span = maxX - minX + 1;
+  const estimate = Math.round(span / (finderWidth / 7));
+  const count = 21 + 4 * Math.round((estimate - 21) / 4);
+  if (count < 21 || Math.abs(maxY - minY + 1 - span) > span / count) return null; // Not square
+
+  const moduleSize = span / count;
+  const modules = [];
+  for (let row = 0; row < count; row++) {
+    const y = Math.min(maxY, Math.floor(minY + (row + 0.5) * moduleSize));
+    modules.push(Array.from({ length: count }, (_, column) => isDark(Math.min(maxX, Math.floor(minX + (column + 0.5) * moduleSize)), y)));
+  }
+  return modules;
+}
+
+// Terminal drawing of the modules - two module rows per text line using half blocks
+export function renderTerminalQr(modules, { colors = true } = {}) {
+  const size = modules.length + 2 * QUIET_ZONE;
+  const isDark = (row, column) => {
+    const r = row - QUIET_ZONE;
+    const c = column - QUIET_ZONE;
+    return r >= 0 && c >= 0 && r < modules.length && c < modules.length && modules[r][c];
+  };
+
+  const lines = [];
+  for (let row = 0; row < size; row += 2) {
+    let line = '';
+    for (let column = 0; column < size; column++) {
+      const top = isDark(row, column);
+      const bottom = isDark(row + 1, column);
+      line += top && bottom ? '█' : top ? '▀' : bottom ? '▄' : ' ';
+    }
+    lines.push(colors ? `${TERMINAL_COLORS.on}${line}${TERMINAL_COLORS.reset}` : line);
+  }
+  return lines.join('\n');
+}
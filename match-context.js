@@ -0,0 +1,59 @@
+// Match context - The messages around a match in its chat and the message it replies to, and their lines for
+// exports and notifications (the matched message marked, so it stands out from its context)
+
+// Longest context message kept (characters) - context is for orientation, the match itself is kept whole
+const MAX_CONTEXT_TEXT = 300;
+
+// Short form of a message for the context of another
+function brief(message) {
+  const text = message.text.length > MAX_CONTEXT_TEXT ? `${message.text.slice(0, MAX_CONTEXT_TEXT)}…` : message.text;
+  return { sender: message.sender, text, timestamp: message.timestamp, type: message.type };
+}
+
+// Give every message its context: { quoted, before: [...], after: [...] } with up to limits.before/after neighbours
+// messages is the chat in order, contextOnly ones (read only for context) included; those are left out of the result
+export function attachContext(messages, limits) {
+  const result = [];
+  messages.forEach((message, index) => {
+    if (message.contextOnly) return;
+    const { contextOnly, quoted, ...rest } = message;
+    result.push({
+      ...rest,
+      context: {
+        quoted: quoted || null,
+        before: messages.slice(Math.max(0, index - limits.before), index).map(brief),
+        after: messages.slice(index + 1, index + 1 + limits.after).map(brief)
+      }
+    });
+  });
+  return result;
+}
+
+// Whether a match (or export record) has any context to show
+export function hasContext(match) {
+  const context = match.context;
+  return !!context && (!!context.quoted || context.before.length > 0 || context.after.length > 0);
+}
+
+// The messages of a match in chat order - [{ role: 'before' | 'quoted' | 'match' | 'after', sender, text }]
+// The quoted message comes right before the match, as the reply it answers
+export function contextLines(match) {
+  const context = match.context || { quoted: null, before: [], after: [] };
+  const line = role => message => ({ role, sender: message.sender || 'Unknown', text: message.text });
+  return [
+    ...context.before.map(line('before')),
+    ...(context.quoted ? [line('quoted')(context.quoted)] : []),
+    line('match')(match),
+    ...context.after.map(line('after'))
+  ];
+}
+
+// Plain-text context: one line per message, the quoted one as "↪ in reply to", the match marked with "»"
+export function formatContextText(match) {
+  return contextLines(match).map(({ role, sender, text }) => {
+    const flat = text.replace(/\s*\n\s*/g, ' ');
+    if (role === 'match') return `» ${sender}: ${flat}`;
+    if (role === 'quoted') return `  ↪ in reply to ${sender}: ${flat}`;
+    return `  ${sender}: ${flat}`;
+  }).join('\n');
+}
@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+
+// Match export - Writes stored matches as CSV, JSON Lines or a Markdown report, filtered by date, group, keyword and sender
+// Usage: npm run export -- csv --from 2025-07-01 --to 2025-07-14 --group "Startup Founders"  (or "export ..." in the monitor)
+
+import fs from 'fs/promises'; // File system operations
+import path from 'path'; // Path manipulation utilities
+import { fileURLToPath } from 'url'; // URL to file path converter
+import { initStorage, closeStorage, getMatchesForExport, toDateKey } from './storage.js'; // SQLite persistence
+import { hasContext, contextLines, formatContextText } from './match-context.js'; // Messages around a match
+
+// Supported formats - file extension and HTTP content type
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  jsonl: { extension: 'jsonl', contentType: 'application/x-ndjson; charset=utf-8' },
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' }
+};
+
+// Other names accepted for the formats
+const FORMAT_ALIASES = { json: 'jsonl', ndjson: 'jsonl', markdown: 'md' };
+
+// Thrown for an unknown format or a filter that cannot be parsed (the API answers these with 400)
+export class ExportOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExportOptionsError';
+  }
+}
+
+// Resolve a format name or alias to a key of EXPORT_FORMATS
+export function resolveFormat(name = 'csv') {
+  const format = FORMAT_ALIASES[name.toLowerCase()] || name.toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw new ExportOptionsError(`Unknown export format "${name}" (expected csv, jsonl or md)`);
+  }
+  return format;
+}
+
+// Parse a --from/--to value - a YYYY-MM-DD date covers the whole local day, anything else must be a full date-time
+export function parseDateBound(value, { endOfDay = false } = {}) {
+  if (!value) return null;
+
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = day
+    ? new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3]), ...(endOfDay ? [23, 59, 59, 999] : [0, 0, 0, 0]))
+    : new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new ExportOptionsError(`Invalid date "${value}" (expected YYYY-MM-DD or an ISO date-time)`);
+  }
+  return date;
+}
+
+// Build storage filters from export options ({ from, to, group, keyword, sender, search } as strings)
+export function toMatchFilters({ from, to, group, keyword, sender, search } = {}) {
+  const filters = {
+    search: search || '',
+    from: parseDateBound(from),
+    until: parseDateBound(to, { endOfDay: true }),
+    group: group || null,
+    keyword: keyword || null,
+    sender: sender || null
+  };
+  if (filters.from && filters.until && filters.from > filters.until) {
+    throw new ExportOptionsError(`--from ${from} is after --to ${to}`);
+  }
+  return filters;
+}
+
+// Map a stored match row to an export record
+export function toExportRecord(row) {
+  return {
+    messageTime: row.message_time,
+    foundAt: row.created_at,
+    group: row.group_name,
+    groups: row.groups,
+    forwarded: row.forwarded,
+    sender: row.sender,
+    type: row.message_type,
+    urls: row.urls,
+    context: row.context,
+    keyword: row.keyword,
+    rule: row.rule || row.keyword,
+    score: row.score,
+    text: row.message,
+    spans: row.spans.map(({ start, end, text }) => ({ start, end, text })),
+    messageId: row.message_id
+  };
+}
+
+// Quote a CSV field when it contains a delimiter, quote or line break - a field a spreadsheet would run as a
+// formula (starting with =, +, -, @, a tab or a carriage return) is prefixed with ' so it stays text
+function csvField(value) {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Value of a CSV column - links space-separated, groups "; "-separated, context as one line per message with the
+// match marked
+function csvValue(record, column) {
+  if (column === 'urls') return (record.urls || []).join(' ');
+  if (column === 'groups') return (record.groups || [record.group]).join('; ');
+  if (column === 'context') return hasContext(record) ? formatContextText(record) : '';
+  return record[column];
+}
+
+// CSV with a header row (RFC 4180 quoting; message text kept whole, line breaks included)
+export function formatCsv(records) {
+  const columns = ['messageTime', 'group', 'groups', 'forwarded', 'sender', 'type', 'keyword', 'rule', 'score', 'text', 'urls', 'context', 'foundAt', 'messageId'];
+  const lines = [columns.join(','), ...records.map(record => columns.map(column => csvField(csvValue(record, column))).join(','))];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// One JSON object per line
+export function formatJsonLines(records) {
+  return records.map(record => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : '');
+}
+
+// Describe the filters of an export in words
+function describeFilters(options) {
+  const parts = [];
+  if (options.from || options.to) parts.push(`${options.from || 'start'} to ${options.to || 'now'}`);
+  if (options.group) parts.push(`group "${options.group}"`);
+  if (options.keyword) parts.push(`keyword "${options.keyword}"`);
+  if (options.sender) parts.push(`sender "${options.sender}"`);
+  if (options.search) parts.push(`containing "${options.search}"`);
+  return parts.length > 0 ? parts.join(', ') : 'all matches';
+}
+
+// Quote lines of a match - the message alone, or the conversation around it with the match in bold and the quoted
+// message it replies to marked "↪"
+export function markdownQuote(record) {
+  if (!hasContext(record)) return record.text.split('\n').map(line => `> ${line}`);
+  return contextLines(record).flatMap(({ role, sender, text }, index) => {
+    const lines = text.split('\n').filter(line => line.trim());
+    const quoted = role === 'match' ? [`> **${sender}:**`, ...lines.map(line => `> **${line.trim()}**`)]
+      : [`> ${role === 'quoted' ? '↪ ' : ''}${sender}: ${lines.join(' ')}`];
+    return index > 0 ? ['>', ...quoted] : quoted;
+  });
+}
+
+// Markdown report - one section per group, each match with its time, sender, type, rule, the full message as a quote
+// (in its conversation context when there is one), its links and the other groups it was posted in
+export function formatMarkdown(records, options = {}) {
+  const lines = [
+    '# WhatsApp Monitor matches',
+    '',
+    `${records.length} matches · ${describeFilters(options)} · exported ${new Date().toLocaleString()}`
+  ];
+
+  const groups = new Map();
+  for (const record of records) {
+    if (!groups.has(record.group)) groups.set(record.group, []);
+    groups.get(record.group).push(record);
+  }
+
+  for (const [group, groupRecords] of groups) {
+    lines.push('', `## ${group} (${groupRecords.length})`);
+    for (const record of groupRecords) {
+      const time = new Date(record.messageTime || record.foundAt).toLocaleString();
+      const rule = record.rule !== record.keyword ? ` (rule \`${record.rule}\`)` : '';
+      const score = record.score < 1 ? `, fuzzy ${Math.round(record.score * 100)}%` : '';
+      const type = record.type && record.type !== 'text' ? ` · ${record.type}` : '';
+      const forwarded = record.forwarded ? ' · forwarded' : '';
+      const elsewhere = (record.groups || []).filter(name => name !== record.group);
+      lines.push(
+        '',
+        `**${time}** · ${record.sender || 'Unknown'}${type}${forwarded} · \`${record.keyword}\`${rule}${score}`,
+        '',
+        ...markdownQuote(record),
+        ...(record.urls && record.urls.length > 0 ? ['', ...record.urls.map(url => `- <${url}>`)] : []),
+        ...(elsewhere.length > 0 ? ['', `Also posted in: ${elsewhere.join(', ')}`] : [])
+      );
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Query the open database and format the matches - returns { content, count, format }
+export function exportMatches(options = {}) {
+  const format = resolveFormat(options.format);
+  const records = getMatchesForExport(toMatchFilters(options)).map(toExportRecord);
+
+  const content = format === 'csv' ? formatCsv(records)
+    : format === 'jsonl' ? formatJsonLines(records)
+      : formatMarkdown(records, options);
+
+  return { content, count: records.length, format };
+}
+
+// Default file name for an export (matches-2025-07-14.csv)
+export function defaultExportPath(format, reportsDir) {
+  return path.join(reportsDir, `matches-${toDateKey()}.${EXPORT_FORMATS[format].extension}`);
+}
+
+// Export and write to a file (default: the reports folder) - returns { filePath, count }
+export async function writeMatchExport(options, reportsDir) {
+  const { content, count, format } = exportMatches(options);
+  const filePath = options.out || defaultExportPath(format, reportsDir);
+  await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+  await fs.writeFile(filePath, content);
+  return { filePath, count };
+}
+
+// Parse "[format] --from D --to D --group G --keyword K --sender S --search TEXT --out FILE" (values already split into words)
+export function parseExportArgs(args) {
+  const options = {};
+  const flags = {
+    '--from': 'from',
+    '--to': 'to',
+    '--group': 'group',
+    '--keyword': 'keyword',
+    '--sender': 'sender',
+    '--search': 'search',
+    '--out': 'out'
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const flag = flags[args[i]];
+    if (flag) {
+      if (args[i + 1] === undefined) throw new ExportOptionsError(`${args[i]} needs a value`);
+      options[flag] = args[++i];
+    } else if (!args[i].startsWith('--') && !options.format) {
+      options.format = resolveFormat(args[i]);
+    } else {
+      throw new ExportOptionsError(`Unknown export option "${args[i]}"`);
+    }
+  }
+  return options;
+}
+
+// Split a command line into words, keeping "quoted values" together
+export function splitCommandLine(line) {
+  return [...line.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(match => match[1] ?? match[2] ?? match[3]);
+}
+
+// Run standalone when executed directly
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  try {
+    const options = parseExportArgs(process.argv.slice(2));
+
+    // Loaded here so importing the export functions does not need a config file
+    const { DATABASE_PATH, REPORTS_DIR } = await import('./config-loader.js');
+    initStorage(DATABASE_PATH);
+
+    const { filePath, count } = await writeMatchExport(options, REPORTS_DIR);
+    console.log(`📤 Exported ${count} matches to ${filePath}`);
+    closeStorage();
+  } catch (error) {
+    if (!(error instanceof ExportOptionsError)) throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
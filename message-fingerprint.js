@@ -0,0 +1,63 @@
+// Message fingerprint - Content fingerprints that recognise the same announcement cross-posted or forwarded into
+// several groups (same or nearly the same text), so its copies fold into the first match instead of adding their own
+
+import { findTextUrls } from './message-urls.js'; // Links normalised without tracking parameters
+
+// Words per shingle - runs of three words survive small edits like an added greeting or a changed emoji
+const SHINGLE_WORDS = 3;
+
+// Comparable form of message text - links normalised, accents, case, punctuation, emoji and spacing ignored
+export function normalizeContent(text) {
+  let value = text || '';
+  for (const hit of findTextUrls(value).reverse()) {
+    value = `${value.slice(0, hit.start)} ${hit.url} ${value.slice(hit.end)}`;
+  }
+  return value
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Fingerprint of a message - its normalised text and the set of its word shingles
+export function fingerprint(text) {
+  const content = normalizeContent(text);
+  const words = content ? content.split(' ') : [];
+  const size = Math.min(SHINGLE_WORDS, words.length);
+  const shingles = new Set();
+  for (let i = 0; i + size <= words.length && size > 0; i++) {
+    shingles.add(words.slice(i, i + size).join(' '));
+  }
+  return { content, shingles };
+}
+
+// Similarity of two fingerprints, 0-1 (shared shingles over all shingles; 1 for the same normalised text)
+export function similarity(a, b) {
+  if (a.content === b.content) return a.content ? 1 : 0;
+  let shared = 0;
+  for (const shingle of a.shingles) {
+    if (b.shingles.has(shingle)) shared++;
+  }
+  const total = a.shingles.size + b.shingles.size - shared;
+  return total > 0 ? shared / total : 0;
+}
+
+// The earlier match a new match copies, or null - candidates are stored matches [{ id, groupName, keyword, text, time }]
+// A copy has the same keyword, comes from another group, was sent within settings.windowHours of the candidate and is
+// at least settings.similarity alike; text shorter than settings.minLength only folds when WhatsApp marked it forwarded
+export function findOriginal(match, candidates, settings) {
+  const print = fingerprint(match.text);
+  if (print.content.length < settings.minLength && !match.forwarded) return null;
+
+  const time = new Date(match.timestamp).getTime();
+  const window = settings.windowHours * 60 * 60 * 1000;
+  let best = null;
+  for (const candidate of candidates) {
+    if (candidate.groupName === match.groupName || candidate.keyword !== match.matchedKeyword) continue;
+    if (Math.abs(new Date(candidate.time).getTime() - time) > window) continue;
+    const score = similarity(print, fingerprint(candidate.text));
+    if (score >= settings.similarity && (!best || score > best.similarity)) best = { ...candidate, similarity: score };
+  }
+  return best;
+}
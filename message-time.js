@@ -0,0 +1,160 @@
+// Message time parsing - Turns WhatsApp's data-pre-plain-text prefix and date separators into real send times
+
+// Weekday names as shown on WhatsApp date separators (index matches Date.getDay())
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Month names for separators like "July 14, 2025" or "14 Jul 2025"
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Replace the narrow/no-break spaces WhatsApp puts before AM/PM with plain spaces
+function normalizeSpaces(value) {
+  return value.replace(/[\u00a0\u202f\u2009]/g, ' ').trim();
+}
+
+// Parse a time of day in 12h ("10:32 PM", "10:32 p.m.") or 24h ("22:32", "22.32") format
+export function parseTimeOfDay(value) {
+  if (!value) return null;
+
+  const match = normalizeSpaces(value).match(/^(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([ap])?\.?\s*(m\.?)?$/i);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const seconds = match[3] ? Number(match[3]) : 0;
+  const period = match[4] ? match[4].toLowerCase() : null;
+
+  if (period) {
+    if (hours < 1 || hours > 12) return null;
+    if (period === 'p' && hours !== 12) hours += 12;
+    if (period === 'a' && hours === 12) hours = 0;
+  }
+
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+  return { hours, minutes, seconds };
+}
+
+// Parse a numeric date ("14/07/2025", "7/14/25", "2025-07-14", "14.07.2025")
+// dateOrder: 'DMY', 'MDY', 'YMD' or 'auto' (auto decides from the numbers and falls back to DMY when ambiguous)
+export function parseNumericDate(value, dateOrder = 'auto') {
+  if (!value) return null;
+
+  const parts = normalizeSpaces(value).split(/[/.\-]/).map(part => part.trim());
+  if (parts.length !== 3 || parts.some(part => !/^\d+$/.test(part))) return null;
+
+  let order = dateOrder;
+  if (order === 'auto') {
+    if (parts[0].length === 4) order = 'YMD';
+    else if (Number(parts[1]) > 12) order = 'MDY';
+    else order = 'DMY';
+  }
+
+  const fields = {
+    DMY: { day: parts[0], month: parts[1], year: parts[2] },
+    MDY: { month: parts[0], day: parts[1], year: parts[2] },
+    YMD: { year: parts[0], month: parts[1], day: parts[2] }
+  }[order];
+  if (!fields) return null;
+
+  let year = Number(fields.year);
+  if (fields.year.length === 2) year += 2000;
+  const month = Number(fields.month);
+  const day = Number(fields.day);
+
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return { year, month, day };
+}
+
+// Parse a written-out date ("July 14, 2025", "14 July 2025", "Jul 14")
+function parseWrittenDate(value, now) {
+  const lower = value.toLowerCase().replace(/,/g, ' ');
+  const monthIndex = MONTHS.findIndex(month => new RegExp(`\\b${month}`).test(lower));
+  if (monthIndex === -1) return null;
+
+  const numbers = (lower.match(/\d+/g) || []).map(Number);
+  const day = numbers.find(n => n >= 1 && n <= 31);
+  const year = numbers.find(n => n > 31) || now.getFullYear();
+  if (!day) return null;
+
+  return { year, month: monthIndex + 1, day };
+}
+
+// Midnight of a date, shifted by a number of days
+function startOfDay(date, dayOffset = 0) {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  result.setDate(result.getDate() + dayOffset);
+  return result;
+}
+
+// Turn a date separator label ("TODAY", "YESTERDAY", "MONDAY", "14/07/2025", "July 14, 2025") into a day
+export function parseDateSeparator(label, { now = new Date(), dateOrder = 'auto' } = {}) {
+  if (!label) return null;
+
+  const value = normalizeSpaces(label);
+  const lower = value.toLowerCase();
+
+  if (lower === 'today') return startOfDay(now);
+  if (lower === 'yesterday') return startOfDay(now, -1);
+
+  // Weekday labels are used for the last week - pick the most recent such day before today
+  const weekday = WEEKDAYS.indexOf(lower);
+  if (weekday !== -1) {
+    const daysBack = (now.getDay() - weekday + 7) % 7 || 7;
+    return startOfDay(now, -daysBack);
+  }
+
+  const parsed = parseNumericDate(value, dateOrder) || parseWrittenDate(value, now);
+  return parsed ? new Date(parsed.year, parsed.month - 1, parsed.day) : null;
+}
+
+// Parse the data-pre-plain-text prefix "[10:32, 14/07/2025] Alice: " into time parts and a clean sender
+export function parsePrePlainText(prefix, { dateOrder = 'auto' } = {}) {
+  if (!prefix) return null;
+
+  const match = normalizeSpaces(prefix).match(/^\[([^\]]+)\]\s*(.*?):?\s*$/);
+  if (!match) return null;
+
+  // The bracket holds "time, date" - split on the first comma followed by the date
+  const [timePart, ...dateParts] = match[1].split(',');
+  const time = parseTimeOfDay(timePart);
+  const date = parseNumericDate(dateParts.join(','), dateOrder);
+  if (!time || !date) return null;
+
+  return {
+    sender: match[2].trim() || 'Unknown',
+    timestamp: new Date(date.year, date.month - 1, date.day, time.hours, time.minutes, time.seconds)
+  };
+}
+
+// Work out the send time of an extracted message from whatever the DOM offered
+// Returns { sender, timestamp: Date, timestampSource: 'message' | 'separator' | 'time-only' | 'scan' }
+export function resolveMessageTime({ prePlainText, timeText, separatorLabel, sender }, { now = new Date(), dateOrder = 'auto' } = {}) {
+  // 1. The prefix has both date and time
+  const fromPrefix = parsePrePlainText(prePlainText, { dateOrder });
+  if (fromPrefix) {
+    return { ...fromPrefix, timestampSource: 'message' };
+  }
+
+  const fallbackSender = sender || 'Unknown';
+  const time = parseTimeOfDay(timeText);
+
+  if (time) {
+    // 2. Time from the bubble, date from the separator above it
+    const day = parseDateSeparator(separatorLabel, { now, dateOrder });
+    if (day) {
+      day.setHours(time.hours, time.minutes, time.seconds, 0);
+      return { sender: fallbackSender, timestamp: day, timestampSource: 'separator' };
+    }
+
+    // 3. Time only - assume today, or yesterday if that time has not happened yet
+    const timestamp = new Date(now);
+    timestamp.setHours(time.hours, time.minutes, time.seconds, 0);
+    if (timestamp > now) {
+      timestamp.setDate(timestamp.getDate() - 1);
+    }
+    return { sender: fallbackSender, timestamp, timestampSource: 'time-only' };
+  }
+
+  // 4. Nothing usable - fall back to the scan time
+  return { sender: fallbackSender, timestamp: new Date(now), timestampSource: 'scan' };
+}
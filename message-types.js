@@ -0,0 +1,30 @@
+// Message types - The type of an extracted message (text, image, video, document, poll, link, contact, system) and
+// the text keywords are matched against, built from the parts read off its bubble in the page
+
+export const MESSAGE_TYPES = ['text', 'image', 'video', 'document', 'poll', 'link', 'contact', 'system'];
+
+// Web addresses in message text make a link message even without a preview card
+const URL_PATTERN = /\bhttps?:\/\/\S|\bwww\.\S/i;
+
+// Non-empty lines, each once, as one text
+function joinLines(...lines) {
+  return [...new Set(lines.map(line => (line || '').trim()).filter(Boolean))].join('\n');
+}
+
+// Type and matchable text of a message from its bubble parts:
+// { text (message text or caption), system, image, video, document: { fileName }, poll: { question, options },
+//   linkPreview: { text }, contact: { name } } - media without a caption gets its type and empty text
+export function classifyMessage(parts) {
+  const text = (parts.text || '').trim();
+
+  if (parts.system) return { type: 'system', text };
+  if (parts.poll) return { type: 'poll', text: joinLines(parts.poll.question, ...parts.poll.options) };
+  if (parts.document) return { type: 'document', text: joinLines(parts.document.fileName, text) };
+  if (parts.contact) return { type: 'contact', text: joinLines(parts.contact.name, text) };
+  if (parts.video) return { type: 'video', text };
+  if (parts.image) return { type: 'image', text };
+  if (parts.linkPreview || URL_PATTERN.test(text)) {
+    return { type: 'link', text: joinLines(text, parts.linkPreview && parts.linkPreview.text) };
+  }
+  return { type: 'text', text };
+}
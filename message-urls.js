@@ -0,0 +1,118 @@
+// Message URLs - Links of a message (bubble hrefs and addresses in its text), normalised and stripped of
+// tracking parameters, and the domain/path patterns of url: keyword rules
+
+// Web addresses written in message text - trailing punctuation is trimmed afterwards
+const TEXT_URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"]+/gi;
+
+// Query parameters that only track clicks (utm_* is matched by prefix)
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'ttclid', 'igshid', 'igsh',
+  'mc_cid', 'mc_eid', 'mkt_tok', '_hsenc', '_hsmi', 'ref_src', 'ref_url', 'si', 'trk', 'trackingId'
+]);
+
+// Click-through wrappers and the query parameter holding the real address
+const REDIRECTORS = {
+  'l.facebook.com': 'u',
+  'lm.facebook.com': 'u',
+  'l.instagram.com': 'u',
+  'www.google.com': 'q'
+};
+
+// Error raised for url: rule patterns that cannot be used
+export class UrlPatternError extends Error {
+  constructor(pattern, message) {
+    super(`Invalid URL pattern "${pattern}": ${message}`);
+    this.name = 'UrlPatternError';
+    this.pattern = pattern;
+  }
+}
+
+// Drop sentence punctuation after an address in text, and a closing bracket that has no opening one in it
+function trimUrlText(raw) {
+  let value = raw.replace(/[.,;:!?'"]+$/, '');
+  while (value.endsWith(')') && (value.match(/\(/g) || []).length < (value.match(/\)/g) || []).length) {
+    value = value.slice(0, -1).replace(/[.,;:!?'"]+$/, '');
+  }
+  return value;
+}
+
+// Normalised form of a link - lowercase host, no fragment, no tracking parameters, click-through wrappers undone
+// Returns null for anything that is not an http(s) address
+export function normalizeUrl(raw, depth = 0) {
+  let value = String(raw || '').trim();
+  if (/^www\./i.test(value)) value = `https://${value}`;
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+  const wrapped = REDIRECTORS[url.hostname] && url.searchParams.get(REDIRECTORS[url.hostname]);
+  if (wrapped && depth < 3 && (url.hostname !== 'www.google.com' || url.pathname === '/url')) {
+    return normalizeUrl(wrapped, depth + 1);
+  }
+
+  url.hash = '';
+  const trackers = [...url.searchParams.keys()].filter(key => key.toLowerCase().startsWith('utm_') || TRACKING_PARAMS.has(key));
+  for (const key of trackers) url.searchParams.delete(key);
+  return url.href;
+}
+
+// Addresses written in text with their positions - [{ start, end, url }] with url normalised
+export function findTextUrls(text) {
+  const found = [];
+  for (const hit of (text || '').matchAll(TEXT_URL_PATTERN)) {
+    const raw = trimUrlText(hit[0]);
+    const url = normalizeUrl(raw);
+    if (url) found.push({ start: hit.index, end: hit.index + raw.length, url });
+  }
+  return found;
+}
+
+// Every link of a message, each once - bubble hrefs first, then addresses only written in the text
+export function extractUrls(text, hrefs = []) {
+  const urls = [...hrefs.map(href => normalizeUrl(href)), ...findTextUrls(text).map(hit => hit.url)];
+  return [...new Set(urls.filter(Boolean))];
+}
+
+// Host without a leading "www."
+function bareHost(hostname) {
+  return hostname.replace(/^www\./, '');
+}
+
+// Turn a pattern piece into a RegExp source, "*" matching within one host label or path segment
+function globSource(piece, within) {
+  return piece.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join(`[^${within}]*`);
+}
+
+// Compile a url: pattern - "ycombinator.com" (the domain and its subdomains) or "docs.google.com/forms" (also the
+// path, on whole segments); "*" is a wildcard within a host label or path segment
+export function compileUrlPattern(pattern) {
+  const value = pattern.trim().replace(/^[a-z]+:\/\//i, '');
+  if (/[?#\s]/.test(value)) throw new UrlPatternError(pattern, 'only a domain and a path can be matched');
+
+  const slash = value.indexOf('/');
+  const host = bareHost((slash === -1 ? value : value.slice(0, slash)).toLowerCase()).replace(/^\*\./, '');
+  const path = slash === -1 ? '' : value.slice(slash).replace(/\/+$/, '');
+  if (!/^[a-z0-9*-]+(\.[a-z0-9*-]+)*$/.test(host)) throw new UrlPatternError(pattern, 'expected a domain such as example.com');
+
+  return {
+    pattern,
+    host: new RegExp(`(^|\\.)${globSource(host, '.')}$`),
+    path: path ? new RegExp(`^${globSource(path, '/')}(/|$)`, 'i') : null
+  };
+}
+
+// Check a normalised URL against a compiled url: pattern
+export function matchesUrlPattern(url, compiled) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  return compiled.host.test(bareHost(parsed.hostname)) && (!compiled.path || compiled.path.test(parsed.pathname));
+}
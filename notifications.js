@@ -0,0 +1,369 @@
+// Notification channels - Delivers batched match notifications via desktop, Slack, email (SMTP) and HTTP push
+
+import notifier from 'node-notifier'; // macOS desktop notifications
+import nodemailer from 'nodemailer'; // SMTP email delivery
+import { log } from './logger.js'; // Levelled logging
+import { hasContext, contextLines, formatContextText } from './match-context.js'; // Messages around a match
+
+// Maximum matches shown per group in a notification (the rest are summarised)
+const MAX_DISPLAY_MATCHES = 3;
+
+// Active channels (created by initNotifications)
+let channels = [];
+
+// Keyword label for a match - fuzzy hits carry their similarity, e.g. "startup (~86%)"
+export function keywordLabel(match) {
+  return match.fuzzy ? `${match.matchedKeyword} (~${Math.round(match.matchScore * 100)}%)` : match.matchedKeyword;
+}
+
+// Other groups a match was also posted or forwarded into (its folded copies)
+function otherGroups(match) {
+  return (match.groups || []).filter(group => group !== match.groupName);
+}
+
+// Short note of where else a match appeared, e.g. " [forwarded, also in Investors, Angels]" ('' when nowhere)
+function copiesNote(match) {
+  const notes = [
+    ...(match.forwarded ? ['forwarded'] : []),
+    ...(otherGroups(match).length > 0 ? [`also in ${otherGroups(match).join(', ')}`] : [])
+  ];
+  return notes.length > 0 ? ` [${notes.join(', ')}]` : '';
+}
+
+// Build one payload per group from a list of matches - the shape every channel formats
+export function buildGroupPayloads(matches) {
+  // Group matches by group name
+  const groupedMatches = matches.reduce((acc, match) => {
+    if (!acc[match.groupName]) {
+      acc[match.groupName] = [];
+    }
+    acc[match.groupName].push(match);
+    return acc;
+  }, {});
+
+  return Object.entries(groupedMatches).map(([groupName, groupMatches]) => {
+    const matchCount = groupMatches.length;
+    const displayMatches = groupMatches.slice(0, MAX_DISPLAY_MATCHES);
+
+    let message = '';
+    displayMatches.forEach(match => {
+      const type = match.type && match.type !== 'text' ? ` (${match.type})` : '';
+      message += `${keywordLabel(match)}${type}${copiesNote(match)}: ${match.text.substring(0, 50)}...\n`;
+    });
+
+    if (matchCount > MAX_DISPLAY_MATCHES) {
+      message += `\n...and ${matchCount - MAX_DISPLAY_MATCHES} more matches`;
+    }
+
+    return {
+      groupName,
+      matchCount,
+      title: `WhatsApp Match - ${groupName}`,
+      subtitle: `${matchCount} keyword match${matchCount > 1 ? 'es' : ''}`,
+      message: message.trim(),
+      matches: groupMatches
+    };
+  });
+}
+
+// Escape text for the HTML email body
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Escape text for Slack mrkdwn - message text could otherwise ping the channel (<!channel>) or disguise links
+function escapeSlack(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Slack quote of a match - its conversation context around it when there is one, the match in bold
+function slackQuote(match) {
+  if (!hasContext(match)) return `>${escapeSlack(match.text.substring(0, 500))}`;
+  return contextLines(match).map(({ role, sender, text }) => {
+    const flat = text.replace(/\s*\n\s*/g, ' ');
+    if (role === 'match') return `>*${escapeSlack(sender)}: ${escapeSlack(flat.substring(0, 500))}*`;
+    return `>${role === 'quoted' ? '↪ ' : ''}_${escapeSlack(sender)}: ${escapeSlack(flat)}_`;
+  }).join('\n');
+}
+
+// HTML message cell of a match - context messages in grey, the match highlighted
+function htmlMessage(match) {
+  if (!hasContext(match)) return escapeHtml(match.text);
+  return contextLines(match).map(({ role, sender, text }) => role === 'match'
+    ? `<div style="background:#fff3b0;padding:2px 4px"><strong>${escapeHtml(sender)}:</strong> ${escapeHtml(text)}</div>`
+    : `<div style="color:#777">${role === 'quoted' ? '↪ ' : ''}${escapeHtml(sender)}: ${escapeHtml(text)}</div>`).join('');
+}
+
+// POST to an HTTP endpoint and fail on non-2xx responses
+async function postHttp(url, body, headers = {}) {
+  const response = await fetch(url, { method: 'POST', headers, body });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} from ${url}`);
+  }
+  return response;
+}
+
+// Desktop channel - the original node-notifier behaviour (macOS)
+export function createDesktopChannel(options = {}) {
+  return {
+    name: options.name || 'desktop',
+    async send(payload) {
+      notifier.notify({
+        title: payload.title,
+        message: payload.message,
+        subtitle: payload.subtitle,
+        sound: options.sound !== false,
+        wait: false,
+        click: function() {
+          log.info(`📱 Batch notification clicked for ${payload.groupName} (${payload.matchCount} matches)`);
+        }
+      });
+    }
+  };
+}
+
+// Format a payload as a Slack incoming-webhook message
+export function formatSlackMessage(payload) {
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: payload.title } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: escapeSlack(payload.subtitle) }] }
+  ];
+
+  // Alerts carry no matches, only a message
+  if (payload.matches.length === 0) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: escapeSlack(payload.message) } });
+  }
+
+  for (const match of payload.matches.slice(0, MAX_DISPLAY_MATCHES)) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*${escapeSlack(keywordLabel(match))}* — ${escapeSlack(match.sender || 'Unknown')}${escapeSlack(copiesNote(match))}\n${slackQuote(match)}` }
+    });
+  }
+
+  if (payload.matchCount > MAX_DISPLAY_MATCHES) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `...and ${payload.matchCount - MAX_DISPLAY_MATCHES} more matches` }]
+    });
+  }
+
+  return { text: `${payload.title}: ${payload.subtitle}`, blocks };
+}
+
+// Slack channel - posts to an incoming webhook URL
+export function createSlackChannel(options) {
+  if (!options.webhookUrl) {
+    throw new Error('Slack notification channel requires "webhookUrl"');
+  }
+
+  return {
+    name: options.name || 'slack',
+    async send(payload) {
+      await postHttp(options.webhookUrl, JSON.stringify(formatSlackMessage(payload)), {
+        'Content-Type': 'application/json'
+      });
+    }
+  };
+}
+
+// Format a payload as an email (subject, plain text and HTML)
+export function formatEmail(payload) {
+  const subject = `${payload.title} (${payload.subtitle})`;
+
+  // Alerts carry no matches, only a message
+  if (payload.matches.length === 0) {
+    return { subject, text: payload.message, html: `<h2>${escapeHtml(payload.title)}</h2><p>${escapeHtml(payload.message)}</p>` };
+  }
+
+  const text = payload.matches
+    .map(match => `[${keywordLabel(match)}] ${match.sender || 'Unknown'} (${match.timestamp})${copiesNote(match)}:\n${hasContext(match) ? formatContextText(match) : match.text}`)
+    .join('\n\n');
+
+  const rows = payload.matches
+    .map(match => `
+      <tr>
+        <td><strong>${escapeHtml(keywordLabel(match))}</strong></td>
+        <td>${escapeHtml(match.sender || 'Unknown')}</td>
+        <td>${escapeHtml(match.timestamp || '')}</td>
+        <td>${htmlMessage(match)}${copiesNote(match) ? `<div style="color:#777"><em>${escapeHtml(copiesNote(match).trim())}</em></div>` : ''}</td>
+      </tr>`)
+    .join('');
+
+  const html = `
+    <h2>${escapeHtml(payload.title)}</h2>
+    <p>${escapeHtml(payload.subtitle)}</p>
+    <table border="1" cellpadding="6" cellspacing="0">
+      <tr><th>Keyword</th><th>Sender</th><th>Time</th><th>Message</th></tr>${rows}
+    </table>`;
+
+  return { subject, text, html };
+}
+
+// Email channel - sends through any SMTP server
+export function createEmailChannel(options) {
+  for (const key of ['host', 'from', 'to']) {
+    if (!options[key]) {
+      throw new Error(`Email notification channel requires "${key}"`);
+    }
+  }
+
+  const transport = nodemailer.createTransport({
+    host: options.host,
+    port: options.port || 587,
+    secure: !!options.secure, // true for port 465, false uses STARTTLS when offered
+    ignoreTLS: !!options.ignoreTLS,
+    auth: options.auth
+  });
+
+  return {
+    name: options.name || 'email',
+    async send(payload) {
+      await transport.sendMail({
+        from: options.from,
+        to: options.to,
+        ...formatEmail(payload)
+      });
+    },
+    // Reports (digests) bring their own subject, text and HTML
+    async sendReport(report) {
+      await transport.sendMail({ from: options.from, to: options.to, subject: report.subject, text: report.text, html: report.html });
+    },
+    close() {
+      transport.close();
+    }
+  };
+}
+
+// Header value safe for any text - HTTP headers only carry Latin-1, so anything else (emoji, non-Latin group
+// names) is sent as an RFC 2047 encoded word, which ntfy decodes
+function headerText(value) {
+  const text = String(value);
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+// Push channel - ntfy-style HTTP POST (plain body, metadata in headers)
+export function createPushChannel(options) {
+  if (!options.url) {
+    throw new Error('Push notification channel requires "url"');
+  }
+
+  return {
+    name: options.name || 'push',
+    async send(payload) {
+      const headers = {
+        'Content-Type': 'text/plain; charset=utf-8',
+        Title: headerText(payload.title),
+        Tags: headerText(options.tags || 'speech_balloon'),
+        Priority: String(options.priority || 'default'),
+        ...options.headers
+      };
+      if (options.token) {
+        headers.Authorization = `Bearer ${options.token}`;
+      }
+
+      await postHttp(options.url, `${payload.subtitle}\n${payload.message}`, headers);
+    }
+  };
+}
+
+// Channel factories by config "type"
+const CHANNEL_FACTORIES = {
+  desktop: createDesktopChannel,
+  slack: createSlackChannel,
+  email: createEmailChannel,
+  push: createPushChannel
+};
+
+// Create channels from NOTIFICATION_CHANNELS config entries (disabled entries are skipped)
+export function createChannels(channelConfigs = []) {
+  return channelConfigs
+    .filter(channelConfig => channelConfig.enabled !== false)
+    .map(channelConfig => {
+      const factory = CHANNEL_FACTORIES[channelConfig.type];
+      if (!factory) {
+        throw new Error(`Unknown notification channel type "${channelConfig.type}" (expected one of: ${Object.keys(CHANNEL_FACTORIES).join(', ')})`);
+      }
+      return factory(channelConfig);
+    });
+}
+
+// Set up the active channels from config
+export function initNotifications(channelConfigs) {
+  closeNotifications();
+  channels = createChannels(channelConfigs);
+  log.info(`🔔 Notification channels: ${channels.map(channel => channel.name).join(', ') || 'none'}`);
+  return channels;
+}
+
+// Release channel resources (SMTP connections) on shutdown
+export function closeNotifications() {
+  for (const channel of channels) {
+    if (channel.close) channel.close();
+  }
+  channels = [];
+}
+
+// Deliver payloads to every channel - returns true if every delivery succeeded
+async function deliver(payloads, targetChannels) {
+  const deliveries = [];
+
+  for (const payload of payloads) {
+    for (const channel of targetChannels) {
+      deliveries.push(
+        channel.send(payload).catch(error => {
+          log.error(`❌ ${channel.name} notification failed for ${payload.groupName || payload.title}: ${error.message}`, { channel: channel.name });
+          return error;
+        })
+      );
+    }
+  }
+
+  const results = await Promise.all(deliveries);
+  return results.filter(result => result instanceof Error).length === 0;
+}
+
+// Send batched notifications for multiple matches - one payload per group to every channel
+export async function sendBatchedNotifications(matches, targetChannels = channels) {
+  return deliver(buildGroupPayloads(matches), targetChannels);
+}
+
+// Send an operational alert (e.g. a renamed group) to every channel
+export async function sendAlert(title, message, targetChannels = channels) {
+  return deliver([{
+    groupName: null,
+    matchCount: 0,
+    title: `WhatsApp Monitor - ${title}`,
+    subtitle: 'Monitor alert',
+    message,
+    matches: []
+  }], targetChannels);
+}
+
+// Email a report ({ subject, text, html }) through the email channels - every one, or the one named channelName
+// Returns true if at least one channel sent it
+export async function sendReportEmail(report, channelName = null, targetChannels = channels) {
+  const emailChannels = targetChannels.filter(channel => channel.sendReport && (!channelName || channel.name === channelName));
+  if (emailChannels.length === 0) {
+    log.warn(`⚠️ No email channel${channelName ? ` named "${channelName}"` : ''} to send "${report.subject}"`);
+    return false;
+  }
+
+  const results = await Promise.all(emailChannels.map(channel => channel.sendReport(report).then(() => true, error => {
+    log.error(`❌ ${channel.name} report email failed for "${report.subject}": ${error.message}`, { channel: channel.name });
+    return false;
+  })));
+  return results.includes(true);
+}
+
+// Send a notification for a single keyword match
+export async function sendNotification(groupName, message, keyword, targetChannels = channels) {
+  return sendBatchedNotifications([{ groupName, text: message, matchedKeyword: keyword }], targetChannels);
+}
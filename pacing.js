@@ -0,0 +1,55 @@
+// Pacing - Named human-behaviour delays (typing, mouse moves, pauses between steps and groups) and the profiles
+// that scale them (PACING in the config)
+
+// Delay ranges of the normal profile as [min, max] - milliseconds, except mouseSteps (mouse move steps)
+export const DELAYS = {
+  pageLoad: [1500, 2500], // Before checking the login status
+  afterLogin: [2500, 3500], // After the chat list appeared on login
+  typing: [50, 100], // Between keystrokes
+  mouseSteps: [5, 10], // Steps of each leg of a mouse move
+  beforeClick: [100, 300], // After moving the mouse onto the search button
+  focusSearch: [200, 400], // After clicking into the search box
+  searchResults: [1500, 2500], // Waiting for search results after typing
+  resultClick: [4000, 5000], // After clicking a search result, before checking the chat opened
+  chatLoad: [1500, 2500], // After a chat opened, while its messages load
+  afterOpen: [1000, 3000], // After a chat opened
+  escape: [300, 500], // After each Escape press that leaves the search
+  clearSearchBox: [200, 400], // After emptying the search box
+  afterClear: [500, 1000], // Back on the chat list
+  listScroll: [300, 700], // Between screens of the chat list
+  openArchived: [800, 1500], // After opening the archived chats
+  leaveArchived: [300, 600], // After leaving the archived chats
+  chatSettle: [1000, 2000], // Before reading an opened chat
+  afterScroll: [500, 1000], // After scrolling to the newest message
+  idleScroll: [300, 600], // After an occasional aimless scroll
+  historyScroll: [300, 800], // Between scroll-backs through older messages
+  betweenGroups: [1000, 2000],
+  betweenBatches: [2000, 4000]
+};
+
+// Profiles scale every range of the normal profile; idleScrollChance is how often a chat gets an aimless scroll
+export const PACING_PROFILES = {
+  cautious: { scale: 2, idleScrollChance: 0.5 },
+  normal: { scale: 1, idleScrollChance: 0.3 },
+  fast: { scale: 0.5, idleScrollChance: 0.1 }
+};
+
+// Range of a named delay under the PACING config - an entry in PACING.delays wins over the profile
+export function delayRange(name, pacing) {
+  if (!DELAYS[name]) throw new Error(`Unknown pacing delay "${name}"`);
+  if (pacing.delays && pacing.delays[name]) return pacing.delays[name];
+
+  const { scale } = PACING_PROFILES[pacing.profile];
+  return DELAYS[name].map(value => Math.round(value * scale));
+}
+
+// Random whole number in the range of a named delay
+export function pacingDelay(name, pacing) {
+  const [min, max] = delayRange(name, pacing);
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+// Decide whether this chat gets an aimless scroll
+export function rollIdleScroll(pacing) {
+  return Math.random() < PACING_PROFILES[pacing.profile].idleScrollChance;
+}
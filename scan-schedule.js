@@ -0,0 +1,267 @@
+// Scan schedule - Cron expressions and intervals per group, quiet hours, and the next planned run of every group
+// SCHEDULE in the config; times are local
+
+// Groups due within this long of a run are scanned with it instead of waking up again moments later
+const DUE_SLACK_MS = 60 * 1000;
+
+// Furthest ahead a cron expression is searched before it counts as never matching (e.g. "0 0 30 2 *")
+const MAX_CRON_SEARCH_YEARS = 5;
+
+// Cron fields: name, range and the names allowed instead of numbers
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// Compiled schedule and the planned runs of the groups it applies to
+let compiled = null;
+let loadedFrom = null; // [SCHEDULE, SCAN_INTERVAL_MINUTES] the compiled schedule was built from
+const groupRuns = new Map(); // Group name -> { lastCheckedAt, nextRunAt }
+
+// Thrown for an invalid cron expression, interval or time of day in SCHEDULE
+export class ScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleError';
+  }
+}
+
+// One number of a cron field, or a month/weekday name
+function parseCronValue(text, field, expression) {
+  const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  const value = index !== -1 ? index + (field.name === 'month' ? 1 : 0) : Number(text);
+  if (!/^\d+$/.test(text) && index === -1) {
+    throw new ScheduleError(`"${expression}": "${text}" is not a valid ${field.name}`);
+  }
+  if (value < field.min || value > field.max) {
+    throw new ScheduleError(`"${expression}": ${field.name} ${text} is outside ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+// Values of one cron field - "*", "*/15", "9-18", "1-5", "mon-fri", "0,30", "10-50/20"
+function parseCronField(text, field, expression) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new ScheduleError(`"${expression}": step "${stepText}" in the ${field.name} field must be a whole number of at least 1`);
+    }
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = parseCronValue(start, field, expression);
+      to = end !== undefined ? parseCronValue(end, field, expression) : (stepText === undefined ? from : field.max);
+      if (to < from) {
+        throw new ScheduleError(`"${expression}": range ${range} in the ${field.name} field runs backwards`);
+      }
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(field.name === 'day of week' && value === 7 ? 0 : value); // 7 is Sunday too
+    }
+  }
+  return values;
+}
+
+// Parse a five-field cron expression: minute hour day-of-month month day-of-week
+export function parseCron(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new ScheduleError(`"${expression}" must have 5 fields (minute hour day-of-month month day-of-week), not ${fields.length}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((text, i) => parseCronField(text, CRON_FIELDS[i], expression));
+  return {
+    expression: expression.trim(),
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // As in cron, a restricted day of month and day of week match when either does
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  };
+}
+
+// Check the day fields of a cron expression against a date
+function dayMatches(cron, date) {
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  if (cron.anyDay) return weekday;
+  if (cron.anyWeekday) return day;
+  return day || weekday;
+}
+
+// First minute strictly after `after` that matches the cron expression
+export function nextCronTime(cron, after) {
+  const limit = new Date(after);
+  limit.setFullYear(limit.getFullYear() + MAX_CRON_SEARCH_YEARS);
+
+  const time = new Date(after);
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+
+  while (time < limit) {
+    if (!cron.months.has(time.getMonth() + 1)) {
+      time.setMonth(time.getMonth() + 1, 1);
+      time.setHours(0, 0);
+    } else if (!dayMatches(cron, time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0);
+    } else if (!cron.hours.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0);
+    } else if (!cron.minutes.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1);
+    } else {
+      return time;
+    }
+  }
+  throw new ScheduleError(`"${cron.expression}" never matches`);
+}
+
+// "23:00" -> minutes since midnight
+function parseTimeOfDay(text, name) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(text));
+  if (!match) throw new ScheduleError(`${name} "${text}" must be a time like "23:00"`);
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// A group's schedule (minutes, a cron expression or a list of them) as a plan
+function compilePlan(value) {
+  if (typeof value === 'number') {
+    return { description: `every ${value} min`, intervalMinutes: value, crons: null };
+  }
+  const expressions = Array.isArray(value) ? value : [value];
+  const crons = expressions.map(parseCron);
+  crons.forEach(cron => nextCronTime(cron, new Date())); // Throws for expressions that never match
+  return { description: expressions.join(' | '), intervalMinutes: null, crons };
+}
+
+// Compile SCHEDULE - throws ScheduleError naming the setting at fault
+// Without SCHEDULE.default every group is scanned every scanIntervalMinutes
+export function compileSchedule(schedule, scanIntervalMinutes) {
+  const at = (name, fn) => {
+    try {
+      return fn();
+    } catch (error) {
+      if (error instanceof ScheduleError) throw new ScheduleError(`SCHEDULE.${name}: ${error.message}`);
+      throw error;
+    }
+  };
+
+  const quietHours = schedule.quietHours && at('quietHours', () => ({
+    from: parseTimeOfDay(schedule.quietHours.from, 'from'),
+    to: parseTimeOfDay(schedule.quietHours.to, 'to'),
+    hold: schedule.quietHours.hold,
+    description: `${schedule.quietHours.from}-${schedule.quietHours.to}`
+  }));
+
+  return {
+    defaultPlan: at('default', () => compilePlan(schedule.default ?? scanIntervalMinutes)),
+    groupPlans: new Map(Object.entries(schedule.groups || {}).map(([groupName, value]) => [groupName, at(`groups["${groupName}"]`, () => compilePlan(value))])),
+    quietHours
+  };
+}
+
+// Check whether a time falls inside quiet hours (a window like 23:00-07:00 runs past midnight)
+export function isQuietTime(date, quietHours) {
+  if (!quietHours || quietHours.from === quietHours.to) return false;
+  const minute = date.getHours() * 60 + date.getMinutes();
+  return quietHours.from < quietHours.to
+    ? minute >= quietHours.from && minute < quietHours.to
+    : minute >= quietHours.from || minute < quietHours.to;
+}
+
+// When the quiet hours around a time end
+export function quietHoursEnd(date, quietHours) {
+  const end = new Date(date);
+  end.setHours(Math.floor(quietHours.to / 60), quietHours.to % 60, 0, 0);
+  if (end <= date) end.setDate(end.getDate() + 1);
+  return end;
+}
+
+// Next run of a plan after a time - a run that falls in quiet hours holding scans moves to their end
+export function nextRunTime(plan, after, quietHours = null) {
+  const next = plan.intervalMinutes !== null
+    ? new Date(after.getTime() + plan.intervalMinutes * 60 * 1000)
+    : new Date(Math.min(...plan.crons.map(cron => nextCronTime(cron, after).getTime())));
+
+  if (quietHours && quietHours.hold === 'scans' && isQuietTime(next, quietHours)) {
+    return quietHoursEnd(next, quietHours);
+  }
+  return next;
+}
+
+// Plan of a group - its override in SCHEDULE.groups, or the default
+function planOf(groupName) {
+  return compiled.groupPlans.get(groupName) || compiled.defaultPlan;
+}
+
+// Use the SCHEDULE config (a no-op when unchanged) - a changed schedule re-plans every group from its last check
+export function loadSchedule(schedule, scanIntervalMinutes) {
+  if (loadedFrom && loadedFrom[0] === schedule && loadedFrom[1] === scanIntervalMinutes) return;
+
+  compiled = compileSchedule(schedule, scanIntervalMinutes);
+  loadedFrom = [schedule, scanIntervalMinutes];
+  for (const [groupName, run] of groupRuns) {
+    if (run.lastCheckedAt) run.nextRunAt = nextRunTime(planOf(groupName), run.lastCheckedAt, compiled.quietHours);
+  }
+}
+
+// Follow the current target groups - new groups are due straight away, removed ones are forgotten
+export function trackGroups(groupNames) {
+  const current = new Set(groupNames);
+  for (const groupName of groupRuns.keys()) {
+    if (!current.has(groupName)) groupRuns.delete(groupName);
+  }
+  for (const groupName of groupNames) {
+    if (!groupRuns.has(groupName)) groupRuns.set(groupName, { lastCheckedAt: null, nextRunAt: new Date() });
+  }
+}
+
+// Check whether a group should be scanned now
+export function isGroupDue(groupName, now = new Date()) {
+  const run = groupRuns.get(groupName);
+  return !run || run.nextRunAt.getTime() <= now.getTime() + DUE_SLACK_MS;
+}
+
+// Record that a group was checked (scanned, or found unchanged by the chat-list pre-pass) and plan its next run
+export function recordGroupChecked(groupName, at = new Date()) {
+  groupRuns.set(groupName, { lastCheckedAt: at, nextRunAt: nextRunTime(planOf(groupName), at, compiled.quietHours) });
+}
+
+// Earliest planned run of any group, or null when no group is tracked
+export function nextDueTime() {
+  const times = [...groupRuns.values()].map(run => run.nextRunAt.getTime());
+  return times.length > 0 ? new Date(Math.min(...times)) : null;
+}
+
+// Quiet hours as { active, until, hold, window }, or null when none are configured
+export function quietHoursStatus(now = new Date()) {
+  const quietHours = compiled && compiled.quietHours;
+  if (!quietHours) return null;
+  const active = isQuietTime(now, quietHours);
+  return { active, until: active ? quietHoursEnd(now, quietHours) : null, hold: quietHours.hold, window: quietHours.description };
+}
+
+// One-line summary of the schedule for the startup log
+export function describeSchedule() {
+  const parts = [compiled.defaultPlan.description];
+  if (compiled.groupPlans.size > 0) parts.push(`${compiled.groupPlans.size} group overrides`);
+  if (compiled.quietHours) parts.push(`quiet hours ${compiled.quietHours.description} holding ${compiled.quietHours.hold}`);
+  return parts.join(', ');
+}
+
+// Planned runs of every tracked group, soonest first - for the status command and /api/status
+export function getGroupSchedules() {
+  return [...groupRuns]
+    .map(([groupName, run]) => ({ groupName, schedule: planOf(groupName).description, lastCheckedAt: run.lastCheckedAt, nextRunAt: run.nextRunAt }))
+    .sort((a, b) => a.nextRunAt - b.nextRunAt);
+}
@@ -0,0 +1,90 @@
+// Selector registry - Ordered fallback candidates for each WhatsApp Web element, promotion of the candidate that
+// worked last and a one-time "selector broken" report when every candidate of an element fails
+
+// Entries by element name: { configured: [candidates as configured], active: index in configured, broken, ... }
+let entries = new Map();
+let loadedFrom = null; // SELECTORS object the entries were built from
+let brokenHandler = null; // Called once per element each time it breaks
+
+// Thrown when no candidate of an element that must be on the page matches
+export class SelectorBrokenError extends Error {
+  constructor(element, candidates, detail = '') {
+    super(`Selector broken: no candidate for "${element}" matched${detail ? ` (${detail})` : ''} - tried ${candidates.join(' | ')}`);
+    this.name = 'SelectorBrokenError';
+    this.element = element;
+    this.candidates = candidates;
+  }
+}
+
+// A SELECTORS value as a candidate list - a string is one candidate (a comma-joined string matches any of its parts)
+export function toCandidates(value) {
+  return Array.isArray(value) ? [...value] : [value];
+}
+
+// Build the registry from the SELECTORS config (a no-op for the object already loaded)
+// Elements whose candidate list is unchanged keep their promoted candidate and health across reloads
+export function loadSelectors(selectors) {
+  if (selectors === loadedFrom) return;
+
+  const previous = entries;
+  entries = new Map();
+  for (const [element, value] of Object.entries(selectors)) {
+    const configured = toCandidates(value);
+    const old = previous.get(element);
+    const unchanged = old && old.configured.length === configured.length && old.configured.every((candidate, i) => candidate === configured[i]);
+    entries.set(element, unchanged ? old : { configured, active: 0, broken: false, lastWorkedAt: null, failures: 0 });
+  }
+  loadedFrom = selectors;
+}
+
+// Entry of an element, failing loudly for a name that is not in SELECTORS
+function entryOf(element) {
+  const entry = entries.get(element);
+  if (!entry) throw new Error(`Unknown selector element "${element}"`);
+  return entry;
+}
+
+// Candidates of an element in the order to try them - the one that worked last first, then the configured order
+export function selectorCandidates(element) {
+  const { configured, active } = entryOf(element);
+  return [configured[active], ...configured.filter((candidate, i) => i !== active)];
+}
+
+// Record that a candidate matched - it is tried first from now on, and a broken element counts as healed
+export function recordSelectorHit(element, candidate) {
+  const entry = entryOf(element);
+  const index = entry.configured.indexOf(candidate);
+  const promoted = index !== -1 && index !== entry.active;
+  if (index !== -1) entry.active = index;
+  entry.broken = false;
+  entry.lastWorkedAt = new Date().toISOString();
+  return { promoted, fallback: entry.active > 0 };
+}
+
+// Record that no candidate matched - reports the element to the broken handler the first time it breaks
+export function recordSelectorFailure(element, detail = '') {
+  const entry = entryOf(element);
+  entry.failures++;
+  if (entry.broken) return false;
+
+  entry.broken = true;
+  if (brokenHandler) brokenHandler(new SelectorBrokenError(element, entry.configured, detail));
+  return true;
+}
+
+// Set the function told about newly broken elements (index.js alerts the notification channels)
+export function onSelectorBroken(handler) {
+  brokenHandler = handler;
+}
+
+// Health of every element - for the status command and /api/status
+export function getSelectorHealth() {
+  return [...entries].map(([element, entry]) => ({
+    element,
+    active: entry.configured[entry.active],
+    fallback: entry.active > 0,
+    broken: entry.broken,
+    failures: entry.failures,
+    lastWorkedAt: entry.lastWorkedAt
+  }));
+}
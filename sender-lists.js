@@ -0,0 +1,79 @@
+// Sender lists - Watched senders (every message is a match) and blocked senders (never a match), globally or per
+// group, from SENDERS in the config and from entries added at runtime (stored in SQLite)
+
+export const SENDER_LISTS = ['watch', 'block'];
+
+// Entries in effect: list -> group name ('' for every group) -> sender key -> { sender, group, source }
+let lists = { watch: new Map(), block: new Map() };
+
+// Error raised for a sender list entry that cannot be added or removed
+export class SenderListError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SenderListError';
+  }
+}
+
+// Comparable form of a sender - case and spacing ignored, phone numbers reduced to their digits
+export function senderKey(sender) {
+  const name = String(sender || '').replace(/^~\s*/, '').trim().replace(/\s+/g, ' ').toLowerCase();
+  return /^\+?[\d\s().-]+$/.test(name) && /\d{5}/.test(name.replace(/\D/g, '')) ? name.replace(/\D/g, '') : name;
+}
+
+// Check the list name and sender of an entry before it is added or removed
+export function validateSenderEntry(list, sender) {
+  if (!SENDER_LISTS.includes(list)) throw new SenderListError(`Unknown sender list "${list}" (expected watch or block)`);
+  if (!senderKey(sender)) throw new SenderListError('A sender name or phone number is needed');
+}
+
+// Add one entry to the lists being built
+function addEntry(built, list, sender, group, source) {
+  if (!built[list].has(group)) built[list].set(group, new Map());
+  const entries = built[list].get(group);
+  const key = senderKey(sender);
+  if (key && !entries.has(key)) entries.set(key, { list, sender, group: group || null, source });
+}
+
+// Put the config lists (SENDERS) and the runtime entries ([{ list, sender, groupName }]) in effect
+export function loadSenderLists(config, runtimeEntries = []) {
+  const built = { watch: new Map(), block: new Map() };
+  for (const list of SENDER_LISTS) {
+    for (const sender of config[list]) addEntry(built, list, sender, '', 'config');
+    for (const [group, groupLists] of Object.entries(config.groups)) {
+      for (const sender of groupLists[list]) addEntry(built, list, sender, group, 'config');
+    }
+  }
+  for (const entry of runtimeEntries) addEntry(built, entry.list, entry.sender, entry.groupName || '', 'runtime');
+  lists = built;
+}
+
+// Entry of a list that covers a sender in a group - the group's own entry first, then the global one
+function findEntry(list, key, groupName) {
+  for (const group of [groupName, '']) {
+    const entry = lists[list].get(group)?.get(key);
+    if (entry) return entry;
+  }
+  return null;
+}
+
+// The list a message's sender is on in its group - { list, sender, group, source } or null; block wins over watch
+export function checkSender(sender, groupName) {
+  const key = senderKey(sender);
+  if (!key) return null;
+  return findEntry('block', key, groupName) || findEntry('watch', key, groupName);
+}
+
+// Entry of a list exactly as given (same sender and group), or null - used before adding and removing entries
+export function findSenderEntry(list, sender, groupName = null) {
+  return lists[list].get(groupName || '')?.get(senderKey(sender)) || null;
+}
+
+// Every entry in effect, global entries first - for the senders command and /api/senders
+export function describeSenderLists() {
+  const entries = [];
+  for (const list of SENDER_LISTS) {
+    const groups = [...lists[list].keys()].sort((a, b) => (a === '' ? -1 : b === '' ? 1 : a.localeCompare(b)));
+    for (const group of groups) entries.push(...lists[list].get(group).values());
+  }
+  return entries;
+}
@@ -0,0 +1,471 @@
+// Offline WhatsApp Web simulator - Renders chat list, search, archived chats, group chats and the QR login screen
+// Query parameters: fixture=<name> (default "default"), login=qr|session, loginDelay=<ms>, qrRefresh=<ms>, pageSize=<n>,
+// bubbles=classic|testid|unknown
+
+(function () {
+  const params = new URLSearchParams(window.location.search);
+  const options = {
+    fixture: params.get('fixture') || 'default',
+    login: params.get('login') || 'session',
+    loginDelay: Number(params.get('loginDelay') || 3000), // Time until the "phone" scans the QR code (0 = never)
+    qrRefresh: Number(params.get('qrRefresh') || 20000), // WhatsApp rotates the QR code periodically
+    pageSize: Number(params.get('pageSize') || 40), // Messages rendered at once; older ones load when scrolled to the top
+    bubbles: params.get('bubbles') || 'classic' // Message markup: classic, testid (an older layout) or unknown (a redesign)
+  };
+  const rowRole = options.bubbles === 'unknown' ? 'listitem' : 'row'; // Role of message and date rows in the open chat
+
+  // Simulator state
+  const state = {
+    me: 'You',
+    chats: [],
+    openChatId: null,
+    loadedCount: 0, // How many of the open chat's latest messages are rendered
+    showArchived: false,
+    loggedIn: false
+  };
+
+  const landing = document.getElementById('landing');
+  const workspace = document.getElementById('workspace');
+  const qrWrapper = document.getElementById('qr-wrapper');
+  const qrCanvas = document.getElementById('qr-canvas');
+  const searchInput = document.getElementById('search-input');
+  const chatList = document.getElementById('chat-list');
+  const archivedRow = document.getElementById('archived-row');
+  const mainSlot = document.getElementById('main-slot');
+
+  // Escape text before putting it into innerHTML
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Escape message text and turn web addresses into links, like WhatsApp does
+  function linkify(text) {
+    const pattern = /\b(?:https?:\/\/|www\.)[^\s<>"]+[^\s<>".,;:!?')]/gi;
+    let html = '';
+    let position = 0;
+    for (const found of text.matchAll(pattern)) {
+      const href = /^www\./i.test(found[0]) ? `http://${found[0]}` : found[0];
+      html += escapeHtml(text.slice(position, found.index));
+      html += `<a href="${escapeHtml(href)}" title="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer" class="selectable-text copyable-text">${escapeHtml(found[0])}</a>`;
+      position = found.index + found[0].length;
+    }
+    return html + escapeHtml(text.slice(position));
+  }
+
+  // Build the data-pre-plain-text prefix exactly like WhatsApp does: "[10:32, 14/07/2025] Alice: "
+  function prePlainText(message) {
+    return `[${message.time}, ${message.date}] ${message.sender}: `;
+  }
+
+  // Normalise fixture chats into simulator chats (ids, filler messages, defaults)
+  function loadChats(fixture) {
+    state.me = fixture.me || 'You';
+
+    return fixture.chats.map((chat, chatIndex) => {
+      const id = `${chatIndex + 1}@g.us`;
+      const messages = [];
+      const firstMessage = chat.messages[0] || { date: '01/01/2025', time: '09:00' };
+
+      // Filler messages simulate busy groups with more history than one screen
+      for (let i = 1; i <= (chat.fillerMessages || 0); i++) {
+        messages.push({
+          direction: 'in',
+          sender: 'Filler Bot',
+          date: firstMessage.date,
+          time: firstMessage.time,
+          text: `Filler message #${i}`
+        });
+      }
+
+      messages.push(...chat.messages.map(message => ({
+        direction: 'in',
+        ...message,
+        sender: message.direction === 'out' ? (message.sender || state.me) : message.sender
+      })));
+
+      return {
+        id,
+        name: chat.name,
+        archived: !!chat.archived,
+        unread: chat.unread || 0,
+        messages: messages.map((message, index) => ({ ...message, id: `${message.direction === 'out'}_${id}_${index + 1}` }))
+      };
+    });
+  }
+
+  // Chats to show for the current search/archived view
+  function visibleChats() {
+    const query = searchInput.textContent.trim().toLowerCase();
+
+    if (query) {
+      // Search covers archived chats too, just like WhatsApp Web
+      return state.chats.filter(chat => chat.name.toLowerCase().includes(query));
+    }
+
+    return state.chats.filter(chat => chat.archived === state.showArchived);
+  }
+
+  // Render the chat list rows
+  function renderChatList() {
+    const query = searchInput.textContent.trim();
+    const chats = visibleChats();
+
+    archivedRow.classList.toggle('hidden-by-search', !!query || state.showArchived);
+    archivedRow.querySelector('.archived-count').textContent = String(state.chats.filter(chat => chat.archived).length);
+
+    let html = '';
+    if (query) {
+      html += '<div class="list-section-title">Chats</div>';
+    } else if (state.showArchived) {
+      html += '<div class="list-section-title">Archived</div>';
+    }
+
+    for (const chat of chats) {
+      const lastMessage = chat.messages[chat.messages.length - 1];
+      const preview = lastMessage ? previewText(lastMessage) : '';
+      const badge = chat.unread > 0
+        ? `<span class="unread-badge" aria-label="${chat.unread} unread messages">${chat.unread}</span>`
+        : '';
+
+      html += `
+        <div class="chat-row${chat.id === state.openChatId ? ' active' : ''}" role="row" data-chat-id="${chat.id}">
+          <div role="gridcell" aria-colindex="2">
+            <div class="chat-title-line">
+              <span class="chat-title" dir="auto" title="${escapeHtml(chat.name)}">${escapeHtml(chat.name)}</span>
+              <span class="chat-time">${escapeHtml(lastMessage ? lastMessage.time : '')}</span>
+            </div>
+            <div class="chat-preview-line">
+              <span class="chat-preview" dir="ltr" title="${escapeHtml(preview)}">${escapeHtml(preview)}</span>
+              ${badge}
+            </div>
+          </div>
+        </div>`;
+    }
+
+    chatList.innerHTML = html;
+  }
+
+  // Chat list preview of a message - media and polls without text show what they are
+  function previewText(message) {
+    if (message.type === 'system') return message.text;
+    const label = message.text || message.fileName || message.question || message.contactName || message.type;
+    return `${message.sender}: ${label}`;
+  }
+
+  // Bubble content of media, documents, polls, link previews and contact cards, as WhatsApp Web renders them
+  function renderAttachment(message) {
+    switch (message.type) {
+      case 'image':
+        return '<div data-testid="image-thumb"><img alt="" width="240" height="160" src="data:image/gif;base64,R0lGODlhAQABAAAAACw="></div>';
+      case 'video':
+        return '<div data-testid="video-content"><span data-icon="media-play"></span><span class="media-duration">0:42</span></div>';
+      case 'document':
+        return `
+          <div data-testid="document-thumb">
+            <span data-icon="document-PDF-icon"></span>
+            <span class="document-name" dir="auto" title="${escapeHtml(message.fileName)}">${escapeHtml(message.fileName)}</span>
+            <span class="document-info" dir="auto">${escapeHtml(message.fileInfo || '1 page · PDF · 120 kB')}</span>
+          </div>`;
+      case 'poll':
+        return `
+          <div data-testid="poll-bubble">
+            <span data-testid="poll-question" dir="auto">${escapeHtml(message.question)}</span>
+            ${message.options.map((option, index) => `
+              <div role="checkbox" aria-checked="false" data-testid="poll-option" aria-label="${escapeHtml(option)}">
+                <span dir="auto">${escapeHtml(option)}</span><span class="poll-votes">${index + 1}</span>
+              </div>`).join('')}
+          </div>`;
+      case 'link':
+        return `
+          <a href="${escapeHtml(message.previewUrl || '')}" target="_blank" rel="noopener noreferrer" data-testid="link-preview">
+            <div class="link-title" dir="auto">${escapeHtml(message.previewTitle)}</div>
+            <div class="link-description" dir="auto">${escapeHtml(message.previewDescription || '')}</div>
+          </a>`;
+      case 'contact':
+        return `
+          <div data-testid="vcard-msg">
+            <span class="contact-name" dir="auto" title="${escapeHtml(message.contactName)}">${escapeHtml(message.contactName)}</span>
+            <button type="button">Message</button>
+          </div>`;
+      default:
+        return '';
+    }
+  }
+
+  // "Forwarded" label above a forwarded message's content
+  function renderForwarded(message) {
+    if (!message.forwarded) return '';
+    return '<div data-testid="forwarded" class="forwarded-label"><span data-icon="forwarded"></span><span dir="auto">Forwarded</span></div>';
+  }
+
+  // Quoted message of a reply (quoted: { sender, text }) - the grey box above the reply's own text
+  function renderQuoted(message) {
+    if (!message.quoted) return '';
+    return `
+      <div data-testid="quoted-message" aria-label="Quoted message" role="button">
+        <span data-testid="quoted-author" dir="auto">${escapeHtml(message.quoted.sender)}</span>
+        <span class="quoted-mention" dir="auto">${escapeHtml(message.quoted.text)}</span>
+      </div>`;
+  }
+
+  // Render a system message ("Alice added Bob") - a centred row with a message id but no bubble
+  function renderSystemMessage(message) {
+    return `
+      <div role="${rowRole}">
+        <div data-id="${message.id}">
+          <div class="system-message" data-testid="system-message"><span dir="auto">${escapeHtml(message.text)}</span></div>
+        </div>
+      </div>`;
+  }
+
+  // Render one message bubble with the same classes and attributes as WhatsApp Web
+  // (noMeta drops data-pre-plain-text, like WhatsApp does for some media messages; type adds media, polls, ...;
+  // quoted makes it a reply, forwarded adds the "Forwarded" label)
+  function renderMessage(message) {
+    if (message.type === 'system') return renderSystemMessage(message);
+    const directionClass = message.direction === 'out' ? 'message-out' : 'message-in';
+    const bubbleAttributes = {
+      classic: `class="${directionClass} focusable-list-item"`,
+      testid: 'class="focusable-list-item" data-testid="conv-msg-box"',
+      unknown: `class="msg-v3 msg-v3--${message.direction === 'out' ? 'out' : 'in'}"`
+    }[options.bubbles];
+    const senderName = message.direction === 'out'
+      ? ''
+      : `<span class="sender-name" aria-label="${escapeHtml(message.sender)}">${escapeHtml(message.sender)}</span>`;
+
+    return `
+      <div role="${rowRole}">
+        <div data-id="${message.id}">
+          <div ${bubbleAttributes}>
+            <div class="bubble">
+              ${senderName}
+              ${renderForwarded(message)}
+              ${renderQuoted(message)}
+              ${renderAttachment(message)}
+              <div class="copyable-text"${message.noMeta ? '' : ` data-pre-plain-text="${escapeHtml(prePlainText(message))}"`}>
+                ${message.text ? `<div><span class="selectable-text copyable-text" dir="ltr"><span>${linkify(message.text)}</span></span></div>` : ''}
+              </div>
+              <div><span data-testid="msg-time" dir="auto">${escapeHtml(message.time)}</span></div>
+            </div>
+          </div>
+        </div>
+      </div>`;
+  }
+
+  // Render the open conversation into #main (removed entirely when no chat is open)
+  // keepScroll keeps the visible messages in place after older ones were loaded above them
+  function renderConversation(keepScroll = false) {
+    const chat = state.chats.find(c => c.id === state.openChatId);
+
+    if (!chat) {
+      mainSlot.innerHTML = '';
+      return;
+    }
+
+    const oldPanel = mainSlot.querySelector('[data-testid="conversation-panel-wrapper"]');
+    const distanceFromBottom = oldPanel ? oldPanel.scrollHeight - oldPanel.scrollTop : 0;
+
+    let html = '';
+    let currentDate = null;
+    for (const message of chat.messages.slice(-state.loadedCount)) {
+      if (message.date !== currentDate) {
+        currentDate = message.date;
+        html += `<div role="${rowRole}"><div class="date-separator focusable-list-item"><span dir="auto">${escapeHtml(message.dateLabel || message.date)}</span></div></div>`;
+      }
+      html += renderMessage(message);
+    }
+
+    mainSlot.innerHTML = `
+      <div id="main">
+        <header><div><span dir="auto" title="${escapeHtml(chat.name)}">${escapeHtml(chat.name)}</span></div></header>
+        <div data-testid="conversation-panel-wrapper" role="application">${html}</div>
+        <footer><div contenteditable="true" role="textbox" data-tab="10" data-testid="conversation-compose-box-input"></div></footer>
+      </div>`;
+
+    const panel = mainSlot.querySelector('[data-testid="conversation-panel-wrapper"]');
+    panel.scrollTop = keepScroll ? panel.scrollHeight - distanceFromBottom : panel.scrollHeight;
+  }
+
+  // Load an older page of messages once the conversation is scrolled to the top
+  function loadOlderMessages(event) {
+    const panel = event.target;
+    if (!panel.matches || !panel.matches('[data-testid="conversation-panel-wrapper"]')) return;
+
+    const chat = state.chats.find(c => c.id === state.openChatId);
+    if (!chat || panel.scrollTop > 0 || state.loadedCount >= chat.messages.length) return;
+
+    state.loadedCount += options.pageSize;
+    renderConversation(true);
+  }
+
+  // Open a chat and mark it as read
+  function openChat(chatId) {
+    const chat = state.chats.find(c => c.id === chatId);
+    if (!chat) return;
+
+    state.openChatId = chatId;
+    state.loadedCount = options.pageSize;
+    chat.unread = 0;
+    renderConversation();
+    renderChatList();
+  }
+
+  // Close the open chat
+  function closeChat() {
+    state.openChatId = null;
+    renderConversation();
+    renderChatList();
+  }
+
+  // Clear the search box and return to the normal chat list
+  function clearSearchBox() {
+    searchInput.textContent = '';
+    searchInput.blur();
+    renderChatList();
+  }
+
+  // Draw a random QR-like code (finder patterns in three corners, random modules elsewhere) inside a light border;
+  // a new ref means WhatsApp rotated the code
+  function drawQrCode() {
+    const ctx = qrCanvas.getContext('2d');
+    const cells = 29;
+    const size = Math.floor(qrCanvas.width / (cells + 2));
+    const offset = Math.floor((qrCanvas.width - cells * size) / 2);
+    const ref = `2@${Math.random().toString(36).slice(2)},${Date.now()}`;
+
+    // Finder pattern module: dark outer ring, light ring, dark 3x3 centre
+    const finderModule = (x, y) => {
+      const ring = Math.max(Math.abs(x - 3), Math.abs(y - 3));
+      return ring !== 2 && ring <= 3;
+    };
+    const isDark = (x, y) => {
+      if (x < 8 && y < 8) return finderModule(x, y);
+      if (x >= cells - 8 && y < 8) return finderModule(x - (cells - 7), y);
+      if (x < 8 && y >= cells - 8) return finderModule(x, y - (cells - 7));
+      return Math.random() < 0.45;
+    };
+
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, qrCanvas.width, qrCanvas.height);
+    ctx.fillStyle = '#122e31';
+    for (let x = 0; x < cells; x++) {
+      for (let y = 0; y < cells; y++) {
+        if (isDark(x, y)) ctx.fillRect(offset + x * size, offset + y * size, size, size);
+      }
+    }
+
+    qrWrapper.setAttribute('data-ref', ref);
+  }
+
+  // Switch from the QR screen to the logged-in layout
+  function login() {
+    if (state.loggedIn) return;
+    state.loggedIn = true;
+    landing.hidden = true;
+    workspace.hidden = false;
+    renderChatList();
+  }
+
+  // Show the QR screen, rotate the code and auto-login after loginDelay
+  function showQrScreen() {
+    landing.hidden = false;
+    workspace.hidden = true;
+    drawQrCode();
+
+    const refreshTimer = setInterval(() => {
+      if (state.loggedIn) {
+        clearInterval(refreshTimer);
+      } else {
+        drawQrCode();
+      }
+    }, options.qrRefresh);
+
+    if (options.loginDelay > 0) {
+      setTimeout(login, options.loginDelay);
+    }
+  }
+
+  // Wire up UI events
+  searchInput.addEventListener('input', renderChatList);
+  mainSlot.addEventListener('scroll', loadOlderMessages, true); // scroll does not bubble, so capture it
+
+  chatList.addEventListener('click', (event) => {
+    const row = event.target.closest('.chat-row');
+    if (row) openChat(row.dataset.chatId);
+  });
+
+  archivedRow.addEventListener('click', () => {
+    state.showArchived = true;
+    renderChatList();
+  });
+
+  document.querySelector('#search-bar button').addEventListener('click', () => searchInput.focus());
+
+  document.addEventListener('keydown', (event) => {
+    if (event.key !== 'Escape') return;
+
+    if (searchInput.textContent.trim() || document.activeElement === searchInput) {
+      clearSearchBox();
+    } else if (state.showArchived) {
+      state.showArchived = false;
+      renderChatList();
+    } else if (state.openChatId) {
+      closeChat();
+    }
+  });
+
+  // Test hook - lets the e2e suite inspect state and add messages while the page is open
+  window.simulator = {
+    state,
+    login,
+    addMessage(chatName, message) {
+      const chat = state.chats.find(c => c.name === chatName);
+      if (!chat) throw new Error(`Unknown chat: ${chatName}`);
+
+      const direction = message.direction || 'in';
+      chat.messages.push({
+        direction,
+        ...message,
+        id: `${direction === 'out'}_${chat.id}_${chat.messages.length + 1}`
+      });
+      if (chat.id === state.openChatId) {
+        state.loadedCount++;
+        renderConversation();
+      } else {
+        chat.unread++;
+      }
+      renderChatList();
+    },
+    renameChat(oldName, newName) {
+      const chat = state.chats.find(c => c.name === oldName);
+      if (!chat) throw new Error(`Unknown chat: ${oldName}`);
+
+      chat.name = newName; // The chat id stays the same, just like a WhatsApp group rename
+      renderChatList();
+      if (chat.id === state.openChatId) renderConversation();
+    }
+  };
+
+  // Load the fixture and start on the QR screen or directly logged in
+  fetch(`/fixtures/${encodeURIComponent(options.fixture)}.json`)
+    .then(response => {
+      if (!response.ok) throw new Error(`Fixture not found: ${options.fixture}`);
+      return response.json();
+    })
+    .then(fixture => {
+      state.chats = loadChats(fixture);
+
+      if (options.login === 'qr') {
+        showQrScreen();
+      } else {
+        login();
+      }
+    })
+    .catch(error => {
+      document.body.textContent = error.message;
+    });
+})();
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+// Simulator server - Serves the offline WhatsApp Web fake and its fixtures over local HTTP
+// Usage: npm run simulator  (then start the monitor with WHATSAPP_WEB_URL=http://localhost:3700)
+
+import http from 'http'; // Local HTTP server
+import fs from 'fs/promises'; // File system operations
+import path from 'path'; // Path manipulation utilities
+import { fileURLToPath } from 'url'; // URL to file path converter
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Content types for the few file kinds the simulator serves
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8'
+};
+
+// Map a request path to a file inside public/ or fixtures/ (never outside them)
+function resolveFile(urlPath) {
+  const [baseDir, relativePath] = urlPath.startsWith('/fixtures/')
+    ? [FIXTURES_DIR, urlPath.slice('/fixtures/'.length)]
+    : [PUBLIC_DIR, urlPath === '/' ? 'index.html' : urlPath.slice(1)];
+
+  const filePath = path.resolve(baseDir, decodeURIComponent(relativePath));
+  return filePath.startsWith(baseDir + path.sep) ? filePath : null;
+}
+
+// Start the simulator on the given port (0 picks a free port) and resolve with its URL
+export async function startSimulator({ port = 0, host = '127.0.0.1' } = {}) {
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+    const filePath = resolveFile(pathname);
+
+    try {
+      if (!filePath) throw new Error('Forbidden');
+      const body = await fs.readFile(filePath);
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+      res.end(body);
+    } catch (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found');
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const url = `http://${host}:${server.address().port}`;
+
+  return {
+    url,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Run standalone when executed directly
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.SIMULATOR_PORT || 3700);
+  startSimulator({ port }).then(({ url }) => {
+    console.log(`🧪 WhatsApp Web simulator running at ${url}`);
+    console.log(`   QR login screen: ${url}/?login=qr`);
+    console.log(`   Start the monitor with: WHATSAPP_WEB_URL=${url} npm start`);
+  });
+}
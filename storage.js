@@ -0,0 +1,625 @@
+// Storage layer - Persists matches, seen messages, scan runs, daily counts, digest schedules and per-group scan state in SQLite
+
+import Database from 'better-sqlite3'; // Embedded synchronous SQLite driver
+import fs from 'fs'; // File system operations
+import path from 'path'; // Path manipulation utilities
+
+// Database handle (opened once by initStorage)
+let db = null;
+
+// Seen messages are forgotten after this many days - incremental scans resume at the group watermark, so older
+// messages are not read again
+export const SEEN_MESSAGE_RETENTION_DAYS = 90;
+
+// Schema migrations - entry N upgrades the database from user_version N to N + 1
+const MIGRATIONS = [
+  // 1: initial tables
+  `
+    CREATE TABLE IF NOT EXISTS matches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id TEXT NOT NULL,
+      group_name TEXT NOT NULL,
+      sender TEXT,
+      message TEXT NOT NULL,
+      keyword TEXT NOT NULL,
+      message_time TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_matches_created_at ON matches (created_at);
+    CREATE INDEX IF NOT EXISTS idx_matches_group ON matches (group_name);
+    CREATE INDEX IF NOT EXISTS idx_matches_keyword ON matches (keyword);
+
+    CREATE TABLE IF NOT EXISTS seen_messages (
+      message_id TEXT PRIMARY KEY,
+      group_name TEXT NOT NULL,
+      first_seen_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS scan_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      started_at TEXT NOT NULL,
+      finished_at TEXT,
+      duration_ms INTEGER,
+      groups_scanned INTEGER DEFAULT 0,
+      match_count INTEGER DEFAULT 0,
+      errors TEXT DEFAULT '[]'
+    );
+
+    CREATE TABLE IF NOT EXISTS daily_summary (
+      date TEXT NOT NULL,
+      group_name TEXT NOT NULL,
+      keyword TEXT NOT NULL,
+      count INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (date, group_name, keyword)
+    );
+
+    CREATE TABLE IF NOT EXISTS summary_reports (
+      date TEXT PRIMARY KEY,
+      written_at TEXT NOT NULL
+    );
+  `,
+  // 2: which keyword rule fired and the matched spans (JSON [{ start, end, text }])
+  `
+    ALTER TABLE matches ADD COLUMN rule TEXT;
+    ALTER TABLE matches ADD COLUMN spans TEXT DEFAULT '[]';
+  `,
+  // 3: similarity score (1 = exact, lower = fuzzy hit)
+  `
+    ALTER TABLE matches ADD COLUMN score REAL DEFAULT 1;
+  `,
+  // 4: per-group high-water mark - the newest message processed in each group
+  `
+    CREATE TABLE IF NOT EXISTS group_watermarks (
+      group_name TEXT PRIMARY KEY,
+      message_dom_id TEXT,
+      message_time TEXT,
+      updated_at TEXT NOT NULL
+    );
+  `,
+  // 5: chat-list state of each group at its last scan (unread-badge pre-pass) and skipped-group counts
+  `
+    CREATE TABLE IF NOT EXISTS chat_list_snapshots (
+      group_name TEXT PRIMARY KEY,
+      time_text TEXT,
+      preview TEXT,
+      updated_at TEXT NOT NULL
+    );
+    ALTER TABLE scan_runs ADD COLUMN groups_skipped INTEGER DEFAULT 0;
+  `,
+  // 6: stable chat identities (chat id from message data-ids) with name history, for rename tracking
+  `
+    CREATE TABLE IF NOT EXISTS chat_identities (
+      chat_id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      previous_names TEXT DEFAULT '[]',
+      first_seen_at TEXT NOT NULL,
+      last_seen_at TEXT NOT NULL,
+      renamed_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_chat_identities_name ON chat_identities (name);
+  `,
+  // 7: searches and chat opens of the last 24 hours, so action budgets survive restarts
+  `
+    CREATE TABLE IF NOT EXISTS action_log (
+      action TEXT NOT NULL,
+      at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_action_log_at ON action_log (at);
+  `,
+  // 8: message type of a match (text, image, video, document, poll, link, contact, system)
+  `
+    ALTER TABLE matches ADD COLUMN message_type TEXT DEFAULT 'text';
+  `,
+  // 9: normalised links of the matched message (JSON array of URLs)
+  `
+    ALTER TABLE matches ADD COLUMN urls TEXT DEFAULT '[]';
+  `,
+  // 10: watched and blocked senders added at runtime (group_name '' = every group)
+  `
+    CREATE TABLE IF NOT EXISTS sender_lists (
+      list TEXT NOT NULL,
+      sender_key TEXT NOT NULL,
+      sender TEXT NOT NULL,
+      group_name TEXT NOT NULL DEFAULT '',
+      added_at TEXT NOT NULL,
+      PRIMARY KEY (list, sender_key, group_name)
+    );
+  `,
+  // 11: conversation context of a match (JSON { quoted, before, after }, NULL when none was captured)
+  `
+    ALTER TABLE matches ADD COLUMN context TEXT;
+  `,
+  // 12: forwarded messages, and copies of a match (cross-posted or forwarded into other groups) folded into it
+  `
+    ALTER TABLE matches ADD COLUMN forwarded INTEGER DEFAULT 0;
+
+    CREATE TABLE IF NOT EXISTS match_copies (
+      match_id INTEGER NOT NULL,
+      message_id TEXT NOT NULL,
+      group_name TEXT NOT NULL,
+      sender TEXT,
+      forwarded INTEGER DEFAULT 0,
+      similarity REAL,
+      message_time TEXT,
+      added_at TEXT NOT NULL,
+      PRIMARY KEY (match_id, message_id)
+    );
+  `,
+  // 13: scheduled digests - the period the next digest covers and when it is due
+  `
+    CREATE TABLE IF NOT EXISTS digest_state (
+      name TEXT PRIMARY KEY,
+      schedule TEXT NOT NULL,
+      period_start TEXT NOT NULL,
+      next_due_at TEXT NOT NULL,
+      last_sent_at TEXT
+    );
+  `,
+  // 14: seen messages are pruned by age
+  `
+    CREATE INDEX IF NOT EXISTS idx_seen_messages_first_seen_at ON seen_messages (first_seen_at);
+  `,
+  // 15: digests replaced the daily summaries written to the match log
+  `
+    DROP TABLE IF EXISTS summary_reports;
+  `,
+  // 16: notifications held back by quiet hours, so they are still sent after a restart
+  `
+    ALTER TABLE matches ADD COLUMN notification_held INTEGER NOT NULL DEFAULT 0;
+  `
+];
+
+// Copies folded into a match, as a JSON array column of the matches query it is added to
+const MATCH_COPIES_COLUMN = `(
+  SELECT json_group_array(json_object('groupName', group_name, 'sender', sender, 'forwarded', forwarded, 'messageTime', message_time))
+  FROM (SELECT * FROM match_copies WHERE match_copies.match_id = matches.id ORDER BY COALESCE(message_time, added_at))
+) AS copies`;
+
+// Apply any migrations the database has not seen yet
+function migrate() {
+  const currentVersion = db.pragma('user_version', { simple: true });
+
+  for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[version]);
+      db.pragma(`user_version = ${version + 1}`);
+    })();
+  }
+}
+
+// Open (or create) the database file and make sure the schema is current
+export function initStorage(dbPath) {
+  if (db) return db;
+
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  db = new Database(dbPath);
+  db.pragma('journal_mode = WAL'); // Safe concurrent reads while scanning
+  migrate();
+  pruneSeenMessages();
+
+  return db;
+}
+
+// Close the database handle on shutdown
+export function closeStorage() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+// Format a Date as a local YYYY-MM-DD key for daily counters
+export function toDateKey(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// Check whether a message has already been processed in any previous scan (or since a time in ms, when given)
+export function isMessageSeen(messageId, since = null) {
+  return !!db.prepare('SELECT 1 FROM seen_messages WHERE message_id = ? AND first_seen_at >= ?').get(messageId, since ?? 0);
+}
+
+// Remember a message so it is never notified twice (survives restarts) - marking it again restarts its seen time
+export function markMessageSeen(messageId, groupName, seenAt = Date.now()) {
+  db.prepare(`
+    INSERT INTO seen_messages (message_id, group_name, first_seen_at) VALUES (?, ?, ?)
+    ON CONFLICT (message_id) DO UPDATE SET group_name = excluded.group_name, first_seen_at = excluded.first_seen_at
+  `).run(messageId, groupName, seenAt);
+}
+
+// Forget seen messages older than the retention period - returns how many were removed
+export function pruneSeenMessages(now = Date.now()) {
+  return db.prepare('DELETE FROM seen_messages WHERE first_seen_at < ?')
+    .run(now - SEEN_MESSAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000).changes;
+}
+
+// Count seen messages per group (replaces the old in-memory analysis)
+export function getSeenMessageStats() {
+  const rows = db.prepare('SELECT group_name, COUNT(*) AS count FROM seen_messages GROUP BY group_name ORDER BY group_name').all();
+  const total = rows.reduce((sum, row) => sum + row.count, 0);
+  return { total, byGroup: rows };
+}
+
+// Store a keyword match and bump the daily counter for its group/keyword
+export function saveMatch(match) {
+  const createdAt = new Date();
+
+  const insertMatch = db.prepare(`
+    INSERT INTO matches (message_id, group_name, sender, message, message_type, urls, context, forwarded, keyword, rule, spans, score, message_time, created_at)
+    VALUES (@messageId, @groupName, @sender, @text, @type, @urls, @context, @forwarded, @matchedKeyword, @matchedRule, @spans, @score, @timestamp, @createdAt)
+  `);
+  const bumpSummary = db.prepare(`
+    INSERT INTO daily_summary (date, group_name, keyword, count) VALUES (?, ?, ?, 1)
+    ON CONFLICT (date, group_name, keyword) DO UPDATE SET count = count + 1
+  `);
+
+  const save = db.transaction(() => {
+    const result = insertMatch.run({
+      messageId: match.messageId,
+      groupName: match.groupName,
+      sender: match.sender || null,
+      text: match.text,
+      type: match.type || 'text',
+      urls: JSON.stringify(match.urls || []),
+      context: match.context ? JSON.stringify(match.context) : null,
+      forwarded: match.forwarded ? 1 : 0,
+      matchedKeyword: match.matchedKeyword,
+      matchedRule: match.matchedRule || null,
+      spans: JSON.stringify(match.matchSpans || []),
+      score: match.matchScore ?? 1,
+      timestamp: match.timestamp || null,
+      createdAt: createdAt.toISOString()
+    });
+    bumpSummary.run(toDateKey(createdAt), match.groupName, match.matchedKeyword);
+    return result.lastInsertRowid;
+  });
+
+  return save();
+}
+
+// Matches sent between two dates, as candidates for the copies of a new match - [{ id, groupName, keyword, text, time }]
+export function getMatchesSentBetween(from, until) {
+  const time = 'COALESCE(message_time, created_at)';
+  return db.prepare(`SELECT id, group_name, keyword, message, ${time} AS time FROM matches WHERE ${time} BETWEEN ? AND ? ORDER BY id`)
+    .all(from.toISOString(), until.toISOString())
+    .map(row => ({ id: row.id, groupName: row.group_name, keyword: row.keyword, text: row.message, time: row.time }));
+}
+
+// Fold a copy of a match (the same message in another group) into it - returns false when it was already folded
+export function addMatchCopy(matchId, copy) {
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO match_copies (match_id, message_id, group_name, sender, forwarded, similarity, message_time, added_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(matchId, copy.messageId, copy.groupName, copy.sender || null, copy.forwarded ? 1 : 0, copy.similarity ?? 1, copy.timestamp || null, new Date().toISOString());
+  return result.changes > 0;
+}
+
+// Groups every given match appeared in, its own first - Map of match id -> [group names]
+export function getMatchGroups(matchIds) {
+  const groups = new Map();
+  if (matchIds.length === 0) return groups;
+  const rows = db.prepare(`
+    SELECT id, group_name, 0 AS copy FROM matches WHERE id IN (SELECT value FROM json_each(?))
+    UNION ALL
+    SELECT match_id, group_name, 1 AS copy FROM match_copies WHERE match_id IN (SELECT value FROM json_each(?))
+    ORDER BY copy
+  `).all(JSON.stringify(matchIds), JSON.stringify(matchIds));
+  for (const row of rows) {
+    if (!groups.has(row.id)) groups.set(row.id, []);
+    if (!groups.get(row.id).includes(row.group_name)) groups.get(row.id).push(row.group_name);
+  }
+  return groups;
+}
+
+// Matches found (stored) in a period, oldest first, with their copies - what a digest lists
+export function getMatchesFoundBetween(from, until) {
+  return db.prepare(`SELECT *, ${MATCH_COPIES_COLUMN} FROM matches WHERE created_at >= ? AND created_at < ? ORDER BY created_at, id`)
+    .all(from.toISOString(), until.toISOString())
+    .map(toMatchRow);
+}
+
+// Fetch the most recent matches, newest first
+export function getRecentMatches(limit = 20) {
+  return db.prepare('SELECT * FROM matches ORDER BY id DESC LIMIT ?').all(limit);
+}
+
+// Total number of matches ever stored
+export function countMatches() {
+  return db.prepare('SELECT COUNT(*) AS count FROM matches').get().count;
+}
+
+// Matches sent at or after a date, oldest first, for analytics - time is the send time, or when the match was found
+export function getMatchHistory(since = null) {
+  const time = 'COALESCE(message_time, created_at)';
+  const rows = since
+    ? db.prepare(`SELECT group_name, keyword, sender, ${time} AS time FROM matches WHERE ${time} >= ? ORDER BY time`).all(since.toISOString())
+    : db.prepare(`SELECT group_name, keyword, sender, ${time} AS time FROM matches ORDER BY time`).all();
+
+  return rows.map(row => ({ groupName: row.group_name, keyword: row.keyword, sender: row.sender, time: new Date(row.time) }));
+}
+
+// SQL WHERE clause for match filters - search looks in the message, sender, group and keyword;
+// from/until (Dates) bound the send time, or when the match was found if the send time is unknown
+function buildMatchFilter({ search = '', group = null, keyword = null, sender = null, from = null, until = null } = {}) {
+  const conditions = [];
+  const params = {};
+
+  if (search) {
+    conditions.push(`(message LIKE @search ESCAPE '\\' OR sender LIKE @search ESCAPE '\\'
+      OR group_name LIKE @search ESCAPE '\\' OR keyword LIKE @search ESCAPE '\\')`);
+    params.search = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+  }
+  if (group) {
+    conditions.push('group_name = @group');
+    params.group = group;
+  }
+  if (keyword) {
+    conditions.push('keyword = @keyword');
+    params.keyword = keyword;
+  }
+  if (sender) {
+    conditions.push('sender = @sender');
+    params.sender = sender;
+  }
+  if (from) {
+    conditions.push('COALESCE(message_time, created_at) >= @from');
+    params.from = from.toISOString();
+  }
+  if (until) {
+    conditions.push('COALESCE(message_time, created_at) <= @until');
+    params.until = until.toISOString();
+  }
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+// Parse the stored spans, links, context and copies of a match row - groups lists every group the message appeared in
+function toMatchRow(row) {
+  const copies = JSON.parse(row.copies || '[]').map(copy => ({ ...copy, forwarded: !!copy.forwarded }));
+  return {
+    ...row,
+    forwarded: !!row.forwarded,
+    spans: JSON.parse(row.spans || '[]'),
+    urls: JSON.parse(row.urls || '[]'),
+    context: row.context ? JSON.parse(row.context) : null,
+    copies,
+    groups: [...new Set([row.group_name, ...copies.map(copy => copy.groupName)])]
+  };
+}
+
+// Page through matches, newest first (filters as in buildMatchFilter)
+export function searchMatches({ limit = 50, offset = 0, ...filters } = {}) {
+  const { where, params } = buildMatchFilter(filters);
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM matches ${where}`).get(params).count;
+  const rows = db.prepare(`SELECT *, ${MATCH_COPIES_COLUMN} FROM matches ${where} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+    .all({ ...params, limit, offset });
+
+  return { total, matches: rows.map(toMatchRow) };
+}
+
+// Every match for the filters, in the order the messages were sent (for exports)
+export function getMatchesForExport(filters = {}) {
+  const { where, params } = buildMatchFilter(filters);
+  return db.prepare(`SELECT *, ${MATCH_COPIES_COLUMN} FROM matches ${where} ORDER BY COALESCE(message_time, created_at), id`)
+    .all(params)
+    .map(toMatchRow);
+}
+
+// Record the start of a scan cycle and return its run id
+export function recordScanStart(startTime = Date.now()) {
+  const result = db.prepare('INSERT INTO scan_runs (started_at) VALUES (?)')
+    .run(new Date(startTime).toISOString());
+  return result.lastInsertRowid;
+}
+
+// Record how a scan cycle ended (duration, groups scanned/skipped, matches and errors)
+export function recordScanEnd(runId, { durationMs, groupsScanned, groupsSkipped = 0, matchCount, errors = [] }) {
+  db.prepare(`
+    UPDATE scan_runs
+    SET finished_at = ?, duration_ms = ?, groups_scanned = ?, groups_skipped = ?, match_count = ?, errors = ?
+    WHERE id = ?
+  `).run(new Date().toISOString(), durationMs, groupsScanned, groupsSkipped, matchCount, JSON.stringify(errors), runId);
+}
+
+// Get the last completed scan run (or null if none)
+export function getLastScanRun() {
+  const row = db.prepare('SELECT * FROM scan_runs WHERE finished_at IS NOT NULL ORDER BY id DESC LIMIT 1').get();
+  if (!row) return null;
+  return { ...row, errors: JSON.parse(row.errors || '[]') };
+}
+
+// Get the daily summary counters for a date (today's count in status)
+export function getDailySummary(dateKey = toDateKey()) {
+  const rows = db.prepare('SELECT group_name, keyword, count FROM daily_summary WHERE date = ? ORDER BY group_name, keyword').all(dateKey);
+
+  const matches = {};
+  let totalMatches = 0;
+  for (const row of rows) {
+    matches[`${row.group_name}-${row.keyword}`] = row.count;
+    totalMatches += row.count;
+  }
+
+  return { date: dateKey, matches, totalMatches };
+}
+
+// Get the newest processed message of a group ({ messageDomId, messageTime } or null on the first scan)
+export function getGroupWatermark(groupName) {
+  const row = db.prepare('SELECT message_dom_id, message_time FROM group_watermarks WHERE group_name = ?').get(groupName);
+  if (!row) return null;
+  return { messageDomId: row.message_dom_id, messageTime: row.message_time };
+}
+
+// Move a group's high-water mark to the newest message processed in this scan
+export function setGroupWatermark(groupName, { messageDomId, messageTime }) {
+  db.prepare(`
+    INSERT INTO group_watermarks (group_name, message_dom_id, message_time, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (group_name) DO UPDATE SET
+      message_dom_id = excluded.message_dom_id, message_time = excluded.message_time, updated_at = excluded.updated_at
+  `).run(groupName, messageDomId || null, messageTime || null, new Date().toISOString());
+}
+
+// Get a group's chat-list row as it looked when the group was last scanned ({ timeText, preview } or null)
+export function getChatListSnapshot(groupName) {
+  const row = db.prepare('SELECT time_text, preview FROM chat_list_snapshots WHERE group_name = ?').get(groupName);
+  if (!row) return null;
+  return { timeText: row.time_text, preview: row.preview };
+}
+
+// Remember a group's chat-list row after scanning it, so the next pre-pass can tell whether it changed
+export function saveChatListSnapshot(groupName, { timeText, preview }) {
+  db.prepare(`
+    INSERT INTO chat_list_snapshots (group_name, time_text, preview, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (group_name) DO UPDATE SET
+      time_text = excluded.time_text, preview = excluded.preview, updated_at = excluded.updated_at
+  `).run(groupName, timeText || '', preview || '', new Date().toISOString());
+}
+
+// Convert a chat_identities row into the shape callers use
+function toChatIdentity(row) {
+  return {
+    chatId: row.chat_id,
+    name: row.name,
+    previousNames: JSON.parse(row.previous_names || '[]'),
+    renamedAt: row.renamed_at
+  };
+}
+
+// Record that a chat id was seen under a name - returns { renamedFrom } when the chat used to have another name
+export function recordChatIdentity(chatId, name) {
+  const now = new Date().toISOString();
+  const existing = db.prepare('SELECT * FROM chat_identities WHERE chat_id = ?').get(chatId);
+
+  if (!existing) {
+    db.prepare('INSERT INTO chat_identities (chat_id, name, first_seen_at, last_seen_at) VALUES (?, ?, ?, ?)')
+      .run(chatId, name, now, now);
+    return { renamedFrom: null };
+  }
+
+  if (existing.name === name) {
+    db.prepare('UPDATE chat_identities SET last_seen_at = ? WHERE chat_id = ?').run(now, chatId);
+    return { renamedFrom: null };
+  }
+
+  const previousNames = JSON.parse(existing.previous_names || '[]').filter(previous => previous !== name);
+  previousNames.push(existing.name);
+  db.prepare('UPDATE chat_identities SET name = ?, previous_names = ?, last_seen_at = ?, renamed_at = ? WHERE chat_id = ?')
+    .run(name, JSON.stringify(previousNames), now, now, chatId);
+  return { renamedFrom: existing.name };
+}
+
+// Find a chat by its current name, or failing that by a name it had before a rename
+export function findChatIdentityByName(name) {
+  const current = db.prepare('SELECT * FROM chat_identities WHERE name = ?').get(name);
+  if (current) return toChatIdentity(current);
+
+  const renamed = db.prepare(`
+    SELECT chat_identities.* FROM chat_identities, json_each(chat_identities.previous_names)
+    WHERE json_each.value = ? ORDER BY renamed_at DESC LIMIT 1
+  `).get(name);
+  return renamed ? toChatIdentity(renamed) : null;
+}
+
+// Current names of every chat seen so far
+export function getKnownChatNames() {
+  return db.prepare('SELECT name FROM chat_identities ORDER BY name').all().map(row => row.name);
+}
+
+// Chats that were renamed at some point, most recent rename first
+export function getRenamedChats() {
+  return db.prepare('SELECT * FROM chat_identities WHERE renamed_at IS NOT NULL ORDER BY renamed_at DESC').all().map(toChatIdentity);
+}
+
+// Move a group's high-water mark and chat-list snapshot to its new name after a rename
+export function renameGroupState(oldName, newName) {
+  db.transaction(() => {
+    db.prepare('UPDATE OR REPLACE group_watermarks SET group_name = ? WHERE group_name = ?').run(newName, oldName);
+    db.prepare('UPDATE OR REPLACE chat_list_snapshots SET group_name = ? WHERE group_name = ?').run(newName, oldName);
+  })();
+}
+
+// Record a search or chat open, dropping entries older than a day (no budget window is longer)
+export function recordAction(action, at = Date.now()) {
+  db.prepare('INSERT INTO action_log (action, at) VALUES (?, ?)').run(action, new Date(at).toISOString());
+  db.prepare('DELETE FROM action_log WHERE at < ?').run(new Date(at - 24 * 60 * 60 * 1000).toISOString());
+}
+
+// Actions taken since a time, as [{ action, at }] with at in ms
+export function getActionsSince(since) {
+  return db.prepare('SELECT action, at FROM action_log WHERE at > ? ORDER BY at')
+    .all(new Date(since).toISOString())
+    .map(row => ({ action: row.action, at: new Date(row.at).getTime() }));
+}
+
+// Add a runtime sender list entry (key from senderKey) - returns false when it is already there
+export function addSenderListEntry({ list, sender, key, groupName = null }) {
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO sender_lists (list, sender_key, sender, group_name, added_at) VALUES (?, ?, ?, ?, ?)
+  `).run(list, key, sender, groupName || '', new Date().toISOString());
+  return result.changes > 0;
+}
+
+// Remove a runtime sender list entry - returns false when there was none
+export function removeSenderListEntry({ list, key, groupName = null }) {
+  return db.prepare('DELETE FROM sender_lists WHERE list = ? AND sender_key = ? AND group_name = ?')
+    .run(list, key, groupName || '').changes > 0;
+}
+
+// Runtime sender list entries, oldest first, as [{ list, sender, groupName }] (groupName null = every group)
+export function getSenderListEntries() {
+  return db.prepare('SELECT list, sender, group_name FROM sender_lists ORDER BY added_at')
+    .all()
+    .map(row => ({ list: row.list, sender: row.sender, groupName: row.group_name || null }));
+}
+
+// Schedule state of a digest - { schedule, periodStart, nextDueAt, lastSentAt } (dates) or null before its first check
+export function getDigestState(name) {
+  const row = db.prepare('SELECT * FROM digest_state WHERE name = ?').get(name);
+  return row ? {
+    schedule: row.schedule,
+    periodStart: new Date(row.period_start),
+    nextDueAt: new Date(row.next_due_at),
+    lastSentAt: row.last_sent_at ? new Date(row.last_sent_at) : null
+  } : null;
+}
+
+// Save the schedule state of a digest
+export function saveDigestState(name, { schedule, periodStart, nextDueAt, lastSentAt = null }) {
+  db.prepare(`
+    INSERT INTO digest_state (name, schedule, period_start, next_due_at, last_sent_at) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (name) DO UPDATE SET schedule = excluded.schedule, period_start = excluded.period_start,
+      next_due_at = excluded.next_due_at, last_sent_at = excluded.last_sent_at
+  `).run(name, schedule, periodStart.toISOString(), nextDueAt.toISOString(), lastSentAt ? lastSentAt.toISOString() : null);
+}
+
+// Mark the notifications of matches as held until quiet hours end
+export function holdMatchNotifications(matchIds) {
+  db.prepare('UPDATE matches SET notification_held = 1 WHERE id IN (SELECT value FROM json_each(?))').run(JSON.stringify(matchIds));
+}
+
+// Clear the held mark once the notifications of matches are sent
+export function releaseMatchNotifications(matchIds) {
+  db.prepare('UPDATE matches SET notification_held = 0 WHERE id IN (SELECT value FROM json_each(?))').run(JSON.stringify(matchIds));
+}
+
+// Matches whose notifications are still held, oldest first, in the shape the scanner found them in
+export function getHeldMatches() {
+  return db.prepare('SELECT * FROM matches WHERE notification_held = 1 ORDER BY id').all().map(row => ({
+    id: row.id,
+    messageId: row.message_id,
+    groupName: row.group_name,
+    sender: row.sender,
+    text: row.message,
+    type: row.message_type,
+    urls: JSON.parse(row.urls || '[]'),
+    context: row.context ? JSON.parse(row.context) : null,
+    forwarded: !!row.forwarded,
+    matchedKeyword: row.keyword,
+    matchedRule: row.rule,
+    matchSpans: JSON.parse(row.spans || '[]'),
+    matchScore: row.score,
+    fuzzy: row.score < 1,
+    timestamp: row.message_time
+  }));
+}
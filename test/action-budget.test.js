@@ -0,0 +1,54 @@
+// Action budget tests - rolling hourly and daily windows, the time a budget frees up and restored history
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ActionBudgetError, spendAction, spentActionBudget, restoreActionHistory, onActionSpent, getActionBudgetUsage
+} from '../action-budget.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const START = Date.parse('2026-10-16T09:00:00Z');
+const LIMITS = { searches: { perHour: 3, perDay: 5 }, chatOpens: { perHour: null, perDay: null } };
+
+describe('action-budget', () => {
+  beforeEach(() => {
+    restoreActionHistory([]);
+    onActionSpent(null);
+  });
+
+  it('stops an action once its hourly budget is spent, until the oldest one ages out', () => {
+    for (let i = 0; i < 3; i++) spendAction('searches', LIMITS, START + i * 10 * MINUTE);
+    assert.equal(spentActionBudget(LIMITS, START + 25 * MINUTE).freesAt.getTime(), START + HOUR);
+
+    assert.throws(() => spendAction('searches', LIMITS, START + 30 * MINUTE), (error) => {
+      assert.ok(error instanceof ActionBudgetError);
+      assert.equal(error.message, '3 searches in the last hour (limit 3)');
+      return true;
+    });
+    spendAction('searches', LIMITS, START + HOUR + MINUTE); // The first search left the window
+    spendAction('chatOpens', LIMITS, START + HOUR + MINUTE); // Unlimited
+  });
+
+  it('reports the budget that frees up last', () => {
+    const actions = [0, 1, 2, 3, 4].map(hour => ({ action: 'searches', at: START + hour * HOUR }));
+    restoreActionHistory(actions);
+
+    const spent = spentActionBudget(LIMITS, START + 4 * HOUR + MINUTE);
+    assert.deepEqual({ ...spent, freesAt: spent.freesAt.getTime() }, { action: 'searches', window: 'perDay', used: 5, limit: 5, freesAt: START + 24 * HOUR });
+    assert.equal(spentActionBudget(LIMITS, START + 24 * HOUR + MINUTE), null);
+  });
+
+  it('tells the handler about every action and reports usage', () => {
+    const spent = [];
+    onActionSpent((action, at) => spent.push([action, at]));
+    spendAction('searches', LIMITS, START);
+    spendAction('chatOpens', LIMITS, START + MINUTE);
+
+    assert.deepEqual(spent, [['searches', START], ['chatOpens', START + MINUTE]]);
+    assert.deepEqual(getActionBudgetUsage(LIMITS, START + 2 * HOUR), [
+      { action: 'searches', window: 'perHour', used: 0, limit: 3 },
+      { action: 'searches', window: 'perDay', used: 1, limit: 5 }
+    ]);
+  });
+});
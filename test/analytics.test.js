@@ -0,0 +1,93 @@
+// Analytics tests - weekly counts, top senders, heatmap, week-over-week trends and both report formats
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildAnalytics, analyticsStart, startOfWeek, formatAnalyticsText, renderAnalyticsHtml, formatChange } from '../analytics.js';
+
+// Wednesday 16 July 2025, 12:00 local time
+const now = new Date(2025, 6, 16, 12, 0);
+
+// Match history entry at a local date and hour
+const match = (day, hour, keyword, groupName, sender) => ({ time: new Date(2025, 6, day, hour, 0), keyword, groupName, sender });
+
+const history = [
+  match(1, 9, 'startup', 'Founders', 'Bob'), // Tuesday, three weeks before
+  match(7, 9, 'startup', 'Founders', 'Bob'), // Monday of last week
+  match(8, 9, 'funding', 'Investors', 'Grace'),
+  match(14, 9, 'startup', 'Founders', 'Carol'), // Monday of this week
+  match(14, 9, 'startup', 'Founders', 'Bob'),
+  match(15, 21, 'startup', 'Investors', null),
+  match(16, 11, 'voice ai', 'Founders', 'Carol')
+];
+
+describe('startOfWeek', () => {
+  it('returns midnight on the Monday of the week', () => {
+    assert.deepEqual(startOfWeek(now), new Date(2025, 6, 14));
+    assert.deepEqual(startOfWeek(new Date(2025, 6, 20, 23, 59)), new Date(2025, 6, 14));
+  });
+});
+
+describe('analyticsStart', () => {
+  it('reaches back far enough for the weekly columns and the two-week trend', () => {
+    assert.deepEqual(analyticsStart(now, 4), new Date(2025, 5, 23));
+    assert.deepEqual(analyticsStart(now, 2), new Date(now.getTime() - 14 * 24 * 60 * 60 * 1000));
+  });
+});
+
+describe('buildAnalytics', () => {
+  const report = buildAnalytics(history, { now, weeks: 3, topSenders: 2 });
+
+  it('counts matches per keyword and per group for each week', () => {
+    assert.deepEqual(report.weeks, ['2025-06-30', '2025-07-07', '2025-07-14']);
+    assert.equal(report.totalMatches, 7);
+    assert.deepEqual(report.byKeyword, [
+      { name: 'startup', perWeek: [1, 1, 3], total: 5 },
+      { name: 'funding', perWeek: [0, 1, 0], total: 1 },
+      { name: 'voice ai', perWeek: [0, 0, 1], total: 1 }
+    ]);
+    assert.deepEqual(report.byGroup.map(row => [row.name, row.total]), [['Founders', 5], ['Investors', 2]]);
+  });
+
+  it('lists the most active senders of each keyword', () => {
+    assert.deepEqual(report.topSenders.find(entry => entry.keyword === 'startup').senders, [
+      { sender: 'Bob', count: 3 },
+      { sender: 'Carol', count: 1 }
+    ]);
+  });
+
+  it('builds a day-of-week by hour heatmap', () => {
+    assert.equal(report.heatmap.cells[0][9], 3); // Mondays at 09:00
+    assert.equal(report.heatmap.cells[1][21], 1); // Tuesday at 21:00
+    assert.equal(report.heatmap.max, 3);
+  });
+
+  it('compares the last 7 days with the 7 days before', () => {
+    assert.deepEqual(report.trends.keywords.map(row => [row.name, row.thisWeek, row.lastWeek, formatChange(row)]), [
+      ['startup', 3, 1, '+200%'],
+      ['voice ai', 1, 0, 'new'],
+      ['funding', 0, 1, '-100%']
+    ]);
+  });
+
+  it('leaves out matches before the first week', () => {
+    assert.equal(buildAnalytics(history, { now, weeks: 2 }).totalMatches, 6);
+  });
+});
+
+describe('report output', () => {
+  const report = buildAnalytics([...history, match(16, 10, 'startup', '<b>Founders</b> & co', 'Eve')], { now, weeks: 3 });
+
+  it('renders terminal tables', () => {
+    const text = formatAnalyticsText(report);
+    assert.match(text, /Keyword\s+06-30\s+07-07\s+07-14\s+Total/);
+    assert.match(text, /startup\s+1\s+1\s+4\s+6/);
+    assert.match(text, /^Mon {3}· {2}·/m);
+  });
+
+  it('renders an HTML page with escaped names', () => {
+    const html = renderAnalyticsHtml(report);
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.ok(html.includes('&lt;b&gt;Founders&lt;/b&gt; &amp; co'));
+    assert.ok(!html.includes('<b>Founders'));
+  });
+});
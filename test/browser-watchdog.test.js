@@ -0,0 +1,64 @@
+// Browser watchdog tests - process tree memory, samples of stand-in browsers and recycle decisions
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { sumProcessTree, sampleBrowserResources, recycleReason } from '../browser-watchdog.js';
+
+const LIMITS = { enabled: true, maxBrowserMemoryMB: 2048, maxHeapMB: 768, maxUptimeHours: 12 };
+const HOUR = 60 * 60 * 1000;
+
+// Stand-in for a Puppeteer browser and page
+function createBrowser({ connected = true, pid = process.pid, heapBytes = 200 * 1024 * 1024, metrics } = {}) {
+  const page = {
+    isClosed: () => false,
+    metrics: metrics || (async () => ({ JSHeapUsedSize: heapBytes }))
+  };
+  const browser = { connected, process: () => (pid ? { pid } : null) };
+  return { browser, page };
+}
+
+describe('browser-watchdog', () => {
+  it('adds up the memory of a process and its descendants', () => {
+    const ps = `
+      1     0   9000
+    100     1 512000
+    101   100 204800
+    102   100 102400
+    103   101  51200
+    200     1 999999
+    `;
+    assert.equal(sumProcessTree(ps, 100), 850); // 870400 KB
+    assert.equal(sumProcessTree(ps, 103), 50);
+    assert.equal(sumProcessTree(ps, 999), null);
+  });
+
+  it('samples the page heap and the browser process tree', async () => {
+    const { browser, page } = createBrowser();
+    const sample = await sampleBrowserResources(browser, page);
+
+    assert.equal(sample.responsive, true);
+    assert.equal(sample.heapMB, 200);
+    assert.ok(sample.browserMemoryMB === null || sample.browserMemoryMB > 0); // null where ps is missing
+  });
+
+  it('treats a disconnected browser or failing page as unresponsive', async () => {
+    const disconnected = createBrowser({ connected: false });
+    assert.equal((await sampleBrowserResources(disconnected.browser, disconnected.page)).responsive, false);
+    assert.equal((await sampleBrowserResources(null, null)).responsive, false);
+
+    const crashed = createBrowser({ metrics: async () => { throw new Error('Target closed'); } });
+    const sample = await sampleBrowserResources(crashed.browser, crashed.page);
+    assert.deepEqual(sample, { responsive: false, browserMemoryMB: null, heapMB: null, error: 'Target closed' });
+  });
+
+  it('decides when to recycle', () => {
+    const healthy = { responsive: true, browserMemoryMB: 900, heapMB: 150, error: null };
+    assert.equal(recycleReason(healthy, LIMITS, 2 * HOUR), null);
+    assert.equal(recycleReason({ ...healthy, browserMemoryMB: null, heapMB: null }, LIMITS, HOUR), null);
+
+    assert.equal(recycleReason({ ...healthy, browserMemoryMB: 2300 }, LIMITS, HOUR), 'browser memory 2300 MB is over 2048 MB');
+    assert.equal(recycleReason({ ...healthy, heapMB: 800 }, LIMITS, HOUR), 'page JS heap 800 MB is over 768 MB');
+    assert.equal(recycleReason(healthy, LIMITS, 12.5 * HOUR), 'browser up for 12.5h, over 12h');
+    assert.equal(recycleReason({ responsive: false, error: 'Target closed' }, LIMITS, HOUR), 'browser not responding (Target closed)');
+  });
+});
@@ -0,0 +1,70 @@
+// Config loader tests - live bindings, staged reloads and rejected edits of a watched YAML file
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises'; // File system operations
+import os from 'os'; // Temp directory for the config file
+import path from 'path'; // Path manipulation utilities
+
+const configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whatsapp-monitor-config-'));
+const configPath = path.join(configDir, 'config.yaml');
+
+const baseConfig = `TARGET_GROUPS: [Founders]
+KEYWORDS: [startup]
+SCAN_INTERVAL_MINUTES: 30
+DATABASE_PATH: ./data/a.db
+`;
+
+// Wait until the watcher has staged (or rejected) the latest edit
+const settle = () => new Promise(resolve => setTimeout(resolve, 1500));
+
+describe('config-loader', () => {
+  let config;
+
+  before(async () => {
+    await fs.writeFile(configPath, baseConfig);
+    // Must be set before config-loader.js is imported
+    process.env.WHATSAPP_MONITOR_CONFIG = configPath;
+    config = await import('../config-loader.js');
+    config.watchConfig();
+  });
+
+  after(async () => {
+    config.unwatchConfig();
+    await fs.rm(configDir, { recursive: true, force: true });
+  });
+
+  it('loads the file with schema defaults', () => {
+    assert.equal(config.CONFIG_PATH, configPath);
+    assert.deepEqual(config.KEYWORDS, ['startup']);
+    assert.equal(config.TIMEOUTS.search, 5000);
+  });
+
+  it('stages an edit and applies it at the next cycle', async () => {
+    await fs.writeFile(configPath, baseConfig.replace('[startup]', '[startup, funding]').replace('30', '5'));
+    await settle();
+
+    assert.deepEqual(config.KEYWORDS, ['startup'], 'nothing changes before the next cycle');
+    assert.deepEqual(config.applyPendingConfig(), ['KEYWORDS', 'SCAN_INTERVAL_MINUTES']);
+    assert.deepEqual(config.KEYWORDS, ['startup', 'funding']);
+    assert.equal(config.SCAN_INTERVAL_MINUTES, 5);
+    assert.deepEqual(config.applyPendingConfig(), [], 'a change is applied once');
+  });
+
+  it('keeps the current settings when an edit is invalid', async () => {
+    await fs.writeFile(configPath, baseConfig.replace('[startup]', '[]'));
+    await settle();
+
+    assert.deepEqual(config.applyPendingConfig(), []);
+    assert.deepEqual(config.KEYWORDS, ['startup', 'funding']);
+  });
+
+  it('leaves restart-only settings at their startup values', async () => {
+    await fs.writeFile(configPath, baseConfig.replace('a.db', 'b.db').replace('[Founders]', '[Founders, Investors]'));
+    await settle();
+
+    assert.deepEqual(config.applyPendingConfig(), ['TARGET_GROUPS', 'KEYWORDS', 'SCAN_INTERVAL_MINUTES']);
+    assert.deepEqual(config.TARGET_GROUPS, ['Founders', 'Investors']);
+    assert.equal(config.DATABASE_PATH, './data/a.db');
+  });
+});
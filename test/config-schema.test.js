@@ -0,0 +1,147 @@
+// Config schema tests - parsing, defaults and the error messages for invalid settings
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs'; // Reads the example config
+import { parseConfigText, toPlainConfig, validateConfig, ConfigError } from '../config-schema.js';
+
+// Problems reported for a config, or [] when it is valid
+function problemsOf(raw) {
+  try {
+    validateConfig(raw, 'config.yaml');
+    return [];
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.problems;
+  }
+}
+
+describe('validateConfig', () => {
+  it('accepts the example config', () => {
+    const text = fs.readFileSync(new URL('../config.example.yaml', import.meta.url), 'utf8');
+    const config = validateConfig(parseConfigText(text, 'config.example.yaml'));
+
+    assert.deepEqual(config.GROUP_DISCOVERY.include, ['startup', '/\\bYC\\b/']);
+    assert.equal(config.NOTIFICATION_CHANNELS.length, 4);
+  });
+
+  it('fills in defaults for keys left out, including nested ones', () => {
+    const config = validateConfig({ TARGET_GROUPS: ['Founders'], KEYWORDS: ['startup'], TIMEOUTS: { search: 1000 } });
+
+    assert.equal(config.SCAN_INTERVAL_MINUTES, 30);
+    assert.deepEqual(config.TIMEOUTS, { search: 1000, navigation: 60000, message: 3000, betweenGroups: 2000 });
+    assert.deepEqual(config.NOTIFICATION_CHANNELS, [{ type: 'desktop' }]);
+    assert.equal(config.MESSAGE_DATE_ORDER, 'auto');
+  });
+
+  it('does not modify the object it was given', () => {
+    const raw = { TARGET_GROUPS: ['Founders'], KEYWORDS: ['startup'] };
+    validateConfig(raw);
+    assert.deepEqual(raw, { TARGET_GROUPS: ['Founders'], KEYWORDS: ['startup'] });
+  });
+
+  it('rejects empty keywords and out-of-range intervals', () => {
+    assert.deepEqual(problemsOf({ TARGET_GROUPS: ['Founders'], KEYWORDS: [], SCAN_INTERVAL_MINUTES: 0 }), [
+      'KEYWORDS must not be empty',
+      'SCAN_INTERVAL_MINUTES must be >= 1'
+    ]);
+    assert.deepEqual(problemsOf({ TARGET_GROUPS: ['Founders'], KEYWORDS: ['startup'], SCAN_INTERVAL_MINUTES: 'often' }), [
+      'SCAN_INTERVAL_MINUTES must be number'
+    ]);
+  });
+
+  it('names unknown keys and suggests the closest known one', () => {
+    assert.deepEqual(problemsOf({ TARGET_GROUPS: ['Founders'], KEYWORDS: ['startup'], SCAN_INTERVAL: 5, TIMEOUTS: { serch: 1 } }), [
+      'unknown key "SCAN_INTERVAL" (did you mean "SCAN_INTERVAL_MINUTES"?)',
+      'TIMEOUTS has unknown key "serch" (did you mean "search"?)'
+    ]);
+  });
+
+  it('reports keyword entries of the wrong shape and invalid rule syntax', () => {
+    assert.deepEqual(problemsOf({ TARGET_GROUPS: ['Founders'], KEYWORDS: ['startup', { name: 'no query' }] }), [
+      'KEYWORDS[1] must be a non-empty rule string or a rule object with a "query"'
+    ]);
+    assert.deepEqual(problemsOf({ TARGET_GROUPS: ['Founders'], KEYWORDS: ['"voice ai'] }), [
+      'KEYWORDS: Invalid keyword rule ""voice ai": unterminated quote at position 0'
+    ]);
+  });
+
+  it('requires the settings each notification channel type needs', () => {
+    assert.deepEqual(problemsOf({ TARGET_GROUPS: ['Founders'], KEYWORDS: ['startup'], NOTIFICATION_CHANNELS: [{ type: 'slack' }, { type: 'sms' }] }), [
+      'NOTIFICATION_CHANNELS[0] is missing required key "webhookUrl"',
+      'NOTIFICATION_CHANNELS[1].type must be one of "desktop", "slack", "email", "push"'
+    ]);
+  });
+
+  it('needs a group to scan unless discovery is enabled', () => {
+    assert.deepEqual(problemsOf({ KEYWORDS: ['startup'] }), ['TARGET_GROUPS must not be empty unless GROUP_DISCOVERY is enabled']);
+    assert.deepEqual(problemsOf({ KEYWORDS: ['startup'], GROUP_DISCOVERY: { enabled: true, include: ['startup'] } }), []);
+    assert.deepEqual(problemsOf({ KEYWORDS: ['startup'], GROUP_DISCOVERY: { enabled: true, include: ['/(/'] } }), [
+      'GROUP_DISCOVERY.include: Invalid group discovery pattern "/(/" (Invalid regular expression: /(/: Unterminated group)'
+    ]);
+  });
+
+  it('checks pacing profiles and delay ranges', () => {
+    const base = { TARGET_GROUPS: ['Founders'], KEYWORDS: ['startup'] };
+    assert.deepEqual(problemsOf({ ...base, PACING: { profile: 'cautious', delays: { typing: [80, 160] } } }), []);
+    assert.deepEqual(problemsOf({ ...base, PACING: { profile: 'slow', delays: { betweenGroup: [1000, 2000], typing: [200, 100] } } }), [
+      'PACING.profile must be one of "cautious", "normal", "fast"',
+      'PACING.delays has unknown key "betweenGroup" (did you mean "betweenGroups"?)'
+    ]);
+    assert.deepEqual(problemsOf({ ...base, PACING: { delays: { typing: [200, 100] } } }), ['PACING.delays.typing: min 200 is larger than max 100']);
+  });
+
+  it('checks schedule cron expressions and quiet hours', () => {
+    const base = { TARGET_GROUPS: ['Founders'], KEYWORDS: ['startup'] };
+    assert.deepEqual(problemsOf({ ...base, SCHEDULE: { default: ['*/15 9-18 * * mon-fri', '0 * * * *'], groups: { Founders: 10 } } }), []);
+    assert.deepEqual(problemsOf({ ...base, SCHEDULE: { groups: { Founders: '*/15 9-19 * *' }, quietHours: { from: '23:00', to: '7am' } } }), [
+      'SCHEDULE.quietHours: to "7am" must be a time like "23:00"'
+    ]);
+    assert.deepEqual(problemsOf({ ...base, SCHEDULE: { groups: { Founders: '0 0 30 2 *' } } }), ['SCHEDULE.groups["Founders"]: "0 0 30 2 *" never matches']);
+    assert.deepEqual(problemsOf({ ...base, SCHEDULE: { default: [] } }), [
+      'SCHEDULE.default must be a number of minutes, a cron expression or a non-empty list of cron expressions'
+    ]);
+  });
+  it('fills in sender lists and rejects empty senders', () => {
+    const base = { TARGET_GROUPS: ['Founders'], KEYWORDS: ['startup'] };
+    assert.deepEqual(validateConfig({ ...base, SENDERS: { groups: { Founders: { block: ['Promo Bot'] } } } }).SENDERS, {
+      watch: [], block: [], groups: { Founders: { watch: [], block: ['Promo Bot'] } }
+    });
+    assert.deepEqual(problemsOf({ ...base, SENDERS: { watch: [''] } }), ['SENDERS.watch[0] must not be empty']);
+  });
+
+  it('checks digest schedules and their email channels', () => {
+    const base = { TARGET_GROUPS: ['Founders'], KEYWORDS: ['startup'] };
+    assert.deepEqual(validateConfig(base).DIGESTS, [{ name: 'daily', schedule: 'daily', formats: ['html', 'md'], email: false, skipEmpty: true }]);
+    const email = { type: 'email', name: 'team', host: 'smtp.example.com', from: 'monitor@example.com', to: 'me@example.com' };
+    assert.deepEqual(problemsOf({ ...base, NOTIFICATION_CHANNELS: [email], DIGESTS: [{ name: 'weekly', schedule: 'weekly', email: 'team' }] }), []);
+    assert.deepEqual(problemsOf({ ...base, DIGESTS: [{ name: 'daily', schedule: 'daily', email: true }, { name: 'evening', schedule: '0 18 * *', email: 'team' }] }), [
+      'DIGESTS[1].schedule: "0 18 * *" must have 5 fields (minute hour day-of-month month day-of-week), not 4 (or use hourly, daily or weekly)',
+      'DIGESTS[0].email: there is no email channel in NOTIFICATION_CHANNELS',
+      'DIGESTS[1].email: there is no email channel named "team" in NOTIFICATION_CHANNELS'
+    ]);
+    assert.deepEqual(problemsOf({ ...base, DIGESTS: [{ name: 'my digest', schedule: 'daily' }] }), [
+      'DIGESTS[0].name may only contain letters, digits, - and _'
+    ]);
+  });
+});
+
+describe('parseConfigText', () => {
+  it('parses YAML and JSON by file extension', () => {
+    assert.deepEqual(parseConfigText('KEYWORDS:\n  - startup\n', 'config.yaml'), { KEYWORDS: ['startup'] });
+    assert.deepEqual(parseConfigText('{"KEYWORDS": ["startup"]}', 'config.json'), { KEYWORDS: ['startup'] });
+  });
+
+  it('reports syntax errors and files that are not a mapping', () => {
+    assert.throws(() => parseConfigText('{"KEYWORDS": [', 'config.json'), ConfigError);
+    assert.throws(() => parseConfigText('- startup\n', 'config.yaml'), /must contain a mapping of setting names to values/);
+  });
+});
+
+describe('toPlainConfig', () => {
+  it('writes RegExp values from legacy config.js modules as "/pattern/flags" strings', () => {
+    assert.deepEqual(toPlainConfig({ GROUP_DISCOVERY: { include: ['startup', /\bYC\b/i] } }), {
+      GROUP_DISCOVERY: { include: ['startup', '/\\bYC\\b/i'] }
+    });
+  });
+});
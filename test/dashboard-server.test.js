@@ -0,0 +1,164 @@
+// Dashboard server tests - REST endpoints against a throwaway database and a stub monitor controller
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises'; // File system operations
+import os from 'os'; // Temp directory for the test database
+import path from 'path'; // Path manipulation utilities
+import http from 'http'; // fetch() cannot override the Host header
+import { startDashboard } from '../dashboard-server.js';
+import { initStorage, closeStorage, saveMatch } from '../storage.js';
+import { SenderListError } from '../sender-lists.js';
+
+// Stand-in for the monitor state in index.js
+function createController() {
+  const controller = {
+    paused: false,
+    scanning: false,
+    scansStarted: 0,
+    loginQr: null,
+    senders: [],
+    getStatus: () => ({ scanning: controller.scanning, paused: controller.paused, currentScanProgress: 'Batch 1/2', scanErrors: [] }),
+    getLoginQr: () => controller.loginQr,
+    pause: () => { controller.paused = true; },
+    resume: () => { controller.paused = false; },
+    triggerScan: () => {
+      if (controller.paused) return { started: false, reason: 'Scanning is paused. Resume first.' };
+      controller.scansStarted++;
+      return { started: true };
+    },
+    getSenders: () => controller.senders,
+    updateSenders: (action, entry) => {
+      if (!entry.sender) throw new SenderListError('A sender name or phone number is needed');
+      controller.senders = action === 'add' ? [...controller.senders, entry] : controller.senders.filter(known => known.sender !== entry.sender);
+      return { changed: true, entries: controller.senders };
+    }
+  };
+  return controller;
+}
+
+describe('dashboard server', () => {
+  let tempDir;
+  let dashboard;
+  let controller;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whatsapp-monitor-dashboard-'));
+    initStorage(path.join(tempDir, 'monitor.db'));
+    saveMatch({ messageId: 'm1', groupName: 'Founders', sender: 'Bob', text: 'I just launched my startup', matchedKeyword: 'startup', matchSpans: [{ start: 19, end: 26, text: 'startup' }] });
+    saveMatch({ messageId: 'm2', groupName: 'Investors', sender: 'Grace', text: 'Looking for 100% funding_intros', matchedKeyword: 'funding' });
+    saveMatch({ messageId: 'm3', groupName: 'Founders', sender: 'Carol', text: 'Anyone building in voice ai?', matchedKeyword: 'voice ai' });
+
+    controller = createController();
+    dashboard = await startDashboard({ port: 0, controller });
+  });
+
+  after(async () => {
+    await dashboard.close();
+    closeStorage();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('serves the dashboard page', async () => {
+    const response = await fetch(dashboard.url);
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /<title>WhatsApp Monitor<\/title>/);
+  });
+
+  it('reports the monitor status', async () => {
+    const status = await (await fetch(`${dashboard.url}/api/status`)).json();
+    assert.deepEqual(status, { scanning: false, paused: false, currentScanProgress: 'Batch 1/2', scanErrors: [] });
+  });
+
+  it('lists matches newest first, with search and filters', async () => {
+    const all = await (await fetch(`${dashboard.url}/api/matches`)).json();
+    assert.equal(all.total, 3);
+    assert.deepEqual(all.matches.map(match => match.sender), ['Carol', 'Grace', 'Bob']);
+    assert.deepEqual(all.matches[2].spans, [{ start: 19, end: 26, text: 'startup' }]);
+
+    const searched = await (await fetch(`${dashboard.url}/api/matches?search=${encodeURIComponent('100%')}`)).json();
+    assert.deepEqual(searched.matches.map(match => match.text), ['Looking for 100% funding_intros']);
+
+    const filtered = await (await fetch(`${dashboard.url}/api/matches?group=Founders&limit=1&offset=1`)).json();
+    assert.equal(filtered.total, 2);
+    assert.deepEqual(filtered.matches.map(match => match.keyword), ['startup']);
+  });
+
+  it('downloads filtered exports', async () => {
+    const response = await fetch(`${dashboard.url}/api/export?format=csv&group=Founders`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="matches.csv"');
+    assert.equal((await response.text()).trim().split('\r\n').length, 3); // Header and two matches
+
+    const invalid = await fetch(`${dashboard.url}/api/export?format=csv&from=yesterday`);
+    assert.equal(invalid.status, 400);
+    assert.match((await invalid.json()).error, /Invalid date "yesterday"/);
+  });
+
+  it('serves the QR code waiting to be scanned', async () => {
+    const missing = await fetch(`${dashboard.url}/api/login-qr`);
+    assert.equal(missing.status, 404);
+    assert.deepEqual(await missing.json(), { error: 'No QR code waiting to be scanned' });
+
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    controller.loginQr = { png, capturedAt: new Date().toISOString() };
+    const response = await fetch(`${dashboard.url}/api/login-qr`);
+    controller.loginQr = null;
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/png');
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), png);
+  });
+
+  it('pauses, resumes and triggers scans', async () => {
+    assert.deepEqual(await (await fetch(`${dashboard.url}/api/pause`, { method: 'POST' })).json(), { paused: true });
+
+    const refused = await fetch(`${dashboard.url}/api/scan`, { method: 'POST' });
+    assert.equal(refused.status, 409);
+    assert.equal(controller.scansStarted, 0);
+
+    await fetch(`${dashboard.url}/api/resume`, { method: 'POST' });
+    const started = await fetch(`${dashboard.url}/api/scan`, { method: 'POST' });
+    assert.equal(started.status, 202);
+    assert.equal(controller.scansStarted, 1);
+  });
+
+  it('lists, adds and removes watched and blocked senders', async () => {
+    const send = (method, body) => fetch(`${dashboard.url}/api/senders`, {
+      method, headers: { 'Content-Type': 'application/json' }, body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    const added = await send('POST', { list: 'watch', sender: 'Alice', group: 'Founders' });
+    assert.equal(added.status, 200);
+    assert.deepEqual((await added.json()).entries, [{ list: 'watch', sender: 'Alice', group: 'Founders' }]);
+    assert.deepEqual(await (await fetch(`${dashboard.url}/api/senders`)).json(), { entries: controller.senders });
+
+    await send('DELETE', { list: 'watch', sender: 'Alice' });
+    assert.deepEqual(controller.senders, []);
+
+    const invalid = await send('POST', { list: 'watch' });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(await invalid.json(), { error: 'A sender name or phone number is needed' });
+    assert.equal((await send('POST', 'not json')).status, 400);
+  });
+
+  it('rejects control requests from other sites and foreign Host headers', async () => {
+    const crossSite = await fetch(`${dashboard.url}/api/pause`, { method: 'POST', headers: { Origin: 'https://evil.example' } });
+    assert.equal(crossSite.status, 403);
+    assert.equal(controller.paused, false);
+
+    const reboundStatus = await new Promise((resolve, reject) => {
+      http.get(`${dashboard.url}/api/status`, { headers: { Host: 'evil.example' } }, res => {
+        res.resume();
+        resolve(res.statusCode);
+      }).on('error', reject);
+    });
+    assert.equal(reboundStatus, 403);
+  });
+
+  it('answers unknown routes and methods with JSON errors', async () => {
+    assert.equal((await fetch(`${dashboard.url}/api/nope`)).status, 404);
+    assert.equal((await fetch(`${dashboard.url}/api/status`, { method: 'DELETE' })).status, 405);
+    assert.equal((await fetch(`${dashboard.url}/nope`)).status, 404);
+  });
+});
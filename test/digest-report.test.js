@@ -0,0 +1,141 @@
+// Digest report tests - schedules, grouping, the Markdown and HTML digests, and due, on-time and catch-up runs
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises'; // File system operations
+import os from 'os'; // Temp directory for the test database
+import path from 'path'; // Path manipulation utilities
+import { initStorage, closeStorage, saveMatch, getDigestState, getMatchesFoundBetween } from '../storage.js';
+import { compileDigests, buildDigest, renderDigestMarkdown, renderDigestHtml, runDueDigests, nextDigestTime } from '../digest-report.js';
+import { ScheduleError } from '../scan-schedule.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('compileDigests', () => {
+  it('compiles presets and cron expressions', () => {
+    const [daily, custom] = compileDigests([{ name: 'daily', schedule: 'daily' }, { name: 'evening', schedule: '0 18 * * 1-5' }]);
+    assert.equal(daily.cron.expression, '0 8 * * *');
+    assert.equal(custom.cron.expression, '0 18 * * 1-5');
+  });
+
+  it('rejects invalid schedules and repeated names', () => {
+    assert.throws(() => compileDigests([{ name: 'a', schedule: 'monthly' }]), ScheduleError);
+    assert.throws(() => compileDigests([{ name: 'a', schedule: 'hourly' }, { name: 'a', schedule: 'daily' }]), /DIGESTS\[1\]: the name "a" is used twice/);
+  });
+});
+
+describe('digests', () => {
+  let tempDir;
+  let emails;
+  const sendEmail = async (report, channelName) => {
+    emails.push({ ...report, channelName });
+    return true;
+  };
+  const DIGESTS = [
+    { name: 'daily', schedule: 'daily', formats: ['html', 'md'], email: true, skipEmpty: true },
+    { name: 'weekly', schedule: 'weekly', formats: ['md'], email: 'team', skipEmpty: false }
+  ];
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whatsapp-monitor-digest-'));
+    initStorage(path.join(tempDir, 'monitor.db'));
+  });
+
+  after(async () => {
+    closeStorage();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('groups matches by keyword and group, busiest first', () => {
+    const start = new Date(Date.now() - HOUR);
+    saveMatch({ messageId: 'm1', groupName: 'Founders', sender: 'Bob', text: 'My startup <launch>', matchedKeyword: 'startup', timestamp: new Date(2025, 6, 14, 9).toISOString() });
+    saveMatch({ messageId: 'm2', groupName: 'Investors', sender: 'Grace', text: 'Seed funding open', matchedKeyword: 'funding', timestamp: new Date(2025, 6, 14, 10).toISOString(),
+      context: { quoted: { sender: 'Alice', text: 'Any funds?' }, before: [], after: [] } });
+    saveMatch({ messageId: 'm3', groupName: 'Investors', sender: 'Heidi', text: 'Startup demo day', matchedKeyword: 'startup', timestamp: new Date(2025, 6, 14, 11).toISOString() });
+    saveMatch({ messageId: 'm4', groupName: 'Investors', sender: 'Ivan', text: 'Startup jobs', matchedKeyword: 'startup', timestamp: new Date(2025, 6, 14, 12).toISOString() });
+
+    const digest = buildDigest(getMatchesFoundBetween(start, new Date(Date.now() + HOUR)), { name: 'daily', from: start, until: new Date() });
+    assert.equal(digest.matchCount, 4);
+    assert.equal(digest.groupCount, 2);
+    assert.deepEqual(digest.keywords.map(keyword => [keyword.name, keyword.count, keyword.groups.map(group => `${group.name} ${group.count}`)]), [
+      ['startup', 3, ['Investors 2', 'Founders 1']],
+      ['funding', 1, ['Investors 1']]
+    ]);
+    assert.deepEqual(digest.keywords[0].groups[0].matches.map(record => record.sender), ['Heidi', 'Ivan']);
+
+    const markdown = renderDigestMarkdown(digest);
+    assert.match(markdown, /^# WhatsApp Monitor daily digest - 4 matches\n/);
+    assert.match(markdown, /## startup \(3\)\n\n### Investors \(2\)\n\n\*\*[^*]+\*\* · Heidi\n\n> Startup demo day\n/);
+    assert.match(markdown, /> ↪ Alice: Any funds\?\n>\n> \*\*Grace:\*\*\n> \*\*Seed funding open\*\*/);
+
+    const html = renderDigestHtml(digest);
+    assert.match(html, /<h2>startup \(3\)<\/h2>\n<h3>Investors \(2\)<\/h3>/);
+    assert.match(html, /<div class="match">My startup &lt;launch&gt;<\/div>/);
+    assert.match(html, /<div class="context">↪ Alice: Any funds\?<\/div>\n<div class="match"><strong>Grace:<\/strong> Seed funding open<\/div>/);
+  });
+
+  it('starts the first period without writing a digest', async () => {
+    emails = [];
+    const results = await runDueDigests(DIGESTS, { reportsDir: tempDir, sendEmail, now: new Date(Date.now() - HOUR) });
+    assert.deepEqual(results, []);
+    assert.equal(getDigestState('daily').schedule, '0 8 * * *');
+    assert.equal(getDigestState('daily').nextDueAt.getHours(), 8);
+    assert.deepEqual(nextDigestTime(DIGESTS), getDigestState('daily').nextDueAt);
+  });
+
+  it('writes and emails a due digest covering the period, then skips an empty one', async () => {
+    emails = [];
+    const dueAt = getDigestState('daily').nextDueAt;
+    const [daily] = await runDueDigests([DIGESTS[0]], { reportsDir: tempDir, sendEmail, now: dueAt });
+
+    assert.equal(daily.matchCount, 4);
+    assert.equal(daily.emailed, true);
+    assert.deepEqual(daily.filePaths.map(filePath => path.extname(filePath)), ['.html', '.md']);
+    assert.match(path.basename(daily.filePaths[0]), /^digest-daily-\d{4}-\d{2}-\d{2}-0800\.html$/);
+    assert.match(await fs.readFile(daily.filePaths[1], 'utf8'), /^# WhatsApp Monitor daily digest - 4 matches\n/);
+    assert.deepEqual(emails.map(email => [email.subject, email.channelName]), [['WhatsApp Monitor daily digest - 4 matches', null]]);
+    assert.match(emails[0].html, /^<!DOCTYPE html>/);
+    assert.deepEqual(getDigestState('daily').periodStart, dueAt);
+    assert.ok(getDigestState('daily').nextDueAt > dueAt);
+
+    emails = [];
+    const [empty] = await runDueDigests([DIGESTS[0]], { reportsDir: tempDir, sendEmail, now: getDigestState('daily').nextDueAt });
+    assert.deepEqual(empty, { name: 'daily', matchCount: 0, filePaths: [], emailed: false });
+    assert.deepEqual(emails, []);
+  });
+
+  it('sends one catch-up digest up to now after missed runs', async () => {
+    emails = [];
+    const now = new Date(getDigestState('weekly').nextDueAt.getTime() + 30 * HOUR);
+    const [weekly] = await runDueDigests([DIGESTS[1]], { reportsDir: tempDir, sendEmail, now });
+
+    assert.equal(weekly.matchCount, 4);
+    assert.match(await fs.readFile(weekly.filePaths[0], 'utf8'), /^# WhatsApp Monitor weekly digest \(catch-up\) - 4 matches\n\n\*\*Catch-up:\*\*/);
+    assert.deepEqual(emails.map(email => email.channelName), ['team']);
+    assert.deepEqual(getDigestState('weekly').periodStart, now);
+    assert.ok(getDigestState('weekly').nextDueAt > now);
+  });
+
+  it('runs the other digests when one fails, and retries its period at the next run', async () => {
+    const failing = { name: 'failing', schedule: 'daily', formats: ['md'], email: 'broken', skipEmpty: false };
+    const other = { name: 'other', schedule: 'daily', formats: ['md'], email: false, skipEmpty: false };
+    const start = new Date(Date.now() - 2 * HOUR);
+    await runDueDigests([failing, other], { reportsDir: tempDir, sendEmail, now: start });
+    const dueAt = getDigestState('failing').nextDueAt;
+
+    const brokenEmail = async () => { throw new Error('SMTP down'); };
+    const results = await runDueDigests([failing, other], { reportsDir: tempDir, sendEmail: brokenEmail, now: dueAt });
+    assert.deepEqual(results.map(result => [result.name, result.error || null, result.matchCount]), [['failing', 'SMTP down', 0], ['other', null, 4]]);
+    assert.deepEqual(getDigestState('failing').periodStart, start);
+    assert.deepEqual(getDigestState('other').periodStart, dueAt);
+    assert.ok(getDigestState('failing').nextDueAt > dueAt);
+  });
+
+  it('re-plans the next run, keeping the period, when the schedule changes', async () => {
+    const periodStart = getDigestState('weekly').periodStart;
+    const results = await runDueDigests([{ ...DIGESTS[1], schedule: '0 18 * * 5' }], { reportsDir: tempDir, sendEmail, now: new Date(periodStart.getTime() + HOUR) });
+    assert.deepEqual(results, []);
+    assert.equal(getDigestState('weekly').schedule, '0 18 * * 5');
+    assert.deepEqual(getDigestState('weekly').periodStart, periodStart);
+  });
+});
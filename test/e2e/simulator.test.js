@@ -0,0 +1,415 @@
+// E2E suite - Drives the real Puppeteer code paths in whatsapp-web.js against the offline WhatsApp Web simulator
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises'; // File system operations
+import path from 'path'; // Path manipulation utilities
+import { fileURLToPath } from 'url'; // URL to file path converter
+import puppeteer from 'puppeteer'; // Browser automation library
+import { startSimulator } from '../../simulator/server.js';
+import { selectDiscoveredGroups, rankRenameCandidates } from '../../group-discovery.js';
+import { getSelectorHealth, onSelectorBroken, SelectorBrokenError } from '../../selector-registry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Must be set before config-loader.js is imported
+process.env.WHATSAPP_MONITOR_CONFIG = path.join(__dirname, 'config.js');
+
+describe('WhatsApp Web simulator', () => {
+  let simulator;
+  let browser;
+  let page;
+  let config;
+  let web;
+  let matcher;
+  let storage;
+
+  before(async () => {
+    simulator = await startSimulator();
+    process.env.WHATSAPP_WEB_URL = simulator.url;
+
+    config = await import('../../config-loader.js');
+    web = await import('../../whatsapp-web.js');
+    matcher = await import('../../keyword-matcher.js');
+    storage = await import('../../storage.js');
+
+    storage.initStorage(config.DATABASE_PATH);
+
+    browser = await puppeteer.launch(config.PUPPETEER_OPTIONS);
+    page = await browser.newPage();
+    web.setPage(page);
+  });
+
+  after(async () => {
+    if (browser) await browser.close();
+    if (simulator) await simulator.close();
+    if (storage) storage.closeStorage();
+    if (config) await fs.rm(path.dirname(config.DATABASE_PATH), { recursive: true, force: true });
+  });
+
+  describe('login', () => {
+    it('detects the QR screen and waits until the phone scans it', async () => {
+      await page.goto(`${config.WHATSAPP_WEB_URL}/?login=qr&loginDelay=5000`, { waitUntil: 'networkidle2' });
+
+      assert.equal(await web.checkLoginStatus(), false);
+      await web.waitForLogin();
+      assert.ok(await page.$(config.SELECTORS.chatList.join(', ')));
+    });
+
+    it('shows the QR code of a headless login and follows its rotation', async () => {
+      await page.goto(`${config.WHATSAPP_WEB_URL}/?login=qr&loginDelay=6000&qrRefresh=1500`, { waitUntil: 'networkidle2' });
+
+      const login = web.waitForLogin({ captureQr: true });
+      while (!web.getLoginQr()) await new Promise(resolve => setTimeout(resolve, 200));
+      const saved = await fs.readFile(config.QR_LOGIN.imagePath);
+      assert.deepEqual(saved.subarray(0, 4), Buffer.from([0x89, 0x50, 0x4e, 0x47])); // PNG signature
+      await login;
+
+      const state = web.getLoginState();
+      assert.equal(state.state, 'logged-in');
+      assert.ok(state.qrUpdates >= 2, `${state.qrUpdates} QR codes shown`);
+      assert.equal(web.getLoginQr(), null);
+      await assert.rejects(fs.access(config.QR_LOGIN.imagePath)); // Removed once scanned
+    });
+
+    it('gives up when the QR code is not scanned in time', async () => {
+      await page.goto(`${config.WHATSAPP_WEB_URL}/?login=qr&loginDelay=0`, { waitUntil: 'networkidle2' });
+
+      await assert.rejects(web.waitForLogin({ captureQr: true, timeout: 2000 }), /Login timeout/);
+      assert.equal(web.getLoginState().state, 'timeout');
+    });
+
+    it('is logged in straight away with a saved session', async () => {
+      await page.goto(config.WHATSAPP_WEB_URL, { waitUntil: 'networkidle2' });
+
+      assert.equal(await web.checkLoginStatus(), true);
+    });
+  });
+
+  describe('searchAndOpenGroup', () => {
+    it('opens a group found through search', async () => {
+      assert.equal(await web.searchAndOpenGroup('Startup Founders Network'), true);
+
+      const headerTitle = await page.$eval('#main header span[title]', el => el.title);
+      assert.equal(headerTitle, 'Startup Founders Network');
+      await web.clearSearch();
+    });
+
+    it('finds archived groups through search', async () => {
+      assert.equal(await web.searchAndOpenGroup('Old Investors Circle'), true);
+      await web.clearSearch();
+    });
+
+    it('reports groups that do not exist', async () => {
+      assert.equal(await web.searchAndOpenGroup('No Such Group'), false);
+      await web.clearSearch();
+    });
+  });
+
+  describe('clearSearch', () => {
+    it('empties the search box and restores the full chat list', async () => {
+      await web.searchAndOpenGroup('YC Alumni Chat');
+      await web.clearSearch();
+
+      const searchText = await page.$eval(config.SELECTORS.searchBox.join(', '), el => el.textContent);
+      const listedChats = await page.$$eval('[aria-label="Chat list"] .chat-title', els => els.map(el => el.title));
+      assert.equal(searchText, '');
+      assert.deepEqual(listedChats, ['Startup Founders Network', 'YC Alumni Chat', 'Busy Builders', 'Family']);
+    });
+  });
+
+  describe('extractRecentMessages', () => {
+    it('extracts incoming and outgoing messages of the open group', async () => {
+      await web.searchAndOpenGroup('Startup Founders Network');
+      const messages = await web.extractRecentMessages('Startup Founders Network');
+      await web.clearSearch();
+
+      assert.deepEqual(messages.map(m => m.text), [
+        'Morning everyone, anyone going to the demo day?',
+        'I just launched my startup, feedback welcome!',
+        'Congrats Bob, sharing with a few friends',
+        'Is anyone building in Voice AI for clinics?'
+      ]);
+      assert.ok(messages.every(m => m.groupName === 'Startup Founders Network'));
+    });
+
+    it('returns clean senders and real send times from data-pre-plain-text', async () => {
+      await web.searchAndOpenGroup('Startup Founders Network');
+      const messages = await web.extractRecentMessages('Startup Founders Network');
+      await web.clearSearch();
+
+      assert.deepEqual(messages.map(m => m.sender), ['Alice', 'Bob', 'Monitor Owner', 'Carol']);
+      assert.equal(messages[1].timestamp, new Date(2025, 6, 14, 10, 35).toISOString());
+      assert.ok(messages.every(m => m.timestampSource === 'message'));
+    });
+
+    it('dates messages without a prefix from the separator above them', async () => {
+      await web.searchAndOpenGroup('YC Alumni Chat');
+      const [photo, officeHours] = await web.extractRecentMessages('YC Alumni Chat');
+      await web.clearSearch();
+
+      const yesterday = new Date();
+      yesterday.setDate(yesterday.getDate() - 1);
+      yesterday.setHours(21, 10, 0, 0);
+
+      assert.deepEqual([photo.sender, photo.timestamp, photo.timestampSource], ['Erin', yesterday.toISOString(), 'separator']);
+      assert.equal(officeHours.timestamp, new Date(2025, 6, 14, 9, 15).toISOString());
+    });
+
+    it('only reads the last 50 messages of busy groups', async () => {
+      await web.searchAndOpenGroup('Busy Builders');
+      const messages = await web.extractRecentMessages('Busy Builders');
+      await web.clearSearch();
+
+      assert.equal(messages.length, 50);
+      assert.equal(messages[messages.length - 1].text, 'We closed our seed funding round today');
+    });
+  });
+
+  describe('keyword matching', () => {
+    it('matches keywords across all monitored groups', async () => {
+      const found = [];
+
+      for (const groupName of config.TARGET_GROUPS) {
+        assert.equal(await web.searchAndOpenGroup(groupName), true, `${groupName} should be found`);
+        const messages = await web.extractRecentMessages(groupName);
+        await web.clearSearch();
+
+        for (const match of matcher.findKeywordMatches(messages)) {
+          found.push(`${match.groupName} | ${match.matchedKeyword} | ${match.text}`);
+        }
+      }
+
+      assert.deepEqual(found.sort(), [
+        'Busy Builders | funding | We closed our seed funding round today',
+        'Old Investors Circle | funding | Looking for funding intros in fintech',
+        'Startup Founders Network | startup | I just launched my startup, feedback welcome!',
+        'Startup Founders Network | voice ai | Is anyone building in Voice AI for clinics?'
+      ]);
+    });
+
+    it('does not report the same messages again on the next scan', async () => {
+      await web.searchAndOpenGroup('Startup Founders Network');
+      const messages = await web.extractRecentMessages('Startup Founders Network');
+      await web.clearSearch();
+
+      assert.deepEqual(matcher.findKeywordMatches(messages), []);
+    });
+  });
+
+  describe('incremental scanning', () => {
+    // Scan a group like processGroup does and move its high-water mark
+    async function scanGroup(groupName) {
+      await web.searchAndOpenGroup(groupName);
+      const messages = await web.extractRecentMessages(groupName, storage.getGroupWatermark(groupName));
+      await web.clearSearch();
+
+      if (messages.length > 0) {
+        const newest = messages[messages.length - 1];
+        storage.setGroupWatermark(groupName, { messageDomId: newest.domId, messageTime: newest.timestamp });
+      }
+      return messages;
+    }
+
+    it('reads nothing when no messages arrived since the last scan', async () => {
+      await scanGroup('Busy Builders');
+
+      assert.deepEqual(await scanGroup('Busy Builders'), []);
+    });
+
+    it('scrolls back past the loaded page to reach the high-water mark', async () => {
+      await page.evaluate(() => {
+        for (let i = 1; i <= 70; i++) {
+          window.simulator.addMessage('Busy Builders', { sender: 'Heidi', date: '14/07/2025', time: '12:30', text: `Update #${i}` });
+        }
+      });
+
+      const messages = await scanGroup('Busy Builders');
+
+      assert.equal(messages.length, 70);
+      assert.equal(messages[0].text, 'Update #1');
+      assert.equal(messages[69].text, 'Update #70');
+    });
+  });
+
+  describe('chat list pre-pass', () => {
+    it('reads unread counters, times and previews of listed groups', async () => {
+      const activity = await web.readChatListActivity(config.TARGET_GROUPS);
+
+      assert.deepEqual(activity.get('YC Alumni Chat'), {
+        unread: 0,
+        timeText: '09:20',
+        preview: 'Erin: mystartup.io is live, no keyword here'
+      });
+      assert.equal(activity.has('Old Investors Circle'), false); // Archived chats are not in the list
+    });
+
+    it('only flags groups with activity since their last scan', async () => {
+      const before = await web.readChatListActivity(config.TARGET_GROUPS);
+      for (const [groupName, row] of before) {
+        storage.saveChatListSnapshot(groupName, row);
+      }
+
+      await page.evaluate(() => {
+        window.simulator.addMessage('YC Alumni Chat', { sender: 'Ivan', date: '14/07/2025', time: '13:05', text: 'Demo day slots are open' });
+      });
+      const after = await web.readChatListActivity(config.TARGET_GROUPS);
+
+      const changed = config.TARGET_GROUPS.filter(groupName =>
+        web.hasNewActivity(after.get(groupName), storage.getChatListSnapshot(groupName)));
+      assert.deepEqual(changed, ['YC Alumni Chat', 'Old Investors Circle']);
+    });
+  });
+
+  describe('group discovery', () => {
+    it('collects every chat title, including archived chats', async () => {
+      const chats = await web.collectChatTitles();
+
+      assert.deepEqual(chats.map(chat => chat.name).sort(), [
+        'Busy Builders', 'Family', 'Old Investors Circle', 'Startup Founders Network', 'YC Alumni Chat'
+      ]);
+      assert.deepEqual(chats.filter(chat => chat.archived).map(chat => chat.name), ['Old Investors Circle']);
+      assert.deepEqual(selectDiscoveredGroups(chats.map(chat => chat.name), { include: ['startup', /\bYC\b/] }), [
+        'Startup Founders Network', 'YC Alumni Chat'
+      ]);
+    });
+
+    it('recognises a renamed group by its chat id', async () => {
+      await web.searchAndOpenGroup('YC Alumni Chat');
+      const chatId = await web.readOpenChatId();
+      await web.clearSearch();
+      assert.equal(chatId, '2@g.us');
+      storage.recordChatIdentity(chatId, 'YC Alumni Chat');
+
+      await page.evaluate(() => window.simulator.renameChat('YC Alumni Chat', 'YC Alumni Chat (2025 batch)'));
+      assert.equal(await web.searchAndOpenGroup('YC Alumni Chat'), false);
+      await web.clearSearch();
+
+      const titles = (await web.collectChatTitles()).map(chat => chat.name);
+      const [candidate] = rankRenameCandidates('YC Alumni Chat', titles, storage.getKnownChatNames());
+      assert.equal(candidate, 'YC Alumni Chat (2025 batch)');
+
+      await web.searchAndOpenGroup(candidate);
+      const candidateId = await web.readOpenChatId();
+      await web.clearSearch();
+      assert.deepEqual(storage.recordChatIdentity(candidateId, candidate), { renamedFrom: 'YC Alumni Chat' });
+      assert.equal(storage.findChatIdentityByName('YC Alumni Chat').name, 'YC Alumni Chat (2025 batch)');
+    });
+  });
+
+  describe('message types', () => {
+    it('matches captions, documents, polls, links, contacts and system messages', async () => {
+      await page.goto(`${config.WHATSAPP_WEB_URL}/?fixture=message-types`, { waitUntil: 'networkidle2' });
+      assert.equal(await web.checkLoginStatus(), true);
+
+      await web.searchAndOpenGroup('Media Makers');
+      const messages = await web.extractRecentMessages('Media Makers');
+      await web.clearSearch();
+
+      assert.deepEqual(messages.map(msg => [msg.type, msg.text]), [
+        ['text', "Morning! Sharing this week's material here"],
+        ['image', 'Our startup booth at the expo'], // The image without a caption has nothing to match
+        ['video', 'Demo of our voice AI receptionist'],
+        ['document', 'startup-deck.pdf'],
+        ['poll', 'Voice AI tools?\nVapi\nRetell\nSomething else'],
+        ['link', 'Worth a read https://example.com/guide?utm_source=whatsapp&utm_medium=chat\nThe seed funding guide Everything about raising a first round'],
+        ['contact', 'Heidi (fundraising coach)'],
+        ['system', 'Alice added Ivan'],
+        ['link', 'Applications close Friday (https://docs.google.com/forms/d/e/abc123/viewform?usp=sf_link&fbclid=XYZ).'],
+        ['text', 'Could it answer calls from our funding leads?'] // The quoted caption is not part of the reply
+      ]);
+      assert.equal(messages[2].sender, 'Carol'); // No metadata prefix - sender read from the bubble
+      const matches = matcher.findKeywordMatches(messages);
+      assert.deepEqual(matches.map(match => match.type), ['image', 'video', 'document', 'poll', 'link', 'link', 'text']);
+      assert.equal(matches[5].matchedKeyword, 'url:docs.google.com/forms');
+      assert.deepEqual(matches[5].matchSpans.map(span => span.text), ['https://docs.google.com/forms/d/e/abc123/viewform?usp=sf_link&fbclid=XYZ']);
+      matches.forEach(match => storage.saveMatch(match)); // Stored like the monitor does, for the copies below
+    });
+
+    it('keeps the messages around each message and the message a reply quotes', async () => {
+      await web.searchAndOpenGroup('Media Makers');
+      const messages = await web.extractRecentMessages('Media Makers');
+      await web.clearSearch();
+
+      const reply = messages.at(-1);
+      assert.equal(reply.sender, 'Judy');
+      assert.deepEqual(reply.context.quoted, { sender: 'Carol', text: 'Demo of our voice AI receptionist' });
+      assert.deepEqual(reply.context.before.map(msg => msg.text), ['Alice added Ivan', messages.at(-2).text]);
+      assert.deepEqual(reply.context.after, []);
+      assert.deepEqual(messages[0].context.after.map(msg => msg.sender), ['Bob', 'Bob']);
+    });
+
+    it('reads context from messages scanned before without returning them again', async () => {
+      await web.searchAndOpenGroup('Media Makers');
+      const scanned = await web.extractRecentMessages('Media Makers');
+      const mark = scanned.at(-2);
+      const messages = await web.extractRecentMessages('Media Makers', { messageDomId: mark.domId, messageTime: mark.timestamp });
+      await web.clearSearch();
+
+      assert.deepEqual(messages.map(msg => msg.sender), ['Judy']);
+      assert.deepEqual(messages[0].context.before.map(msg => msg.sender), ['Unknown', 'Ivan']);
+    });
+
+    it('folds a forwarded copy from another group into the first match', async () => {
+      await web.searchAndOpenGroup('Founders Digest');
+      const messages = await web.extractRecentMessages('Founders Digest');
+      await web.clearSearch();
+
+      assert.deepEqual(messages.map(msg => [msg.sender, msg.forwarded, msg.text]), [
+        ['Kim', true, 'Applications close Friday (https://docs.google.com/forms/d/e/abc123/viewform?usp=sf_link&fbclid=XYZ).'],
+        ['Leo', false, 'Our startup booth at the expo, come by!']
+      ]);
+      // Leo's text is too short to be recognised as a copy unless WhatsApp marks it forwarded
+      assert.deepEqual(matcher.findKeywordMatches(messages).map(match => match.sender), ['Leo']);
+
+      const [original] = storage.searchMatches({ keyword: 'url:docs.google.com/forms' }).matches;
+      assert.deepEqual(original.groups, ['Media Makers', 'Founders Digest']);
+      assert.deepEqual(original.copies.map(copy => [copy.groupName, copy.sender, copy.forwarded]), [['Founders Digest', 'Kim', true]]);
+    });
+
+    it('collects links without tracking parameters', async () => {
+      await web.searchAndOpenGroup('Media Makers');
+      const messages = await web.extractRecentMessages('Media Makers');
+      await web.clearSearch();
+
+      const links = messages.filter(msg => msg.urls.length > 0);
+      assert.deepEqual(links.map(msg => msg.urls), [
+        ['https://example.com/guide'],
+        ['https://docs.google.com/forms/d/e/abc123/viewform?usp=sf_link']
+      ]);
+    });
+  });
+
+  describe('selector fallbacks', () => {
+    const health = element => getSelectorHealth().find(entry => entry.element === element);
+
+    it('switches to a fallback candidate when the first one stops matching', async () => {
+      await page.goto(`${config.WHATSAPP_WEB_URL}/?bubbles=testid`, { waitUntil: 'networkidle2' });
+      assert.equal(await web.checkLoginStatus(), true);
+
+      await web.searchAndOpenGroup('Startup Founders Network');
+      const messages = await web.extractRecentMessages('Startup Founders Network');
+      await web.clearSearch();
+
+      assert.equal(messages.length, 4);
+      assert.equal(health('messageContainer').active, '[data-testid="conv-msg-box"]');
+      assert.equal(health('messageContainer').fallback, true);
+      assert.equal(health('messageContainer').broken, false);
+    });
+
+    it('reports a broken selector instead of returning no messages', async () => {
+      const reported = [];
+      onSelectorBroken(error => reported.push(error.element));
+      await page.goto(`${config.WHATSAPP_WEB_URL}/?bubbles=unknown`, { waitUntil: 'networkidle2' });
+      assert.equal(await web.checkLoginStatus(), true);
+
+      await web.searchAndOpenGroup('Startup Founders Network');
+      await assert.rejects(web.extractRecentMessages('Startup Founders Network'), SelectorBrokenError);
+      await web.clearSearch();
+
+      assert.deepEqual(reported, ['messageContainer']);
+      assert.equal(health('messageContainer').broken, true);
+      onSelectorBroken(null);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+// Fuzzy matching tests - typos, compounds, thresholds and scores
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { levenshtein, findFuzzySpans } from '../fuzzy-match.js';
+import { compileRule, matchRule } from '../keyword-rules.js';
+
+const fuzzyDefaults = { fuzzy: { maxDistance: 1, minScore: 0.8 } };
+
+describe('levenshtein', () => {
+  it('counts edits and stops early past the limit', () => {
+    assert.equal(levenshtein('startup', 'startp'), 1);
+    assert.equal(levenshtein('kitten', 'sitting'), 3);
+    assert.equal(levenshtein('kitten', 'sitting', 1), 2);
+  });
+});
+
+describe('findFuzzySpans', () => {
+  it('finds typos, joined and split compounds', () => {
+    assert.deepEqual(findFuzzySpans('my startp is live', 'startup').map(span => span.text), ['startp']);
+    assert.deepEqual(findFuzzySpans('voic ai agents', 'voice ai').map(span => span.text), ['voic ai']);
+    assert.deepEqual(findFuzzySpans('try AIcalling today', 'ai calling').map(span => span.text), ['AIcalling']);
+    assert.deepEqual(findFuzzySpans('start up weekend', 'startup').map(span => span.text), ['start up']);
+  });
+
+  it('rejects hits below the minimum score', () => {
+    assert.deepEqual(findFuzzySpans('a great day', 'ai'), []);
+    assert.deepEqual(findFuzzySpans('my startp', 'startup', { minScore: 0.9 }), []);
+  });
+
+  it('respects the edit-distance threshold', () => {
+    assert.deepEqual(findFuzzySpans('strtp', 'startup'), []);
+    assert.equal(findFuzzySpans('strtp', 'startup', { maxDistance: 2, minScore: 0.7 }).length, 1);
+  });
+});
+
+describe('fuzzy keyword rules', () => {
+  it('attach a score below 1 to fuzzy hits and 1 to exact hits', () => {
+    const rule = compileRule('startup', fuzzyDefaults);
+
+    const fuzzyHit = matchRule(rule, 'my startp is live');
+    assert.equal(fuzzyHit.fuzzy, true);
+    assert.equal(fuzzyHit.score, 0.857);
+
+    const exactHit = matchRule(rule, 'my startup is live');
+    assert.equal(exactHit.fuzzy, false);
+    assert.equal(exactHit.score, 1);
+  });
+
+  it('stay exact unless enabled globally or per rule', () => {
+    assert.equal(matchRule(compileRule('startup'), 'startp'), null);
+    assert.ok(matchRule(compileRule({ query: 'startup', fuzzy: true }), 'startp'));
+    assert.equal(matchRule(compileRule({ query: 'startup', fuzzy: false }, fuzzyDefaults), 'startp'), null);
+  });
+
+  it('apply per-keyword thresholds inside boolean rules', () => {
+    const rule = compileRule({ query: '"voice ai" AND NOT hiring', fuzzy: { maxDistance: 2, minScore: 0.7 } });
+    assert.ok(matchRule(rule, 'vice a agents'));
+    assert.equal(matchRule(rule, 'voic ai, we are hirng'), null);
+  });
+});
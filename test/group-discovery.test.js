@@ -0,0 +1,46 @@
+// Group discovery tests - title patterns, chat ids and rename candidates
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectDiscoveredGroups, parseChatId, rankRenameCandidates } from '../group-discovery.js';
+
+const titles = ['Startup Founders Network', 'YC Alumni Chat', 'Family', 'Startup Jobs (spam)', 'psYChology club'];
+
+describe('selectDiscoveredGroups', () => {
+  it('keeps titles matching an include pattern and no exclude pattern', () => {
+    const selected = selectDiscoveredGroups(titles, { include: ['startup', /\bYC\b/], exclude: ['spam'] });
+    assert.deepEqual(selected, ['Startup Founders Network', 'YC Alumni Chat']);
+  });
+
+  it('reads "/pattern/flags" strings as regular expressions', () => {
+    assert.deepEqual(selectDiscoveredGroups(titles, { include: ['/\\bYC\\b/'] }), ['YC Alumni Chat']);
+    assert.deepEqual(selectDiscoveredGroups(titles, { include: ['/^startup/i'], exclude: ['/spam/'] }), ['Startup Founders Network']);
+    assert.throws(() => selectDiscoveredGroups(titles, { include: ['/(/'] }), /Invalid group discovery pattern "\/\(\/"/);
+  });
+
+  it('selects nothing without include patterns', () => {
+    assert.deepEqual(selectDiscoveredGroups(titles, { exclude: ['family'] }), []);
+  });
+
+  it('rejects empty or non-string patterns', () => {
+    assert.throws(() => selectDiscoveredGroups(titles, { include: [''] }), /Invalid group discovery pattern ""/);
+    assert.throws(() => selectDiscoveredGroups(titles, { include: [42] }), /Invalid group discovery pattern 42/);
+  });
+});
+
+describe('parseChatId', () => {
+  it('reads the chat id from message data-ids', () => {
+    assert.equal(parseChatId('false_120363025246125486@g.us_3EB0C431C26A1916E0_447700900123@c.us'), '120363025246125486@g.us');
+    assert.equal(parseChatId('true_3@g.us_12'), '3@g.us');
+    assert.equal(parseChatId('msg-1'), null);
+  });
+});
+
+describe('rankRenameCandidates', () => {
+  it('puts the most similar unknown titles first', () => {
+    const ranked = rankRenameCandidates('Startup Founders Network', [...titles, 'Startup Founders NYC'], ['YC Alumni Chat']);
+    assert.equal(ranked[0], 'Startup Founders NYC');
+    assert.ok(!ranked.includes('YC Alumni Chat'));
+    assert.ok(!ranked.includes('Startup Founders Network'));
+  });
+});
@@ -0,0 +1,68 @@
+// Keyword matcher tests - message IDs that stay the same across scans, and seen messages across restarts
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises'; // File system operations
+import os from 'os'; // Temp directory for the test database
+import path from 'path'; // Path manipulation utilities
+import { initStorage, closeStorage, markMessageSeen, isMessageSeen, getSeenMessageStats, pruneSeenMessages, SEEN_MESSAGE_RETENTION_DAYS } from '../storage.js';
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whatsapp-monitor-matcher-'));
+await fs.writeFile(path.join(tempDir, 'config.yaml'), 'TARGET_GROUPS: [Investors]\nKEYWORDS: [funding]\n');
+// Must be set before keyword-matcher.js loads config-loader.js
+process.env.WHATSAPP_MONITOR_CONFIG = path.join(tempDir, 'config.yaml');
+const { findKeywordMatches, messageTimeKey, generateMessageId } = await import('../keyword-matcher.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('messageTimeKey', () => {
+  it('keeps only what every scan of a message reads the same', () => {
+    assert.equal(messageTimeKey({ timestamp: '2025-07-14T09:00:00.000Z', timestampSource: 'message' }), '2025-07-14T09:00:00.000Z');
+    assert.equal(messageTimeKey({ timestamp: new Date(2025, 6, 14, 9, 30).toISOString(), timestampSource: 'time-only' }), '09:30:00');
+    assert.equal(messageTimeKey({ timestamp: new Date(2025, 6, 15, 9, 30).toISOString(), timestampSource: 'time-only' }), '09:30:00');
+    assert.equal(messageTimeKey({ timestamp: new Date().toISOString(), timestampSource: 'scan' }), '');
+  });
+});
+
+describe('seen messages', () => {
+  const dbPath = path.join(tempDir, 'monitor.db');
+  const message = (timestampSource, timestamp) => ({ groupName: 'Investors', sender: 'Grace', text: 'Seed funding open', timestamp, timestampSource, urls: [] });
+
+  after(async () => {
+    closeStorage();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('does not match a message again after a restart, whatever the scan time', () => {
+    initStorage(dbPath);
+    assert.equal(findKeywordMatches([message('scan', '2025-07-14T09:00:00.000Z')]).length, 1);
+    assert.equal(findKeywordMatches([message('time-only', new Date(2025, 6, 14, 9).toISOString())]).length, 1);
+    closeStorage();
+
+    initStorage(dbPath);
+    assert.deepEqual(findKeywordMatches([message('scan', '2025-07-14T10:00:00.000Z')]), []);
+    assert.deepEqual(findKeywordMatches([message('time-only', new Date(2025, 6, 15, 9).toISOString())]), []);
+  });
+
+  it('matches a time-only message again a day after it was seen', () => {
+    const later = message('time-only', new Date(2025, 6, 14, 18).toISOString());
+    markMessageSeen(generateMessageId('Investors', 'Grace', 'Seed funding open', messageTimeKey(later)), 'Investors', Date.now() - DAY - 1000);
+    assert.equal(findKeywordMatches([later]).length, 1);
+    assert.deepEqual(findKeywordMatches([later]), []);
+  });
+
+  it('checks the seen time of a message when asked', () => {
+    markMessageSeen('recent', 'Investors', Date.now() - 1000);
+    assert.ok(isMessageSeen('recent'));
+    assert.ok(isMessageSeen('recent', Date.now() - DAY));
+    assert.equal(isMessageSeen('recent', Date.now()), false);
+  });
+
+  it('forgets seen messages after the retention period', () => {
+    const total = getSeenMessageStats().total;
+    markMessageSeen('old', 'Investors');
+    assert.equal(pruneSeenMessages(Date.now() + (SEEN_MESSAGE_RETENTION_DAYS - 1) * DAY), 0);
+    assert.equal(pruneSeenMessages(Date.now() + (SEEN_MESSAGE_RETENTION_DAYS + 1) * DAY), total + 1);
+    assert.equal(getSeenMessageStats().total, 0);
+  });
+});
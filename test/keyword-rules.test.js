@@ -0,0 +1,108 @@
+// Keyword rule language tests - plain keywords, boolean operators, proximity, modes and spans
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileRule, matchRule, KeywordRuleError } from '../keyword-rules.js';
+
+// Match a rule definition against text
+const match = (definition, text) => matchRule(compileRule(definition), text);
+
+describe('plain keywords', () => {
+  it('keep whole-word, case-insensitive matching', () => {
+    assert.ok(match('startup', 'I launched my Startup today'));
+    assert.ok(match('startup', "my startup's first hire"));
+    assert.equal(match('startup', 'mystartup.io'), null);
+    assert.equal(match('startup', 'startuptime'), null);
+  });
+
+  it('keep matching the old substring keywords anywhere in a word', () => {
+    assert.deepEqual(match('insta', 'Follow us on Instagram').spans, [{ start: 13, end: 22, text: 'Instagram', score: 1 }]);
+    assert.equal(compileRule('I').mode, 'substring');
+    assert.equal(match({ query: 'insta', mode: 'word' }, 'Follow us on Instagram'), null);
+    assert.equal(compileRule('instagram').mode, 'word');
+  });
+
+  it('treat multi-word keywords as one phrase', () => {
+    assert.deepEqual(match('voice ai', 'We love VOICE AI').spans, [{ start: 8, end: 16, text: 'VOICE AI', score: 1 }]);
+    assert.equal(match('voice ai', 'voice and ai'), null);
+  });
+
+  it('escape regex characters instead of failing', () => {
+    assert.ok(match('c++', 'Hiring c++ developers'));
+  });
+});
+
+describe('boolean rules', () => {
+  const rule = '("voice ai" OR "ai calling") AND NOT hiring';
+
+  it('combine phrases with OR, AND and NOT', () => {
+    assert.ok(match(rule, 'Anyone using ai calling for sales?'));
+    assert.ok(match(rule, 'voice ai demo tonight'));
+    assert.equal(match(rule, 'We are hiring a voice ai engineer'), null);
+    assert.equal(match(rule, 'ai is calling'), null);
+  });
+
+  it('record which rule fired and the matched spans', () => {
+    const result = match({ name: 'voice-ai', query: rule }, 'voice ai and ai calling');
+    assert.equal(result.rule, 'voice-ai');
+    assert.equal(result.query, rule);
+    assert.deepEqual(result.spans.map(span => span.text), ['voice ai', 'ai calling']);
+  });
+
+  it('support NEAR/n proximity', () => {
+    assert.ok(match('startup NEAR/5 funding', 'our startup is raising seed funding'));
+    assert.ok(match('startup NEAR/5 funding', 'funding for any startup'));
+    assert.equal(match('startup NEAR/2 funding', 'our startup is raising its seed funding'), null);
+  });
+});
+
+describe('modes', () => {
+  it('support prefix, substring and regex terms', () => {
+    assert.equal(match('startup*', 'startups everywhere').spans[0].text, 'startups');
+    assert.equal(match('*insta*', 'follow my instagram').spans[0].text, 'instagram');
+    assert.ok(match('/seed\\s+round/', 'Seed   round closed'));
+    assert.ok(match({ query: 'startup', mode: 'prefix' }, 'startupland'));
+    assert.ok(match({ query: 'insta', mode: 'substring' }, 'instagram'));
+    assert.ok(match({ query: 'start(up|ing)', mode: 'regex' }, 'starting now'));
+  });
+
+  it('support per-rule case sensitivity', () => {
+    assert.ok(match({ query: 'YC', caseSensitive: true }, 'Applying to YC'));
+    assert.equal(match({ query: 'YC', caseSensitive: true }, 'yc'), null);
+  });
+});
+
+describe('url rules', () => {
+  const links = ['https://news.ycombinator.com/item?id=1', 'https://docs.google.com/forms/d/e/abc/viewform'];
+
+  it('match the message links by domain and path', () => {
+    assert.ok(matchRule(compileRule('url:ycombinator.com'), 'Launch HN', links));
+    assert.ok(matchRule(compileRule({ query: 'docs.google.com/forms', mode: 'url' }), 'Apply below', links));
+    assert.equal(matchRule(compileRule('url:docs.google.com/spreadsheets'), 'Apply below', links), null);
+    assert.equal(matchRule(compileRule('url:google.com/forms'), 'Apply below', ['https://google.com/formsx']), null);
+  });
+
+  it('highlight addresses in the text and combine with other terms', () => {
+    const text = 'We are hiring: https://docs.google.com/forms/d/e/abc/viewform?utm_source=wa';
+    assert.deepEqual(matchRule(compileRule('url:docs.google.com/forms AND hiring'), text, []).spans, [
+      { start: 7, end: 13, text: 'hiring', score: 1 },
+      { start: 15, end: 75, text: 'https://docs.google.com/forms/d/e/abc/viewform?utm_source=wa', score: 1 }
+    ]);
+    assert.equal(match('url:docs.google.com/forms AND NOT hiring', text), null);
+  });
+
+  it('reject patterns without a domain', () => {
+    assert.throws(() => compileRule('url:'), /empty URL pattern/);
+    assert.throws(() => compileRule('url:/forms'), /Invalid keyword rule "url:\/forms": Invalid URL pattern/);
+    assert.throws(() => compileRule({ query: 'a.com?x=1', mode: 'url' }), KeywordRuleError);
+  });
+});
+
+describe('invalid rules', () => {
+  it('throw KeywordRuleError with the offending rule', () => {
+    assert.throws(() => compileRule('(startup OR funding'), KeywordRuleError);
+    assert.throws(() => compileRule('startup AND'), /Invalid keyword rule "startup AND": unexpected end of rule/);
+    assert.throws(() => compileRule('"voice ai'), /unterminated quote/);
+    assert.throws(() => compileRule({ query: 'x', mode: 'fuzzy' }), /unknown mode "fuzzy"/);
+  });
+});
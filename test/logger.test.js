@@ -0,0 +1,110 @@
+// Logger tests - level filtering, JSON-lines file entries with scan/group context, error fields and rotation
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises'; // File system operations
+import os from 'os'; // Temp directory for the log files
+import path from 'path'; // Path manipulation utilities
+import { log, configureLogger, withLogContext, isLevelEnabled } from '../logger.js';
+import { PerfTimer } from '../debug-helpers.js';
+
+describe('logger', () => {
+  let tempDir;
+  let logPath;
+
+  // Entries written to the log file so far
+  const readEntries = async () => (await fs.readFile(logPath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whatsapp-monitor-logger-'));
+  });
+
+  beforeEach(async () => {
+    logPath = path.join(tempDir, `${Date.now()}-${Math.random().toString(36).slice(2)}`, 'monitor.jsonl');
+    configureLogger({ level: 'info', console: 'off', file: { enabled: true, path: logPath, level: 'debug', maxSizeMB: 10, maxFiles: 2 } });
+  });
+
+  after(async () => {
+    configureLogger({ console: 'pretty', file: { enabled: false } });
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('writes JSON entries at or above the file level', async () => {
+    log.info('🔄 Starting scan cycle', { scanRun: 7 });
+    log.debug('Found titles in search', { category: 'SEARCH' });
+    log.trace('Testing rule');
+
+    const entries = await readEntries();
+    assert.deepEqual(entries.map(entry => [entry.level, entry.msg]), [
+      ['info', '🔄 Starting scan cycle'],
+      ['debug', 'Found titles in search']
+    ]);
+    assert.equal(entries[0].scanRun, 7);
+    assert.equal(entries[1].category, 'SEARCH');
+    assert.ok(!Number.isNaN(Date.parse(entries[0].time)));
+  });
+
+  it('adds the scan id and group of the surrounding context, across awaits', async () => {
+    await withLogContext({ scanId: 'a1b2c3d4' }, async () => {
+      log.info('scan started');
+      await withLogContext({ group: 'Founders' }, async () => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        log.info('group processed', { matchCount: 2 });
+      });
+      log.info('scan finished');
+    });
+    log.info('outside');
+
+    const entries = await readEntries();
+    assert.deepEqual(entries.map(({ msg, scanId, group }) => ({ msg, scanId, group })), [
+      { msg: 'scan started', scanId: 'a1b2c3d4', group: undefined },
+      { msg: 'group processed', scanId: 'a1b2c3d4', group: 'Founders' },
+      { msg: 'scan finished', scanId: 'a1b2c3d4', group: undefined },
+      { msg: 'outside', scanId: undefined, group: undefined }
+    ]);
+    assert.equal(entries[1].matchCount, 2);
+  });
+
+  it('keeps the message and stack of error fields', async () => {
+    log.error('❌ Failed to extract messages', { error: new TypeError('page crashed') });
+
+    const [entry] = await readEntries();
+    assert.equal(entry.error.name, 'TypeError');
+    assert.equal(entry.error.message, 'page crashed');
+    assert.match(entry.error.stack, /logger\.test\.js/);
+  });
+
+  it('records PerfTimer durations as fields', async () => {
+    const timer = new PerfTimer('extractRecentMessages');
+    const durationMs = timer.end({ messageCount: 3 });
+
+    const [entry] = await readEntries();
+    assert.equal(entry.timer, 'extractRecentMessages');
+    assert.equal(entry.durationMs, durationMs);
+    assert.equal(entry.messageCount, 3);
+  });
+
+  it('reports whether a level is logged anywhere', () => {
+    assert.equal(isLevelEnabled('debug'), true); // File level
+    assert.equal(isLevelEnabled('trace'), false);
+
+    configureLogger({ file: { enabled: false } });
+    assert.equal(isLevelEnabled('info'), false); // Console is off
+  });
+
+  it('rotates the file at maxSizeMB and keeps maxFiles old files', async () => {
+    configureLogger({ file: { maxSizeMB: 0.001 } }); // About 1 KB
+    for (let i = 0; i < 40; i++) {
+      log.info(`entry ${i}`, { padding: 'x'.repeat(100) });
+    }
+
+    const files = (await fs.readdir(path.dirname(logPath))).sort();
+    assert.deepEqual(files, ['monitor.1.jsonl', 'monitor.2.jsonl', 'monitor.jsonl']);
+    for (const file of files) {
+      const { size } = await fs.stat(path.join(path.dirname(logPath), file));
+      assert.ok(size <= 1024 * 1.01, `${file} is ${size} bytes`);
+    }
+    const entries = await readEntries();
+    assert.equal(entries[entries.length - 1].msg, 'entry 39');
+  });
+});
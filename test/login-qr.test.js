@@ -0,0 +1,63 @@
+// Login QR tests - reading the modules back from canvas pixels and drawing them with half blocks
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { sampleQrModules, renderTerminalQr } from '../login-qr.js';
+
+// A QR-like grid: finder patterns in three corners, a fixed pseudo-random pattern elsewhere
+function makeModules(count) {
+  const finder = (x, y) => {
+    const ring = Math.max(Math.abs(x - 3), Math.abs(y - 3));
+    return ring !== 2 && ring <= 3;
+  };
+  return Array.from({ length: count }, (_, y) => Array.from({ length: count }, (_, x) => {
+    if (x < 8 && y < 8) return finder(x, y);
+    if (x >= count - 8 && y < 8) return finder(x - (count - 7), y);
+    if (x < 8 && y >= count - 8) return finder(x, y - (count - 7));
+    return (x * 7 + y * 13 + x * y) % 5 < 2;
+  }));
+}
+
+// Canvas pixels of the grid, drawn at scale pixels per module inside a light margin
+function rasterize(modules, scale, margin) {
+  const width = modules.length * scale + 2 * margin;
+  let dark = '';
+  for (let y = 0; y < width; y++) {
+    for (let x = 0; x < width; x++) {
+      const row = Math.floor((y - margin) / scale);
+      const column = Math.floor((x - margin) / scale);
+      dark += modules[row] && modules[row][column] ? '1' : '0';
+    }
+  }
+  return { width, height: width, dark };
+}
+
+describe('login-qr', () => {
+  it('reads the modules of a code drawn at any scale', () => {
+    for (const [count, scale, margin] of [[21, 4, 3], [29, 7, 12], [33, 5, 0]]) {
+      const modules = makeModules(count);
+      assert.deepEqual(sampleQrModules(rasterize(modules, scale, margin)), modules, `${count} modules at ${scale}px`);
+    }
+  });
+
+  it('returns null for a blank or non-QR bitmap', () => {
+    assert.equal(sampleQrModules({ width: 3, height: 3, dark: '000000000' }), null);
+    assert.equal(sampleQrModules({ width: 4, height: 2, dark: '11110000' }), null);
+  });
+
+  it('draws two module rows per line inside a quiet zone', () => {
+    const modules = makeModules(21);
+    const lines = renderTerminalQr(modules, { colors: false }).split('\n');
+
+    assert.equal(lines.length, 13); // (21 + 2 * 2) rows, two per line
+    assert.ok(lines.every(line => line.length === 25));
+    assert.equal(lines[0], ' '.repeat(25));
+    assert.equal(lines[1].slice(2, 9), '█▀▀▀▀▀█'); // Module rows 0 and 1 of the top-left finder pattern
+    assert.equal(lines[2].slice(2, 9), '█ ███ █');
+  });
+
+  it('colours the code black on white for any terminal theme', () => {
+    const output = renderTerminalQr(makeModules(21));
+    assert.ok(output.split('\n').every(line => line.startsWith('\x1b[30;47m') && line.endsWith('\x1b[0m')));
+  });
+});
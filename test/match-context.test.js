@@ -0,0 +1,49 @@
+// Match context tests - neighbours and quoted messages attached to new messages, and the lines built from them
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { attachContext, hasContext, contextLines, formatContextText } from '../match-context.js';
+
+// A chat message as extractRecentMessages builds it before context is attached
+const message = (sender, text, extra = {}) => ({ groupName: 'Investors', sender, text, timestamp: '2025-07-14T09:00:00.000Z', type: 'text', ...extra });
+
+describe('attachContext', () => {
+  it('gives new messages their neighbours, read-only ones included, and leaves the read-only ones out', () => {
+    const messages = attachContext([
+      message('Alice', 'Scanned last time', { contextOnly: true }),
+      message('Bob', 'Any funding leads?'),
+      message('Carol', 'Yes, see below', { quoted: { sender: 'Bob', text: 'Any funding leads?' } }),
+      message('Dan', 'x'.repeat(400))
+    ], { before: 1, after: 1 });
+
+    assert.deepEqual(messages.map(msg => msg.sender), ['Bob', 'Carol', 'Dan']);
+    assert.equal('contextOnly' in messages[0] || 'quoted' in messages[1], false);
+    assert.deepEqual(messages[0].context.before.map(msg => msg.text), ['Scanned last time']);
+    assert.deepEqual(messages[1].context.quoted, { sender: 'Bob', text: 'Any funding leads?' });
+    assert.equal(messages[1].context.after[0].text.length, 301); // Long context is cut short, with an ellipsis
+    assert.deepEqual(messages[2].context.after, []);
+  });
+
+  it('keeps no neighbours when the limits are 0', () => {
+    const [only] = attachContext([message('Alice', 'One'), message('Bob', 'Two')], { before: 0, after: 0 });
+    assert.deepEqual(only.context, { quoted: null, before: [], after: [] });
+    assert.equal(hasContext(only), false);
+    assert.equal(hasContext({ context: null }), false);
+  });
+});
+
+describe('context lines', () => {
+  const match = {
+    sender: 'Carol',
+    text: 'Yes,\nsee below',
+    context: { quoted: { sender: null, text: 'Any funding leads?' }, before: [{ sender: 'Alice', text: 'Hi' }], after: [] }
+  };
+
+  it('puts the quoted message right before the match', () => {
+    assert.deepEqual(contextLines(match).map(line => `${line.role} ${line.sender}`), ['before Alice', 'quoted Unknown', 'match Carol']);
+  });
+
+  it('formats one line per message with the match marked', () => {
+    assert.equal(formatContextText(match), '  Alice: Hi\n  ↪ in reply to Unknown: Any funding leads?\n» Carol: Yes, see below');
+  });
+});
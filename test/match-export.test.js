@@ -0,0 +1,120 @@
+// Match export tests - filters, CSV quoting, JSON Lines, the Markdown report and command-line parsing
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises'; // File system operations
+import os from 'os'; // Temp directory for the test database
+import path from 'path'; // Path manipulation utilities
+import { initStorage, closeStorage, saveMatch } from '../storage.js';
+import {
+  exportMatches, writeMatchExport, formatCsv, parseDateBound, toMatchFilters,
+  resolveFormat, parseExportArgs, splitCommandLine, ExportOptionsError
+} from '../match-export.js';
+
+describe('export options', () => {
+  it('treats a plain date as the whole local day', () => {
+    assert.deepEqual(parseDateBound('2025-07-14'), new Date(2025, 6, 14));
+    assert.deepEqual(parseDateBound('2025-07-14', { endOfDay: true }), new Date(2025, 6, 14, 23, 59, 59, 999));
+    assert.deepEqual(parseDateBound('2025-07-14T10:30:00Z'), new Date(Date.UTC(2025, 6, 14, 10, 30)));
+    assert.equal(parseDateBound(''), null);
+  });
+
+  it('rejects bad dates, reversed ranges and unknown formats', () => {
+    assert.throws(() => parseDateBound('14/07/2025'), ExportOptionsError);
+    assert.throws(() => toMatchFilters({ from: '2025-07-15', to: '2025-07-14' }), /--from 2025-07-15 is after --to 2025-07-14/);
+    assert.throws(() => resolveFormat('xlsx'), /Unknown export format "xlsx"/);
+    assert.equal(resolveFormat('Markdown'), 'md');
+    assert.equal(resolveFormat('json'), 'jsonl');
+  });
+
+  it('parses the export command line with quoted values', () => {
+    const args = splitCommandLine('md --group "Startup Founders" --sender \'Bob Smith\' --from 2025-07-01');
+    assert.deepEqual(args, ['md', '--group', 'Startup Founders', '--sender', 'Bob Smith', '--from', '2025-07-01']);
+    assert.deepEqual(parseExportArgs(args), { format: 'md', group: 'Startup Founders', sender: 'Bob Smith', from: '2025-07-01' });
+    assert.throws(() => parseExportArgs(['--group']), /--group needs a value/);
+    assert.throws(() => parseExportArgs(['--since', '2025-07-01']), /Unknown export option "--since"/);
+  });
+});
+
+describe('formatCsv', () => {
+  it('quotes fields with commas, quotes and line breaks', () => {
+    const csv = formatCsv([{ messageTime: '2025-07-14T09:00:00.000Z', group: 'Founders, Inc', groups: ['Founders, Inc', 'Angels'], forwarded: true, sender: 'Bob', type: 'text', keyword: 'startup', rule: 'startup', score: 1, text: 'Say "hi"\nto my startup', urls: ['https://a.example/', 'https://b.example/'], foundAt: '2025-07-14T09:05:00.000Z', messageId: 'm1' }]);
+    assert.equal(csv, [
+      'messageTime,group,groups,forwarded,sender,type,keyword,rule,score,text,urls,context,foundAt,messageId',
+      '2025-07-14T09:00:00.000Z,"Founders, Inc","Founders, Inc; Angels",true,Bob,text,startup,startup,1,"Say ""hi""\nto my startup",https://a.example/ https://b.example/,,2025-07-14T09:05:00.000Z,m1',
+      ''
+    ].join('\r\n'));
+  });
+
+  it('keeps fields a spreadsheet would run as formulas as text', () => {
+    const csv = formatCsv([{ sender: '@Bob', text: '=HYPERLINK("http://evil.example")', keyword: '-1', rule: '+1', urls: [], messageId: '\tm1' }]);
+    assert.equal(csv.split('\r\n')[1], `,,,,'@Bob,,'-1,'+1,,"'=HYPERLINK(""http://evil.example"")",,,,'\tm1`);
+  });
+
+  it('writes the conversation context as lines with the match marked', () => {
+    const context = { quoted: null, before: [{ sender: 'Alice', text: 'Who is launching?' }], after: [] };
+    const csv = formatCsv([{ sender: 'Bob', text: 'Me', urls: [], context }]);
+    assert.equal(csv.split('\r\n')[1], ',,,,Bob,,,,,Me,,"  Alice: Who is launching?\n» Bob: Me",,');
+  });
+});
+
+describe('exportMatches', () => {
+  let tempDir;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whatsapp-monitor-export-'));
+    initStorage(path.join(tempDir, 'monitor.db'));
+    saveMatch({ messageId: 'm1', groupName: 'Founders', sender: 'Bob', text: 'I just launched my startup', matchedKeyword: 'startup', matchSpans: [{ start: 19, end: 26, text: 'startup' }], timestamp: new Date(2025, 6, 1, 9).toISOString() });
+    saveMatch({ messageId: 'm2', groupName: 'Investors', sender: 'Grace', text: 'Who does seed funding?\nDM me', urls: ['https://seed.example/apply'], matchedKeyword: 'funding', matchedRule: 'seed AND funding', timestamp: new Date(2025, 6, 14, 18).toISOString() });
+    saveMatch({ messageId: 'm3', groupName: 'Founders', sender: 'Carol', text: 'Anyone building in voice ai?', matchedKeyword: 'voice ai', matchScore: 0.85,
+      context: { quoted: { sender: 'Bob', text: 'Who is hiring?' }, before: [{ sender: 'Dan', text: 'Morning' }], after: [] }, timestamp: new Date(2025, 6, 15, 8).toISOString() });
+  });
+
+  after(async () => {
+    closeStorage();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('exports JSON Lines in message time order with the matched rule', () => {
+    const { content, count } = exportMatches({ format: 'jsonl' });
+    const records = content.trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(count, 3);
+    assert.deepEqual(records.map(record => record.messageId), ['m1', 'm2', 'm3']);
+    assert.equal(records[1].rule, 'seed AND funding');
+    assert.equal(records[1].text, 'Who does seed funding?\nDM me');
+    assert.equal(records[1].messageTime, new Date(2025, 6, 14, 18).toISOString());
+    assert.deepEqual(records[0].spans, [{ start: 19, end: 26, text: 'startup' }]);
+    assert.deepEqual(records[0].urls, []);
+    assert.deepEqual(records[1].urls, ['https://seed.example/apply']);
+    assert.equal(records[0].context, null);
+    assert.deepEqual(records[2].context.quoted, { sender: 'Bob', text: 'Who is hiring?' });
+  });
+
+  it('filters by date range, group, keyword and sender', () => {
+    assert.equal(exportMatches({ from: '2025-07-14', to: '2025-07-14' }).count, 1);
+    assert.equal(exportMatches({ from: '2025-07-02' }).count, 2);
+    assert.equal(exportMatches({ group: 'Founders' }).count, 2);
+    assert.equal(exportMatches({ group: 'Founders', sender: 'Carol', keyword: 'voice ai' }).count, 1);
+    assert.equal(exportMatches({ keyword: 'crypto' }).count, 0);
+  });
+
+  it('writes a Markdown report grouped by group with the full messages', async () => {
+    const out = path.join(tempDir, 'out', 'founders.md');
+    const { filePath, count } = await writeMatchExport({ format: 'md', group: 'Founders', out }, tempDir);
+    const markdown = await fs.readFile(filePath, 'utf8');
+
+    assert.equal(filePath, out);
+    assert.equal(count, 2);
+    assert.match(markdown, /^# WhatsApp Monitor matches\n\n2 matches · group "Founders" · exported /);
+    assert.match(markdown, /## Founders \(2\)/);
+    assert.match(markdown, /· Carol · `voice ai`, fuzzy 85%\n\n> Dan: Morning\n>\n> ↪ Bob: Who is hiring\?\n>\n> \*\*Carol:\*\*\n> \*\*Anyone building in voice ai\?\*\*/);
+    assert.match(markdown, /· Bob · `startup`\n\n> I just launched my startup\n/);
+    assert.ok(!markdown.includes('## Investors'));
+  });
+
+  it('names the file after the format in the reports folder by default', async () => {
+    const { filePath } = await writeMatchExport({ format: 'csv' }, tempDir);
+    assert.match(path.basename(filePath), /^matches-\d{4}-\d{2}-\d{2}\.csv$/);
+    assert.match(await fs.readFile(filePath, 'utf8'), /"Who does seed funding\?\nDM me"/);
+  });
+});
@@ -0,0 +1,76 @@
+// Message fingerprint tests - normalised content, similarity, and copies in other groups folded into the first match
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises'; // File system operations
+import os from 'os'; // Temp directory for the test database
+import path from 'path'; // Path manipulation utilities
+import { normalizeContent, fingerprint, similarity, findOriginal } from '../message-fingerprint.js';
+import { initStorage, closeStorage, saveMatch, searchMatches, getMatchGroups } from '../storage.js';
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whatsapp-monitor-fingerprint-'));
+await fs.writeFile(path.join(tempDir, 'config.yaml'), 'TARGET_GROUPS: [Investors]\nKEYWORDS: [demo day]\n');
+// Must be set before keyword-matcher.js loads config-loader.js
+process.env.WHATSAPP_MONITOR_CONFIG = path.join(tempDir, 'config.yaml');
+const { findKeywordMatches } = await import('../keyword-matcher.js');
+
+const SETTINGS = { windowHours: 48, similarity: 0.85, minLength: 40 };
+const ANNOUNCEMENT = 'Demo Day is on Friday at 5pm - RSVP at https://lu.ma/demo-day?utm_source=whatsapp so we can plan seats';
+
+describe('fingerprint', () => {
+  it('ignores case, accents, punctuation, emoji and tracking parameters', () => {
+    assert.equal(normalizeContent('📣 Café NIGHT!! https://x.example/a?fbclid=1'), 'cafe night https x example a');
+    assert.equal(similarity(fingerprint(ANNOUNCEMENT), fingerprint(`🚀 ${ANNOUNCEMENT.toUpperCase()}!!`)), 1);
+    assert.equal(similarity(fingerprint(''), fingerprint('')), 0);
+  });
+
+  it('scores small edits high and different messages low', () => {
+    assert.ok(similarity(fingerprint(ANNOUNCEMENT), fingerprint(`Hi all, ${ANNOUNCEMENT}`)) >= 0.85);
+    assert.ok(similarity(fingerprint(ANNOUNCEMENT), fingerprint('Demo Day is on Friday, who else is pitching there?')) < 0.5);
+  });
+});
+
+describe('findOriginal', () => {
+  const match = { groupName: 'Angels', matchedKeyword: 'demo day', text: ANNOUNCEMENT, timestamp: '2025-07-14T12:00:00.000Z' };
+  const candidate = { id: 1, groupName: 'Investors', keyword: 'demo day', text: ANNOUNCEMENT, time: '2025-07-14T09:00:00.000Z' };
+
+  it('finds a copy with the same keyword from another group within the window', () => {
+    assert.equal(findOriginal(match, [candidate], SETTINGS).id, 1);
+    assert.equal(findOriginal(match, [{ ...candidate, groupName: 'Angels' }], SETTINGS), null);
+    assert.equal(findOriginal(match, [{ ...candidate, keyword: 'startup' }], SETTINGS), null);
+    assert.equal(findOriginal(match, [{ ...candidate, time: '2025-07-10T09:00:00.000Z' }], SETTINGS), null);
+  });
+
+  it('folds short texts only when they are marked forwarded', () => {
+    const short = { ...match, text: 'Demo day Friday 5pm!' };
+    const candidates = [{ ...candidate, text: 'Demo day Friday 5pm' }];
+    assert.equal(findOriginal(short, candidates, SETTINGS), null);
+    assert.equal(findOriginal({ ...short, forwarded: true }, candidates, SETTINGS).similarity, 1);
+  });
+});
+
+describe('findKeywordMatches with copies in other groups', () => {
+  const message = (groupName, sender, text, extra = {}) => ({ groupName, sender, text, timestamp: '2025-07-14T09:00:00.000Z', urls: [], ...extra });
+
+  before(() => initStorage(path.join(tempDir, 'monitor.db')));
+
+  after(async () => {
+    closeStorage();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('reports the first copy and lists the groups of the ones folded into it', () => {
+    const [first] = findKeywordMatches([message('Investors', 'Alice', ANNOUNCEMENT)]);
+    const id = saveMatch(first);
+
+    assert.deepEqual(findKeywordMatches([
+      message('Angels', 'Bob', `Fwd: ${ANNOUNCEMENT}`, { forwarded: true }),
+      message('Founders', 'Carol', ANNOUNCEMENT)
+    ]), []);
+    assert.equal(findKeywordMatches([message('Investors', 'Dan', ANNOUNCEMENT, { timestamp: '2025-07-14T10:00:00.000Z' })]).length, 1);
+
+    assert.deepEqual(getMatchGroups([id]).get(id), ['Investors', 'Angels', 'Founders']);
+    const stored = searchMatches({ group: 'Investors' }).matches.find(match => match.id === id);
+    assert.deepEqual(stored.copies.map(copy => [copy.groupName, copy.sender, copy.forwarded]), [['Angels', 'Bob', true], ['Founders', 'Carol', false]]);
+  });
+});
@@ -0,0 +1,93 @@
+// Message time tests - data-pre-plain-text prefixes, 12h/24h times, date orders and date separators
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTimeOfDay, parseNumericDate, parseDateSeparator, parsePrePlainText, resolveMessageTime } from '../message-time.js';
+
+// Wednesday 16 July 2025, 09:00 local time
+const now = new Date(2025, 6, 16, 9, 0);
+
+describe('parseTimeOfDay', () => {
+  it('reads 24h and 12h times', () => {
+    assert.deepEqual(parseTimeOfDay('22:05'), { hours: 22, minutes: 5, seconds: 0 });
+    assert.deepEqual(parseTimeOfDay('10:05 PM'), { hours: 22, minutes: 5, seconds: 0 });
+    assert.deepEqual(parseTimeOfDay('12:30 a.m.'), { hours: 0, minutes: 30, seconds: 0 });
+    assert.deepEqual(parseTimeOfDay('12:30 pm'), { hours: 12, minutes: 30, seconds: 0 });
+    assert.equal(parseTimeOfDay('13:00 PM'), null);
+    assert.equal(parseTimeOfDay('edited'), null);
+  });
+});
+
+describe('parseNumericDate', () => {
+  it('honours the configured date order', () => {
+    assert.deepEqual(parseNumericDate('03/04/2025', 'DMY'), { year: 2025, month: 4, day: 3 });
+    assert.deepEqual(parseNumericDate('03/04/2025', 'MDY'), { year: 2025, month: 3, day: 4 });
+    assert.deepEqual(parseNumericDate('2025-07-14', 'YMD'), { year: 2025, month: 7, day: 14 });
+  });
+
+  it('guesses the order in auto mode and defaults to day first', () => {
+    assert.deepEqual(parseNumericDate('7/14/25'), { year: 2025, month: 7, day: 14 });
+    assert.deepEqual(parseNumericDate('14.07.2025'), { year: 2025, month: 7, day: 14 });
+    assert.deepEqual(parseNumericDate('2025/07/14'), { year: 2025, month: 7, day: 14 });
+    assert.deepEqual(parseNumericDate('03/04/2025'), { year: 2025, month: 4, day: 3 });
+    assert.equal(parseNumericDate('14/14/2025'), null);
+  });
+});
+
+describe('parseDateSeparator', () => {
+  it('resolves relative labels against the current day', () => {
+    assert.deepEqual(parseDateSeparator('TODAY', { now }), new Date(2025, 6, 16));
+    assert.deepEqual(parseDateSeparator('Yesterday', { now }), new Date(2025, 6, 15));
+    assert.deepEqual(parseDateSeparator('MONDAY', { now }), new Date(2025, 6, 14));
+    assert.deepEqual(parseDateSeparator('Wednesday', { now }), new Date(2025, 6, 9));
+  });
+
+  it('reads numeric and written dates', () => {
+    assert.deepEqual(parseDateSeparator('14/07/2025', { now }), new Date(2025, 6, 14));
+    assert.deepEqual(parseDateSeparator('July 4, 2025', { now }), new Date(2025, 6, 4));
+    assert.deepEqual(parseDateSeparator('4 Jul', { now }), new Date(2025, 6, 4));
+    assert.equal(parseDateSeparator('Messages are end-to-end encrypted', { now }), null);
+  });
+});
+
+describe('parsePrePlainText', () => {
+  it('returns the send time and a clean sender', () => {
+    assert.deepEqual(parsePrePlainText('[10:32, 14/07/2025] Alice: '), {
+      sender: 'Alice',
+      timestamp: new Date(2025, 6, 14, 10, 32)
+    });
+  });
+
+  it('handles 12h US prefixes and senders containing commas or colons', () => {
+    assert.deepEqual(parsePrePlainText('[3:07 PM, 7/4/2025] Smith, Jo (Ops): ', { dateOrder: 'MDY' }), {
+      sender: 'Smith, Jo (Ops)',
+      timestamp: new Date(2025, 6, 4, 15, 7)
+    });
+    assert.equal(parsePrePlainText('[10:32, 14/07/2025] Dr: Who: ').sender, 'Dr: Who');
+    assert.equal(parsePrePlainText('[10:32, 14/07/2025] +44 7700 900123: ').sender, '+44 7700 900123');
+  });
+
+  it('rejects text that is not a prefix', () => {
+    assert.equal(parsePrePlainText('Alice, 10:32'), null);
+    assert.equal(parsePrePlainText(''), null);
+  });
+});
+
+describe('resolveMessageTime', () => {
+  it('prefers the prefix over the bubble time', () => {
+    const resolved = resolveMessageTime({ prePlainText: '[10:32, 14/07/2025] Alice: ', timeText: '10:32', separatorLabel: 'MONDAY' }, { now });
+    assert.equal(resolved.timestampSource, 'message');
+    assert.equal(resolved.sender, 'Alice');
+  });
+
+  it('falls back to the separator date, then the time alone, then the scan time', () => {
+    const fromSeparator = resolveMessageTime({ timeText: '9:15 PM', separatorLabel: 'YESTERDAY', sender: 'Erin' }, { now });
+    assert.deepEqual(fromSeparator, { sender: 'Erin', timestamp: new Date(2025, 6, 15, 21, 15), timestampSource: 'separator' });
+
+    const timeOnly = resolveMessageTime({ timeText: '10:00' }, { now });
+    assert.deepEqual(timeOnly, { sender: 'Unknown', timestamp: new Date(2025, 6, 15, 10, 0), timestampSource: 'time-only' });
+
+    const scanTime = resolveMessageTime({}, { now });
+    assert.deepEqual(scanTime, { sender: 'Unknown', timestamp: now, timestampSource: 'scan' });
+  });
+});
@@ -0,0 +1,36 @@
+// Message types tests - the type and matchable text of each kind of bubble
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyMessage } from '../message-types.js';
+
+describe('message-types', () => {
+  it('keeps plain text and captions as they are', () => {
+    assert.deepEqual(classifyMessage({ text: ' Anyone hiring? ' }), { type: 'text', text: 'Anyone hiring?' });
+    assert.deepEqual(classifyMessage({ text: 'Our booth', image: true }), { type: 'image', text: 'Our booth' });
+    assert.deepEqual(classifyMessage({ text: '', image: true }), { type: 'image', text: '' });
+    assert.deepEqual(classifyMessage({ text: 'Demo', video: true, image: true }), { type: 'video', text: 'Demo' });
+  });
+
+  it('matches documents by file name and polls by question and options', () => {
+    assert.deepEqual(classifyMessage({ text: '', document: { fileName: 'startup-deck.pdf' } }), { type: 'document', text: 'startup-deck.pdf' });
+    assert.deepEqual(classifyMessage({ text: 'Latest version', document: { fileName: 'startup-deck.pdf' } }), {
+      type: 'document', text: 'startup-deck.pdf\nLatest version'
+    });
+    assert.deepEqual(classifyMessage({ text: '', poll: { question: 'Voice AI tools?', options: ['Vapi', 'Retell', ''] } }), {
+      type: 'poll', text: 'Voice AI tools?\nVapi\nRetell'
+    });
+  });
+
+  it('adds link previews and contact names to the text', () => {
+    assert.deepEqual(classifyMessage({ text: 'Read this https://example.com/a', linkPreview: { text: 'Seed funding guide' } }), {
+      type: 'link', text: 'Read this https://example.com/a\nSeed funding guide'
+    });
+    assert.deepEqual(classifyMessage({ text: 'see www.example.com' }), { type: 'link', text: 'see www.example.com' });
+    assert.deepEqual(classifyMessage({ text: '', contact: { name: 'Heidi' } }), { type: 'contact', text: 'Heidi' });
+  });
+
+  it('marks system messages whatever else they contain', () => {
+    assert.deepEqual(classifyMessage({ text: 'Alice added Bob', system: true, image: true }), { type: 'system', text: 'Alice added Bob' });
+  });
+});
@@ -0,0 +1,43 @@
+// Message URLs tests - normalising links, dropping trackers and url: patterns
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeUrl, findTextUrls, extractUrls, compileUrlPattern, matchesUrlPattern, UrlPatternError } from '../message-urls.js';
+
+describe('message-urls', () => {
+  it('normalises links and removes tracking parameters', () => {
+    assert.equal(normalizeUrl('HTTPS://Example.COM:443/Guide?utm_source=wa&id=7&fbclid=abc#intro'), 'https://example.com/Guide?id=7');
+    assert.equal(normalizeUrl('www.example.com/jobs'), 'https://www.example.com/jobs');
+    assert.equal(normalizeUrl('https://l.facebook.com/l.php?u=https%3A%2F%2Fshop.io%2Fp%3Futm_medium%3Dsocial&h=AT0'), 'https://shop.io/p');
+    assert.equal(normalizeUrl('https://www.google.com/url?q=https://example.com/a&sa=D'), 'https://example.com/a');
+    assert.equal(normalizeUrl('mailto:hi@example.com'), null);
+    assert.equal(normalizeUrl('not a link'), null);
+  });
+
+  it('finds addresses in text without the punctuation around them', () => {
+    assert.deepEqual(findTextUrls('Slides (https://example.com/deck). Also www.example.org/faq, thanks!'), [
+      { start: 8, end: 32, url: 'https://example.com/deck' },
+      { start: 40, end: 59, url: 'https://www.example.org/faq' }
+    ]);
+    assert.deepEqual(findTextUrls('See https://en.wikipedia.org/wiki/Seed_(finance).').map(hit => hit.url), ['https://en.wikipedia.org/wiki/Seed_(finance)']);
+    assert.deepEqual(extractUrls('Book here https://calendly.com/alice?utm_campaign=x', ['https://calendly.com/alice', 'https://lu.ma/demo-day']), [
+      'https://calendly.com/alice', 'https://lu.ma/demo-day'
+    ]);
+  });
+
+  it('matches domains with their subdomains and paths on whole segments', () => {
+    const yc = compileUrlPattern('ycombinator.com');
+    assert.ok(matchesUrlPattern('https://news.ycombinator.com/item?id=1', yc));
+    assert.ok(matchesUrlPattern('https://www.ycombinator.com/', yc));
+    assert.equal(matchesUrlPattern('https://notycombinator.com/', yc), false);
+
+    const calendly = compileUrlPattern('https://calendly.com/alice/');
+    assert.ok(matchesUrlPattern('https://calendly.com/Alice/30min', calendly));
+    assert.equal(matchesUrlPattern('https://calendly.com/alicia', calendly), false);
+
+    assert.ok(matchesUrlPattern('https://www.linkedin.com/jobs/view/42', compileUrlPattern('linkedin.com/jobs/view/*')));
+    assert.ok(matchesUrlPattern('https://acme.notion.site/roadmap', compileUrlPattern('*.notion.site')));
+    assert.throws(() => compileUrlPattern('example.com/search?q=jobs'), UrlPatternError);
+    assert.throws(() => compileUrlPattern('/forms'), /expected a domain/);
+  });
+});
@@ -0,0 +1,248 @@
+// Notification channel tests - Slack and push against a local stub HTTP server, email against a local SMTP sink
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http'; // Stub webhook server
+import net from 'net'; // Minimal SMTP sink
+import {
+  buildGroupPayloads,
+  createChannels,
+  sendBatchedNotifications,
+  sendAlert,
+  formatSlackMessage,
+  formatEmail
+} from '../notifications.js';
+
+const matches = [
+  { groupName: 'Startup Founders', sender: 'Bob', text: 'I just launched my startup', matchedKeyword: 'startup', timestamp: '2025-07-14T10:35:00.000Z' },
+  { groupName: 'Startup Founders', sender: 'Carol', text: 'Anyone building in voice ai?', matchedKeyword: 'voice ai', timestamp: '2025-07-14T11:02:00.000Z' },
+  { groupName: 'Startup Founders', sender: 'Dan', text: 'Startup weekend is on', matchedKeyword: 'startup', timestamp: '2025-07-14T11:10:00.000Z' },
+  { groupName: 'Startup Founders', sender: 'Erin', text: 'My startup needs a designer', matchedKeyword: 'startup', timestamp: '2025-07-14T11:20:00.000Z' },
+  { groupName: 'Investors', sender: 'Grace', text: 'Looking for <b>funding</b> intros', matchedKeyword: 'funding', timestamp: '2025-07-14T12:00:00.000Z' }
+];
+
+// Stub HTTP server that records every request it receives
+function startStubServer(status = 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      res.writeHead(status);
+      res.end('ok');
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      requests,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+// SMTP sink that accepts every message and keeps the raw DATA section
+function startSmtpSink() {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let envelope = { from: null, to: [], data: '' };
+
+    socket.write('220 sink ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let lineEnd;
+      while ((lineEnd = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(envelope);
+            envelope = { from: null, to: [], data: '' };
+            socket.write('250 OK queued\r\n');
+          } else {
+            envelope.data += `${line.startsWith('..') ? line.slice(1) : line}\n`;
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') socket.write('250 sink\r\n');
+        else if (command === 'MAIL') { envelope.from = line; socket.write('250 OK\r\n'); }
+        else if (command === 'RCPT') { envelope.to.push(line); socket.write('250 OK\r\n'); }
+        else if (command === 'DATA') { inData = true; socket.write('354 End data with <CR><LF>.<CR><LF>\r\n'); }
+        else if (command === 'QUIT') { socket.end('221 Bye\r\n'); }
+        else socket.write('250 OK\r\n');
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      port: server.address().port,
+      messages,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+describe('buildGroupPayloads', () => {
+  it('builds one payload per group with at most 3 matches in the message', () => {
+    const payloads = buildGroupPayloads(matches);
+
+    assert.equal(payloads.length, 2);
+    assert.equal(payloads[0].title, 'WhatsApp Match - Startup Founders');
+    assert.equal(payloads[0].subtitle, '4 keyword matches');
+    assert.equal(payloads[0].message.split('\n').filter(line => line.includes(':')).length, 3);
+    assert.match(payloads[0].message, /\.\.\.and 1 more matches$/);
+    assert.equal(payloads[1].subtitle, '1 keyword match');
+  });
+
+  it('notes forwarded matches and the other groups a match was posted in', () => {
+    const [payload] = buildGroupPayloads([{ ...matches[4], forwarded: true, groups: ['Investors', 'Angels', 'Founders'] }]);
+    assert.equal(payload.message, 'funding [forwarded, also in Angels, Founders]: Looking for <b>funding</b> intros...');
+    assert.match(formatEmail(payload).html, /<em>\[forwarded, also in Angels, Founders\]<\/em>/);
+  });
+});
+
+describe('match context in notifications', () => {
+  const reply = {
+    groupName: 'Investors', sender: 'Heidi', text: 'Happy to intro <you>', matchedKeyword: 'intro', timestamp: '2025-07-14T12:05:00.000Z',
+    context: {
+      quoted: { sender: 'Grace', text: 'Looking for funding intros' },
+      before: [{ sender: 'Ivan', text: 'Morning all' }],
+      after: [{ sender: 'Grace', text: 'Thanks!' }]
+    }
+  };
+
+  it('quotes the conversation in Slack with the match in bold', () => {
+    const [payload] = buildGroupPayloads([reply]);
+    assert.equal(formatSlackMessage(payload).blocks[2].text.text, [
+      '*intro* — Heidi',
+      '>_Ivan: Morning all_',
+      '>↪ _Grace: Looking for funding intros_',
+      '>*Heidi: Happy to intro &lt;you&gt;*',
+      '>_Grace: Thanks!_'
+    ].join('\n'));
+  });
+
+  it('escapes mentions and links in Slack text, senders, context and group names', () => {
+    const [payload] = buildGroupPayloads([{
+      ...reply, sender: '<!here>', text: 'intro <!channel> at <https://evil.example|bank.com>', groups: ['Investors', 'R&D <team>'],
+      context: { ...reply.context, quoted: { sender: 'Grace', text: '<@U123> intros?' } }
+    }]);
+    const [heading, ...lines] = formatSlackMessage(payload).blocks[2].text.text.split('\n');
+    assert.equal(heading, '*intro* — &lt;!here&gt; [also in R&amp;D &lt;team&gt;]');
+    assert.equal(lines[1], '>↪ _Grace: &lt;@U123&gt; intros?_');
+    assert.equal(lines[2], '>*&lt;!here&gt;: intro &lt;!channel&gt; at &lt;https://evil.example|bank.com&gt;*');
+  });
+
+  it('shows the context in email text and highlights the match in HTML', () => {
+    const email = formatEmail(buildGroupPayloads([reply])[0]);
+    assert.match(email.text, /  Ivan: Morning all\n  ↪ in reply to Grace: Looking for funding intros\n» Heidi: Happy to intro <you>\n  Grace: Thanks!/);
+    assert.match(email.html, /<div style="color:#777">↪ Grace: Looking for funding intros<\/div><div style="background:#fff3b0;padding:2px 4px"><strong>Heidi:<\/strong> Happy to intro &lt;you&gt;<\/div>/);
+  });
+});
+
+describe('createChannels', () => {
+  it('skips disabled channels', () => {
+    const channels = createChannels([{ type: 'desktop' }, { type: 'slack', enabled: false, webhookUrl: 'http://x' }]);
+    assert.deepEqual(channels.map(channel => channel.name), ['desktop']);
+  });
+
+  it('rejects unknown types and missing settings', () => {
+    assert.throws(() => createChannels([{ type: 'pager' }]), /Unknown notification channel type "pager"/);
+    assert.throws(() => createChannels([{ type: 'slack' }]), /requires "webhookUrl"/);
+    assert.throws(() => createChannels([{ type: 'email', host: 'localhost', from: 'a@b' }]), /requires "to"/);
+  });
+});
+
+describe('Slack and push channels', () => {
+  let stub;
+
+  before(async () => { stub = await startStubServer(); });
+  after(async () => { await stub.close(); });
+
+  it('posts one Slack message per group to the webhook', async () => {
+    const channels = createChannels([{ type: 'slack', webhookUrl: `${stub.url}/slack` }]);
+    assert.equal(await sendBatchedNotifications(matches, channels), true);
+
+    const slackRequests = stub.requests.filter(req => req.url === '/slack');
+    assert.equal(slackRequests.length, 2);
+
+    const body = JSON.parse(slackRequests[0].body);
+    assert.equal(body.text, 'WhatsApp Match - Startup Founders: 4 keyword matches');
+    assert.equal(body.blocks.filter(block => block.type === 'section').length, 3);
+    assert.match(body.blocks[2].text.text, /^\*startup\* — Bob/);
+  });
+
+  it('posts ntfy-style push messages with title and priority headers', async () => {
+    const channels = createChannels([{ type: 'push', url: `${stub.url}/topic`, priority: 'high', token: 'secret' }]);
+    await sendBatchedNotifications(matches.slice(4), channels);
+
+    const [request] = stub.requests.filter(req => req.url === '/topic');
+    assert.equal(request.headers.title, 'WhatsApp Match - Investors');
+    assert.equal(request.headers.priority, 'high');
+    assert.equal(request.headers.authorization, 'Bearer secret');
+    assert.match(request.body, /^1 keyword match\nfunding: Looking for/);
+  });
+
+  it('encodes push titles with emoji and non-Latin group names', async () => {
+    const channels = createChannels([{ type: 'push', url: `${stub.url}/emoji` }]);
+    assert.equal(await sendBatchedNotifications([{ ...matches[4], groupName: 'Startups 🚀 Москва' }], channels), true);
+
+    const [request] = stub.requests.filter(req => req.url === '/emoji');
+    const [, encoded] = request.headers.title.match(/^=\?UTF-8\?B\?(.+)\?=$/);
+    assert.equal(Buffer.from(encoded, 'base64').toString('utf8'), 'WhatsApp Match - Startups 🚀 Москва');
+  });
+
+  it('posts alerts as a single message without matches', async () => {
+    const channels = createChannels([{ type: 'slack', webhookUrl: `${stub.url}/alerts` }]);
+    assert.equal(await sendAlert('Group renamed', '"Old Name" is now "New Name"', channels), true);
+
+    const [request] = stub.requests.filter(req => req.url === '/alerts');
+    const body = JSON.parse(request.body);
+    assert.equal(body.text, 'WhatsApp Monitor - Group renamed: Monitor alert');
+    assert.equal(body.blocks[2].text.text, '"Old Name" is now "New Name"');
+  });
+
+  it('reports failed deliveries without throwing', async () => {
+    const failing = await startStubServer(500);
+    const channels = createChannels([{ type: 'slack', webhookUrl: failing.url }]);
+
+    assert.equal(await sendBatchedNotifications(matches, channels), false);
+    await failing.close();
+  });
+});
+
+describe('email channel', () => {
+  let sink;
+
+  before(async () => { sink = await startSmtpSink(); });
+  after(async () => { await sink.close(); });
+
+  it('sends one email per group through SMTP', async () => {
+    const channels = createChannels([{
+      type: 'email',
+      host: '127.0.0.1',
+      port: sink.port,
+      ignoreTLS: true,
+      from: 'monitor@example.com',
+      to: 'team@example.com'
+    }]);
+
+    await sendBatchedNotifications(matches, channels);
+    channels[0].close();
+
+    assert.equal(sink.messages.length, 2);
+    const investorsMail = sink.messages.find(message => message.data.includes('WhatsApp Match - Investors'));
+    assert.ok(investorsMail.to[0].includes('team@example.com'));
+    assert.match(investorsMail.data, /Subject: WhatsApp Match - Investors \(1 keyword match\)/);
+    assert.match(investorsMail.data, /&lt;b&gt;funding&lt;\/b&gt;/);
+  });
+});
@@ -0,0 +1,32 @@
+// Pacing tests - profile scaling, overrides of single delays and random values inside their range
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs'; // Schema file
+import { DELAYS, delayRange, pacingDelay } from '../pacing.js';
+
+describe('pacing', () => {
+  it('scales every delay with the profile', () => {
+    assert.deepEqual(delayRange('searchResults', { profile: 'normal', delays: {} }), DELAYS.searchResults);
+    assert.deepEqual(delayRange('searchResults', { profile: 'cautious', delays: {} }), [3000, 5000]);
+    assert.deepEqual(delayRange('typing', { profile: 'fast', delays: {} }), [25, 50]);
+  });
+
+  it('lets single delays override the profile', () => {
+    const pacing = { profile: 'fast', delays: { betweenGroups: [5000, 9000] } };
+    assert.deepEqual(delayRange('betweenGroups', pacing), [5000, 9000]);
+    assert.deepEqual(delayRange('betweenBatches', pacing), [1000, 2000]);
+    assert.throws(() => delayRange('coffeeBreak', pacing), /Unknown pacing delay "coffeeBreak"/);
+  });
+
+  it('lets every named delay be set in the config', () => {
+    const schema = JSON.parse(fs.readFileSync(new URL('../config.schema.json', import.meta.url), 'utf8'));
+    assert.deepEqual(Object.keys(schema.properties.PACING.properties.delays.properties).sort(), Object.keys(DELAYS).sort());
+  });
+
+  it('draws whole numbers inside the range', () => {
+    const pacing = { profile: 'normal', delays: { escape: [10, 12] } };
+    const values = new Set(Array.from({ length: 200 }, () => pacingDelay('escape', pacing)));
+    assert.deepEqual([...values].sort(), [10, 11, 12]);
+  });
+});
@@ -0,0 +1,67 @@
+// Scan schedule tests - cron parsing and matching, quiet hours and the planned runs of groups
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ScheduleError, parseCron, nextCronTime, compileSchedule, isQuietTime, nextRunTime,
+  loadSchedule, trackGroups, isGroupDue, recordGroupChecked, nextDueTime, getGroupSchedules
+} from '../scan-schedule.js';
+
+// Local time, as the schedule works in local time
+const at = (text) => new Date(`${text}:00`);
+
+describe('scan-schedule', () => {
+  it('finds the next match of a cron expression', () => {
+    const weekdays = parseCron('*/15 9-18 * * mon-fri');
+    assert.deepEqual(nextCronTime(weekdays, at('2026-10-16T10:07')), at('2026-10-16T10:15')); // Friday
+    assert.deepEqual(nextCronTime(weekdays, at('2026-10-16T18:50')), at('2026-10-19T09:00')); // Over the weekend
+    assert.deepEqual(nextCronTime(parseCron('0 12 29 2 *'), at('2026-10-16T00:00')), at('2028-02-29T12:00'));
+    assert.deepEqual(nextCronTime(parseCron('30 8 * * 7'), at('2026-10-16T00:00')), at('2026-10-18T08:30')); // 7 is Sunday
+  });
+
+  it('matches either restricted day field, as cron does', () => {
+    const cron = parseCron('0 9 1 * mon');
+    assert.deepEqual(nextCronTime(cron, at('2026-10-16T12:00')), at('2026-10-19T09:00')); // Monday before the 1st
+    assert.deepEqual(nextCronTime(cron, at('2026-10-27T12:00')), at('2026-11-01T09:00')); // The 1st before Monday
+  });
+
+  it('rejects invalid and never-matching expressions', () => {
+    assert.throws(() => parseCron('0 9 * *'), /must have 5 fields/);
+    assert.throws(() => parseCron('61 * * * *'), { name: 'ScheduleError', message: '"61 * * * *": minute 61 is outside 0-59' });
+    assert.throws(() => parseCron('0 18-9 * * *'), /range 18-9 in the hour field runs backwards/);
+    assert.throws(() => parseCron('*/0 * * * *'), /must be a whole number of at least 1/);
+    assert.throws(() => parseCron('0 9 * * someday'), /"someday" is not a valid day of week/);
+    assert.throws(() => nextCronTime(parseCron('0 0 30 2 *'), new Date()), ScheduleError);
+  });
+
+  it('handles quiet hours across midnight and holds scans until they end', () => {
+    const { defaultPlan, quietHours } = compileSchedule({ default: '0 * * * *', groups: {}, quietHours: { from: '23:00', to: '07:00', hold: 'scans' } }, 30);
+    assert.equal(isQuietTime(at('2026-10-16T23:30'), quietHours), true);
+    assert.equal(isQuietTime(at('2026-10-17T06:59'), quietHours), true);
+    assert.equal(isQuietTime(at('2026-10-17T07:00'), quietHours), false);
+
+    assert.deepEqual(nextRunTime(defaultPlan, at('2026-10-16T21:10'), quietHours), at('2026-10-16T22:00'));
+    assert.deepEqual(nextRunTime(defaultPlan, at('2026-10-16T22:10'), quietHours), at('2026-10-17T07:00'));
+    assert.deepEqual(nextRunTime(defaultPlan, at('2026-10-16T22:10'), { ...quietHours, hold: 'notifications' }), at('2026-10-16T23:00'));
+  });
+
+  it('plans each group from its own schedule', () => {
+    loadSchedule({ default: undefined, groups: { Founders: 10, Jobs: '0 9,18 * * *' }, quietHours: null }, 30);
+    trackGroups(['Founders', 'Jobs', 'Events']);
+    assert.ok(['Founders', 'Jobs', 'Events'].every(groupName => isGroupDue(groupName)));
+
+    const checkedAt = at('2026-10-16T12:00');
+    for (const groupName of ['Founders', 'Jobs', 'Events']) recordGroupChecked(groupName, checkedAt);
+    assert.deepEqual(getGroupSchedules().map(({ groupName, schedule, nextRunAt }) => [groupName, schedule, nextRunAt]), [
+      ['Founders', 'every 10 min', at('2026-10-16T12:10')],
+      ['Events', 'every 30 min', at('2026-10-16T12:30')],
+      ['Jobs', '0 9,18 * * *', at('2026-10-16T18:00')]
+    ]);
+    assert.deepEqual(nextDueTime(), at('2026-10-16T12:10'));
+    assert.equal(isGroupDue('Founders', at('2026-10-16T12:09')), true); // Within a minute of its run
+    assert.equal(isGroupDue('Events', at('2026-10-16T12:09')), false);
+
+    trackGroups(['Founders']); // Jobs and Events left the target groups
+    assert.deepEqual(getGroupSchedules().map(group => group.groupName), ['Founders']);
+  });
+});
@@ -0,0 +1,95 @@
+// Selector registry tests - candidate order, promotion, one-time broken reports and health across config reloads
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  loadSelectors,
+  selectorCandidates,
+  recordSelectorHit,
+  recordSelectorFailure,
+  onSelectorBroken,
+  getSelectorHealth,
+  toCandidates,
+  SelectorBrokenError
+} from '../selector-registry.js';
+
+describe('selector-registry', () => {
+  let reported;
+
+  beforeEach(() => {
+    loadSelectors({}); // Drop the promotion and health left by the previous test
+    loadSelectors({
+      chatList: ['[aria-label="Chat list"]', '[data-testid="chat-list"]', '#pane-side [role="grid"]'],
+      messageMeta: '[data-pre-plain-text]'
+    });
+    reported = [];
+    onSelectorBroken(error => reported.push(error));
+  });
+
+  it('reads a single selector string as one candidate', () => {
+    assert.deepEqual(toCandidates('.message-in, .message-out'), ['.message-in, .message-out']);
+    assert.deepEqual(selectorCandidates('messageMeta'), ['[data-pre-plain-text]']);
+  });
+
+  it('tries the configured order until a fallback works, then that fallback first', () => {
+    assert.deepEqual(selectorCandidates('chatList'), ['[aria-label="Chat list"]', '[data-testid="chat-list"]', '#pane-side [role="grid"]']);
+
+    assert.deepEqual(recordSelectorHit('chatList', '#pane-side [role="grid"]'), { promoted: true, fallback: true });
+    assert.deepEqual(selectorCandidates('chatList'), ['#pane-side [role="grid"]', '[aria-label="Chat list"]', '[data-testid="chat-list"]']);
+    assert.deepEqual(recordSelectorHit('chatList', '#pane-side [role="grid"]'), { promoted: false, fallback: true });
+
+    // The original candidate working again takes its place back
+    assert.deepEqual(recordSelectorHit('chatList', '[aria-label="Chat list"]'), { promoted: true, fallback: false });
+    assert.equal(selectorCandidates('chatList')[0], '[aria-label="Chat list"]');
+  });
+
+  it('reports a broken element once until one of its candidates works again', () => {
+    assert.equal(recordSelectorFailure('chatList', 'reading the chat list'), true);
+    assert.equal(recordSelectorFailure('chatList'), false);
+    assert.equal(reported.length, 1);
+    assert.ok(reported[0] instanceof SelectorBrokenError);
+    assert.equal(reported[0].element, 'chatList');
+    assert.match(reported[0].message, /"chatList".*\(reading the chat list\).*\[aria-label="Chat list"\] \| \[data-testid="chat-list"\]/);
+
+    recordSelectorHit('chatList', '[data-testid="chat-list"]');
+    recordSelectorFailure('chatList');
+    assert.equal(reported.length, 2);
+  });
+
+  it('describes the health of every element', () => {
+    recordSelectorHit('chatList', '[data-testid="chat-list"]');
+    recordSelectorFailure('messageMeta', 'no send-time metadata');
+    recordSelectorFailure('messageMeta');
+
+    const health = getSelectorHealth();
+    const chatList = health.find(entry => entry.element === 'chatList');
+    assert.equal(chatList.active, '[data-testid="chat-list"]');
+    assert.equal(chatList.fallback, true);
+    assert.equal(chatList.broken, false);
+    assert.ok(!Number.isNaN(Date.parse(chatList.lastWorkedAt)));
+    assert.deepEqual(health.find(entry => entry.element === 'messageMeta'), {
+      element: 'messageMeta',
+      active: '[data-pre-plain-text]',
+      fallback: false,
+      broken: true,
+      failures: 2,
+      lastWorkedAt: null
+    });
+  });
+
+  it('keeps promotions across a reload unless the candidate list changed', () => {
+    recordSelectorHit('chatList', '[data-testid="chat-list"]');
+    recordSelectorHit('messageMeta', '[data-pre-plain-text]');
+
+    loadSelectors({
+      chatList: ['[aria-label="Chat list"]', '[data-testid="chat-list"]', '#pane-side [role="grid"]'],
+      messageMeta: ['[data-pre-plain-text]', '[data-testid="msg-meta"]']
+    });
+    assert.equal(selectorCandidates('chatList')[0], '[data-testid="chat-list"]');
+    assert.equal(getSelectorHealth().find(entry => entry.element === 'messageMeta').lastWorkedAt, null);
+  });
+
+  it('rejects element names that are not in SELECTORS', () => {
+    assert.throws(() => selectorCandidates('composeBox'), /Unknown selector element "composeBox"/);
+  });
+});
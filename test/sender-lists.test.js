@@ -0,0 +1,81 @@
+// Sender lists tests - sender keys, global and per-group lists, and how watched and blocked senders change matching
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises'; // File system operations
+import os from 'os'; // Temp directory for the test database
+import path from 'path'; // Path manipulation utilities
+import { senderKey, loadSenderLists, checkSender, findSenderEntry, describeSenderLists, validateSenderEntry, SenderListError } from '../sender-lists.js';
+import { initStorage, closeStorage } from '../storage.js';
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whatsapp-monitor-senders-'));
+await fs.writeFile(path.join(tempDir, 'config.yaml'), 'TARGET_GROUPS: [Investors]\nKEYWORDS: [keyword1]\n');
+// Must be set before keyword-matcher.js loads config-loader.js
+process.env.WHATSAPP_MONITOR_CONFIG = path.join(tempDir, 'config.yaml');
+const { findKeywordMatches, WATCHED_SENDER_KEYWORD } = await import('../keyword-matcher.js');
+
+const CONFIG = {
+  watch: ['Alice'],
+  block: ['Promo Bot'],
+  groups: { Founders: { watch: ['+1 555-010-2000'], block: ['alice'] } }
+};
+
+describe('sender-lists', () => {
+  beforeEach(() => loadSenderLists(CONFIG, [{ list: 'watch', sender: 'Grace', groupName: 'Investors' }]));
+
+  it('compares senders without case, spacing and phone number formatting', () => {
+    assert.equal(senderKey('  Promo   BOT '), 'promo bot');
+    assert.equal(senderKey('~ Heidi'), 'heidi');
+    assert.equal(senderKey('+1 (555) 010-2000'), '15550102000');
+    assert.equal(senderKey('Team 2025'), 'team 2025');
+  });
+
+  it('applies global lists everywhere and group lists in their group, block before watch', () => {
+    assert.equal(checkSender('ALICE', 'Investors').list, 'watch');
+    assert.equal(checkSender('Alice', 'Founders').list, 'block');
+    assert.equal(checkSender('+15550102000', 'Founders').list, 'watch');
+    assert.equal(checkSender('+15550102000', 'Investors'), null);
+    assert.deepEqual(checkSender('grace', 'Investors'), { list: 'watch', sender: 'Grace', group: 'Investors', source: 'runtime' });
+    assert.equal(checkSender('', 'Founders'), null);
+  });
+
+  it('finds exact entries and lists every entry, global ones first', () => {
+    assert.equal(findSenderEntry('block', 'promo bot').source, 'config');
+    assert.equal(findSenderEntry('block', 'Promo Bot', 'Founders'), null);
+    assert.deepEqual(describeSenderLists().map(entry => `${entry.list} ${entry.sender} ${entry.group}`), [
+      'watch Alice null', 'watch +1 555-010-2000 Founders', 'watch Grace Investors', 'block Promo Bot null', 'block alice Founders'
+    ]);
+    assert.throws(() => validateSenderEntry('allow', 'Bob'), SenderListError);
+    assert.throws(() => validateSenderEntry('watch', '  '), /A sender name or phone number is needed/);
+  });
+});
+
+describe('findKeywordMatches with sender lists', () => {
+  const message = (sender, text) => ({ groupName: 'Investors', sender, text, timestamp: '2025-07-14T09:00:00.000Z', urls: [] });
+
+  before(() => {
+    initStorage(path.join(tempDir, 'monitor.db'));
+    loadSenderLists(CONFIG);
+  });
+
+  after(async () => {
+    loadSenderLists({ watch: [], block: [], groups: {} });
+    closeStorage();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('flags every message of a watched sender and none of a blocked one', () => {
+    const matches = findKeywordMatches([
+      message('Alice', 'Lunch anyone?'),
+      message('Alice', 'keyword1 is here'),
+      message('Promo Bot', 'keyword1 deals today'),
+      message('Bob', 'Lunch anyone?')
+    ]);
+
+    assert.deepEqual(matches.map(match => [match.sender, match.matchedKeyword, match.matchedRule]), [
+      ['Alice', WATCHED_SENDER_KEYWORD, 'sender:Alice'],
+      ['Alice', 'keyword1', 'keyword1']
+    ]);
+    assert.deepEqual(findKeywordMatches([message('Alice', 'Lunch anyone?')]), []); // Already seen
+  });
+});
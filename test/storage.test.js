@@ -0,0 +1,72 @@
+// Storage tests - schema migrations, seen message pruning and notifications held over quiet hours across restarts
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises'; // File system operations
+import os from 'os'; // Temp directory for the test database
+import path from 'path'; // Path manipulation utilities
+import { initStorage, closeStorage, markMessageSeen, isMessageSeen, pruneSeenMessages, SEEN_MESSAGE_RETENTION_DAYS, saveMatch, holdMatchNotifications, releaseMatchNotifications, getHeldMatches } from '../storage.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('a new database', () => {
+  let db;
+
+  before(() => {
+    db = initStorage(':memory:');
+  });
+
+  after(() => {
+    closeStorage();
+  });
+
+  it('runs every migration', () => {
+    const names = type => db.prepare('SELECT name FROM sqlite_master WHERE type = ?').all(type).map(row => row.name);
+    assert.equal(db.pragma('user_version', { simple: true }), 16);
+    assert.ok(names('table').includes('digest_state'));
+    assert.ok(!names('table').includes('summary_reports'));
+    assert.ok(names('index').includes('idx_seen_messages_first_seen_at'));
+    assert.ok(db.prepare('SELECT * FROM pragma_table_info(?)').all('matches').some(column => column.name === 'notification_held'));
+  });
+
+  it('prunes seen messages older than the retention period', () => {
+    markMessageSeen('old', 'Investors', Date.now() - (SEEN_MESSAGE_RETENTION_DAYS + 1) * DAY);
+    markMessageSeen('new', 'Investors');
+    assert.equal(pruneSeenMessages(), 1);
+    assert.equal(isMessageSeen('old'), false);
+    assert.ok(isMessageSeen('new'));
+  });
+});
+
+describe('held notifications', () => {
+  let tempDir;
+  let dbPath;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'whatsapp-monitor-storage-'));
+    dbPath = path.join(tempDir, 'monitor.db');
+    initStorage(dbPath);
+  });
+
+  after(async () => {
+    closeStorage();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('keeps held matches across a restart until they are released', () => {
+    const held = saveMatch({ messageId: 'm1', groupName: 'Investors', sender: 'Grace', text: 'Seed fundng open', type: 'text', urls: [], forwarded: true,
+      matchedKeyword: 'funding', matchedRule: 'funding', matchSpans: [{ start: 5, end: 12, text: 'fundng' }], matchScore: 0.86, timestamp: '2025-07-14T23:30:00.000Z' });
+    saveMatch({ messageId: 'm2', groupName: 'Founders', sender: 'Bob', text: 'My startup', matchedKeyword: 'startup' });
+    holdMatchNotifications([held]);
+    closeStorage();
+
+    initStorage(dbPath);
+    assert.deepEqual(getHeldMatches(), [{
+      id: held, messageId: 'm1', groupName: 'Investors', sender: 'Grace', text: 'Seed fundng open', type: 'text', urls: [], context: null, forwarded: true,
+      matchedKeyword: 'funding', matchedRule: 'funding', matchSpans: [{ start: 5, end: 12, text: 'fundng' }], matchScore: 0.86, fuzzy: true, timestamp: '2025-07-14T23:30:00.000Z'
+    }]);
+
+    releaseMatchNotifications([held]);
+    assert.deepEqual(getHeldMatches(), []);
+  });
+});
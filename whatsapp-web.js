@@ -0,0 +1,1049 @@
+// WhatsApp Web page automation - Login checks, group search and message extraction on the active page
+
+import { debugLog, logDOMState, logSelectorSearch, PerfTimer } from './debug-helpers.js'; // Debug utilities
+import { log, isLevelEnabled } from './logger.js'; // Levelled logging
+import fs from 'fs/promises'; // File system operations
+import path from 'path'; // Path manipulation utilities
+import { SELECTORS, MESSAGE_DATE_ORDER, INCREMENTAL_SCAN, MATCH_CONTEXT, CHAT_LIST_PREPASS, TIMEOUTS, QR_LOGIN, PACING, ACTION_BUDGETS } from './config-loader.js';
+import { resolveMessageTime, parsePrePlainText } from './message-time.js'; // Send time and sender from data-pre-plain-text
+import { classifyMessage } from './message-types.js'; // Message types and their matchable text
+import { extractUrls } from './message-urls.js'; // Normalised message links
+import { attachContext } from './match-context.js'; // Messages around each message and quoted replies
+import { parseChatId } from './group-discovery.js'; // Stable chat ids from message data-ids
+import {
+  loadSelectors,
+  selectorCandidates,
+  recordSelectorHit,
+  recordSelectorFailure,
+  SelectorBrokenError
+} from './selector-registry.js'; // Selector fallback chains and health
+import { sampleQrModules, renderTerminalQr } from './login-qr.js'; // QR code in the terminal
+import { pacingDelay, rollIdleScroll } from './pacing.js'; // Human-behaviour delays
+import { spendAction, ActionBudgetError } from './action-budget.js'; // Search and chat-open limits
+
+// Page the automation functions act on (set by initBrowser or the e2e suite)
+let page = null;
+
+// Login progress for the status command and dashboard
+// state: 'unknown', 'waiting' (QR code shown), 'logged-in' or 'timeout'
+let loginState = { state: 'unknown', qrUpdatedAt: null, qrUpdates: 0 };
+let loginQr = null; // { ref, png, capturedAt } of the QR code currently shown
+
+// Point all page automation at a Puppeteer page
+export function setPage(newPage) {
+  page = newPage;
+}
+
+// Generate random delay between min and max milliseconds (human-like behavior)
+export function randomDelay(min, max) {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+// Helper to wait for a specified time (replaces wait)
+export async function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Wait for a named human-behaviour delay of the PACING profile
+export async function humanPause(name) {
+  return wait(pacingDelay(name, PACING));
+}
+
+// Selector candidates of an element for the current SELECTORS config, the last one that worked first
+function candidates(element) {
+  loadSelectors(SELECTORS);
+  return selectorCandidates(element);
+}
+
+// Record the candidate that matched and log when a fallback takes over
+function useCandidate(element, selector) {
+  const { promoted, fallback } = recordSelectorHit(element, selector);
+  if (promoted) {
+    const message = `🩹 Selector "${element}" now uses ${fallback ? 'fallback ' : ''}${selector}`;
+    if (fallback) log.warn(message, { element, selector });
+    else log.info(message, { element, selector });
+  }
+}
+
+// Record that an element that must be on the page was not found, and throw
+function selectorBroken(element, detail) {
+  recordSelectorFailure(element, detail);
+  throw new SelectorBrokenError(element, candidates(element), detail);
+}
+
+// Wait until a candidate of the element is on the page - returns { handle, selector }, or null after the timeout
+// required: a missing element means WhatsApp Web changed - report it and throw SelectorBrokenError
+async function waitForElement(element, { timeout = TIMEOUTS.search, visible = false, required = false } = {}) {
+  const list = candidates(element);
+  let index;
+  try {
+    const found = await page.waitForFunction((selectors, mustBeVisible) => {
+      for (let i = 0; i < selectors.length; i++) {
+        const el = document.querySelector(selectors[i]);
+        if (el && (!mustBeVisible || (el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden'))) {
+          return i + 1; // 0 would keep waiting
+        }
+      }
+      return false;
+    }, { timeout }, list, visible);
+    index = (await found.jsonValue()) - 1;
+  } catch (error) {
+    if (error.name !== 'TimeoutError') throw error;
+    if (required) selectorBroken(element, `waited ${timeout}ms`);
+    return null;
+  }
+  
+  useCandidate(element, list[index]);
+  return { handle: await page.$(list[index]), selector: list[index] };
+}
+
+// Look for a candidate of the element without waiting - returns { handle, selector } or null (never an error:
+// optional elements such as the QR code or the archived button are often legitimately absent)
+async function findElement(element) {
+  for (const selector of candidates(element)) {
+    const handle = await page.$(selector);
+    if (handle) {
+      useCandidate(element, selector);
+      return { handle, selector };
+    }
+  }
+  return null;
+}
+
+// Type text character by character with random delays (mimics human typing)
+export async function typeWithDelay(element, text) {
+  for (const char of text) {
+    await element.type(char, { delay: pacingDelay('typing', PACING) });
+  }
+}
+
+// Check if user is already logged in to WhatsApp Web
+export async function checkLoginStatus() {
+  try {
+    log.info('🔍 Checking login status...');
+    
+    // Give the page a moment to load
+    await humanPause('pageLoad');
+    
+    // Wait for either QR code or chat list to appear
+    await page.waitForSelector([...candidates('qrCode'), ...candidates('chatList')].join(', '), { timeout: 10000 });
+    
+    // Check if QR code is present
+    const qrCodePresent = await findElement('qrCode');
+    const chatListPresent = await findElement('chatList');
+    
+    log.debug(`QR Code present: ${!!qrCodePresent}, Chat list present: ${!!chatListPresent}`, { qrCodePresent: !!qrCodePresent, chatListPresent: !!chatListPresent });
+    
+    const loggedIn = !qrCodePresent && !!chatListPresent;
+    if (loggedIn) loginState.state = 'logged-in';
+    return loggedIn;
+  } catch (error) {
+    log.warn('⚠️ Error checking login status', { error });
+    return false;
+  }
+}
+
+// Login progress - { state, qrUpdatedAt, qrUpdates }
+export function getLoginState() {
+  return { ...loginState };
+}
+
+// The QR code waiting to be scanned as { png (Buffer), capturedAt }, or null once logged in
+export function getLoginQr() {
+  return loginQr && { png: loginQr.png, capturedAt: loginQr.capturedAt };
+}
+
+// Read the QR code on the login screen - its ref (changes when WhatsApp rotates the code), dark pixels and a
+// PNG with a white border; null when no QR code is shown
+async function readLoginQr() {
+  const qr = await page.evaluate((selectors) => {
+    const selector = selectors.find(candidate => {
+      const el = document.querySelector(candidate);
+      return el && el.tagName === 'CANVAS' && el.width > 0;
+    });
+    if (!selector) return null;
+    const canvas = document.querySelector(selector);
+
+    const { width, height } = canvas;
+    const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    let dark = '';
+    for (let i = 0; i < pixels.length; i += 4) {
+      const luminance = 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+      dark += pixels[i + 3] > 127 && luminance < 128 ? '1' : '0';
+    }
+
+    const border = Math.round(width / 8);
+    const padded = document.createElement('canvas');
+    padded.width = width + 2 * border;
+    padded.height = height + 2 * border;
+    const context = padded.getContext('2d');
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, padded.width, padded.height);
+    context.drawImage(canvas, border, border);
+
+    const refHolder = canvas.closest('[data-ref]');
+    return {
+      selector,
+      ref: (refHolder && refHolder.getAttribute('data-ref')) || dark,
+      width,
+      height,
+      dark,
+      pngBase64: padded.toDataURL('image/png').split(',')[1]
+    };
+  }, candidates('qrCode'));
+  if (qr) useCandidate('qrCode', qr.selector);
+  return qr;
+}
+
+// Show a new QR code: draw it in the terminal (QR_LOGIN.terminal), save it as a PNG (QR_LOGIN.imagePath)
+// and keep it for the dashboard
+async function showLoginQr(qr) {
+  loginQr = { ref: qr.ref, png: Buffer.from(qr.pngBase64, 'base64'), capturedAt: new Date().toISOString() };
+  loginState = { ...loginState, qrUpdatedAt: loginQr.capturedAt, qrUpdates: loginState.qrUpdates + 1 };
+
+  if (QR_LOGIN.terminal) {
+    const modules = sampleQrModules(qr);
+    if (modules) {
+      console.log(`\n${renderTerminalQr(modules)}\n`);
+    } else {
+      log.warn('⚠️ Could not read the QR code for the terminal - use the PNG or the dashboard');
+    }
+  }
+
+  if (QR_LOGIN.imagePath) {
+    try {
+      await fs.mkdir(path.dirname(QR_LOGIN.imagePath), { recursive: true });
+      await fs.writeFile(QR_LOGIN.imagePath, loginQr.png);
+    } catch (error) {
+      log.warn(`⚠️ Failed to save the QR code to ${QR_LOGIN.imagePath}`, { error });
+    }
+  }
+
+  log.info(`📲 ${loginState.qrUpdates === 1 ? 'QR code ready' : 'QR code refreshed'} - scan it in WhatsApp > Linked devices${QR_LOGIN.imagePath ? ` (PNG: ${QR_LOGIN.imagePath})` : ''}`, { qrUpdates: loginState.qrUpdates });
+}
+
+// Forget the QR code once it can no longer be scanned (the saved PNG too)
+async function clearLoginQr() {
+  loginQr = null;
+  if (QR_LOGIN.imagePath) await fs.rm(QR_LOGIN.imagePath, { force: true });
+}
+
+// Wait for user to scan QR code and complete login
+// captureQr: show the QR code in the terminal, as a PNG and on the dashboard (headless browsers have no window)
+export async function waitForLogin({ captureQr = false, timeout = QR_LOGIN.timeoutMinutes * 60 * 1000 } = {}) {
+  const deadline = Date.now() + timeout;
+  loginState = { state: 'waiting', qrUpdatedAt: null, qrUpdates: 0 };
+  
+  try {
+    // Wait for chat list or any sign of successful login, following the QR code as WhatsApp rotates it
+    while (Date.now() < deadline) {
+      if (await findElement('chatList')) {
+        loginState.state = 'logged-in';
+        log.info('✅ Successfully logged in to WhatsApp', { qrUpdates: loginState.qrUpdates });
+        
+        // Extra wait to ensure page is fully loaded
+        await humanPause('afterLogin');
+        return;
+      }
+      
+      if (captureQr) {
+        const qr = await readLoginQr();
+        if (qr && (!loginQr || qr.ref !== loginQr.ref)) await showLoginQr(qr);
+      }
+      
+      await wait(1000);
+    }
+    
+    log.warn('⚠️ Chat list selector not found, checking alternative selectors...');
+    
+    // Try alternative selectors
+    try {
+      await page.waitForSelector('[data-testid="chat-list-search-container"]', { timeout: 5000 });
+      loginState.state = 'logged-in';
+      log.info('✅ Successfully logged in to WhatsApp (alternative method)');
+      recordSelectorFailure('chatList', 'logged in, but no chat list candidate matched');
+    } catch (altError) {
+      loginState.state = 'timeout';
+      log.error(`⏰ Login timed out after ${Math.round(timeout / 1000)}s`, { qrUpdates: loginState.qrUpdates });
+      throw new Error('Login timeout - QR code not scanned or page not loading properly');
+    }
+  } finally {
+    await clearLoginQr();
+  }
+}
+
+// Simulate human-like mouse movement to element
+async function humanMouseMove(element) {
+  const box = await element.boundingBox();
+  if (!box) return;
+  
+  // Move in a slight curve to the element
+  const startX = await page.evaluate(() => window.innerWidth / 2);
+  const startY = await page.evaluate(() => window.innerHeight / 2);
+  const targetX = box.x + box.width / 2;
+  const targetY = box.y + box.height / 2;
+  
+  // Create intermediate point for curve
+  const midX = (startX + targetX) / 2 + randomDelay(-50, 50);
+  const midY = (startY + targetY) / 2 + randomDelay(-50, 50);
+  
+  await page.mouse.move(startX, startY);
+  await page.mouse.move(midX, midY, { steps: pacingDelay('mouseSteps', PACING) });
+  await page.mouse.move(targetX, targetY, { steps: pacingDelay('mouseSteps', PACING) });
+}
+
+// Search for a WhatsApp group by name and open it (checks archived if needed)
+// Every search and every click on a result counts against ACTION_BUDGETS - throws ActionBudgetError once one is spent
+export async function searchAndOpenGroup(groupName) {
+  const fnTimer = new PerfTimer('searchAndOpenGroup', { searchedName: groupName });
+  
+  try {
+    spendAction('searches', ACTION_BUDGETS);
+    log.info(`🔍 Searching for group: ${groupName}`);
+    
+    debugLog('SEARCH', `Starting search for group: ${groupName}`);
+    await logDOMState(page, 'Before Search');
+    
+    // Try to find and click search button (the last candidates are other ways into the search box)
+    debugLog('SEARCH', `Looking for search button with selectors: ${candidates('searchButton').join(' | ')}`);
+    const searchButton = await waitForElement('searchButton', { visible: true, timeout: 5000 });
+    
+    if (searchButton) {
+      debugLog('SUCCESS', `Search button found: ${searchButton.selector}`);
+      await logSelectorSearch(page, searchButton.selector, 'Search Button');
+      await humanMouseMove(searchButton.handle);
+      await humanPause('beforeClick');
+      await searchButton.handle.click();
+    } else {
+      log.warn('⚠️ Search button not found, trying the search box directly...');
+      
+      // Debug: List all available data-icon attributes
+      if (isLevelEnabled('debug')) {
+        const availableIcons = await page.evaluate(() => {
+          return Array.from(document.querySelectorAll('[data-icon]')).map(el => ({
+            icon: el.getAttribute('data-icon'),
+            ariaLabel: el.getAttribute('aria-label'),
+            className: el.className
+          }));
+        });
+        debugLog('DOM', 'Available data-icon elements', availableIcons.slice(0, 10));
+      }
+    }
+    
+    // Wait for search box and type group name - without one no group can be opened
+    const { handle: searchBox, selector: searchBoxSelector } = await waitForElement('searchBox', { visible: true, required: true });
+    debugLog('SUCCESS', `Search box found: ${searchBoxSelector}`);
+    await logSelectorSearch(page, searchBoxSelector, 'Search Box');
+    
+    await searchBox.click();
+    await humanPause('focusSearch');
+    
+    // Clear existing text and type new search
+    debugLog('INFO', 'Clearing search box and typing group name');
+    await searchBox.click({ clickCount: 3 });
+    await page.keyboard.press('Backspace');
+    await typeWithDelay(searchBox, groupName);
+    
+    // Wait for search results to load
+    debugLog('INFO', 'Waiting for search results to load...');
+    await humanPause('searchResults');
+    
+    // Log DOM state after search
+    await logDOMState(page, 'After Search');
+    
+    // Try to find group by title
+    let groupFound = false;
+    
+    // First, try to find the group in search results
+    try {
+      // Debug: List all found titles
+      const allTitles = await page.evaluate(() => {
+        return Array.from(document.querySelectorAll('span[title]')).map(el => el.title);
+      });
+      debugLog('SEARCH', `Found titles in search: ${allTitles.join(', ')}`);
+      
+      // Find all elements with the group name and click the right one
+      const groupElements = await page.$$(`span[title="${groupName}"]`);
+      debugLog('SEARCH', `Found ${groupElements.length} elements with title "${groupName}"`);
+      
+      if (groupElements.length > 0) {
+        // If multiple elements, try each one
+        for (let i = 0; i < groupElements.length; i++) {
+          debugLog('SEARCH', `Attempting to click element ${i + 1}/${groupElements.length}...`);
+          
+          const element = groupElements[i];
+          const box = await element.boundingBox();
+          
+          if (box) {
+            spendAction('chatOpens', ACTION_BUDGETS);
+            await page.mouse.click(box.x + box.width / 2, box.y + box.height / 2);
+            
+            // Wait for the chat to load and navigation to complete
+            await humanPause('resultClick');
+            
+            // Check if we're in a chat by looking for multiple indicators
+            const chatOpened = await page.evaluate((panelSelectors, messageSelectors) => {
+              // Multiple ways to detect if chat is open
+              // 1. Check for main chat area
+              const mainElement = document.querySelector('#main');
+              // 2. Check for conversation panel with messages
+              const conversationPanel = panelSelectors.some(selector => document.querySelector(selector));
+              // 3. Check for message input area
+              const messageInput = document.querySelector('div[contenteditable="true"][data-tab="10"]') ||
+                                 document.querySelector('[data-testid="conversation-compose-box-input"]');
+              // 4. Check for any messages
+              const messagesCount = Math.max(0, ...messageSelectors.map(selector => document.querySelectorAll(selector).length));
+              
+              // Debug logging
+              console.log('Chat detection:', {
+                main: !!mainElement,
+                conversationPanel,
+                messageInput: !!messageInput,
+                messagesCount
+              });
+              
+              // Consider chat opened if we have main element and either messages or input
+              return !!mainElement && (messagesCount > 0 || !!messageInput || conversationPanel);
+            }, candidates('conversationPanel'), candidates('messageContainer'));
+            
+            if (chatOpened) {
+              groupFound = true;
+              log.info(`✅ Successfully opened group: ${groupName}`);
+              
+              // Log what's in the header for debugging
+              const headerTitle = await page.$eval(candidates('groupTitle').join(', '), el => el.title).catch(() => null);
+              if (headerTitle) {
+                debugLog('SEARCH', `📍 Group is part of community: ${headerTitle}`);
+              }
+              
+              // Extra wait to ensure messages load fully
+              await humanPause('chatLoad');
+              break;
+            } else if (i < groupElements.length - 1) {
+              debugLog('WARNING', 'Chat not loaded yet, trying next element...');
+            }
+          }
+        }
+      } else {
+        log.warn(`⚠️ No elements found with exact title: ${groupName}`);
+      }
+    } catch (error) {
+      log.warn('⚠️ Error finding group', { error });
+    }
+    
+    // If still not found, log the error
+    if (!groupFound) {
+      log.warn(`❌ Group not found: ${groupName} - make sure the group name exactly matches what appears in WhatsApp`);
+    }
+    
+    // Random delay after opening group
+    if (groupFound) {
+      await humanPause('afterOpen');
+    }
+    
+    fnTimer.end({ found: groupFound });
+    return groupFound;
+  } catch (error) {
+    fnTimer.end({ found: false });
+    if (error instanceof SelectorBrokenError) throw error; // Not "group not found" - no group can be found
+    if (error instanceof ActionBudgetError) throw error; // Scanning has to stop until the budget frees up
+    log.error(`❌ Error searching for group ${groupName}`, { error });
+    return false;
+  }
+}
+
+// Clear search box and return to chat list
+export async function clearSearch() {
+  try {
+    log.debug('🧹 Clearing search...');
+    
+    // Press Escape multiple times to clear search and go back
+    await page.keyboard.press('Escape');
+    await humanPause('escape');
+    
+    await page.keyboard.press('Escape');
+    await humanPause('escape');
+    
+    // Clear search box directly if it exists
+    try {
+      const searchBox = (await findElement('searchBox'))?.handle;
+      if (searchBox) {
+        await searchBox.click({ clickCount: 3 }); // Select all
+        await page.keyboard.press('Backspace'); // Delete
+        await page.keyboard.press('Escape'); // Exit search
+        await humanPause('clearSearchBox');
+      }
+    } catch (e) {
+      // Search box might not be visible, that's okay
+    }
+    
+    // Ensure we're back at main chat list
+    await humanPause('afterClear');
+    log.debug('✅ Search cleared');
+  } catch (error) {
+    log.error('❌ Error clearing search', { error });
+  }
+}
+
+// Walk the chat list from top to bottom, handing each screen of rows ({ name, preview, timeText, unread }) to visit
+// Stops when visit returns true, the end of the list is reached or maxScrolls screens were read
+async function walkChatList(maxScrolls, visit) {
+  for (let scrolls = 0; scrolls <= maxScrolls; scrolls++) {
+    const listSelectors = candidates('chatList');
+    const { rows, atEnd, listSelector } = await page.evaluate((selectors) => {
+      const listSelector = selectors.find(selector => document.querySelector(selector));
+      const list = listSelector ? document.querySelector(listSelector) : null;
+      const rowEls = list ? Array.from(list.querySelectorAll('[role="row"], [role="listitem"]')) : [];
+      
+      const rows = rowEls.map(row => {
+        const titled = row.querySelectorAll('span[title]');
+        const timeEl = row.querySelector('.chat-time, [data-testid="cell-frame-primary-detail"]');
+        const badgeEl = row.querySelector('.unread-badge, [aria-label*="unread message"]');
+        return {
+          name: titled[0] ? titled[0].getAttribute('title') : '',
+          preview: titled[1] ? titled[1].getAttribute('title') : '',
+          timeText: timeEl ? timeEl.textContent.trim() : '',
+          unread: badgeEl ? parseInt(badgeEl.textContent, 10) || 1 : 0
+        };
+      }).filter(row => row.name);
+      
+      const pane = document.querySelector('#pane-side');
+      return { rows, atEnd: !pane || pane.scrollTop + pane.clientHeight >= pane.scrollHeight - 1, listSelector };
+    }, listSelectors);
+    
+    // Logged in but no chat list - reading on would report every group as missing
+    if (!listSelector) selectorBroken('chatList', 'reading the chat list');
+    useCandidate('chatList', listSelector);
+    
+    if (visit(rows) || atEnd) break;
+    
+    // The chat list is virtualised - scroll down a screen to render more rows
+    await page.evaluate(() => {
+      const pane = document.querySelector('#pane-side');
+      if (pane) pane.scrollTop += pane.clientHeight;
+    });
+    await humanPause('listScroll');
+  }
+  
+  // Back to the top of the list for the group searches that follow
+  await page.evaluate(() => {
+    const pane = document.querySelector('#pane-side');
+    if (pane) pane.scrollTop = 0;
+  });
+}
+
+// Read unread counters, last-activity time and last-message preview of the given groups from the chat list
+// Returns a Map of group name -> { unread, timeText, preview }; groups not listed (e.g. archived) are left out
+export async function readChatListActivity(groupNames) {
+  const activity = new Map();
+  
+  await walkChatList(CHAT_LIST_PREPASS.maxListScrolls, (rows) => {
+    for (const row of rows) {
+      if (groupNames.includes(row.name) && !activity.has(row.name)) {
+        activity.set(row.name, { unread: row.unread, timeText: row.timeText, preview: row.preview });
+      }
+    }
+    return activity.size === groupNames.length;
+  });
+  
+  debugLog('PREPASS', `Chat list activity for ${activity.size}/${groupNames.length} groups`);
+  return activity;
+}
+
+// Collect the title of every chat in the chat list and, optionally, the archived view
+// Returns [{ name, archived }] in list order
+export async function collectChatTitles({ includeArchived = true, maxListScrolls = 50 } = {}) {
+  const chats = new Map();
+  const collect = (archived) => (rows) => {
+    for (const row of rows) {
+      if (!chats.has(row.name)) chats.set(row.name, { name: row.name, archived });
+    }
+    return false; // Read the whole list
+  };
+  
+  await walkChatList(maxListScrolls, collect(false));
+  
+  if (includeArchived) {
+    const archivedButton = (await findElement('archivedChatsButton'))?.handle;
+    if (archivedButton) {
+      await humanMouseMove(archivedButton);
+      await archivedButton.click();
+      await humanPause('openArchived');
+      await walkChatList(maxListScrolls, collect(true));
+      
+      // Leave the archived view
+      await page.keyboard.press('Escape');
+      await humanPause('leaveArchived');
+    } else {
+      debugLog('DISCOVERY', 'Archived chats button not found - archived chats not collected');
+    }
+  }
+  
+  log.info(`📇 Found ${chats.size} chats in the chat list`, { chatCount: chats.size });
+  return [...chats.values()];
+}
+
+// Read the stable id of the open chat (e.g. "120363025246125486@g.us") from its message data-ids
+export async function readOpenChatId() {
+  const dataIds = await page.$$eval('#main [data-id]', els => els.slice(0, 5).map(el => el.getAttribute('data-id')));
+  for (const dataId of dataIds) {
+    const chatId = parseChatId(dataId);
+    if (chatId) return chatId;
+  }
+  return null; // Empty chat - nothing to identify it by
+}
+
+// Decide whether a group needs scanning from its chat-list row and the row saved at its last scan
+export function hasNewActivity(activity, snapshot) {
+  if (!activity || !snapshot) return true; // Not in the list (archived, scrolled away) or never scanned
+  if (activity.unread > 0) return true;
+  return activity.timeText !== snapshot.timeText || activity.preview !== snapshot.preview;
+}
+
+// Check whether the message history loaded so far reaches back to the high-water mark
+function historyReachesWatermark(history, watermark) {
+  if (history.markerLoaded) return true;
+  if (!watermark.messageTime) return false;
+
+  // The marker message may have been deleted - stop once the oldest loaded message predates it
+  const oldest = parsePrePlainText(history.oldestPrePlainText, { dateOrder: MESSAGE_DATE_ORDER });
+  return !!oldest && oldest.timestamp < new Date(watermark.messageTime);
+}
+
+// Scroll the conversation upward until the high-water mark (or enough history for a first scan) is loaded
+// Returns 'found', 'start' (beginning of the chat reached) or 'cap' (INCREMENTAL_SCAN.maxScrollBacks used up)
+async function scrollBackToWatermark(watermark, containerSelector, metaSelector) {
+  for (let scrolls = 0; scrolls <= INCREMENTAL_SCAN.maxScrollBacks; scrolls++) {
+    const history = await page.evaluate((markerId, containerSelector, metaSelector) => {
+      const loaded = document.querySelectorAll(containerSelector);
+      const oldestMeta = loaded.length > 0 ? loaded[0].querySelector(metaSelector) : null;
+      return {
+        loadedCount: loaded.length,
+        markerLoaded: !!markerId && !!document.querySelector(`#main [data-id="${CSS.escape(markerId)}"]`),
+        oldestPrePlainText: oldestMeta ? oldestMeta.getAttribute('data-pre-plain-text') : ''
+      };
+    }, watermark ? watermark.messageDomId : null, containerSelector, metaSelector);
+
+    const done = watermark
+      ? historyReachesWatermark(history, watermark)
+      : history.loadedCount >= INCREMENTAL_SCAN.initialMessages;
+    if (done) return 'found';
+    if (scrolls === INCREMENTAL_SCAN.maxScrollBacks) break;
+
+    debugLog('EXTRACT', `Scrolling back (${scrolls + 1}/${INCREMENTAL_SCAN.maxScrollBacks}), ${history.loadedCount} messages loaded`);
+
+    // Scroll to the top so WhatsApp loads the previous page of messages
+    await page.evaluate((panelSelectors) => {
+      for (const selector of panelSelectors) {
+        const panel = document.querySelector(selector);
+        if (panel && panel.scrollHeight > panel.clientHeight) {
+          panel.scrollTop = 0;
+          break;
+        }
+      }
+    }, candidates('conversationPanel'));
+
+    try {
+      await page.waitForFunction(
+        (previousCount, selector) => document.querySelectorAll(selector).length > previousCount,
+        { timeout: TIMEOUTS.message },
+        history.loadedCount,
+        containerSelector
+      );
+    } catch (e) {
+      return 'start'; // Nothing older to load
+    }
+
+    await humanPause('historyScroll');
+  }
+
+  return 'cap';
+}
+
+// Find the first candidate of each element that matches inside the open chat - returns { element: selector or null }
+async function probeChatSelectors(elements) {
+  const lists = Object.fromEntries(elements.map(element => [element, candidates(element)]));
+  return page.evaluate((lists) => {
+    const root = document.querySelector('#main') || document;
+    return Object.fromEntries(Object.entries(lists).map(([element, selectors]) =>
+      [element, selectors.find(selector => root.querySelector(selector) || document.querySelector(selector)) || null]
+    ));
+  }, lists);
+}
+
+// The candidate used for the most messages - promoted so it is tried first next time
+function mostUsed(hits) {
+  const ranked = Object.entries(hits).sort((a, b) => b[1] - a[1]);
+  return ranked.length > 0 ? ranked[0][0] : null;
+}
+
+// Extract the messages of the open group that arrived after its high-water mark
+// watermark: { messageDomId, messageTime } of the newest message processed last time, or null on a first scan
+// (a first scan reads the last INCREMENTAL_SCAN.initialMessages messages)
+// Throws SelectorBrokenError when the chat has messages but no message candidate finds them
+export async function extractRecentMessages(groupName, watermark = null) {
+  const fnTimer = new PerfTimer('extractRecentMessages');
+  
+  try {
+    log.info(`📋 Extracting messages from: ${groupName}`);
+    debugLog('EXTRACT', `Starting message extraction for: ${groupName}`);
+    
+    // The open chat must have a conversation panel
+    const panel = await waitForElement('conversationPanel', { timeout: TIMEOUTS.message, required: true });
+    debugLog('EXTRACT', `Found conversation panel with selector: ${panel.selector}`);
+    
+    await humanPause('chatSettle');
+    
+    // Scroll to load recent messages with human-like behavior
+    await page.evaluate((panelSelectors) => {
+      for (const selector of panelSelectors) {
+        const panel = document.querySelector(selector);
+        if (panel && panel.scrollHeight > 0) {
+          panel.scrollTop = panel.scrollHeight;
+          break;
+        }
+      }
+    }, candidates('conversationPanel'));
+    
+    await humanPause('afterScroll');
+    
+    // Occasional random scroll action
+    if (rollIdleScroll(PACING)) {
+      await page.evaluate((panelSelectors) => {
+        for (const selector of panelSelectors) {
+          const panel = document.querySelector(selector);
+          if (panel && panel.scrollHeight > 0) {
+            panel.scrollTop = panel.scrollHeight - Math.random() * 200;
+            setTimeout(() => {
+              panel.scrollTop = panel.scrollHeight;
+            }, 300);
+            break;
+          }
+        }
+      }, candidates('conversationPanel'));
+      await humanPause('idleScroll');
+    }
+    
+    // Message bubbles of this WhatsApp Web version - an empty chat has none, which is not a fault
+    const probe = await probeChatSelectors(['messageContainer', 'messageMeta']);
+    const containerSelector = probe.messageContainer || candidates('messageContainer')[0];
+    const metaSelector = probe.messageMeta || candidates('messageMeta')[0];
+    
+    // Load older messages until everything since the last scan is in the DOM
+    const scrollBack = await scrollBackToWatermark(watermark, containerSelector, metaSelector);
+    if (watermark && scrollBack === 'cap') {
+      log.warn(`⚠️ ${groupName}: last processed message not reached after ${INCREMENTAL_SCAN.maxScrollBacks} scroll-backs - older new messages may be missed`);
+    }
+    
+    // Extract messages in a single page.evaluate for performance
+    const extraction = await page.evaluate((selectorLists, groupName, markerId, limits) => {
+      const messages = [];
+      const textHits = {}; // Text candidate -> messages it found the text of
+      const metaHits = {};
+      const typeHits = {}; // Type element (messageImage, messagePoll, ...) -> candidate -> messages it found
+      let containerTextFallbacks = 0; // Messages whose text came from the whole bubble
+      
+      // First candidate of a list that matches inside an element
+      const firstMatch = (el, selectors) => {
+        for (const selector of selectors) {
+          const found = el.matches(selector) ? el : el.querySelector(selector);
+          if (found) return { found, selector };
+        }
+        return null;
+      };
+      
+      // Text of an element without the parts inside skipped elements (times, sender names, cards)
+      const textOutside = (root, skip) => {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        let text = '';
+        while (walker.nextNode()) {
+          if (!skip.some(el => el.contains(walker.currentNode))) text += walker.currentNode.textContent;
+        }
+        return text.replace(/\s+/g, ' ').trim();
+      };
+      
+      // Find the type element of a bubble (a poll, document, ...) and count the candidate that found it
+      const findType = (container, element) => {
+        const match = firstMatch(container, selectorLists[element]);
+        if (!match) return null;
+        typeHits[element] = typeHits[element] || {};
+        typeHits[element][match.selector] = (typeHits[element][match.selector] || 0) + 1;
+        return match.found;
+      };
+      
+      // Title attribute or text of the first candidate inside an element
+      const labelOf = (el, selectors) => {
+        const match = selectors.map(selector => el.querySelector(selector)).find(Boolean);
+        const target = match || el;
+        return (target.getAttribute('title') || target.getAttribute('aria-label') || textOutside(target, [])).trim();
+      };
+      
+      // Try the message container candidates in order
+      let containers = null;
+      let containerSelector = null;
+      for (const selector of selectorLists.messageContainer) {
+        const found = document.querySelectorAll(selector);
+        if (found.length > 0) {
+          containers = found;
+          containerSelector = selector;
+          console.log(`Found ${found.length} messages with selector: ${selector}`);
+          break;
+        }
+      }
+      
+      // Rows with a WhatsApp message id mean the chat has messages, even if no container candidate matches them
+      const messageRows = document.querySelectorAll('#main [data-id]').length;
+      
+      if (!containers || containers.length === 0) {
+        console.log('No message containers found with any selector');
+        return { messages, containerSelector, messageRows, textHits, metaHits, typeHits, containerTextFallbacks };
+      }
+      
+      // System messages ("Alice added Bob") have no bubble - merge them in document order
+      const systemRows = new Set();
+      for (const selector of selectorLists.systemMessage) {
+        document.querySelectorAll(`#main ${selector}`).forEach(el => {
+          if (!el.closest(containerSelector) && !el.querySelector(containerSelector)) systemRows.add(el);
+        });
+        if (systemRows.size > 0) {
+          typeHits.systemMessage = { [selector]: systemRows.size };
+          break;
+        }
+      }
+      containers = [...containers, ...systemRows].sort((a, b) =>
+        a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+      );
+      // Start right after the high-water mark, or take the last initialMessages on a first scan
+      const domIdOf = (container) => {
+        const row = container.closest('[data-id]');
+        return row ? row.getAttribute('data-id') : '';
+      };
+      let firstIndex = Math.max(0, containers.length - limits.initialMessages);
+      let markerFound = false;
+      if (markerId) {
+        const markerIndex = Array.from(containers).findIndex(container => domIdOf(container) === markerId);
+        markerFound = markerIndex !== -1;
+        firstIndex = markerFound ? markerIndex + 1 : 0;
+      }
+      firstIndex = Math.max(firstIndex, containers.length - limits.maxMessages);
+      const messagesToProcess = containers.length - firstIndex;
+      
+      // Date separators are short rows without a message bubble, in document order
+      const dateLabelPattern = /^(today|yesterday|monday|tuesday|wednesday|thursday|friday|saturday|sunday|\d{1,4}[/.\-]\d{1,2}[/.\-]\d{1,4}|.*\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b.*\d.*)$/i;
+      const separators = Array.from(document.querySelectorAll('#main [role="row"]')).filter(row =>
+        !row.querySelector(containerSelector) &&
+        !row.matches(containerSelector) &&
+        row.textContent.trim().length <= 30 &&
+        dateLabelPattern.test(row.textContent.trim())
+      );
+      
+      console.log(`Processing ${messagesToProcess} messages...`);
+      
+      // Messages above the first new one are read too, as context of the new ones (they were scanned before)
+      for (let i = Math.max(0, firstIndex - limits.contextBefore); i < containers.length; i++) {
+        try {
+          const container = containers[i];
+          
+          // Debug: log container info
+          console.log(`Message ${i}: ${container.className}, has text: ${!!container.textContent}`);
+          
+          // Quoted message of a reply - read on its own, so it does not pass for the reply's text or sender
+          const quotedEl = !systemRows.has(container) && findType(container, 'quotedMessage');
+          const outsideQuote = match => (match && !(quotedEl && quotedEl.contains(match.found)) ? match : null);
+          let quoted = null;
+          if (quotedEl) {
+            const author = firstMatch(quotedEl, selectorLists.quotedAuthor);
+            quoted = {
+              sender: author ? author.found.textContent.trim() : '',
+              text: textOutside(quotedEl, author ? [author.found] : [])
+            };
+          }
+          
+          // "Forwarded" label - a flag of the message, not part of its text (an icon match stands for its label row)
+          const forwardedMark = !systemRows.has(container) && findType(container, 'messageForwarded');
+          const forwardedLabel = forwardedMark && !(quotedEl && quotedEl.contains(forwardedMark))
+            ? (forwardedMark.matches('[data-icon]') ? forwardedMark.parentElement : forwardedMark)
+            : null;
+          
+          // Bubble time and sender name, used when the prefix is missing (e.g. some media messages)
+          const time = outsideQuote(firstMatch(container, selectorLists.messageTime));
+          const timeText = time ? time.found.textContent.trim() : '';
+          const senderMatch = outsideQuote(firstMatch(container, selectorLists.messageSender));
+          const sender = senderMatch ? senderMatch.found.textContent.trim() : '';
+          
+          // What the bubble holds besides text - read separately, so their labels do not pass for the message text
+          const parts = { system: systemRows.has(container) };
+          const skip = [time && time.found, senderMatch && senderMatch.found, quotedEl, forwardedLabel].filter(Boolean);
+          if (!parts.system) {
+            const poll = findType(container, 'messagePoll');
+            const documentEl = !poll && findType(container, 'messageDocument');
+            const contact = !poll && !documentEl && findType(container, 'messageContact');
+            const linkPreview = findType(container, 'messageLinkPreview');
+            if (poll) {
+              parts.poll = {
+                question: labelOf(poll, selectorLists.pollQuestion),
+                options: selectorLists.pollOption
+                  .map(selector => Array.from(poll.querySelectorAll(selector)))
+                  .find(options => options.length > 0)?.map(option => labelOf(option, [])) || []
+              };
+            }
+            if (documentEl) parts.document = { fileName: labelOf(documentEl, ['[title]']) };
+            if (contact) parts.contact = { name: labelOf(contact, ['[title]']) };
+            if (linkPreview) parts.linkPreview = { text: textOutside(linkPreview, []) };
+            parts.video = !!findType(container, 'messageVideo');
+            parts.image = !parts.video && !!findType(container, 'messageImage');
+            skip.push(...[poll, documentEl, contact, linkPreview].filter(Boolean));
+          }
+          
+          // Message text or caption - the first text candidate outside the skipped elements
+          let text = '';
+          for (const selector of parts.system ? [] : selectorLists.messageText) {
+            const textEl = Array.from(container.querySelectorAll(selector)).find(el =>
+              !skip.some(skipped => skipped.contains(el) || el.contains(skipped)) && el.textContent.trim()
+            );
+            if (textEl) {
+              text = textEl.textContent.trim();
+              textHits[selector] = (textHits[selector] || 0) + 1;
+              console.log(`Found text with selector ${selector}: ${text.substring(0, 50)}...`);
+              break;
+            }
+          }
+          
+          // Otherwise the bubble's own text, without its time, sender name and cards
+          if (!text) {
+            text = textOutside(container, skip);
+            if (text && !parts.system) {
+              containerTextFallbacks++;
+              console.log(`Using container text: ${text.substring(0, 50)}...`);
+            }
+          }
+          parts.text = text;
+          
+          // Link targets in the bubble (linked text, preview cards) - normalised in Node
+          const hrefs = Array.from(container.querySelectorAll('a[href]'))
+            .filter(link => !(quotedEl && quotedEl.contains(link)))
+            .map(link => link.href);
+          
+          // Metadata prefix "[10:32, 14/07/2025] Alice: " - parsed in Node by message-time.js
+          const meta = firstMatch(container, selectorLists.messageMeta);
+          const prePlainText = meta ? meta.found.getAttribute('data-pre-plain-text') || '' : '';
+          if (meta) metaHits[meta.selector] = (metaHits[meta.selector] || 0) + 1;
+
+          // Nearest date separator ("TODAY", "YESTERDAY", "MONDAY", "14/07/2025") above the message
+          let separatorLabel = '';
+          for (const separator of separators) {
+            if (separator.compareDocumentPosition(container) & Node.DOCUMENT_POSITION_FOLLOWING) {
+              separatorLabel = separator.textContent.trim();
+            } else {
+              break;
+            }
+          }
+          
+          messages.push({
+            domId: domIdOf(container),
+            contextOnly: i < firstIndex,
+            markerFound,
+            sender,
+            parts,
+            hrefs,
+            quoted,
+            forwarded: !!forwardedLabel,
+            prePlainText,
+            timeText,
+            separatorLabel,
+            groupName
+          });
+        } catch (error) {
+          console.error('Error extracting message:', error);
+        }
+      }
+      
+      console.log(`Total messages extracted: ${messages.length}`);
+      return { messages, containerSelector, messageRows, textHits, metaHits, typeHits, containerTextFallbacks };
+    }, Object.fromEntries(MESSAGE_ELEMENTS.map(element => [element, candidates(element)])), groupName, watermark ? watermark.messageDomId : null,
+    { ...INCREMENTAL_SCAN, contextBefore: MATCH_CONTEXT.before });
+    
+    // Type and matchable text of every message - media without a caption has nothing to match
+    const recentMessages = extraction.messages
+      .map(msg => ({ ...msg, ...classifyMessage(msg.parts) }))
+      .filter(msg => msg.text);
+    recordExtractionSelectors(extraction);
+    debugLog('EXTRACT', `📊 Raw messages extracted: ${recentMessages.length}`);
+    
+    // Resolve the real send time and a clean sender for every message
+    const now = new Date();
+    let allMessages = recentMessages.map(msg => {
+      const { sender, timestamp, timestampSource } = resolveMessageTime(msg, { now, dateOrder: MESSAGE_DATE_ORDER });
+      debugLog('EXTRACT', `${msg.type}: ${sender} @ ${timestamp.toISOString()} (${timestampSource})`);
+      return {
+        domId: msg.domId,
+        type: msg.type,
+        sender,
+        text: msg.text,
+        urls: extractUrls(msg.text, msg.hrefs),
+        quoted: msg.quoted && msg.quoted.text ? { sender: msg.quoted.sender || null, text: msg.quoted.text } : null,
+        forwarded: msg.forwarded,
+        timestamp: timestamp.toISOString(),
+        timestampSource,
+        groupName: msg.groupName,
+        contextOnly: msg.contextOnly
+      };
+    });
+    
+    // Marker message gone (deleted) - fall back to dropping messages older than its time
+    const markerFound = recentMessages.length > 0 && recentMessages[0].markerFound;
+    if (watermark && !markerFound && watermark.messageTime) {
+      allMessages = allMessages.filter(msg => msg.contextOnly || msg.timestampSource === 'scan' || msg.timestamp >= watermark.messageTime);
+    }
+    
+    // Every new message carries its neighbours and quoted message; the context-only ones go no further
+    allMessages = attachContext(allMessages, MATCH_CONTEXT);
+    
+    fnTimer.end({ rawMessages: recentMessages.length, messageCount: allMessages.length });
+    log.info(`✅ Extracted ${allMessages.length} ${watermark ? 'new ' : ''}messages from ${groupName}`, { messageCount: allMessages.length });
+    return allMessages;
+    
+  } catch (error) {
+    fnTimer.end({ failed: true });
+    if (error instanceof SelectorBrokenError) throw error; // Zero messages would look like a quiet chat
+    log.error(`❌ Error extracting messages from ${groupName}`, { error });
+    return [];
+  }
+}
+
+// Fewest extracted messages from which missing text or metadata counts as a broken selector
+const MIN_MESSAGES_FOR_SELECTOR_CHECK = 3;
+
+// Selector elements read inside the open chat when extracting messages
+const MESSAGE_ELEMENTS = [
+  'messageContainer', 'messageText', 'messageMeta', 'messageTime', 'messageSender',
+  'messageImage', 'messageVideo', 'messageDocument', 'messagePoll', 'pollQuestion', 'pollOption',
+  'messageLinkPreview', 'messageContact', 'systemMessage', 'quotedMessage', 'quotedAuthor', 'messageForwarded'
+];
+
+// Promote the message candidates that worked and report the ones that found nothing in a chat with messages
+// Type elements (images, polls, ...) are only promoted - a chat without polls is no sign of a broken selector
+function recordExtractionSelectors({ messages, containerSelector, messageRows, textHits, metaHits, typeHits, containerTextFallbacks }) {
+  if (!containerSelector) {
+    if (messageRows > 0) selectorBroken('messageContainer', `${messageRows} messages in the chat, none matched`);
+    return; // Empty chat
+  }
+  useCandidate('messageContainer', containerSelector);
+  for (const [element, hits] of Object.entries(typeHits)) {
+    useCandidate(element, mostUsed(hits));
+  }
+  if (messages.length < MIN_MESSAGES_FOR_SELECTOR_CHECK) return; // A few system or media bubbles prove nothing
+
+  if (mostUsed(textHits)) {
+    useCandidate('messageText', mostUsed(textHits));
+  } else if (containerTextFallbacks > 0) {
+    recordSelectorFailure('messageText', `text of ${containerTextFallbacks} messages taken from the whole bubble`);
+  }
+
+  // Without the metadata prefix send times and senders fall back to the bubble time and the scan time
+  if (mostUsed(metaHits)) {
+    useCandidate('messageMeta', mostUsed(metaHits));
+  } else {
+    recordSelectorFailure('messageMeta', `no send-time metadata on ${messages.length} messages`);
+  }
+}